@@ -2,11 +2,23 @@
 import EventBus from "./core/EventBus.js";
 import EventStore from "./core/EventStore.js";
 import MessageBroker from "./core/MessageBroker.js";
+import Outbox from "./core/Outbox.js";
+import OutboxRelay from "./core/OutboxRelay.js";
+import Inbox from "./core/Inbox.js";
+import CircuitBreaker from "./core/CircuitBreaker.js";
 import Event from "./core/Event.js";
+import ReplayEngine from "./core/ReplayEngine.js";
+import DeadLetterStore from "./core/DeadLetterStore.js";
+import SchemaRegistry from "./core/SchemaRegistry.js";
+import { registerEventSchemas } from "./events/schemas.js";
 
 // Services
 import MatchingService from "./services/MatchingService.js";
+import { loadRules } from "./services/matching/LocalRulesStrategy.js";
 import AuditService from "./services/AuditService.js";
+import TaskService from "./services/TaskService.js";
+import EventStreamService from "./services/EventStreamService.js";
+import DeadLetterQueueService from "./services/DeadLetterQueueService.js";
 
 // Agents
 import AssignAgent from "./agents/AssignAgent.js";
@@ -17,6 +29,16 @@ import RecoveryAgent from "./agents/RecoveryAgent.js";
 // connection
 import rabbitMQConnection from "./events/connection.js";
 
+// config
+import { env } from "./config/env.js";
+import {
+  register,
+  trackEventBus,
+  trackMatchingService,
+} from "./config/metrics.js";
+import { tracer } from "./config/tracing.js";
+import { createLogger } from "./config/logger.js";
+
 // Dummy matching engine (will be replaced with real service later)
 import { dummyMatchingEngine } from "./utils/dummyMatchingEngine.js";
 
@@ -29,6 +51,7 @@ class Application {
     this.isRunning = false;
     this.components = {};
     this.agents = {};
+    this.logger = createLogger("Application");
   }
 
   /**
@@ -36,7 +59,7 @@ class Application {
    */
   async start() {
     try {
-      console.log("🚀 Starting Event-Driven Agent System...");
+      this.logger.info("Starting Event-Driven Agent System");
 
       await rabbitMQConnection.init();
 
@@ -51,9 +74,9 @@ class Application {
       await this.startAllComponents();
 
       this.isRunning = true;
-      console.log("✅ Event-Driven Agent System started successfully!");
+      this.logger.info("Event-Driven Agent System started");
     } catch (error) {
-      console.error("❌ Failed to start system:", error.message);
+      this.logger.error("Failed to start system", { error: error.message });
       await this.shutdown();
       throw error;
     }
@@ -63,18 +86,142 @@ class Application {
    * Initialize core modules
    */
   async initializeCoreModules() {
-    this.components.eventBus = new EventBus();
+    this.components.schemaRegistry = registerEventSchemas(
+      new SchemaRegistry()
+    );
 
-    this.components.eventStore = new EventStore();
+    this.components.eventStore = new EventStore({
+      ...this.getEventStoreOptions(),
+      logger: createLogger("EventStore"),
+      storedEventLogSampleRate: parseFloat(env.LOG_SAMPLE_RATE_STORED_EVENT),
+    });
+    await this.components.eventStore.initialize();
+
+    this.components.eventBus = new EventBus({
+      schemaRegistry: this.components.schemaRegistry,
+      queueLimit: parseInt(env.EVENT_BUS_QUEUE_LIMIT, 10),
+      overflowPolicy: env.EVENT_BUS_OVERFLOW_POLICY,
+      spillStore: this.components.eventStore,
+      tracer,
+      logger: createLogger("EventBus"),
+      retryPolicy: {
+        maxAttempts: parseInt(env.EVENT_BUS_RETRY_MAX_ATTEMPTS, 10),
+        initialDelay: parseInt(env.EVENT_BUS_RETRY_INITIAL_DELAY, 10),
+        maxDelay: parseInt(env.EVENT_BUS_RETRY_MAX_DELAY, 10),
+      },
+      deadLetterStore: new DeadLetterStore({
+        maxEntries: parseInt(env.DEAD_LETTER_MAX_ENTRIES, 10),
+      }),
+    });
 
-    this.components.messageBroker = new MessageBroker(this.components.eventBus);
-    await this.components.messageBroker.initialize();
+    trackEventBus(this.components.eventBus);
 
-    this.components.eventBus.on("*", async (event) => {
-      await this.components.eventStore.store(event);
+    this.components.outbox = new Outbox({
+      backend: env.OUTBOX_BACKEND,
+      filePath: env.OUTBOX_FILE_PATH,
+      logger: createLogger("Outbox"),
     });
+    await this.components.outbox.initialize();
+
+    this.components.outboxRelay = new OutboxRelay(
+      this.components.outbox,
+      rabbitMQConnection,
+      {
+        maxAttempts: parseInt(env.OUTBOX_MAX_ATTEMPTS, 10),
+        initialDelay: parseInt(env.OUTBOX_RETRY_INITIAL_DELAY, 10),
+        maxDelay: parseInt(env.OUTBOX_RETRY_MAX_DELAY, 10),
+        logger: createLogger("OutboxRelay"),
+      }
+    );
+
+    this.components.inbox = new Inbox({
+      backend: env.INBOX_BACKEND,
+      filePath: env.INBOX_FILE_PATH,
+      ttl: parseInt(env.INBOX_TTL_MS, 10),
+      keyField: env.INBOX_KEY_FIELD,
+      logger: createLogger("Inbox"),
+    });
+    await this.components.inbox.initialize();
+
+    this.components.messageBroker = new MessageBroker(
+      this.components.eventBus,
+      {
+        logger: createLogger("MessageBroker"),
+        outbox: this.components.outbox,
+        outboxRelay: this.components.outboxRelay,
+        inbox: this.components.inbox,
+      }
+    );
+    await this.components.messageBroker.initialize();
+
+    this.components.eventBus.on(
+      "*",
+      async (event) => {
+        // Replayed events are already in the store
+        if (event.isReplay()) return;
+        await this.components.eventStore.store(event);
+      },
+      { name: "EventStore", tracing: false } // A span per event is just noise
+    );
+
+    this.components.replayEngine = new ReplayEngine(
+      this.components.eventStore,
+      this.components.eventBus,
+      {
+        createSandbox: () => this.createReplaySandbox(),
+        logger: createLogger("ReplayEngine"),
+      }
+    );
 
-    console.log("✅ Core modules initialized");
+    this.logger.info("Core modules initialized");
+  }
+
+  /**
+   * Build EventStore options for the configured backend
+   * @returns {object} EventStore options
+   */
+  getEventStoreOptions() {
+    const backend = env.EVENT_STORE_BACKEND;
+    const maxEvents = parseInt(env.EVENT_STORE_MAX_EVENTS, 10);
+
+    switch (backend) {
+      case "file":
+        return { backend, filePath: env.EVENT_STORE_FILE_PATH };
+      case "sqlite":
+        return { backend, filePath: env.EVENT_STORE_SQLITE_PATH };
+      default:
+        return { backend, maxEvents };
+    }
+  }
+
+  /**
+   * Matching strategy options from the environment
+   * @returns {object} MatchingService strategy options
+   */
+  getMatchingStrategyOptions() {
+    let strategiesByFormType = {};
+    if (env.MATCHING_STRATEGY_BY_FORM_TYPE) {
+      try {
+        strategiesByFormType = JSON.parse(env.MATCHING_STRATEGY_BY_FORM_TYPE);
+      } catch (error) {
+        throw new Error(
+          `MATCHING_STRATEGY_BY_FORM_TYPE is not valid JSON: ${error.message}`
+        );
+      }
+    }
+
+    return {
+      strategy: env.MATCHING_STRATEGY,
+      strategiesByFormType,
+      formTypeField: env.MATCHING_FORM_TYPE_FIELD,
+      rules: env.MATCHING_RULES_FILE ? loadRules(env.MATCHING_RULES_FILE) : {},
+      shadow: env.MATCHING_SHADOW_STRATEGY
+        ? {
+            strategy: env.MATCHING_SHADOW_STRATEGY,
+            sampleRate: parseFloat(env.MATCHING_SHADOW_SAMPLE_RATE),
+          }
+        : null,
+    };
   }
 
   /**
@@ -82,14 +229,55 @@ class Application {
    */
   async initializeServices() {
     this.components.matchingService = new MatchingService(
-      this.components.eventBus
+      this.components.eventBus,
+      {
+        logger: createLogger("MatchingService"),
+        circuitBreaker: new CircuitBreaker({
+          name: "matching-engine",
+          failureRateThreshold: parseFloat(env.MATCHING_CIRCUIT_FAILURE_RATE),
+          windowMs: parseInt(env.MATCHING_CIRCUIT_WINDOW_MS, 10),
+          minimumRequests: parseInt(env.MATCHING_CIRCUIT_MIN_REQUESTS, 10),
+          cooldown: parseInt(env.MATCHING_CIRCUIT_COOLDOWN_MS, 10),
+          logger: createLogger("CircuitBreaker"),
+        }),
+        maxHeldSubmissions: parseInt(env.MATCHING_MAX_HELD_SUBMISSIONS, 10),
+        ...this.getMatchingStrategyOptions(),
+        // Task service is created below; only asked once requests come in
+        getLoad: (userId) =>
+          this.components.taskService.getAssigneeLoad(userId),
+      }
     );
     this.components.matchingService.startCleanupInterval();
+    trackMatchingService(this.components.matchingService);
 
-    this.components.auditService = new AuditService(this.components.eventBus);
+    this.components.auditService = new AuditService(this.components.eventBus, {
+      logger: createLogger("AuditService"),
+    });
     this.components.auditService.start();
 
-    console.log("✅ Services initialized");
+    this.components.taskService = new TaskService(
+      this.components.eventBus,
+      this.components.eventStore,
+      { logger: createLogger("TaskService") }
+    );
+    await this.components.taskService.initialize();
+
+    this.components.eventStreamService = new EventStreamService(
+      this.components.eventBus,
+      {
+        queueLimit: parseInt(env.EVENT_STREAM_QUEUE_LIMIT, 10),
+        heartbeatInterval: parseInt(env.EVENT_STREAM_HEARTBEAT_MS, 10),
+        maxClients: parseInt(env.EVENT_STREAM_MAX_CLIENTS, 10),
+        logger: createLogger("EventStreamService"),
+      }
+    );
+
+    this.components.deadLetterQueueService = new DeadLetterQueueService(
+      rabbitMQConnection,
+      { logger: createLogger("DeadLetterQueueService") }
+    );
+
+    this.logger.info("Services initialized");
   }
 
   /**
@@ -98,22 +286,32 @@ class Application {
   async initializeAgents() {
     this.agents.assignAgent = new AssignAgent(
       this.components.eventBus,
-      this.components.matchingService
+      this.components.matchingService,
+      this.components.taskService,
+      { logger: createLogger("AssignAgent") }
     );
 
     this.agents.reassignAgent = new ReassignAgent(
       this.components.eventBus,
-      this.components.matchingService
+      this.components.matchingService,
+      this.components.taskService,
+      { logger: createLogger("ReassignAgent") }
     );
 
-    this.agents.monitorAgent = new MonitorAgent(this.components.eventBus);
+    this.agents.monitorAgent = new MonitorAgent(
+      this.components.eventBus,
+      this.components.taskService,
+      { logger: createLogger("MonitorAgent") }
+    );
 
     this.agents.recoveryAgent = new RecoveryAgent(
       this.components.eventBus,
-      this.components.matchingService
+      this.components.matchingService,
+      this.components.taskService,
+      { logger: createLogger("RecoveryAgent") }
     );
 
-    console.log("✅ Agents initialized");
+    this.logger.info("Agents initialized");
   }
 
   /**
@@ -124,7 +322,10 @@ class Application {
 
     await this.components.messageBroker.startConsuming();
 
-    console.log("✅ External integrations started");
+    // Publishes whatever the last run left in the outbox
+    this.components.outboxRelay.start();
+
+    this.logger.info("External integrations started");
   }
 
   /**
@@ -138,41 +339,33 @@ class Application {
     }
 
     await Promise.all(arrayOfAgents);
-    console.log("✅ All agents started");
+    this.logger.info("All agents started");
   }
 
   /**
    * Display system status
    */
   displaySystemStatus() {
-    console.log("\n📊 System Status:");
-    console.log("================");
-
     const eventBusStats = this.components.eventBus.getStats();
-    console.log(
-      `🔥 EventBus: ${eventBusStats.totalListeners} listeners, ${eventBusStats.eventTypes} event types`
-    );
-
-    // Agent status
-    for (const [name, agent] of Object.entries(this.agents)) {
-      const status = agent.getStatus();
-      console.log(
-        `🤖 ${status.name}: ${status.isActive ? "Active" : "Inactive"} (${
-          status.eventHandlerCount
-        } handlers)`
-      );
-    }
-
-    // Service status
     const matchingStats = this.components.matchingService.getStats();
-    console.log(
-      `🎯 MatchingService: ${matchingStats.pendingRequests} pending requests`
-    );
-
     const auditStats = this.components.auditService.getStatistics();
-    console.log(`📋 AuditService: ${auditStats.totalLogs} total logs`);
 
-    console.log("================\n");
+    this.logger.info("System status", {
+      eventBus: {
+        listeners: eventBusStats.totalListeners,
+        eventTypes: eventBusStats.eventTypes,
+      },
+      agents: Object.values(this.agents).map((agent) => {
+        const status = agent.getStatus();
+        return {
+          name: status.name,
+          active: status.isActive,
+          handlers: status.eventHandlerCount,
+        };
+      }),
+      matchingPendingRequests: matchingStats.pendingRequests,
+      auditLogs: auditStats.totalLogs,
+    });
   }
 
   /**
@@ -200,12 +393,27 @@ class Application {
         await this.components.matchingService.healthCheck();
       health.components.auditService =
         await this.components.auditService.healthCheck();
+      health.components.taskService =
+        await this.components.taskService.healthCheck();
 
       // Agent health
       for (const [name, agent] of Object.entries(this.agents)) {
         health.agents[name] = await agent.healthCheck();
       }
 
+      // The system keeps running without RabbitMQ or the matching engine,
+      // but is not whole
+      const dependencies = [
+        health.components.messageBroker,
+        health.components.matchingService,
+      ];
+      if (
+        this.isRunning &&
+        dependencies.some((component) => component.status !== "healthy")
+      ) {
+        health.system.status = "degraded";
+      }
+
       // System statistics
       health.statistics.recentActivity =
         this.components.auditService.getRecentActivity(10);
@@ -223,8 +431,12 @@ class Application {
     return {
       eventBus: this.components.eventBus.getStats(),
       eventStore: this.components.eventStore.getStatistics(),
+      messageBroker: this.components.messageBroker.getStats(),
       matchingService: this.components.matchingService.getStats(),
       auditService: this.components.auditService.getStatistics(),
+      taskService: this.components.taskService.getStats(),
+      eventStreams: this.components.eventStreamService.getStats(),
+      deadLetterQueues: this.components.deadLetterQueueService.getStats(),
       agents: Object.fromEntries(
         Object.entries(this.agents).map(([name, agent]) => [
           name,
@@ -236,16 +448,18 @@ class Application {
 
   /**
    * Test the system with a sample form submission
+   * @param {object} actor - Authenticated caller ({ sub, roles })
    */
-  async testFormSubmission() {
+  async testFormSubmission(actor = null) {
     const testData = "test";
 
-    console.log("🧪 Testing system with form submission:", testData);
+    this.logger.info("Testing system with form submission", { testData });
 
     const event = new Event({
       type: "form.submitted",
       data: { testData },
       source: "test",
+      metadata: { actor },
     });
 
     // Emit form submission event
@@ -258,6 +472,277 @@ class Application {
     };
   }
 
+  /**
+   * Build an isolated copy of the task flow for a sandbox replay
+   * Its own bus, in-memory store, task service and agents; nothing in it
+   * touches RabbitMQ, the matching engine or the live tasks. The
+   * MonitorAgent is left out: its timeouts run on the wall clock
+   * @returns {Promise<object>} { eventBus, getResult, stop }
+   */
+  async createReplaySandbox() {
+    const logger = createLogger("ReplaySandbox");
+    const eventBus = new EventBus({
+      schemaRegistry: this.components.schemaRegistry,
+      recordMetrics: false,
+      logger,
+    });
+
+    const eventStore = new EventStore({ backend: "memory", logger });
+    await eventStore.initialize();
+    eventBus.on("*", (event) => eventStore.store(event), {
+      name: "EventStore",
+      tracing: false,
+    });
+
+    const taskService = new TaskService(eventBus, eventStore, {
+      applyReplays: true,
+      logger,
+    });
+    await taskService.initialize();
+
+    // Replayed requests never reach a strategy (see sendMatchingRequest)
+    const matchingService = new MatchingService(eventBus, { logger });
+
+    const agents = [
+      new AssignAgent(eventBus, matchingService, taskService, { logger }),
+      new ReassignAgent(eventBus, matchingService, taskService, { logger }),
+      new RecoveryAgent(eventBus, matchingService, taskService, { logger }),
+    ];
+    await Promise.all(agents.map((agent) => agent.start()));
+
+    return {
+      eventBus,
+      getResult: () => ({
+        tasks: taskService.listTasks(),
+        taskStats: taskService.getStats(),
+        deadLetters: eventBus.getDeadLetters(),
+      }),
+      stop: async () => {
+        await Promise.all(agents.map((agent) => agent.stop()));
+        matchingService.stop();
+      },
+    };
+  }
+
+  /**
+   * Start replaying stored events into a sandbox or the live EventBus
+   * @param {object} filters - EventStore filters
+   * @param {object} options - Replay options (target, speed, maxDelay)
+   * @returns {object} Replay state; follow it with getReplay
+   */
+  startReplay(filters = {}, options = {}) {
+    return this.components.replayEngine.start(filters, options);
+  }
+
+  /**
+   * Get a running or recently finished replay
+   * @param {string} replayId - Replay ID
+   * @returns {object|null} Replay state
+   */
+  getReplay(replayId) {
+    return this.components.replayEngine.getReplay(replayId);
+  }
+
+  /**
+   * Cancel a running replay
+   * @param {string} replayId - Replay ID
+   * @returns {boolean} True if it was running
+   */
+  cancelReplay(replayId) {
+    return this.components.replayEngine.cancel(replayId);
+  }
+
+  /**
+   * List dead-lettered events
+   * @param {object} filters - eventType, handlerName, limit
+   * @returns {array} Dead letters
+   */
+  getDeadLetters(filters = {}) {
+    return this.components.eventBus.getDeadLetters(filters);
+  }
+
+  /**
+   * Get a dead-lettered event by ID
+   * @param {string} entryId - Dead letter ID
+   * @returns {object|null} Dead letter
+   */
+  getDeadLetter(entryId) {
+    return this.components.eventBus.getDeadLetter(entryId);
+  }
+
+  /**
+   * Re-drive a dead-lettered event to the handler that failed it
+   * @param {string} entryId - Dead letter ID
+   * @returns {Promise<object>} Re-driven entry
+   */
+  async redriveDeadLetter(entryId) {
+    return this.components.eventBus.redriveDeadLetter(entryId);
+  }
+
+  /**
+   * Discard a dead-lettered event
+   * @param {string} entryId - Dead letter ID
+   * @returns {boolean} True if discarded
+   */
+  discardDeadLetter(entryId) {
+    return this.components.eventBus.discardDeadLetter(entryId);
+  }
+
+  /**
+   * Whether a queue is a managed RabbitMQ dead letter queue
+   * @param {string} queueName - Queue name
+   * @returns {boolean}
+   */
+  isDeadLetterQueue(queueName) {
+    return this.components.deadLetterQueueService.isDeadLetterQueue(queueName);
+  }
+
+  /**
+   * List RabbitMQ dead letter queues with their depth
+   * @returns {Promise<array>} Queues
+   */
+  async getDeadLetterQueues() {
+    return this.components.deadLetterQueueService.listQueues();
+  }
+
+  /**
+   * Browse a RabbitMQ dead letter queue
+   * @param {string} queueName - Dead letter queue
+   * @param {object} options - { limit }
+   * @returns {Promise<array>} Message summaries
+   */
+  async getDeadLetterQueueMessages(queueName, options) {
+    return this.components.deadLetterQueueService.listMessages(
+      queueName,
+      options
+    );
+  }
+
+  /**
+   * Re-drive one dead-lettered RabbitMQ message to its source queue
+   * @param {string} queueName - Dead letter queue
+   * @param {string} messageId - AMQP messageId
+   * @returns {Promise<object|null>} Re-driven message, or null if not found
+   */
+  async redriveDeadLetterQueueMessage(queueName, messageId) {
+    return this.components.deadLetterQueueService.redriveMessage(
+      queueName,
+      messageId
+    );
+  }
+
+  /**
+   * Re-drive a RabbitMQ dead letter queue
+   * @param {string} queueName - Dead letter queue
+   * @param {object} options - { limit }
+   * @returns {Promise<object>} { redriven, failed }
+   */
+  async redriveDeadLetterQueue(queueName, options) {
+    return this.components.deadLetterQueueService.redriveAll(
+      queueName,
+      options
+    );
+  }
+
+  /**
+   * Purge a RabbitMQ dead letter queue
+   * @param {string} queueName - Dead letter queue
+   * @returns {Promise<number>} Number of messages removed
+   */
+  async purgeDeadLetterQueue(queueName) {
+    return this.components.deadLetterQueueService.purge(queueName);
+  }
+
+  /**
+   * List tasks
+   * @param {object} filters - state, assignee, limit
+   * @returns {array} Tasks
+   */
+  listTasks(filters = {}) {
+    return this.components.taskService.listTasks(filters);
+  }
+
+  /**
+   * Get a task
+   * @param {string} taskId - Task ID
+   * @returns {Task|null} Task
+   */
+  getTask(taskId) {
+    return this.components.taskService.getTask(taskId);
+  }
+
+  /**
+   * Get a task's stored event timeline
+   * @param {string} taskId - Task ID
+   * @returns {Promise<array>} Timeline
+   */
+  async getTaskTimeline(taskId) {
+    return this.components.taskService.getTimeline(taskId);
+  }
+
+  /**
+   * Publish a task event on behalf of an API caller
+   * @param {string} type - Event type
+   * @param {object} data - Event data
+   * @param {string} correlationId - Correlation ID of the HTTP request
+   * @param {object} actor - Authenticated caller ({ sub, roles })
+   * @returns {Promise<Event>} The published event
+   */
+  async publishTaskEvent(type, data, correlationId, actor = null) {
+    const event = new Event({
+      type,
+      data,
+      correlationId,
+      source: "api",
+      metadata: { actor },
+    });
+
+    const accepted = await this.components.eventBus.emit(event);
+    if (!accepted) {
+      throw new Error(`Event '${type}' was rejected by schema validation`);
+    }
+
+    return event;
+  }
+
+  /**
+   * Whether another live event stream client can connect
+   * @returns {boolean} True if there is room
+   */
+  canOpenEventStream() {
+    return this.components.eventStreamService.hasCapacity();
+  }
+
+  /**
+   * Stream live events to an HTTP response (Server-Sent Events)
+   * @param {object} res - Express response
+   * @param {object} filters - type, correlationId, source
+   * @param {object} actor - Authenticated caller ({ sub, roles })
+   * @returns {string} Client ID
+   */
+  openEventStream(res, filters, actor) {
+    return this.components.eventStreamService.open(res, filters, actor);
+  }
+
+  /**
+   * Get live event stream statistics
+   * @returns {object} Statistics
+   */
+  getEventStreamStats() {
+    return this.components.eventStreamService.getStats();
+  }
+
+  /**
+   * Get metrics in Prometheus text format
+   * @returns {Promise<object>} { contentType, body }
+   */
+  async getMetrics() {
+    return {
+      contentType: register.contentType,
+      body: await register.metrics(),
+    };
+  }
+
   /**
    * Gracefully shutdown the system
    */
@@ -266,30 +751,39 @@ class Application {
       return;
     }
 
-    console.log("🔻 Shutting down Event-Driven Agent System...");
+    this.logger.info("Shutting down Event-Driven Agent System");
 
     try {
       // Stop agents
-      for (const [name, agent] of Object.entries(this.agents)) {
+      for (const agent of Object.values(this.agents)) {
         await agent.stop();
-        console.log(`🛑 ${name} stopped`);
       }
 
       // Stop services
-      this.components.matchingService?.stopCleanupInterval();
+      this.components.matchingService?.stop();
       this.components.auditService?.stop();
+      this.components.eventStreamService?.closeAll();
 
       // Stop external integrations
       dummyMatchingEngine.stop();
+      await this.components.outboxRelay?.stop();
       await this.components.messageBroker?.stop();
+      await this.components.outbox?.close();
+      await this.components.inbox?.close();
 
       // Clear event bus
       this.components.eventBus?.clear();
 
+      // Flush and close the event store
+      await this.components.eventStore?.close();
+
+      // Write out the remaining spans
+      await tracer.shutdown();
+
       this.isRunning = false;
-      console.log("✅ System shutdown complete");
+      this.logger.info("System shutdown complete");
     } catch (error) {
-      console.error("❌ Error during shutdown:", error.message);
+      this.logger.error("Error during shutdown", { error: error.message });
     }
   }
 
@@ -298,7 +792,7 @@ class Application {
    */
   setupShutdownHandlers() {
     const gracefulShutdown = async (signal) => {
-      console.log(`\n📞 Received ${signal}, initiating graceful shutdown...`);
+      this.logger.info("Received signal, shutting down", { signal });
       await this.shutdown();
       process.exit(0);
     };
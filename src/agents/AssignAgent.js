@@ -1,20 +1,27 @@
 import Agent from "../core/Agent.js";
+import Task, { TASK_STATES } from "../models/Task.js";
 
 /**
  * Assign Agent - Handles new form submissions and assigns them to users
  * Simple, event-driven implementation in a single file
  */
 class AssignAgent extends Agent {
-  constructor(eventBus, matchingService) {
-    super(eventBus, "AssignAgent");
+  constructor(eventBus, matchingService, taskService, options = {}) {
+    super(eventBus, "AssignAgent", options);
     this.matchingService = matchingService;
+    this.taskService = taskService;
   }
 
   /**
    * Setup the agent - register event handlers
    */
   async setup() {
-    this.on("form.submitted", this.handleFormSubmission.bind(this));
+    // Submissions are independent, so handle several at once
+    this.on("form.submitted", this.handleFormSubmission.bind(this), {
+      concurrency: 10,
+      orderingKey: "correlationId",
+      retry: { maxAttempts: 3, initialDelay: 500 },
+    });
     this.on("task.assigned", this.handleTaskAssigned.bind(this));
     this.on("assignment.failed", this.handleAssignmentFailed.bind(this));
     this.log("info", "AssignAgent setup complete");
@@ -29,12 +36,35 @@ class AssignAgent extends Agent {
 
     this.log("info", "Processing form submission", testData);
 
-    this.matchingService.requestTaskAssignment(event);
+    const taskId = Task.idFor(event);
+    this.taskService.submit(taskId, {
+      correlationId: event.correlationId,
+      formData: event.data,
+      source: this.name,
+    });
+
+    const { success } = this.taskService.transition(
+      taskId,
+      TASK_STATES.MATCHING,
+      { reason: "Assignment requested", source: this.name }
+    );
+    if (!success) {
+      // Re-delivered submission for a task that has already moved on
+      return;
+    }
+
+    await this.matchingService.requestTaskAssignment(event);
   }
 
   async handleTaskAssigned(event) {
     const testData = event.data;
-    const correlationId = event.correlationId;
+    const taskId = Task.idFor(event);
+
+    this.taskService.transition(taskId, TASK_STATES.ASSIGNED, {
+      reason: "Matched by matching engine",
+      assignee: testData.assignedUserId ?? null,
+      source: this.name,
+    });
 
     this.log("info", "Task assigned successfully", testData);
   }
@@ -64,10 +94,13 @@ class AssignAgent extends Agent {
       matchingService: {
         pendingRequests: matchingStats.pendingRequests,
         oldestPendingAge: matchingStats.oldestPendingAge,
+        heldSubmissions: matchingStats.heldSubmissions,
+        circuitState: matchingStats.circuitBreaker.state,
       },
       capabilities: [
         "form.submitted → task.assigned",
         "error handling → assignment.failed",
+        "matching engine outage → assignment.held",
       ],
     };
   }
@@ -1,13 +1,16 @@
 import Agent from "../core/Agent.js";
 import Event from "../core/Event.js";
+import { TASK_STATES } from "../models/Task.js";
+import { runWithContext } from "../config/requestContext.js";
 
 /**
  * Monitor Agent - Monitors tasks in progress and triggers retry if needed
  * Simple placeholder implementation (can be extended later)
  */
 class MonitorAgent extends Agent {
-  constructor(eventBus) {
-    super(eventBus, "MonitorAgent");
+  constructor(eventBus, taskService, options = {}) {
+    super(eventBus, "MonitorAgent", options);
+    this.taskService = taskService;
     this.monitoringInterval = null;
     this.taskTimeouts = new Map(); // taskId → timeout info
     this.defaultTimeout = 60 * 60 * 1000; // 1 hour
@@ -17,11 +20,12 @@ class MonitorAgent extends Agent {
    * Setup the agent - register event handlers
    */
   async setup() {
-    // Listen for task assignments to start monitoring
-    this.on("task.assigned", this.startTaskMonitoring);
-
-    // Listen for task completions to stop monitoring
-    this.on("task.completed", this.stopTaskMonitoring);
+    // Listen for task assignments and completions on one ordered subscription,
+    // so a task's completion is never handled before its assignment
+    this.on("task.*", this.handleTaskLifecycle, {
+      concurrency: 10,
+      orderingKey: "data.taskId",
+    });
 
     // Listen for manual monitor requests
     this.on("monitor.task", this.handleMonitorRequest);
@@ -33,11 +37,34 @@ class MonitorAgent extends Agent {
   }
 
   /**
-   * Start monitoring a task
-   * @param {object} event - Task assigned event
+   * Route task lifecycle events to the monitoring handlers
+   * @param {object} event - Any task.* event
+   */
+  async handleTaskLifecycle(event) {
+    switch (event.type) {
+      case "task.assigned":
+      case "task.reassigned":
+      case "task.recovered":
+        return this.startTaskMonitoring(event);
+      case "task.completed":
+        return this.stopTaskMonitoring(event);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Start (or restart) monitoring a task for its current assignee
+   * @param {object} event - Task assigned, reassigned or recovered event
    */
   async startTaskMonitoring(event) {
-    const { taskId, assignedUserId, formId } = event.data;
+    const { taskId, formId } = event.data;
+    const assignedUserId =
+      event.data.assignedUserId ??
+      event.data.newAssignee ??
+      event.data.recoveredBy ??
+      this.taskService.getTask(taskId)?.assignee ??
+      null;
 
     this.log("info", "Starting task monitoring", {
       taskId,
@@ -63,6 +90,11 @@ class MonitorAgent extends Agent {
   async stopTaskMonitoring(event) {
     const { taskId } = event.data;
 
+    this.taskService.transition(taskId, TASK_STATES.COMPLETED, {
+      reason: event.data.reason || "Task completed",
+      source: this.name,
+    });
+
     if (this.taskTimeouts.has(taskId)) {
       this.taskTimeouts.delete(taskId);
       this.log("info", "Stopped task monitoring", { taskId });
@@ -84,7 +116,12 @@ class MonitorAgent extends Agent {
     // Check if task has timed out
     const isTimedOut = this.checkTaskTimeout(taskData);
 
-    if (isTimedOut) {
+    if (
+      isTimedOut &&
+      this.markTimedOut(taskData.taskId, "No activity detected")
+    ) {
+      this.taskTimeouts.delete(taskData.taskId);
+
       // Emit timeout event
       const timeoutEvent = new Event({
         type: "task.timeout",
@@ -119,13 +156,30 @@ class MonitorAgent extends Agent {
     return elapsed > taskInfo.timeout;
   }
 
+  /**
+   * Move a task to timed_out
+   * @param {string} taskId - Task ID
+   * @param {string} reason - Timeout reason
+   * @returns {boolean} True if the task accepted the transition
+   */
+  markTimedOut(taskId, reason) {
+    const { success } = this.taskService.transition(
+      taskId,
+      TASK_STATES.TIMED_OUT,
+      { reason, source: this.name }
+    );
+    return success;
+  }
+
   /**
    * Start periodic monitoring of all tasks
    */
   startPeriodicMonitoring() {
     // Run every 5 minutes
     this.monitoringInterval = setInterval(() => {
-      this.checkAllTasks();
+      runWithContext({ agent: this.name, job: "checkAllTasks" }, () =>
+        this.checkAllTasks()
+      );
     }, 5 * 60 * 1000);
 
     this.log("info", "Started periodic task monitoring");
@@ -150,31 +204,21 @@ class MonitorAgent extends Agent {
       }
     }
 
-    // Emit timeout events for timed out tasks
+    // Emit timeout events for timed out tasks, each in its task's log context
     for (const taskInfo of timedOutTasks) {
-      this.log("warn", "Task timeout detected", {
-        taskId: taskInfo.taskId,
-        assignee: taskInfo.assignedUserId,
-        elapsed: Date.now() - taskInfo.startTime,
-      });
+      const correlationId = this.taskService.getTask(
+        taskInfo.taskId
+      )?.correlationId;
 
-      const timeoutEvent = new Event({
-        type: "task.timeout",
-        data: {
+      runWithContext(
+        {
+          correlationId,
           taskId: taskInfo.taskId,
-          assignee: taskInfo.assignedUserId,
-          formId: taskInfo.formId,
-          timeoutReason: "Exceeded maximum processing time",
-          elapsed: Date.now() - taskInfo.startTime,
-          detectedAt: new Date().toISOString(),
+          agent: this.name,
+          job: "checkAllTasks",
         },
-        source: "MonitorAgent",
-      });
-
-      this.eventBus.emit(timeoutEvent);
-
-      // Remove from monitoring (will be handled by other agents)
-      this.taskTimeouts.delete(taskInfo.taskId);
+        () => this.handleTimedOutTask(taskInfo, correlationId)
+      );
     }
 
     if (timedOutTasks.length > 0) {
@@ -182,6 +226,45 @@ class MonitorAgent extends Agent {
     }
   }
 
+  /**
+   * Report one task that exceeded its timeout
+   * @param {object} taskInfo - Monitored task
+   * @param {string} correlationId - Correlation ID of the task flow
+   */
+  handleTimedOutTask(taskInfo, correlationId) {
+    // Remove from monitoring (will be handled by other agents)
+    this.taskTimeouts.delete(taskInfo.taskId);
+
+    // Skip tasks that moved on without us hearing about it
+    if (
+      !this.markTimedOut(taskInfo.taskId, "Exceeded maximum processing time")
+    ) {
+      return;
+    }
+
+    this.log("warn", "Task timeout detected", {
+      taskId: taskInfo.taskId,
+      assignee: taskInfo.assignedUserId,
+      elapsed: Date.now() - taskInfo.startTime,
+    });
+
+    const timeoutEvent = new Event({
+      type: "task.timeout",
+      data: {
+        taskId: taskInfo.taskId,
+        assignee: taskInfo.assignedUserId,
+        formId: taskInfo.formId,
+        timeoutReason: "Exceeded maximum processing time",
+        elapsed: Date.now() - taskInfo.startTime,
+        detectedAt: new Date().toISOString(),
+      },
+      correlationId,
+      source: "MonitorAgent",
+    });
+
+    this.eventBus.emit(timeoutEvent);
+  }
+
   /**
    * Stop periodic monitoring
    */
@@ -215,8 +298,8 @@ class MonitorAgent extends Agent {
       defaultTimeout: this.defaultTimeout,
       periodicMonitoring: this.monitoringInterval !== null,
       capabilities: [
-        "task.assigned → start monitoring",
-        "task.completed → stop monitoring",
+        "task.assigned / reassigned / recovered → start monitoring",
+        "task.completed → task completed, stop monitoring",
         "timeout detection → task.timeout",
         "periodic monitoring → task.timeout",
       ],
@@ -1,14 +1,16 @@
 import Agent from "../core/Agent.js";
 import Event from "../core/Event.js";
+import { TASK_STATES } from "../models/Task.js";
 
 /**
  * Reassign Agent - Handles task reassignments when users skip/decline tasks
  * Simple placeholder implementation (can be extended later)
  */
 class ReassignAgent extends Agent {
-  constructor(eventBus, matchingService) {
-    super(eventBus, "ReassignAgent");
+  constructor(eventBus, matchingService, taskService, options = {}) {
+    super(eventBus, "ReassignAgent", options);
     this.matchingService = matchingService;
+    this.taskService = taskService;
   }
 
   /**
@@ -16,7 +18,10 @@ class ReassignAgent extends Agent {
    */
   async setup() {
     // Listen for task reassignment requests
-    this.on("task.reassign.requested", this.handleTaskReassignment);
+    // Matching calls can fail transiently, so retry before dead-lettering
+    this.on("task.reassign.requested", this.handleTaskReassignment, {
+      retry: { maxAttempts: 5, initialDelay: 500, maxDelay: 15000 },
+    });
 
     // Listen for user declined tasks
     this.on("task.declined", this.handleTaskDeclined);
@@ -29,7 +34,19 @@ class ReassignAgent extends Agent {
    * @param {object} event - Reassignment request event
    */
   async handleTaskReassignment(event) {
-    const taskData = event.data;
+    const { success, task } = this.taskService.transition(
+      event.data.taskId,
+      TASK_STATES.REASSIGNING,
+      { reason: event.data.reason, source: this.name }
+    );
+    if (!success) {
+      return;
+    }
+
+    const taskData = {
+      ...event.data,
+      currentAssignee: event.data.currentAssignee ?? task.assignee,
+    };
 
     this.log("info", "Processing task reassignment", {
       taskId: taskData.taskId,
@@ -40,9 +57,21 @@ class ReassignAgent extends Agent {
     try {
       // Request reassignment from matching service
       const reassignmentResult =
-        await this.matchingService.requestTaskReassignment(taskData);
+        await this.matchingService.requestTaskReassignment(
+          taskData,
+          event.correlationId
+        );
+
+      // The replayed flow carries the original outcome
+      if (reassignmentResult.replayed) return;
 
       if (reassignmentResult.success) {
+        this.taskService.transition(taskData.taskId, TASK_STATES.ASSIGNED, {
+          reason: "Reassigned",
+          assignee: reassignmentResult.assignedUserId,
+          source: this.name,
+        });
+
         this.log("info", "Task reassigned successfully", {
           taskId: taskData.taskId,
           previousAssignee: taskData.currentAssignee,
@@ -89,6 +118,7 @@ class ReassignAgent extends Agent {
         taskId: taskData.taskId,
         error: error.message,
       });
+      throw error;
     }
   }
 
@@ -105,6 +135,15 @@ class ReassignAgent extends Agent {
       reason,
     });
 
+    const { success } = this.taskService.transition(
+      taskId,
+      TASK_STATES.DECLINED,
+      { reason, source: this.name }
+    );
+    if (!success) {
+      return;
+    }
+
     // Trigger reassignment
     const taskReassignRequestedEvent = new Event({
       type: "task.reassign.requested",
@@ -1,14 +1,16 @@
 import Agent from "../core/Agent.js";
 import Event from "../core/Event.js";
+import { TASK_STATES } from "../models/Task.js";
 
 /**
  * Recovery Agent - Handles tasks that failed after max retries
  * Simple placeholder implementation (can be extended later)
  */
 class RecoveryAgent extends Agent {
-  constructor(eventBus, matchingService) {
-    super(eventBus, "RecoveryAgent");
+  constructor(eventBus, matchingService, taskService, options = {}) {
+    super(eventBus, "RecoveryAgent", options);
     this.matchingService = matchingService;
+    this.taskService = taskService;
     this.maxRecoveryAttempts = 3;
     this.recoveryAttempts = new Map(); // taskId → attempt count
   }
@@ -51,6 +53,7 @@ class RecoveryAgent extends Agent {
       originalAssignee: assignee,
       timeoutReason,
       recoveryType: "timeout_recovery",
+      correlationId: event.correlationId,
     });
   }
 
@@ -59,24 +62,31 @@ class RecoveryAgent extends Agent {
    * @param {object} event - Assignment failure event
    */
   async handleAssignmentFailure(event) {
-    const { formId, reason, error } = event.data;
+    const { data, reason, error } = event.data;
+    // Same ID AssignAgent gave the task when the form was submitted
+    const taskId = data?.taskId || event.correlationId;
 
     this.log("warn", "Assignment failure detected", {
-      formId,
+      taskId,
       reason,
       error,
     });
 
     // Check if this failure needs recovery
-    if (this.shouldAttemptRecovery(formId, reason)) {
-      await this.initiateRecovery(formId, {
+    if (this.shouldAttemptRecovery(taskId, reason)) {
+      await this.initiateRecovery(taskId, {
         reason: "assignment_failure",
         error,
         recoveryType: "assignment_recovery",
+        correlationId: event.correlationId,
       });
     } else {
       // Too many attempts, escalate
-      await this.escalateTask(formId, "max_recovery_attempts_exceeded");
+      await this.escalateTask(
+        taskId,
+        "max_recovery_attempts_exceeded",
+        event.correlationId
+      );
     }
   }
 
@@ -97,6 +107,7 @@ class RecoveryAgent extends Agent {
       reason: "reassignment_failure",
       originalReason: reason,
       recoveryType: "reassignment_recovery",
+      correlationId: event.correlationId,
     });
   }
 
@@ -118,15 +129,17 @@ class RecoveryAgent extends Agent {
       recoveryReason,
       requestedBy,
       recoveryType: "manual_recovery",
+      correlationId: event.correlationId,
     });
   }
 
   /**
    * Initiate recovery process for a task
    * @param {string} taskId - Task ID to recover
-   * @param {object} recoveryInfo - Recovery information
+   * @param {object} recoveryInfo - Recovery information (incl. correlationId)
    */
   async initiateRecovery(taskId, recoveryInfo) {
+    const { correlationId } = recoveryInfo;
     const attemptCount = this.getRecoveryAttemptCount(taskId);
 
     if (attemptCount >= this.maxRecoveryAttempts) {
@@ -136,7 +149,23 @@ class RecoveryAgent extends Agent {
         maxAttempts: this.maxRecoveryAttempts,
       });
 
-      await this.escalateTask(taskId, "max_recovery_attempts_exceeded");
+      await this.escalateTask(
+        taskId,
+        "max_recovery_attempts_exceeded",
+        correlationId
+      );
+      return;
+    }
+
+    const { success } = this.taskService.transition(
+      taskId,
+      TASK_STATES.RECOVERING,
+      { reason: recoveryInfo.reason, correlationId, source: this.name }
+    );
+    if (!success) {
+      this.log("warn", "Task cannot be recovered from its current state", {
+        taskId,
+      });
       return;
     }
 
@@ -150,13 +179,19 @@ class RecoveryAgent extends Agent {
 
     try {
       // Request recovery assignment from matching service
-      const recoveryResult = await this.matchingService.requestTaskRecovery({
-        taskId,
-        failureReason: recoveryInfo.reason,
-        retryCount: attemptCount + 1,
-        originalAssignee: recoveryInfo.originalAssignee,
-        recoveryType: recoveryInfo.recoveryType,
-      });
+      const recoveryResult = await this.matchingService.requestTaskRecovery(
+        {
+          taskId,
+          failureReason: recoveryInfo.reason,
+          retryCount: attemptCount + 1,
+          originalAssignee: recoveryInfo.originalAssignee,
+          recoveryType: recoveryInfo.recoveryType,
+        },
+        correlationId
+      );
+
+      // The replayed flow carries the original outcome
+      if (recoveryResult.replayed) return;
 
       if (recoveryResult.success) {
         this.log("info", "Task recovery successful", {
@@ -168,6 +203,12 @@ class RecoveryAgent extends Agent {
         // Clear recovery attempts (successful)
         this.recoveryAttempts.delete(taskId);
 
+        this.taskService.transition(taskId, TASK_STATES.ASSIGNED, {
+          reason: `Recovered (${recoveryInfo.recoveryType})`,
+          assignee: recoveryResult.assignedUserId,
+          source: this.name,
+        });
+
         // Emit recovery success event
         const taskRecoveredEvent = new Event({
           type: "task.recovered",
@@ -179,6 +220,7 @@ class RecoveryAgent extends Agent {
             recoveryType: recoveryInfo.recoveryType,
             recoveredAt: new Date().toISOString(),
           },
+          correlationId,
           source: "RecoveryAgent",
         });
 
@@ -192,7 +234,7 @@ class RecoveryAgent extends Agent {
 
         // Check if we should try again or escalate
         if (attemptCount + 1 >= this.maxRecoveryAttempts) {
-          await this.escalateTask(taskId, recoveryResult.reason);
+          await this.escalateTask(taskId, recoveryResult.reason, correlationId);
         }
       }
     } catch (error) {
@@ -204,7 +246,7 @@ class RecoveryAgent extends Agent {
 
       // Check if we should escalate
       if (attemptCount + 1 >= this.maxRecoveryAttempts) {
-        await this.escalateTask(taskId, error.message);
+        await this.escalateTask(taskId, error.message, correlationId);
       }
     }
   }
@@ -213,8 +255,9 @@ class RecoveryAgent extends Agent {
    * Escalate a task that couldn't be recovered
    * @param {string} taskId - Task ID to escalate
    * @param {string} reason - Escalation reason
+   * @param {string} correlationId - Correlation ID of the task flow
    */
-  async escalateTask(taskId, reason) {
+  async escalateTask(taskId, reason, correlationId) {
     this.log("error", "Escalating task", {
       taskId,
       reason,
@@ -224,6 +267,12 @@ class RecoveryAgent extends Agent {
     // Clear recovery attempts
     this.recoveryAttempts.delete(taskId);
 
+    this.taskService.transition(taskId, TASK_STATES.ESCALATED, {
+      reason,
+      correlationId,
+      source: this.name,
+    });
+
     // Emit escalation event
     const taskEscalatedEvent = new Event({
       type: "task.escalated",
@@ -233,6 +282,7 @@ class RecoveryAgent extends Agent {
         escalatedAt: new Date().toISOString(),
         requiresManualIntervention: true,
       },
+      correlationId,
       source: "RecoveryAgent",
     });
 
@@ -1,7 +1,7 @@
 import express from "express";
 import cors from "cors";
-// import { errorHandler } from "./utils/errorHandler.js";
 import { correlationIdMiddleware } from "./config/requestContext.js";
+import { tracingMiddleware } from "./middlewares/tracing.js";
 
 const app = express();
 
@@ -9,10 +9,7 @@ app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ limit: "16kb", extended: true }));
 app.use(express.static("public"));
 app.use(correlationIdMiddleware);
-
-// app.use((req, res) => {
-//   res.status(404).json({ message: "no route found" });
-// });
+app.use(tracingMiddleware);
 
 app.get("/", (req, res) => {
   console.log("Hello World");
@@ -21,5 +18,5 @@ app.get("/", (req, res) => {
   });
 });
 
-// app.use(errorHandler);
+// The 404 and error handlers are mounted in index.js, after the API routes
 export default app;
@@ -4,14 +4,93 @@ dotenv.config({ path: "./.env" });
 
 export const env = {
   PORT: process.env.PORT || "3001",
+  // Root log level (default: info in production, debug otherwise)
+  LOG_LEVEL: process.env.LOG_LEVEL || "",
+  // Fraction of per-event EventStore "Stored event" lines to keep
+  LOG_SAMPLE_RATE_STORED_EVENT:
+    process.env.LOG_SAMPLE_RATE_STORED_EVENT || "0.01",
+  // Redaction of logs, audit entries and event responses
+  REDACTION_ENABLED: process.env.REDACTION_ENABLED || "true",
+  REDACTION_HASH_SALT: process.env.REDACTION_HASH_SALT || "",
+  REDACTION_POLICY_FILE: process.env.REDACTION_POLICY_FILE || "",
   DB_USER: process.env.DB_USER || "root",
   DB_PASSWORD: process.env.DB_PASSWORD || "0000",
   DB_HOST: process.env.DB_HOST || "localhost",
   DB_NAME: process.env.DB_NAME || "auth_service",
   AUTH_SERVICE_URL: process.env.AUTH_SERVICE_URL || "",
+  AUTH_ENABLED: process.env.AUTH_ENABLED || "true",
+  // JWKS source: a local file wins over a URL; the URL defaults to the auth service's
+  AUTH_JWKS_FILE: process.env.AUTH_JWKS_FILE || "",
+  AUTH_JWKS_URL: process.env.AUTH_JWKS_URL || "",
+  AUTH_ISSUER: process.env.AUTH_ISSUER || "",
+  AUTH_AUDIENCE: process.env.AUTH_AUDIENCE || "",
+  AUTH_ROLES_CLAIM: process.env.AUTH_ROLES_CLAIM || "roles",
   RABBITMQ_URL: process.env.RABBITMQ_URL || "amqp://localhost",
   GRPC_COMPANY_SERVICE_HOST:
     process.env.GRPC_COMPANY_SERVICE_HOST || "localhost",
   GRPC_COMPANY_SERVICE_PORT: process.env.GRPC_COMPANY_SERVICE_PORT || "50051",
   MONGO_URL: process.env.MONGO_URL || "mongodb://localhost:27017",
+  // "memory", "file" or "sqlite". The file backend indexes its whole log in
+  // memory, so its memory use grows with the log without a cap; large or
+  // long-lived logs belong in sqlite
+  EVENT_STORE_BACKEND: process.env.EVENT_STORE_BACKEND || "memory",
+  EVENT_STORE_FILE_PATH: process.env.EVENT_STORE_FILE_PATH || "data/events.log",
+  EVENT_STORE_SQLITE_PATH:
+    process.env.EVENT_STORE_SQLITE_PATH || "data/events.db",
+  // Memory backend only: the file and sqlite backends keep every event
+  EVENT_STORE_MAX_EVENTS: process.env.EVENT_STORE_MAX_EVENTS || "10000",
+  EVENT_BUS_QUEUE_LIMIT: process.env.EVENT_BUS_QUEUE_LIMIT || "1000",
+  EVENT_BUS_OVERFLOW_POLICY: process.env.EVENT_BUS_OVERFLOW_POLICY || "block",
+  // Handlers run once unless their subscription opts in to retries; the
+  // delays are the defaults for the subscriptions that do
+  EVENT_BUS_RETRY_MAX_ATTEMPTS: process.env.EVENT_BUS_RETRY_MAX_ATTEMPTS || "1",
+  EVENT_BUS_RETRY_INITIAL_DELAY:
+    process.env.EVENT_BUS_RETRY_INITIAL_DELAY || "200",
+  EVENT_BUS_RETRY_MAX_DELAY: process.env.EVENT_BUS_RETRY_MAX_DELAY || "10000",
+  DEAD_LETTER_MAX_ENTRIES: process.env.DEAD_LETTER_MAX_ENTRIES || "1000",
+  // Outbox for RabbitMQ publishes: "file" keeps queued messages over a
+  // restart, "memory" loses them
+  OUTBOX_BACKEND: process.env.OUTBOX_BACKEND || "file",
+  OUTBOX_FILE_PATH: process.env.OUTBOX_FILE_PATH || "data/outbox.log",
+  OUTBOX_MAX_ATTEMPTS: process.env.OUTBOX_MAX_ATTEMPTS || "10",
+  OUTBOX_RETRY_INITIAL_DELAY: process.env.OUTBOX_RETRY_INITIAL_DELAY || "1000",
+  OUTBOX_RETRY_MAX_DELAY: process.env.OUTBOX_RETRY_MAX_DELAY || "30000",
+  // Circuit breaker around the matching engine round trip
+  MATCHING_CIRCUIT_FAILURE_RATE:
+    process.env.MATCHING_CIRCUIT_FAILURE_RATE || "0.5",
+  MATCHING_CIRCUIT_WINDOW_MS: process.env.MATCHING_CIRCUIT_WINDOW_MS || "60000",
+  MATCHING_CIRCUIT_MIN_REQUESTS:
+    process.env.MATCHING_CIRCUIT_MIN_REQUESTS || "5",
+  MATCHING_CIRCUIT_COOLDOWN_MS:
+    process.env.MATCHING_CIRCUIT_COOLDOWN_MS || "30000",
+  // Form submissions held while the circuit is open
+  MATCHING_MAX_HELD_SUBMISSIONS:
+    process.env.MATCHING_MAX_HELD_SUBMISSIONS || "1000",
+  // Matching strategy: "remote", "local" or "fallback" (remote, then local)
+  MATCHING_STRATEGY: process.env.MATCHING_STRATEGY || "remote",
+  // JSON object of form type → strategy, e.g. {"support":"local"}
+  MATCHING_STRATEGY_BY_FORM_TYPE:
+    process.env.MATCHING_STRATEGY_BY_FORM_TYPE || "",
+  MATCHING_FORM_TYPE_FIELD: process.env.MATCHING_FORM_TYPE_FIELD || "formType",
+  // JSON roster and selection policy for the local rules engine (required
+  // when "local" or "fallback" is used anywhere, including as the shadow)
+  MATCHING_RULES_FILE: process.env.MATCHING_RULES_FILE || "",
+  // A/B: also run this strategy on a sample of requests and compare
+  // (only "local": the others would send real requests to the engine)
+  MATCHING_SHADOW_STRATEGY: process.env.MATCHING_SHADOW_STRATEGY || "",
+  MATCHING_SHADOW_SAMPLE_RATE: process.env.MATCHING_SHADOW_SAMPLE_RATE || "1",
+  // Form submission deduplication: "memory" or "file"
+  INBOX_BACKEND: process.env.INBOX_BACKEND || "memory",
+  INBOX_FILE_PATH: process.env.INBOX_FILE_PATH || "data/inbox.log",
+  INBOX_TTL_MS: process.env.INBOX_TTL_MS || "86400000",
+  // Payload field to deduplicate by (AMQP messageId when unset or missing)
+  INBOX_KEY_FIELD: process.env.INBOX_KEY_FIELD || "",
+  EVENT_STREAM_QUEUE_LIMIT: process.env.EVENT_STREAM_QUEUE_LIMIT || "100",
+  EVENT_STREAM_HEARTBEAT_MS: process.env.EVENT_STREAM_HEARTBEAT_MS || "15000",
+  EVENT_STREAM_MAX_CLIENTS: process.env.EVENT_STREAM_MAX_CLIENTS || "50",
+  // Span exporter: "file" (OTLP/JSON lines), "memory" or "none"
+  TRACING_EXPORTER: process.env.TRACING_EXPORTER || "file",
+  TRACING_FILE_PATH: process.env.TRACING_FILE_PATH || "logs/traces.jsonl",
+  TRACING_SERVICE_NAME:
+    process.env.TRACING_SERVICE_NAME || "task-agent-service",
 };
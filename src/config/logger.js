@@ -1,24 +1,32 @@
 //src/config/logger.js
 import winston from "winston";
 import DailyRotateFile from "winston-daily-rotate-file";
-import { getCorrelationId } from "./requestContext.js";
+import { getContext } from "./requestContext.js";
+import { env } from "./env.js";
+import { redact } from "./redaction.js";
 
+// Context fields (correlationId, eventId, eventType, handler, agent, ...)
+// come from the HTTP request, event or message being handled
 const logFormat = winston.format.printf(
   ({ level, message, timestamp, stack, ...meta }) => {
-    const correlationId = getCorrelationId();
+    const { correlationId, ...context } = getContext();
     return JSON.stringify({
       timestamp,
       level: level.toUpperCase(),
       message,
       ...(stack && { stack }),
       correlationId,
+      ...context,
       ...meta,
     });
   }
 );
 
+const LEVELS = ["error", "warn", "info", "debug"];
+
+// Levels are filtered by Logger (per component), so winston passes everything
 const logger = winston.createLogger({
-  level: process.env.NODE_ENV === "production" ? "info" : "debug",
+  level: "debug",
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
@@ -44,20 +52,145 @@ const logger = winston.createLogger({
   ],
 });
 
-const sanitize = (data) => {
-  const sensitive = ["password", "token", "secret", "apiKey"];
-  const cloned = { ...data };
-  for (const key of sensitive) {
-    if (cloned[key]) cloned[key] = "[REDACTED]";
+// Runtime log levels: a root level plus per-component overrides
+const levels = {
+  root:
+    env.LOG_LEVEL || (process.env.NODE_ENV === "production" ? "info" : "debug"),
+  components: new Map(), // component → level
+};
+const knownComponents = new Set();
+
+const getEffectiveLevel = (component) =>
+  (component && levels.components.get(component)) || levels.root;
+
+/**
+ * Logger - Structured logging for one component
+ * Lines carry { component, ...bound fields }, the current log context
+ * (see requestContext.js) and are filtered by the component's level
+ */
+class Logger {
+  constructor(component = null, fields = {}, sampleRate = 1) {
+    this.component = component;
+    this.fields = component ? { component, ...fields } : fields;
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * Logger with extra fields bound to every line
+   * @param {object} fields - Fields to bind
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    return new Logger(
+      this.component,
+      { ...this.fields, ...fields },
+      this.sampleRate
+    );
+  }
+
+  /**
+   * Logger that writes only a fraction of its lines, for per-event chatter.
+   * Sampling is skipped while the component is at debug level
+   * @param {number} rate - Fraction of lines to keep (0..1)
+   * @returns {Logger} Sampled logger
+   */
+  sampled(rate) {
+    return new Logger(this.component, this.fields, rate);
+  }
+
+  isLevelEnabled(level) {
+    const threshold = getEffectiveLevel(this.component);
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(threshold);
+  }
+
+  write(level, msg, meta = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const sampling = this.sampleRate < 1 && !this.isLevelEnabled("debug");
+    if (sampling && Math.random() >= this.sampleRate) return;
+
+    // Errors passed as meta keep their message and stack
+    const details =
+      meta instanceof Error ? { error: meta.message, stack: meta.stack } : meta;
+
+    // Messages and metadata go through the shared redaction policy
+    logger.log(level, redact(msg), {
+      ...this.fields,
+      ...redact(details),
+      ...(sampling && { sampleRate: this.sampleRate }),
+    });
+  }
+
+  error(msg, meta) {
+    this.write("error", msg, meta);
+  }
+
+  warn(msg, meta) {
+    this.write("warn", msg, meta);
+  }
+
+  info(msg, meta) {
+    this.write("info", msg, meta);
+  }
+
+  debug(msg, meta) {
+    this.write("debug", msg, meta);
   }
-  return cloned;
+}
+
+/**
+ * Create the logger injected into a component (agent, service, core module)
+ * @param {string} component - Component name, used for level overrides
+ * @returns {Logger} Component logger
+ */
+const createLogger = (component) => {
+  knownComponents.add(component);
+  return new Logger(component);
 };
 
-const safeLogger = {
-  error: (msg, meta = {}) => logger.error(msg, sanitize(meta)),
-  warn: (msg, meta = {}) => logger.warn(msg, sanitize(meta)),
-  info: (msg, meta = {}) => logger.info(msg, sanitize(meta)),
-  debug: (msg, meta = {}) => logger.debug(msg, sanitize(meta)),
+/**
+ * Current root level, overrides and components that can be overridden
+ * @returns {object} { root, overrides, components }
+ */
+const getLogLevels = () => ({
+  root: levels.root,
+  overrides: Object.fromEntries(levels.components),
+  components: [...knownComponents].sort(),
+});
+
+/**
+ * Change the level of one component, or of everything ("root")
+ * @param {string} component - Component name or "root"
+ * @param {string} level - error | warn | info | debug
+ */
+const setLogLevel = (component, level) => {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level '${level}'`);
+  }
+  if (component === "root") {
+    levels.root = level;
+  } else {
+    levels.components.set(component, level);
+  }
 };
 
-export { logger, safeLogger };
+/**
+ * Drop a component's override so it follows the root level again
+ * @param {string} component - Component name
+ * @returns {boolean} True if there was an override
+ */
+const resetLogLevel = (component) => levels.components.delete(component);
+
+// Process-wide logger for code that isn't a component (bootstrap, HTTP)
+const safeLogger = new Logger();
+
+export {
+  logger,
+  safeLogger,
+  Logger,
+  LEVELS as LOG_LEVELS,
+  createLogger,
+  getLogLevels,
+  setLogLevel,
+  resetLogLevel,
+};
@@ -0,0 +1,161 @@
+import client from "prom-client";
+import { CIRCUIT_STATES } from "../core/CircuitBreaker.js";
+
+/**
+ * Prometheus metrics registry
+ * Components record into `metrics`; gauges for live state (queue depth,
+ * pending requests) are read from the tracked components at scrape time
+ */
+export const register = new client.Registry();
+
+register.setDefaultLabels({ service: "task-agent-service" });
+client.collectDefaultMetrics({ register, prefix: "task_agent_" });
+
+const tracked = {
+  eventBus: null,
+  matchingService: null,
+};
+
+export const metrics = {
+  // EventBus
+  eventsEmitted: new client.Counter({
+    name: "task_agent_events_emitted_total",
+    help: "Events accepted by the EventBus",
+    labelNames: ["event_type"],
+    registers: [register],
+  }),
+  eventsInvalid: new client.Counter({
+    name: "task_agent_events_invalid_total",
+    help: "Events rejected by schema validation",
+    labelNames: ["event_type"],
+    registers: [register],
+  }),
+  eventsHandled: new client.Counter({
+    name: "task_agent_events_handled_total",
+    help: "Handler attempts by outcome (success, retry, dead_lettered)",
+    labelNames: ["handler", "event_type", "outcome"],
+    registers: [register],
+  }),
+  handlerDuration: new client.Histogram({
+    name: "task_agent_handler_duration_seconds",
+    help: "Handler attempt duration",
+    labelNames: ["handler", "event_type"],
+    buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register],
+  }),
+  eventsDropped: new client.Counter({
+    name: "task_agent_eventbus_dropped_events_total",
+    help: "Events dropped by a full handler queue",
+    labelNames: ["handler"],
+    registers: [register],
+  }),
+  queueDepth: new client.Gauge({
+    name: "task_agent_eventbus_queue_depth",
+    help: "Events waiting in each handler queue",
+    labelNames: ["handler"],
+    registers: [register],
+    collect() {
+      this.reset();
+      if (!tracked.eventBus) return;
+
+      // Handlers sharing a metric name (e.g. stream clients) are summed
+      for (const handler of tracked.eventBus.getStats().handlers) {
+        this.inc({ handler: handler.metricName }, handler.queueDepth);
+      }
+    },
+  }),
+
+  // MatchingService
+  matchingPending: new client.Gauge({
+    name: "task_agent_matching_pending_requests",
+    help: "Matching requests waiting for a reply",
+    registers: [register],
+    collect() {
+      if (tracked.matchingService) {
+        this.set(tracked.matchingService.getStats().pendingRequests);
+      }
+    },
+  }),
+  matchingCircuitState: new client.Gauge({
+    name: "task_agent_matching_circuit_state",
+    help: "Matching engine circuit breaker state (1 for the current state)",
+    labelNames: ["state"],
+    registers: [register],
+    collect() {
+      this.reset();
+      if (!tracked.matchingService) return;
+
+      const { state } = tracked.matchingService.getStats().circuitBreaker;
+      for (const candidate of Object.values(CIRCUIT_STATES)) {
+        this.set({ state: candidate }, candidate === state ? 1 : 0);
+      }
+    },
+  }),
+  matchingHeld: new client.Gauge({
+    name: "task_agent_matching_held_submissions",
+    help: "Form submissions held while the matching circuit is not closed",
+    registers: [register],
+    collect() {
+      if (tracked.matchingService) {
+        this.set(tracked.matchingService.getStats().heldSubmissions);
+      }
+    },
+  }),
+  matchingRoundTrip: new client.Histogram({
+    name: "task_agent_matching_round_trip_seconds",
+    help: "Matching request round trip by request type, strategy and outcome",
+    labelNames: ["request_type", "strategy", "outcome"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30],
+    registers: [register],
+  }),
+
+  // RabbitMQ
+  rabbitPublished: new client.Counter({
+    name: "task_agent_rabbitmq_published_total",
+    help:
+      "Messages published to RabbitMQ by result " +
+      "(ok, buffer_full, nacked, returned, timeout, error)",
+    labelNames: ["exchange", "routing_key", "result"],
+    registers: [register],
+  }),
+  rabbitReturned: new client.Counter({
+    name: "task_agent_rabbitmq_returned_total",
+    help: "Mandatory messages returned by RabbitMQ as unroutable",
+    labelNames: ["exchange", "routing_key"],
+    registers: [register],
+  }),
+  rabbitConsumed: new client.Counter({
+    name: "task_agent_rabbitmq_consumed_total",
+    help: "Messages consumed from RabbitMQ",
+    labelNames: ["queue"],
+    registers: [register],
+  }),
+  rabbitRetried: new client.Counter({
+    name: "task_agent_rabbitmq_retried_total",
+    help: "Failed messages sent to a delay queue for another attempt",
+    labelNames: ["queue"],
+    registers: [register],
+  }),
+  rabbitNacked: new client.Counter({
+    name: "task_agent_rabbitmq_nacked_total",
+    help: "Consumed messages that were rejected (nack) and dead-lettered",
+    labelNames: ["queue"],
+    registers: [register],
+  }),
+};
+
+/**
+ * Read queue depths from this EventBus at scrape time
+ * @param {EventBus} eventBus - Live EventBus
+ */
+export const trackEventBus = (eventBus) => {
+  tracked.eventBus = eventBus;
+};
+
+/**
+ * Read pending requests from this MatchingService at scrape time
+ * @param {MatchingService} matchingService - Matching service
+ */
+export const trackMatchingService = (matchingService) => {
+  tracked.matchingService = matchingService;
+};
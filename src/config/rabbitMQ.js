@@ -1,12 +1,5 @@
 import { env } from "./env.js";
 
-const EXCHANGE_TYPES = {
-  DIRECT: "direct",
-  FANOUT: "fanout",
-  TOPIC: "topic",
-  HEADERS: "headers",
-};
-
 // Validate environment variables
 if (!env.RABBITMQ_URL) {
   throw new Error("RABBITMQ_URL is required in .env file");
@@ -23,61 +16,7 @@ const rabbitMQConfig = {
     timeout: 30000, // Connection timeout in milliseconds
   },
 
-  // Exchange configurations
-  exchanges: {
-    formSubmission: {
-      name: "form_submission_exchange",
-      type: EXCHANGE_TYPES.DIRECT,
-      options: {
-        durable: true,
-        autoDelete: false,
-      },
-    },
-  },
-
-  // Queue configurations
-  queues: {
-    formSubmission: {
-      name: "form_submission_queue",
-      options: {
-        durable: true,
-        deadLetterExchange: "form_submission_dlx",
-        messageTtl: 86400000, // 24 hours
-      },
-      bindings: [
-        {
-          exchange: "form_submission_exchange",
-          routingKey: "form.submitted",
-        },
-      ],
-    },
-    // Add matching queues
-    matchingRequest: {
-      name: "matching.request.queue",
-      options: {
-        durable: true,
-        messageTtl: 86400000, // 24 hours
-      },
-      bindings: [],
-    },
-    matchingReply: {
-      name: "assign.agent.reply.queue",
-      options: {
-        durable: true,
-        messageTtl: 86400000, // 24 hours
-      },
-      bindings: [],
-    },
-  },
-
-  channels: {
-    formSubmission: {
-      name: "form_submission_channel",
-      options: {
-        durable: true,
-      },
-    },
-  },
+  // Exchanges, queues and consumers are declared in ./topology.js
 
   // Consumer options
   consumerOptions: {
@@ -85,19 +24,21 @@ const rabbitMQConfig = {
     noAck: false, // Manual acknowledgments
   },
 
-  // Dead letter exchange for form submission
-  formSubmissionDeadLetterExchange: {
-    name: "form_submission_dlx",
-    type: EXCHANGE_TYPES.DIRECT,
-    queue: "form_submission_dlq",
-    routingKey: "failed.form.submission",
-    queueOptions: {
-      durable: true,
-      messageTtl: 604800000, // 7 days for DLQ
-    },
+  // Publisher options
+  publisher: {
+    confirmTimeout: 10000, // Wait for a broker ack (confirm channels)
+    drainTimeout: 30000, // Wait for a full write buffer to drain
+  },
+
+  // Reconnects never give up; the delay grows up to maxInterval
+  reconnect: {
+    initialInterval: 1000, // 1 second
+    multiplier: 2, // Exponential backoff
+    maxInterval: 30000, // 30 seconds
+    jitter: 0.2, // ± fraction of the delay
   },
 
-  // Retry mechanism configuration
+  // Consumer retries through delay queues
   retryMechanism: {
     maxRetries: 3,
     initialInterval: 1000, // 1 second
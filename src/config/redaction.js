@@ -0,0 +1,108 @@
+import { readFileSync } from "fs";
+import { env } from "./env.js";
+import Redactor, { isLuhnValid } from "../utils/redaction.js";
+
+// Identifier fields are never scanned for phone or card numbers: UUIDs and
+// numeric IDs would otherwise be mangled
+const IDENTIFIER_KEYS = [/^id$/, /id$/, /^traceparent$/, /^timestamp$/];
+
+/**
+ * Default redaction rules
+ * Paths are relative to the value being redacted (a log line's metadata,
+ * an audit entry's data, an event in a response), so prefer "**." prefixes
+ */
+const DEFAULT_RULES = [
+  // Field rules apply in order, so specific paths come before key names
+  {
+    name: "auth-headers",
+    paths: ["**.headers.authorization", "**.headers.cookie"],
+    strategy: "drop",
+  },
+  {
+    name: "credentials",
+    // Matched as a suffix: newPassword, accessToken, client_secret, X-API-Key
+    keys: [
+      "password",
+      "passwd",
+      "secret",
+      "token",
+      "apikey",
+      "privatekey",
+      "authorization",
+      "cookie",
+      "ssn",
+      "cvv",
+      "cardnumber",
+    ],
+    strategy: "mask",
+  },
+  {
+    name: "jwt",
+    pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/,
+    strategy: "mask",
+  },
+  {
+    name: "bearer",
+    pattern: /\bBearer\s+[\w.~+/-]+=*/i,
+    strategy: "mask",
+  },
+  {
+    name: "email",
+    // Hashed so the same address can still be followed across entries
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/,
+    strategy: "hash",
+  },
+  {
+    name: "card",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/,
+    validate: isLuhnValid,
+    skipKeys: IDENTIFIER_KEYS,
+    strategy: "mask",
+  },
+  {
+    name: "phone",
+    // International: +44 20 7946 0958
+    pattern: /\+\d{1,3}[ .-]?(?:\(?\d{1,4}\)?[ .-]?){2,4}\d{2,4}/,
+    skipKeys: IDENTIFIER_KEYS,
+    strategy: "mask",
+  },
+  {
+    name: "phone",
+    // North American: (555) 123-4567
+    pattern: /\(\d{3}\)\s?\d{3}-\d{4}/,
+    strategy: "mask",
+  },
+];
+
+/**
+ * Extra rules from REDACTION_POLICY_FILE: { "rules": [...] } where
+ * patterns are strings (with optional "flags")
+ * @returns {array} Rules
+ */
+const loadPolicyFile = () => {
+  if (!env.REDACTION_POLICY_FILE) return [];
+
+  const policy = JSON.parse(readFileSync(env.REDACTION_POLICY_FILE, "utf8"));
+  return policy.rules || [];
+};
+
+export const redactionPolicy = {
+  enabled: env.REDACTION_ENABLED !== "false",
+  hashSalt: env.REDACTION_HASH_SALT,
+  rules: [...DEFAULT_RULES, ...loadPolicyFile()],
+};
+
+/**
+ * Shared redactor used by safeLogger, AuditService, the event stream and the
+ * HTTP routes that return events
+ */
+export const redactor = new Redactor(redactionPolicy);
+
+/**
+ * Redacted deep copy of a value
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy
+ */
+export const redact = (value) => redactor.redact(value);
+
+export default redactor;
@@ -1,17 +1,49 @@
-//src/config/logger.js
+//src/config/requestContext.js
 import { AsyncLocalStorage } from "async_hooks";
 import { v4 as uuidv4 } from "uuid";
 
 const asyncLocalStorage = new AsyncLocalStorage();
 
+/**
+ * Run fn inside a fresh logging context (correlationId, eventId, ...)
+ * Each HTTP request, EventBus handler attempt and RabbitMQ delivery gets its
+ * own context, so nothing leaks from whoever happened to trigger it
+ * @param {object} fields - Initial context fields (undefined values skipped)
+ * @param {function} fn - Function to run
+ * @returns {*} fn's return value
+ */
+const runWithContext = (fields, fn) => {
+  const store = new Map(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+  return asyncLocalStorage.run(store, fn);
+};
+
+/**
+ * Add fields to the current context (no-op outside of one)
+ * @param {object} fields - Fields to set
+ */
+const setContext = (fields) => {
+  const store = asyncLocalStorage.getStore();
+  if (!store) return;
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) store.set(key, value);
+  }
+};
+
+/**
+ * @returns {object} Current context fields ({} outside of a context)
+ */
+const getContext = () =>
+  Object.fromEntries(asyncLocalStorage.getStore() || []);
+
 const middleware = (req, res, next) => {
-  asyncLocalStorage.run(new Map(), () => {
-    const correlationId = req.headers["x-correlation-id"] || uuidv4();
-    asyncLocalStorage.getStore().set("correlationId", correlationId);
-    req.correlationId = correlationId;
-    res.setHeader("x-correlation-id", correlationId);
-    next();
-  });
+  const correlationId = req.headers["x-correlation-id"] || uuidv4();
+  req.correlationId = correlationId;
+  res.setHeader("x-correlation-id", correlationId);
+
+  runWithContext({ correlationId }, next);
 };
 
 const getCorrelationId = () => {
@@ -19,4 +51,10 @@ const getCorrelationId = () => {
   return store ? store.get("correlationId") : undefined;
 };
 
-export { middleware as correlationIdMiddleware, getCorrelationId };
+export {
+  middleware as correlationIdMiddleware,
+  runWithContext,
+  setContext,
+  getContext,
+  getCorrelationId,
+};
@@ -0,0 +1,358 @@
+import Joi from "joi";
+
+/**
+ * AMQP topology - every exchange, queue, binding and consumer the service
+ * uses, and the only place their names are spelled out.
+ * RabbitMQConnection validates it and asserts it on every (re)connect
+ */
+
+export const EXCHANGE_TYPES = {
+  DIRECT: "direct",
+  FANOUT: "fanout",
+  TOPIC: "topic",
+  HEADERS: "headers",
+};
+
+export const EXCHANGES = {
+  FORM_SUBMISSION: "form_submission_exchange",
+  FORM_SUBMISSION_DLX: "form_submission_dlx",
+};
+
+export const QUEUES = {
+  FORM_SUBMISSION: "form_submission_queue",
+  FORM_SUBMISSION_DLQ: "form_submission_dlq",
+  MATCHING_REQUEST: "matching.request.queue",
+  MATCHING_REPLY: "assign.agent.reply.queue",
+};
+
+export const ROUTING_KEYS = {
+  FORM_SUBMITTED: "form.submitted",
+  FAILED_FORM_SUBMISSION: "failed.form.submission",
+};
+
+// Channels that only publish (consumer channels are set per consumer)
+export const CHANNELS = {
+  OUTBOX_RELAY: "outbox-relay",
+  DUMMY_MATCHING_REPLY: "dummy-matching-engine-reply-channel",
+  // Copies of failed messages on their way to a retry delay queue
+  CONSUMER_RETRY: "consumer-retry",
+};
+
+// Application headers on matching requests; engines echo them on replies
+export const MESSAGE_HEADERS = {
+  // Flow correlationId (the AMQP correlationId is the request id)
+  CORRELATION_ID: "x-correlation-id",
+};
+
+const DAY = 86400000;
+
+const topology = {
+  exchanges: [
+    {
+      name: EXCHANGES.FORM_SUBMISSION,
+      type: EXCHANGE_TYPES.DIRECT,
+      options: { durable: true, autoDelete: false },
+    },
+    {
+      name: EXCHANGES.FORM_SUBMISSION_DLX,
+      type: EXCHANGE_TYPES.DIRECT,
+      options: { durable: true, autoDelete: false },
+    },
+  ],
+
+  // deadLetter becomes the queue's x-dead-letter-* arguments (without a
+  // routingKey, dead letters keep their own); retry adds delay queues (true
+  // uses rabbitMQConfig.retryMechanism, an object overrides part of it).
+  // Queues that already exist on deployed brokers keep the arguments they
+  // were created with: asserting different ones is a TOPOLOGY_CONFLICT that
+  // stops startup. New behaviour goes on new queues and bindings instead
+  queues: [
+    {
+      name: QUEUES.FORM_SUBMISSION,
+      options: { durable: true, messageTtl: DAY },
+      bindings: [
+        {
+          exchange: EXCHANGES.FORM_SUBMISSION,
+          routingKey: ROUTING_KEYS.FORM_SUBMITTED,
+        },
+      ],
+      // Created with a dead letter exchange but no dead letter routing key
+      deadLetter: { exchange: EXCHANGES.FORM_SUBMISSION_DLX },
+      retry: true,
+    },
+    {
+      name: QUEUES.FORM_SUBMISSION_DLQ,
+      options: { durable: true, messageTtl: 7 * DAY },
+      bindings: [
+        {
+          exchange: EXCHANGES.FORM_SUBMISSION_DLX,
+          routingKey: ROUTING_KEYS.FAILED_FORM_SUBMISSION,
+        },
+        // Dead letters of form_submission_queue keep the routing key they
+        // arrived with: form.submitted, or the queue name after a retry
+        {
+          exchange: EXCHANGES.FORM_SUBMISSION_DLX,
+          routingKey: ROUTING_KEYS.FORM_SUBMITTED,
+        },
+        {
+          exchange: EXCHANGES.FORM_SUBMISSION_DLX,
+          routingKey: QUEUES.FORM_SUBMISSION,
+        },
+      ],
+    },
+    // Created without a dead letter exchange: rejected messages are dropped
+    {
+      name: QUEUES.MATCHING_REQUEST,
+      options: { durable: true, messageTtl: DAY },
+      bindings: [],
+    },
+    {
+      name: QUEUES.MATCHING_REPLY,
+      options: { durable: true, messageTtl: DAY },
+      bindings: [],
+    },
+  ],
+
+  // handler is a method name on the component that starts the consumer
+  consumers: [
+    {
+      name: "matchingReply",
+      component: "MessageBroker",
+      queue: QUEUES.MATCHING_REPLY,
+      channel: "matching-response-channel",
+      prefetch: 10,
+      handler: "handleExternalResponse",
+    },
+    {
+      name: "formSubmission",
+      component: "MessageBroker",
+      queue: QUEUES.FORM_SUBMISSION,
+      channel: "form-consumer-channel",
+      prefetch: 10,
+      handler: "handleFormSubmission",
+    },
+    {
+      name: "dummyMatchingRequest",
+      component: "DummyMatchingEngine",
+      queue: QUEUES.MATCHING_REQUEST,
+      channel: "dummy-matching-engine-channel",
+      prefetch: 5,
+      handler: "handleRequest",
+    },
+  ],
+};
+
+const name = Joi.string().min(1).max(255);
+
+const topologySchema = Joi.object({
+  exchanges: Joi.array()
+    .items(
+      Joi.object({
+        name: name.required(),
+        type: Joi.string()
+          .valid(...Object.values(EXCHANGE_TYPES))
+          .required(),
+        options: Joi.object().unknown(true).default({}),
+      })
+    )
+    .unique("name")
+    .required(),
+  queues: Joi.array()
+    .items(
+      Joi.object({
+        name: name.required(),
+        options: Joi.object().unknown(true).default({}),
+        bindings: Joi.array()
+          .items(
+            Joi.object({
+              exchange: name.required(),
+              routingKey: Joi.string().allow("").required(),
+            })
+          )
+          .default([]),
+        deadLetter: Joi.object({
+          exchange: name.required(),
+          routingKey: Joi.string(),
+        }),
+        retry: Joi.alternatives().try(
+          Joi.boolean(),
+          Joi.object({
+            maxRetries: Joi.number().integer().min(1),
+            initialInterval: Joi.number().integer().min(1),
+            multiplier: Joi.number().min(1),
+          })
+        ),
+      })
+    )
+    .unique("name")
+    .required(),
+  consumers: Joi.array()
+    .items(
+      Joi.object({
+        name: name.required(),
+        component: name.required(),
+        queue: name.required(),
+        channel: name.required(),
+        prefetch: Joi.number().integer().min(0).required(),
+        handler: name.required(),
+      })
+    )
+    .unique("name")
+    .unique("channel")
+    .required(),
+});
+
+/**
+ * Validate a topology: its shape, and that every binding, dead letter
+ * exchange and consumer refers to something the topology declares
+ * @param {object} definition - Topology
+ * @returns {object} { value, errors } - errors is empty when valid
+ */
+export function validateTopology(definition) {
+  const { value, error } = topologySchema.validate(definition, {
+    abortEarly: false,
+  });
+  if (error) {
+    return { value, errors: error.details.map((detail) => detail.message) };
+  }
+
+  const errors = [];
+  const exchanges = new Set(value.exchanges.map((exchange) => exchange.name));
+  const queues = new Set(value.queues.map((queue) => queue.name));
+
+  for (const queue of value.queues) {
+    for (const binding of queue.bindings) {
+      if (!exchanges.has(binding.exchange)) {
+        errors.push(
+          `Queue '${queue.name}' is bound to undeclared exchange '${binding.exchange}'`
+        );
+      }
+    }
+    if (queue.deadLetter && !exchanges.has(queue.deadLetter.exchange)) {
+      errors.push(
+        `Queue '${queue.name}' dead-letters to undeclared exchange '${queue.deadLetter.exchange}'`
+      );
+    }
+    if (queue.deadLetter && !isDeadLetterRouted(value, queue)) {
+      errors.push(
+        `Dead letters of queue '${queue.name}' are not routed to any queue`
+      );
+    }
+  }
+
+  for (const consumer of value.consumers) {
+    if (!queues.has(consumer.queue)) {
+      errors.push(
+        `Consumer '${consumer.name}' reads undeclared queue '${consumer.queue}'`
+      );
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Routing keys a queue's dead letters are published with: the dead letter
+ * routing key, or else the keys the messages arrived with (retried messages
+ * come back from their delay queue with the queue name)
+ * @param {object} queue - Queue definition with a deadLetter
+ * @returns {array} Routing keys
+ */
+function getDeadLetterRoutingKeys(queue) {
+  if (queue.deadLetter.routingKey !== undefined) {
+    return [queue.deadLetter.routingKey];
+  }
+
+  const keys = queue.bindings.map((binding) => binding.routingKey);
+  return queue.retry ? [...keys, queue.name] : keys;
+}
+
+/**
+ * Whether some queue is bound to a dead letter exchange with a routing key
+ */
+function isBound(definition, exchange, routingKey) {
+  return definition.queues.some((queue) =>
+    queue.bindings.some(
+      (binding) =>
+        binding.exchange === exchange && binding.routingKey === routingKey
+    )
+  );
+}
+
+/**
+ * Whether every dead letter of a queue reaches some queue
+ */
+function isDeadLetterRouted(definition, queue) {
+  const keys = getDeadLetterRoutingKeys(queue);
+  return (
+    keys.length > 0 &&
+    keys.every((key) => isBound(definition, queue.deadLetter.exchange, key))
+  );
+}
+
+/**
+ * Options to assert a queue with (deadLetter folded into them)
+ * @param {object} queue - Queue definition
+ * @returns {object} amqplib assertQueue options
+ */
+export function getQueueOptions(queue) {
+  if (!queue.deadLetter) return { ...queue.options };
+
+  const options = {
+    ...queue.options,
+    deadLetterExchange: queue.deadLetter.exchange,
+  };
+  if (queue.deadLetter.routingKey !== undefined) {
+    options.deadLetterRoutingKey = queue.deadLetter.routingKey;
+  }
+  return options;
+}
+
+/**
+ * Find a queue definition by name
+ * @param {string} queueName - Queue name
+ * @returns {object|undefined} Queue definition
+ */
+export function getQueue(queueName) {
+  return topology.queues.find((queue) => queue.name === queueName);
+}
+
+/**
+ * Consumers a component starts
+ * @param {string} component - Component name (e.g. "MessageBroker")
+ * @returns {array} Consumer definitions
+ */
+export function getConsumers(component) {
+  return topology.consumers.filter(
+    (consumer) => consumer.component === component
+  );
+}
+
+/**
+ * Queues that receive other queues' dead letters
+ * @returns {array} Queue names
+ */
+export function getDeadLetterQueues() {
+  const targets = topology.queues
+    .filter((queue) => queue.deadLetter)
+    .flatMap((queue) =>
+      getDeadLetterRoutingKeys(queue).map((routingKey) => ({
+        exchange: queue.deadLetter.exchange,
+        routingKey,
+      }))
+    );
+
+  return topology.queues
+    .filter((queue) =>
+      queue.bindings.some((binding) =>
+        targets.some(
+          (target) =>
+            target.exchange === binding.exchange &&
+            target.routingKey === binding.routingKey
+        )
+      )
+    )
+    .map((queue) => queue.name);
+}
+
+export default topology;
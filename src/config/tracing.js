@@ -0,0 +1,30 @@
+import { env } from "./env.js";
+import Tracer from "../core/tracing/Tracer.js";
+import FileSpanExporter from "../core/tracing/FileSpanExporter.js";
+import InMemorySpanExporter from "../core/tracing/InMemorySpanExporter.js";
+
+export { SPAN_KINDS, SPAN_STATUS } from "../core/tracing/Span.js";
+
+const createExporter = () => {
+  switch (env.TRACING_EXPORTER) {
+    case "file":
+      return new FileSpanExporter({ filePath: env.TRACING_FILE_PATH });
+    case "memory":
+      return new InMemorySpanExporter();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown TRACING_EXPORTER: ${env.TRACING_EXPORTER}`);
+  }
+};
+
+/**
+ * Process-wide tracer shared by the HTTP layer, EventBus, RabbitMQ and
+ * MatchingService
+ */
+export const tracer = new Tracer({
+  serviceName: env.TRACING_SERVICE_NAME,
+  exporter: createExporter(),
+});
+
+export default tracer;
@@ -3,14 +3,23 @@
  * Provides common functionality and event handling
  */
 import Event from "./Event.js";
+import { createLogger } from "../config/logger.js";
+import { setContext } from "../config/requestContext.js";
 class Agent {
-  constructor(eventBus, name = null) {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {string} name - Agent name (default: class name)
+   * @param {object} options - Agent options
+   * @param {Logger} options.logger - Logger (default: one named after the agent)
+   */
+  constructor(eventBus, name = null, { logger = null } = {}) {
     this.eventBus = eventBus;
     this.name = name || this.constructor.name;
     this.isActive = false;
     this.eventHandlers = new Map();
+    this.logger = logger || createLogger(this.name);
 
-    console.log(`🤖 ${this.name}: Agent created`);
+    this.logger.debug("Agent created");
   }
 
   /**
@@ -23,7 +32,7 @@ class Agent {
 
     this.isActive = true;
     await this.setup();
-    console.log(`🚀 ${this.name}: Agent started successfully`);
+    this.logger.info("Agent started");
   }
 
   /**
@@ -42,44 +51,59 @@ class Agent {
     await this.cleanup();
 
     this.isActive = false;
-    console.log(`🛑 ${this.name}: Agent stopped`);
+    this.logger.info("Agent stopped");
   }
 
   /**
    * Register an event handler
-   * @param {string} eventType - Event type to listen for
+   * Errors are reported as agent.error and rethrown so the EventBus can
+   * retry the delivery (see the `retry` option) or dead-letter it
+   * @param {string} eventType - Event type or pattern ("task.*", "task.#") to listen for
    * @param {function} handler - Handler function
+   * @param {object} options - EventBus subscription options (queueLimit, overflowPolicy, retry)
    */
-  on(eventType, handler) {
+  on(eventType, handler, options = {}) {
     if (!this.isActive) {
       return;
     }
 
-    const wrappedHandler = async (event) => {
+    const wrappedHandler = async (event, delivery = {}) => {
+      const { attempt = 1, maxAttempts = 1 } = delivery;
+
+      // The EventBus opened a log context for this event; name the agent too
+      setContext({ agent: this.name });
+
       try {
-        await handler.call(this, event);
-        console.log(`✅ ${this.name}: Completed processing '${eventType}'`);
+        await handler.call(this, event, delivery);
+        this.log("debug", `Completed processing '${event.type}'`);
       } catch (error) {
-        console.error(
-          `❌ ${this.name}: Error processing '${eventType}':`,
-          error.message
+        this.log(
+          "error",
+          `Error processing '${event.type}' (attempt ${attempt}/${maxAttempts})`,
+          { error: error.message }
         );
         const agentErrorEvent = new Event({
           type: "agent.error",
           data: {
             agentName: this.name,
-            eventType,
+            eventType: event.type,
             error: error.message,
+            attempt,
+            maxAttempts,
             originalEvent: event,
           },
           correlationId: event.correlationId,
           source: this.name,
         });
         this.emit(agentErrorEvent);
+        throw error;
       }
     };
 
-    this.eventBus.on(eventType, wrappedHandler);
+    this.eventBus.on(eventType, wrappedHandler, {
+      name: `${this.name}:${eventType}`,
+      ...options,
+    });
     this.eventHandlers.set(eventType, wrappedHandler);
   }
 
@@ -93,23 +117,15 @@ class Agent {
 
   /**
    * Log a message with agent context
-   * @param {string} level - Log level (info, warn, error)
+   * Lines written while handling an event carry its correlationId, eventId
+   * and type
+   * @param {string} level - Log level (error, warn, info, debug)
    * @param {string} message - Message to log
    * @param {object} data - Additional data
    */
   log(level, message, data = {}) {
-    const logMessage = `[${this.name}] ${message}`;
-
-    switch (level) {
-      case "warn":
-        console.warn(`⚠️ ${logMessage}`, data);
-        break;
-      case "error":
-        console.error(`❌ ${logMessage}`, data);
-        break;
-      default:
-        console.log(`ℹ️ ${logMessage}`, data);
-    }
+    const write = this.logger[level] ? level : "info";
+    this.logger[write](message, data);
   }
 
   /**
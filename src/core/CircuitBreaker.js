@@ -0,0 +1,229 @@
+import { EventEmitter } from "events";
+import { createLogger } from "../config/logger.js";
+
+/**
+ * Circuit states
+ */
+export const CIRCUIT_STATES = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+});
+
+/**
+ * Circuit Breaker - Stops calling a dependency that keeps failing
+ * Closed: every call goes through and its outcome is recorded in a sliding
+ * time window; once the window holds minimumRequests outcomes and the
+ * failure rate reaches failureRateThreshold, the circuit opens.
+ * Open: calls are refused until the cooldown has passed, then the circuit
+ * goes half-open.
+ * Half-open: up to halfOpenMaxCalls trial calls go through; a success
+ * closes the circuit and a failure opens it again
+ *
+ * Callers ask allowRequest() before a call and report it with
+ * recordSuccess() or recordFailure() afterwards
+ *
+ * Emits "stateChange" ({ name, from, to, reason, failureRate, requests })
+ */
+class CircuitBreaker extends EventEmitter {
+  constructor({
+    name = "circuit",
+    failureRateThreshold = 0.5,
+    windowMs = 60000,
+    minimumRequests = 5,
+    cooldown = 30000,
+    halfOpenMaxCalls = 1,
+    logger = null,
+  } = {}) {
+    super();
+    this.name = name;
+    this.failureRateThreshold = failureRateThreshold; // 0..1
+    this.windowMs = windowMs;
+    this.minimumRequests = minimumRequests; // No verdict on fewer outcomes
+    this.cooldown = cooldown; // Time spent open before a trial call
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.logger = logger || createLogger("CircuitBreaker");
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.outcomes = []; // { at, failed }, oldest first
+    this.openedAt = null;
+    this.halfOpenCalls = 0; // Trial calls in flight
+    this.cooldownTimer = null;
+    this.lastStateChange = null;
+    this.rejectedCount = 0;
+  }
+
+  /**
+   * Whether a call may go through now
+   * Counts as a trial call while half-open
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) return true;
+
+    if (
+      this.state === CIRCUIT_STATES.HALF_OPEN &&
+      this.halfOpenCalls < this.halfOpenMaxCalls
+    ) {
+      this.halfOpenCalls++;
+      return true;
+    }
+
+    this.rejectedCount++;
+    return false;
+  }
+
+  /**
+   * A call that went through succeeded
+   */
+  recordSuccess() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+      this.transition(CIRCUIT_STATES.CLOSED, "Trial call succeeded");
+      return;
+    }
+
+    this.recordOutcome(false);
+  }
+
+  /**
+   * A call that went through failed
+   */
+  recordFailure() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+      this.transition(CIRCUIT_STATES.OPEN, "Trial call failed");
+      return;
+    }
+
+    // A call that started before the circuit opened
+    if (this.state === CIRCUIT_STATES.OPEN) return;
+
+    this.recordOutcome(true);
+
+    const { requests, failureRate } = this.getWindow();
+    if (
+      requests >= this.minimumRequests &&
+      failureRate >= this.failureRateThreshold
+    ) {
+      this.transition(
+        CIRCUIT_STATES.OPEN,
+        `Failure rate ${Math.round(failureRate * 100)}% over ${requests} requests`
+      );
+    }
+  }
+
+  recordOutcome(failed) {
+    this.outcomes.push({ at: Date.now(), failed });
+    this.pruneWindow();
+  }
+
+  pruneWindow() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Outcomes in the sliding window
+   * @returns {object} { requests, failures, failureRate }
+   */
+  getWindow() {
+    this.pruneWindow();
+    const requests = this.outcomes.length;
+    const failures = this.outcomes.filter((outcome) => outcome.failed).length;
+    return {
+      requests,
+      failures,
+      failureRate: requests > 0 ? failures / requests : 0,
+    };
+  }
+
+  transition(to, reason) {
+    const from = this.state;
+    if (from === to) return;
+
+    const { requests, failureRate } = this.getWindow();
+    this.state = to;
+    this.lastStateChange = new Date().toISOString();
+    this.clearCooldownTimer();
+
+    if (to === CIRCUIT_STATES.OPEN) {
+      this.openedAt = Date.now();
+      this.halfOpenCalls = 0;
+      this.cooldownTimer = setTimeout(() => {
+        this.cooldownTimer = null;
+        this.transition(CIRCUIT_STATES.HALF_OPEN, "Cooldown elapsed");
+      }, this.cooldown);
+      this.cooldownTimer.unref?.();
+    } else if (to === CIRCUIT_STATES.CLOSED) {
+      // Start over; the failures that opened the circuit are history
+      this.outcomes = [];
+      this.openedAt = null;
+    }
+
+    this.logger[to === CIRCUIT_STATES.OPEN ? "warn" : "info"](
+      "Circuit state changed",
+      { circuit: this.name, from, to, reason }
+    );
+
+    this.emit("stateChange", {
+      name: this.name,
+      from,
+      to,
+      reason,
+      failureRate,
+      requests,
+    });
+  }
+
+  clearCooldownTimer() {
+    if (this.cooldownTimer) {
+      clearTimeout(this.cooldownTimer);
+      this.cooldownTimer = null;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether calls go through unconditionally
+   */
+  isClosed() {
+    return this.state === CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * Stop the cooldown timer (the state is kept)
+   */
+  stop() {
+    this.clearCooldownTimer();
+  }
+
+  /**
+   * Get circuit statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const { requests, failures, failureRate } = this.getWindow();
+    return {
+      name: this.name,
+      state: this.state,
+      requests,
+      failures,
+      failureRate,
+      failureRateThreshold: this.failureRateThreshold,
+      windowMs: this.windowMs,
+      minimumRequests: this.minimumRequests,
+      cooldown: this.cooldown,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      halfOpenAt:
+        this.state === CIRCUIT_STATES.OPEN
+          ? new Date(this.openedAt + this.cooldown).toISOString()
+          : null,
+      rejected: this.rejectedCount,
+      lastStateChange: this.lastStateChange,
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,126 @@
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Dead Letter Store - Keeps events whose handler failed after all retries
+ * In-process only; entries can be listed, inspected, re-driven or discarded
+ */
+class DeadLetterStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.entries = new Map(); // entryId → dead letter entry
+    this.maxEntries = maxEntries; // Prevent memory overflow
+    this.totalDeadLettered = 0;
+  }
+
+  /**
+   * Add a dead letter
+   * @param {object} deadLetter - Failed delivery
+   * @param {object} deadLetter.event - Event that could not be handled
+   * @param {object} deadLetter.subscription - { id, eventType, name } of the handler
+   * @param {Error} deadLetter.error - Last error
+   * @param {number} deadLetter.attempts - Attempts made
+   * @returns {object} Stored entry
+   */
+  add({ event, subscription, error, attempts }) {
+    const entry = {
+      id: uuidv4(),
+      event,
+      subscription,
+      error: {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+      },
+      attempts,
+      deadLetteredAt: new Date().toISOString(),
+      redriveCount: 0,
+    };
+
+    this.entries.set(entry.id, entry);
+    this.totalDeadLettered++;
+    this.cleanupOldEntries();
+
+    return entry;
+  }
+
+  /**
+   * List dead letters (newest first)
+   * @param {object} filters - eventType, handlerName, limit
+   * @returns {array} Entries
+   */
+  list(filters = {}) {
+    let entries = Array.from(this.entries.values());
+
+    if (filters.eventType) {
+      entries = entries.filter((entry) => entry.event.type === filters.eventType);
+    }
+
+    if (filters.handlerName) {
+      entries = entries.filter(
+        (entry) => entry.subscription.name === filters.handlerName
+      );
+    }
+
+    entries.reverse();
+
+    if (filters.limit) {
+      entries = entries.slice(0, filters.limit);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get a dead letter by ID
+   * @param {string} entryId - Entry ID
+   * @returns {object|null} Entry or null if not found
+   */
+  get(entryId) {
+    return this.entries.get(entryId) || null;
+  }
+
+  /**
+   * Remove a dead letter
+   * @param {string} entryId - Entry ID
+   * @returns {boolean} True if removed
+   */
+  remove(entryId) {
+    return this.entries.delete(entryId);
+  }
+
+  /**
+   * Get dead letter statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const byHandler = {};
+    for (const entry of this.entries.values()) {
+      byHandler[entry.subscription.name] =
+        (byHandler[entry.subscription.name] || 0) + 1;
+    }
+
+    return {
+      pending: this.entries.size,
+      totalDeadLettered: this.totalDeadLettered,
+      byHandler,
+    };
+  }
+
+  /**
+   * Drop the oldest entries beyond maxEntries
+   */
+  cleanupOldEntries() {
+    while (this.entries.size > this.maxEntries) {
+      const oldestId = this.entries.keys().next().value;
+      this.entries.delete(oldestId);
+    }
+  }
+
+  /**
+   * Clear all dead letters (for testing)
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default DeadLetterStore;
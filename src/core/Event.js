@@ -1,7 +1,17 @@
 import { v4 as uuidv4 } from "uuid";
 
 class Event {
-  constructor({ type, data, correlationId, source, priority, timestamp, id }) {
+  constructor({
+    type,
+    data,
+    correlationId,
+    source,
+    priority,
+    timestamp,
+    id,
+    metadata,
+    schemaVersion,
+  }) {
     this.id = id || uuidv4();
     this.type = type;
     this.data = data;
@@ -10,6 +20,16 @@ class Event {
       correlationId || (data && data.correlationId) || uuidv4();
     this.source = source || "system";
     this.priority = priority || "normal";
+    this.metadata = metadata || {};
+    this.schemaVersion = schemaVersion || 1;
+  }
+
+  /**
+   * Whether this event is a replay of a stored event
+   * @returns {boolean} True if replayed
+   */
+  isReplay() {
+    return Boolean(this.metadata.replay);
   }
 }
 
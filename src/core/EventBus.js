@@ -1,34 +1,134 @@
 import { v4 as uuidv4 } from "uuid";
 import Event from "./Event.js";
+import DeadLetterStore from "./DeadLetterStore.js";
+import { isTopicPattern, matchesTopic } from "../utils/topicPattern.js";
+import { metrics } from "../config/metrics.js";
+import { runWithContext, getContext } from "../config/requestContext.js";
+import { createLogger } from "../config/logger.js";
+import { SPAN_KINDS, SPAN_STATUS } from "./tracing/Span.js";
+
+const OVERFLOW_POLICIES = ["drop-oldest", "drop-newest", "block", "spill"];
+
+const FAILURE_EVENT_TYPES = ["handler.error", "event.dead_lettered"];
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1, // No retries unless a subscription asks for them
+  initialDelay: 200,
+  multiplier: 2,
+  maxDelay: 10000,
+  jitter: 0.2, // ±20% of the computed delay
+  retryableErrors: [], // Error classes or names; empty means any error
+};
 
 /**
  * Optimized In-Memory Event Bus
  * - Continuous event processing (no batch blocking)
  * - Per-handler queues for isolation
+ * - Per-handler concurrency with ordering keys
+ * - Per-handler retries with backoff, then an in-process dead letter store
  * - Fire-and-forget execution
+ * - Exact and pattern subscriptions ("*", "task.*", "task.#")
+ * - Bounded per-handler queues with overflow policies
+ * - Request/response over events, correlated by correlationId
+ * - W3C trace context carried in event metadata (metadata.traceparent)
  */
 class EventBus {
-  constructor() {
+  constructor({
+    schemaRegistry = null,
+    queueLimit = Infinity,
+    overflowPolicy = "block",
+    spillStore = null,
+    retryPolicy = {},
+    deadLetterStore = null,
+    recordMetrics = true,
+    tracer = null,
+    logger = null,
+  } = {}) {
     this.listeners = new Map();
+    this.patterns = new Set(); // Subscription keys containing wildcards
     this.eventHistory = [];
     this.maxHistorySize = 1000;
+    this.schemaRegistry = schemaRegistry;
+    this.invalidCount = 0;
+
+    // Backpressure defaults (overridable per subscription)
+    this.defaultQueueLimit = queueLimit;
+    this.defaultOverflowPolicy = overflowPolicy;
+    this.spillStore = spillStore; // EventStore used by the "spill" policy
+
+    this.defaultRetryPolicy = { ...DEFAULT_RETRY_POLICY, ...retryPolicy };
+    this.deadLetterStore = deadLetterStore || new DeadLetterStore();
+
+    this.pendingReplies = new Map(); // request event id → awaited reply
+
+    // Sandbox buses (e.g. replays) stay out of the Prometheus metrics
+    this.recordMetrics = recordMetrics;
+
+    // Without a tracer events carry no trace context and handlers no spans
+    this.tracer = tracer;
+
+    this.logger = logger || createLogger("EventBus");
   }
 
   /**
    * Register an event handler
    * Each handler gets its own queue so slow handlers don't block others
+   * @param {string} eventType - Event type or topic pattern ("*", "task.*", "task.#")
+   * @param {function} handler - Handler function
+   * @param {object} options - Subscription options
+   * @param {string} options.name - Name shown in stats and errors
+   * @param {number} options.queueLimit - Maximum queued events for this handler
+   * @param {string} options.overflowPolicy - drop-oldest | drop-newest | block | spill
+   * @param {number} options.concurrency - Events handled in parallel (default 1)
+   * @param {string|function} options.orderingKey - Event path ("data.taskId") or
+   *   function; events with the same key are handled one at a time, in order
+   * @param {object} options.retry - Retry policy (maxAttempts, initialDelay,
+   *   multiplier, maxDelay, jitter, retryableErrors)
+   * @param {string} options.metricName - Handler label in metrics (default: name)
+   * @param {boolean} options.tracing - Create a span per attempt (default true)
    */
-  on(eventType, handler) {
+  on(eventType, handler, options = {}) {
+    const queueLimit = options.queueLimit ?? this.defaultQueueLimit;
+    const overflowPolicy = options.overflowPolicy ?? this.defaultOverflowPolicy;
+
+    if (!OVERFLOW_POLICIES.includes(overflowPolicy)) {
+      throw new Error(`Unknown overflow policy '${overflowPolicy}'`);
+    }
+    if (overflowPolicy === "spill" && !this.spillStore) {
+      throw new Error("The 'spill' overflow policy requires a spillStore");
+    }
+
     if (!this.listeners.has(eventType)) {
       this.listeners.set(eventType, []);
+      if (isTopicPattern(eventType)) {
+        this.patterns.add(eventType);
+      }
     }
 
+    const name = options.name || handler.name || "anonymous";
+
     this.listeners.get(eventType).push({
       handler,
       id: uuidv4(),
-      name: handler.name || "anonymous",
+      eventType,
+      name,
+      metricName: options.metricName || name,
       queue: [],
-      processing: false,
+      concurrency: Math.max(1, options.concurrency ?? 1),
+      orderingKey: options.orderingKey || null,
+      active: 0, // Events currently being handled
+      activeKeys: new Set(), // Ordering keys currently being handled
+      reloading: false,
+      retryPolicy: { ...this.defaultRetryPolicy, ...options.retry },
+      tracing: options.tracing ?? true,
+      queueLimit,
+      overflowPolicy,
+      blockedPublishers: [], // { event, resolve } waiting for queue space
+      capacityWaiters: [], // resolvers waiting for any free slot
+      spilled: [], // IDs of events parked in the spill store
+      droppedCount: 0,
+      spilledCount: 0,
+      blockedCount: 0,
     });
   }
 
@@ -39,76 +139,775 @@ class EventBus {
     if (this.listeners.has(eventType)) {
       const handlers = this.listeners.get(eventType);
       const filtered = handlers.filter((h) => h.handler !== handler);
-      this.listeners.set(eventType, filtered);
+
+      if (filtered.length > 0) {
+        this.listeners.set(eventType, filtered);
+      } else {
+        this.listeners.delete(eventType);
+        this.patterns.delete(eventType);
+      }
     }
   }
 
   /**
-   * Emit an event (non-blocking)
+   * Get every subscription that should receive an event type
+   * @param {string} eventType - Event type
+   * @returns {array} Handler infos (exact matches first, then patterns)
+   */
+  getHandlersFor(eventType) {
+    const handlers = [...(this.listeners.get(eventType) || [])];
+
+    for (const pattern of this.patterns) {
+      if (pattern !== eventType && matchesTopic(pattern, eventType)) {
+        handlers.push(...this.listeners.get(pattern));
+      }
+    }
+
+    return handlers;
+  }
+
+  /**
+   * Emit an event
+   * Dispatch never waits for handlers; the returned promise only waits while a
+   * full queue with the "block" policy makes room for the event
+   * Events that fail schema validation are routed to 'event.invalid' instead
+   * @returns {Promise<boolean>} Resolves true once every queue accepted the event
    */
   emit(event) {
     if (!(event instanceof Event)) {
       throw new Error("EventBus.emit expects an Event instance");
     }
 
+    if (event.type !== "event.invalid") {
+      const { valid, errors } = this.validate(event);
+      if (!valid) {
+        this.reportInvalid(event, errors);
+        return Promise.resolve(false);
+      }
+    }
+
+    // Events emitted while handling a replayed event are part of the replay
+    if (!event.metadata.replay) {
+      const { replay } = getContext();
+      if (replay) event.metadata.replay = replay;
+    }
+
+    // Continue the emitter's trace in whoever handles the event
+    if (this.tracer && !event.metadata.traceparent) {
+      const traceparent = this.tracer.getTraceparent();
+      if (traceparent) {
+        event.metadata.traceparent = traceparent;
+      }
+    }
+
     // Add to history
     this.addToHistory(event);
 
+    if (this.recordMetrics) {
+      metrics.eventsEmitted.inc({ event_type: event.type });
+    }
+
+    // Settle a request waiting on this event (subscribers still receive it)
+    this.settleReply(event);
+
     // Dispatch to all relevant handlers
-    const handlers = this.listeners.get(event.type) || [];
-    handlers.forEach((handlerInfo) => {
-      handlerInfo.queue.push(event);
+    const handlers = this.getHandlersFor(event.type);
+    const admissions = handlers
+      .map((handlerInfo) => this.enqueue(handlerInfo, event))
+      .filter(Boolean);
+
+    if (admissions.length === 0) {
+      return Promise.resolve(true);
+    }
+    return Promise.all(admissions).then(() => true);
+  }
+
+  /**
+   * Emit a request event and wait for its reply
+   * Each request is identified by its own event id, so several requests of
+   * one flow (same correlationId) can be in flight and a late reply cannot
+   * settle a newer request. The reply is the first event of replyType whose
+   * metadata.requestId is that id; an event of failureType rejects instead
+   * @param {Event} event - Request event
+   * @param {object} options - Request options
+   * @param {string} options.replyType - Event type that answers the request
+   * @param {string} options.failureType - Event type that fails the request
+   * @param {number} options.timeout - Milliseconds to wait for the reply
+   * @returns {Promise<Event>} Resolves with the reply event
+   */
+  request(event, { replyType, failureType = null, timeout = 30000 } = {}) {
+    const { id: requestId, correlationId } = event;
+
+    if (!replyType) {
+      return Promise.reject(new Error("EventBus.request requires a replyType"));
+    }
+    if (this.pendingReplies.has(requestId)) {
+      return Promise.reject(
+        new Error(`Request ${requestId} is already pending`)
+      );
+    }
+
+    const reply = new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingReplies.delete(requestId);
+        const error = new Error(
+          `Request '${event.type}' timed out after ${timeout}ms for correlation: ${correlationId}`
+        );
+        error.code = "REQUEST_TIMEOUT";
+        reject(error);
+      }, timeout);
+
+      this.pendingReplies.set(requestId, {
+        requestType: event.type,
+        correlationId,
+        replyType,
+        failureType,
+        resolve,
+        reject,
+        timeoutId,
+        sentAt: Date.now(),
+      });
+    });
+
+    this.emit(event).then((accepted) => {
+      if (!accepted) {
+        this.cancelRequest(requestId, `Request '${event.type}' was rejected`);
+      }
+    });
+
+    return reply;
+  }
+
+  /**
+   * Get a pending request
+   * @param {string} requestId - Id of the request event
+   * @returns {object|null} { requestType, correlationId, replyType, sentAt }
+   */
+  getPendingRequest(requestId) {
+    const pending = this.pendingReplies.get(requestId);
+    if (!pending) return null;
+
+    const { requestType, correlationId, replyType, sentAt } = pending;
+    return { requestType, correlationId, replyType, sentAt };
+  }
+
+  /**
+   * Resolve or reject the pending request an event replies to
+   * @param {Event} event - Emitted event
+   */
+  settleReply(event) {
+    const requestId = event.metadata?.requestId;
+    const pending = requestId ? this.pendingReplies.get(requestId) : null;
+    if (!pending) return;
+
+    if (event.type === pending.replyType) {
+      clearTimeout(pending.timeoutId);
+      this.pendingReplies.delete(requestId);
+      pending.resolve(event);
+    } else if (event.type === pending.failureType) {
+      clearTimeout(pending.timeoutId);
+      this.pendingReplies.delete(requestId);
+
+      const error = new Error(
+        event.data?.error || `Request '${pending.requestType}' failed`
+      );
+      error.code = "REQUEST_FAILED";
+      error.event = event;
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * Reject a pending request without waiting for its timeout
+   * @param {string} requestId - Id of the request event
+   * @param {string} reason - Rejection reason
+   * @returns {boolean} True if a request was pending
+   */
+  cancelRequest(requestId, reason = "Request cancelled") {
+    const pending = this.pendingReplies.get(requestId);
+    if (!pending) return false;
+
+    clearTimeout(pending.timeoutId);
+    this.pendingReplies.delete(requestId);
+
+    const error = new Error(reason);
+    error.code = "REQUEST_CANCELLED";
+    pending.reject(error);
+    return true;
+  }
+
+  /**
+   * Add an event to a handler queue, applying its overflow policy when full
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Event to enqueue
+   * @returns {Promise|null} Promise while the publisher is blocked, else null
+   */
+  enqueue(handlerInfo, event) {
+    const { queue, queueLimit, overflowPolicy } = handlerInfo;
+    const mustWaitInLine =
+      handlerInfo.blockedPublishers.length > 0 ||
+      handlerInfo.spilled.length > 0 ||
+      handlerInfo.reloading;
+
+    if (queue.length < queueLimit && !mustWaitInLine) {
+      queue.push(event);
       this.processHandlerQueue(handlerInfo);
+      return null;
+    }
+
+    switch (overflowPolicy) {
+      case "drop-oldest": {
+        const dropped = queue.shift();
+        queue.push(event);
+        this.recordDrop(handlerInfo, dropped);
+        this.processHandlerQueue(handlerInfo);
+        return null;
+      }
+      case "drop-newest":
+        this.recordDrop(handlerInfo, event);
+        return null;
+      case "spill":
+        return this.spill(handlerInfo, event);
+      case "block":
+      default:
+        handlerInfo.blockedCount++;
+        return new Promise((resolve) => {
+          handlerInfo.blockedPublishers.push({ event, resolve });
+        });
+    }
+  }
+
+  /**
+   * Count and log a dropped event
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Dropped event
+   */
+  recordDrop(handlerInfo, event) {
+    handlerInfo.droppedCount++;
+
+    if (this.recordMetrics) {
+      metrics.eventsDropped.inc({ handler: handlerInfo.metricName });
+    }
+
+    this.logger.warn("Handler queue full, dropped event", {
+      handler: handlerInfo.name,
+      queueLimit: handlerInfo.queueLimit,
+      eventType: event.type,
+      eventId: event.id,
     });
   }
 
   /**
-   * Process a handler's queue sequentially
-   * (ensures handler won't be overwhelmed but others still run independently)
+   * Park an event in the spill store until the handler queue drains
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Event to spill
+   * @returns {Promise} Resolves once the event is persisted
+   */
+  async spill(handlerInfo, event) {
+    handlerInfo.spilled.push(event.id);
+    handlerInfo.spilledCount++;
+
+    try {
+      // The store is idempotent by event ID, so spilling never duplicates
+      await this.spillStore.store(event);
+    } catch (error) {
+      this.logger.error("Failed to spill event", {
+        handler: handlerInfo.name,
+        eventType: event.type,
+        eventId: event.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Move blocked publishers' events into a handler queue while there is room
+   * @param {object} handlerInfo - Subscription
+   */
+  releaseCapacity(handlerInfo) {
+    const { queue, queueLimit } = handlerInfo;
+
+    while (queue.length < queueLimit && handlerInfo.blockedPublishers.length) {
+      const { event, resolve } = handlerInfo.blockedPublishers.shift();
+      queue.push(event);
+      resolve();
+    }
+
+    if (queue.length < queueLimit && handlerInfo.spilled.length === 0) {
+      const waiters = handlerInfo.capacityWaiters.splice(0);
+      waiters.forEach((resolve) => resolve());
+    }
+  }
+
+  /**
+   * Reload spilled events into an empty handler queue
+   * Waiting for the in-memory backlog to drain keeps spilled events behind
+   * everything that was queued before them
+   * @param {object} handlerInfo - Subscription
    */
-  async processHandlerQueue(handlerInfo) {
-    if (handlerInfo.processing) return;
-    handlerInfo.processing = true;
+  async reloadSpilled(handlerInfo) {
+    const { queue, queueLimit } = handlerInfo;
+
+    while (queue.length < queueLimit && handlerInfo.spilled.length > 0) {
+      const eventId = handlerInfo.spilled.shift();
+      const storedEvent = await this.spillStore.getEventById(eventId);
 
-    while (handlerInfo.queue.length > 0) {
-      const event = handlerInfo.queue.shift();
-      await this.safeExecuteHandler(handlerInfo, event);
+      if (storedEvent) {
+        queue.push(new Event(storedEvent));
+      } else {
+        this.recordDrop(handlerInfo, { type: "unknown", id: eventId });
+      }
     }
 
-    handlerInfo.processing = false;
+    this.releaseCapacity(handlerInfo);
+  }
+
+  /**
+   * Check whether any subscription for an event type has a full queue
+   * @param {string} eventType - Event type (all subscriptions if omitted)
+   * @returns {boolean} True if saturated
+   */
+  isSaturated(eventType = null) {
+    return this.getSaturatedHandlers(eventType).length > 0;
+  }
+
+  /**
+   * Get subscriptions whose queue is full or that still have waiting events
+   * @param {string} eventType - Event type (all subscriptions if omitted)
+   * @returns {array} Handler infos
+   */
+  getSaturatedHandlers(eventType = null) {
+    const handlers = eventType
+      ? this.getHandlersFor(eventType)
+      : Array.from(this.listeners.values()).flat();
+
+    return handlers.filter(
+      (handlerInfo) =>
+        handlerInfo.queue.length >= handlerInfo.queueLimit ||
+        handlerInfo.blockedPublishers.length > 0 ||
+        handlerInfo.spilled.length > 0
+    );
+  }
+
+  /**
+   * Wait until every subscription for an event type has queue space
+   * Lets publishers (e.g. RabbitMQ consumers) hold back acks while saturated
+   * @param {string} eventType - Event type
+   */
+  async waitForCapacity(eventType) {
+    let saturated = this.getSaturatedHandlers(eventType);
+
+    while (saturated.length > 0) {
+      await new Promise((resolve) => saturated[0].capacityWaiters.push(resolve));
+      saturated = this.getSaturatedHandlers(eventType);
+    }
+  }
+
+  /**
+   * Validate an event against the schema registry
+   * @param {Event} event - Event to validate
+   * @returns {object} { valid, errors }
+   */
+  validate(event) {
+    if (!this.schemaRegistry) {
+      return { valid: true, errors: [] };
+    }
+    return this.schemaRegistry.validate(event);
+  }
+
+  /**
+   * Publish an 'event.invalid' event describing a rejected event
+   * @param {Event} event - Rejected event
+   * @param {array} errors - Validation errors
+   */
+  reportInvalid(event, errors) {
+    this.invalidCount++;
+
+    if (this.recordMetrics) {
+      metrics.eventsInvalid.inc({ event_type: event.type });
+    }
+
+    this.logger.warn("Rejected invalid event", {
+      eventType: event.type,
+      eventId: event.id,
+      errors: errors.map((error) => error.message),
+    });
+
+    const invalidEvent = new Event({
+      type: "event.invalid",
+      data: {
+        originalEvent: { ...event },
+        errors,
+      },
+      correlationId: event.correlationId,
+      source: "EventBus",
+    });
+
+    this.emit(invalidEvent);
+  }
+
+  /**
+   * Start as many queued events as the handler's concurrency allows
+   * Events sharing an ordering key never run at the same time and always
+   * start in queue order; unrelated keys proceed in parallel
+   * @param {object} handlerInfo - Subscription
+   */
+  processHandlerQueue(handlerInfo) {
+    while (handlerInfo.active < handlerInfo.concurrency) {
+      const index = this.nextRunnableIndex(handlerInfo);
+      if (index === -1) break;
+
+      const [event] = handlerInfo.queue.splice(index, 1);
+      const key = this.getOrderingKey(handlerInfo, event);
+
+      handlerInfo.active++;
+      if (key !== undefined) handlerInfo.activeKeys.add(key);
+      this.releaseCapacity(handlerInfo);
+
+      this.safeExecuteHandler(handlerInfo, event).finally(() => {
+        handlerInfo.active--;
+        if (key !== undefined) handlerInfo.activeKeys.delete(key);
+        this.processHandlerQueue(handlerInfo);
+      });
+    }
+
+    // Spilled events come back once the in-memory backlog is gone
+    if (
+      handlerInfo.queue.length === 0 &&
+      handlerInfo.spilled.length > 0 &&
+      !handlerInfo.reloading
+    ) {
+      handlerInfo.reloading = true;
+      this.reloadSpilled(handlerInfo).finally(() => {
+        handlerInfo.reloading = false;
+        this.processHandlerQueue(handlerInfo);
+      });
+    }
+  }
+
+  /**
+   * Find the first queued event whose ordering key is not already running
+   * @param {object} handlerInfo - Subscription
+   * @returns {number} Queue index or -1
+   */
+  nextRunnableIndex(handlerInfo) {
+    if (handlerInfo.activeKeys.size === 0) {
+      return handlerInfo.queue.length > 0 ? 0 : -1;
+    }
+
+    return handlerInfo.queue.findIndex((event) => {
+      const key = this.getOrderingKey(handlerInfo, event);
+      return key === undefined || !handlerInfo.activeKeys.has(key);
+    });
+  }
+
+  /**
+   * Resolve an event's ordering key for a subscription
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Event
+   * @returns {*} Key, or undefined when the event is unordered
+   */
+  getOrderingKey(handlerInfo, event) {
+    const { orderingKey } = handlerInfo;
+    if (!orderingKey) return undefined;
+
+    const key =
+      typeof orderingKey === "function"
+        ? orderingKey(event)
+        : orderingKey.split(".").reduce((value, part) => value?.[part], event);
+
+    return key ?? undefined;
   }
 
   /**
    * Safely execute a handler with error isolation
+   * Failed attempts are retried per the subscription's retry policy; once
+   * retries are exhausted the event goes to the dead letter store
    */
   async safeExecuteHandler(handlerInfo, event) {
-    const { handler, name } = handlerInfo;
-    try {
-      await Promise.resolve(handler(event));
-    } catch (error) {
-      console.error(
-        `❌ EventBus: Handler '${name}' failed for '${event.type}':`,
-        error.message
-      );
+    const { handler, name, retryPolicy } = handlerInfo;
+    const { maxAttempts } = retryPolicy;
 
-      // Emit error event for monitoring (non-blocking)
-      setImmediate(() => {
-        const handlerErrorEvent = new Event({
-          type: "handler.error",
-          data: {
-            originalEvent: event,
-            handlerName: name,
-            error: {
-              message: error.message,
-              stack: error.stack,
-            },
-          },
-          correlationId: event.correlationId,
-          source: "EventBus",
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = process.hrtime.bigint();
+      const span = this.startHandlerSpan(handlerInfo, event, attempt);
+      const context = this.getLogContext(handlerInfo, event, attempt);
+
+      try {
+        await runWithContext(context, () =>
+          this.runInSpan(span, () => handler(event, { attempt, maxAttempts }))
+        );
+        this.recordAttempt(handlerInfo, event, startedAt, "success");
+        span?.setStatus(SPAN_STATUS.OK).end();
+        return;
+      } catch (error) {
+        const willRetry =
+          attempt < maxAttempts && this.isRetryable(retryPolicy, error);
+
+        span?.recordException(error);
+        span?.setAttribute("eventbus.will_retry", willRetry).end();
+
+        this.recordAttempt(
+          handlerInfo,
+          event,
+          startedAt,
+          willRetry ? "retry" : "dead_lettered"
+        );
+
+        if (willRetry) {
+          const delay = this.getRetryDelay(retryPolicy, attempt);
+          this.logger.warn("Handler failed, retrying", {
+            handler: name,
+            attempt,
+            maxAttempts,
+            delay,
+            error: error.message,
+          });
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          continue;
+        }
+
+        this.logger.error("Handler failed, event dead-lettered", {
+          handler: name,
+          attempts: attempt,
+          error: error.message,
         });
-        this.emit(handlerErrorEvent);
+        this.deadLetter(handlerInfo, event, error, attempt);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Start the span for one handler attempt, continuing the trace in the
+   * event's metadata (a new trace if the event has none)
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Handled event
+   * @param {number} attempt - Attempt number
+   * @returns {Span|null} Span, or null when tracing is off
+   */
+  startHandlerSpan(handlerInfo, event, attempt) {
+    if (!this.tracer || !handlerInfo.tracing) return null;
+
+    return this.tracer.startSpan(`${event.type} process`, {
+      kind: SPAN_KINDS.CONSUMER,
+      parent: event.metadata.traceparent || null,
+      attributes: {
+        "messaging.system": "eventbus",
+        "messaging.operation": "process",
+        "messaging.destination.name": event.type,
+        "messaging.message.id": event.id,
+        "messaging.message.conversation_id": event.correlationId,
+        "eventbus.handler": handlerInfo.name,
+        "eventbus.attempt": attempt,
+        "eventbus.replay": event.isReplay() || undefined,
+      },
+    });
+  }
+
+  /**
+   * Logging context for one handler attempt: every log line written while
+   * handling the event carries these fields
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Handled event
+   * @param {number} attempt - Attempt number
+   * @returns {object} Context fields
+   */
+  getLogContext(handlerInfo, event, attempt) {
+    return {
+      correlationId: event.correlationId,
+      eventId: event.id,
+      eventType: event.type,
+      handler: handlerInfo.name,
+      attempt,
+      // Marks whatever the handler emits as part of the replay (see emit)
+      replay: event.metadata.replay,
+    };
+  }
+
+  /**
+   * Run a handler with its span active, so events it emits join the trace
+   */
+  async runInSpan(span, fn) {
+    if (!span) return fn();
+    return this.tracer.withSpan(span, fn);
+  }
+
+  /**
+   * Record a handler attempt's duration and outcome
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Handled event
+   * @param {bigint} startedAt - process.hrtime.bigint() at the start
+   * @param {string} outcome - success | retry | dead_lettered
+   */
+  recordAttempt(handlerInfo, event, startedAt, outcome) {
+    if (!this.recordMetrics) return;
+
+    const labels = { handler: handlerInfo.metricName, event_type: event.type };
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    metrics.handlerDuration.observe(labels, seconds);
+    metrics.eventsHandled.inc({ ...labels, outcome });
+  }
+
+  /**
+   * Check whether a failed attempt may be retried
+   * Errors can opt out with `error.retryable = false`
+   * @param {object} retryPolicy - Subscription retry policy
+   * @param {Error} error - Error thrown by the handler
+   * @returns {boolean} True if retryable
+   */
+  isRetryable(retryPolicy, error) {
+    if (error?.retryable === false) return false;
+
+    const { retryableErrors } = retryPolicy;
+    if (!retryableErrors || retryableErrors.length === 0) return true;
+
+    return retryableErrors.some((retryable) =>
+      typeof retryable === "string"
+        ? error?.name === retryable
+        : error instanceof retryable
+    );
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {object} retryPolicy - Subscription retry policy
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(retryPolicy, attempt) {
+    const { initialDelay, multiplier, maxDelay, jitter } = retryPolicy;
+    const base = Math.min(
+      maxDelay,
+      initialDelay * Math.pow(multiplier, attempt - 1)
+    );
+    const spread = base * jitter;
+    return Math.max(0, Math.round(base - spread + Math.random() * spread * 2));
+  }
+
+  /**
+   * Record an undeliverable event and publish the failure for monitoring
+   * @param {object} handlerInfo - Subscription
+   * @param {Event} event - Event that failed
+   * @param {Error} error - Last error
+   * @param {number} attempts - Attempts made
+   */
+  deadLetter(handlerInfo, event, error, attempts) {
+    const { id, eventType, name } = handlerInfo;
+
+    const entry = this.deadLetterStore.add({
+      event,
+      subscription: { id, eventType, name },
+      error,
+      attempts,
+    });
+
+    // Failures while handling the failure notifications are only stored,
+    // otherwise a broken error handler would feed itself forever
+    if (FAILURE_EVENT_TYPES.includes(event.type)) return;
+
+    // Emit error events for monitoring (non-blocking)
+    setImmediate(() => {
+      const handlerErrorEvent = new Event({
+        type: "handler.error",
+        data: {
+          originalEvent: event,
+          handlerName: name,
+          error: {
+            message: error.message,
+            stack: error.stack,
+          },
+          attempts,
+          deadLetterId: entry.id,
+        },
+        correlationId: event.correlationId,
+        source: "EventBus",
+      });
+      this.emit(handlerErrorEvent);
+
+      const deadLetteredEvent = new Event({
+        type: "event.dead_lettered",
+        data: {
+          deadLetterId: entry.id,
+          eventId: event.id,
+          eventType: event.type,
+          handlerName: name,
+          attempts,
+          error: error.message,
+        },
+        correlationId: event.correlationId,
+        source: "EventBus",
       });
+      this.emit(deadLetteredEvent);
+    });
+  }
+
+  /**
+   * List dead letters
+   * @param {object} filters - eventType, handlerName, limit
+   * @returns {array} Entries
+   */
+  getDeadLetters(filters = {}) {
+    return this.deadLetterStore.list(filters);
+  }
+
+  /**
+   * Get a dead letter by ID
+   * @param {string} entryId - Dead letter ID
+   * @returns {object|null} Entry
+   */
+  getDeadLetter(entryId) {
+    return this.deadLetterStore.get(entryId);
+  }
+
+  /**
+   * Deliver a dead letter again to the handler that failed it
+   * Falls back to a subscription with the same name and event type when the
+   * original one was re-registered (e.g. after an agent restart). The event
+   * is queued like an emitted one, so the handler's queueLimit and overflow
+   * policy apply
+   * @param {string} entryId - Dead letter ID
+   * @returns {Promise<object>} The re-driven entry, once its queue accepted it
+   */
+  async redriveDeadLetter(entryId) {
+    const entry = this.deadLetterStore.get(entryId);
+    if (!entry) {
+      throw new Error(`Dead letter '${entryId}' not found`);
     }
+
+    const { id, eventType, name } = entry.subscription;
+    const subscriptions = this.listeners.get(eventType) || [];
+    const handlerInfo =
+      subscriptions.find((h) => h.id === id) ||
+      subscriptions.find((h) => h.name === name);
+
+    if (!handlerInfo) {
+      throw new Error(
+        `No subscription '${name}' for '${eventType}' to re-drive dead letter '${entryId}'`
+      );
+    }
+
+    this.deadLetterStore.remove(entryId);
+    entry.redriveCount++;
+
+    await this.enqueue(handlerInfo, entry.event);
+
+    this.logger.info("Re-drove dead letter", {
+      deadLetterId: entryId,
+      eventType: entry.event.type,
+      handler: name,
+    });
+    return entry;
+  }
+
+  /**
+   * Discard a dead letter
+   * @param {string} entryId - Dead letter ID
+   * @returns {boolean} True if discarded
+   */
+  discardDeadLetter(entryId) {
+    return this.deadLetterStore.remove(entryId);
   }
 
   /**
@@ -135,23 +934,72 @@ class EventBus {
    * Get statistics about the event bus
    */
   getStats() {
-    const listenerCount = Array.from(this.listeners.values()).reduce(
-      (total, handlers) => total + handlers.length,
-      0
-    );
+    const handlers = Array.from(this.listeners.values()).flat();
+
+    const handlerStats = handlers.map((handlerInfo) => ({
+      eventType: handlerInfo.eventType,
+      name: handlerInfo.name,
+      metricName: handlerInfo.metricName,
+      queueDepth: handlerInfo.queue.length,
+      active: handlerInfo.active,
+      concurrency: handlerInfo.concurrency,
+      queueLimit: handlerInfo.queueLimit,
+      overflowPolicy: handlerInfo.overflowPolicy,
+      blockedPublishers: handlerInfo.blockedPublishers.length,
+      pendingSpilled: handlerInfo.spilled.length,
+      dropped: handlerInfo.droppedCount,
+      spilled: handlerInfo.spilledCount,
+      blocked: handlerInfo.blockedCount,
+    }));
+
+    const sum = (key) =>
+      handlerStats.reduce((total, stats) => total + stats[key], 0);
 
     return {
-      totalListeners: listenerCount,
-      eventTypes: this.listeners.size,
+      totalListeners: handlers.length,
+      eventTypes: this.listeners.size - this.patterns.size,
+      patternSubscriptions: this.patterns.size,
       historySize: this.eventHistory.length,
+      invalidEvents: this.invalidCount,
+      queuedEvents: sum("queueDepth"),
+      activeHandlers: sum("active"),
+      droppedEvents: sum("dropped"),
+      spilledEvents: sum("spilled"),
+      blockedPublishers: sum("blockedPublishers"),
+      saturated: this.isSaturated(),
+      deadLetters: this.deadLetterStore.getStats(),
+      pendingRequests: this.pendingReplies.size,
+      handlers: handlerStats,
     };
   }
 
+  /**
+   * Whether every subscription has handled everything it was given
+   * (nothing queued, running, spilled or waiting to be admitted)
+   * @returns {boolean} True if idle
+   */
+  isIdle() {
+    return Array.from(this.listeners.values())
+      .flat()
+      .every(
+        (handlerInfo) =>
+          handlerInfo.queue.length === 0 &&
+          handlerInfo.active === 0 &&
+          handlerInfo.spilled.length === 0 &&
+          handlerInfo.blockedPublishers.length === 0 &&
+          !handlerInfo.reloading
+      );
+  }
+
   /**
    * Clear all listeners and history (for testing)
    */
   clear() {
+    for (const requestId of [...this.pendingReplies.keys()]) {
+      this.cancelRequest(requestId, "EventBus cleared");
+    }
     this.listeners.clear();
+    this.patterns.clear();
     this.eventHistory.length = 0;
   }
 }
@@ -1,17 +1,59 @@
+import MemoryEventStorage from "./storage/MemoryEventStorage.js";
+import FileEventStorage from "./storage/FileEventStorage.js";
+import SqliteEventStorage from "./storage/SqliteEventStorage.js";
+import { createLogger } from "../config/logger.js";
+
+const STORAGE_BACKENDS = {
+  memory: MemoryEventStorage,
+  file: FileEventStorage,
+  sqlite: SqliteEventStorage,
+};
+
 /**
  * Event Store - Stores all events for audit trail and replay
- * Currently in-memory implementation (will be replaced by database later)
+ * Persistence is delegated to a pluggable storage backend (memory, file, sqlite)
  */
 class EventStore {
-  constructor() {
-    this.events = []; // All events stored here
-    this.eventsByType = new Map(); // eventType → [events]
-    this.eventsByCorrelation = new Map(); // correlationId → [events]
-    this.maxEvents = 10000; // Prevent memory overflow
+  /**
+   * @param {object} options - Backend name, backend options and:
+   * @param {Logger} options.logger - Logger (default: "EventStore")
+   * @param {number} options.storedEventLogSampleRate - Fraction of
+   *   per-event "Stored event" lines to keep (default 1)
+   */
+  constructor({
+    backend = "memory",
+    logger = null,
+    storedEventLogSampleRate = 1,
+    ...backendOptions
+  } = {}) {
+    const Storage = STORAGE_BACKENDS[backend];
+    if (!Storage) {
+      throw new Error(
+        `Unknown EventStore backend '${backend}' (expected one of: ${Object.keys(
+          STORAGE_BACKENDS
+        ).join(", ")})`
+      );
+    }
+
+    this.backend = backend;
+    this.logger = logger || createLogger("EventStore");
+    this.storage = new Storage({ ...backendOptions, logger: this.logger });
+    this.storedEventLogger = this.logger.sampled(storedEventLogSampleRate);
+  }
+
+  /**
+   * Initialize the storage backend
+   */
+  async initialize() {
+    await this.storage.initialize();
+    this.logger.info("EventStore initialized", { backend: this.backend });
   }
 
   /**
    * Store an event
+   * Events are stored as emitted: spilled events, task rebuilds and replays
+   * need the real values. Redaction happens where events leave the process
+   * (HTTP responses, the event stream, logs and the audit trail)
    * @param {object} event - Event to store
    */
   async store(event) {
@@ -22,29 +64,12 @@ class EventStore {
       version: 1,
     };
 
-    // Store in main events array
-    this.events.push(storedEvent);
-
-    // Index by event type
-    if (!this.eventsByType.has(event.type)) {
-      this.eventsByType.set(event.type, []);
-    }
-    this.eventsByType.get(event.type).push(storedEvent);
-
-    // Index by correlation ID
-    if (event.correlationId) {
-      if (!this.eventsByCorrelation.has(event.correlationId)) {
-        this.eventsByCorrelation.set(event.correlationId, []);
-      }
-      this.eventsByCorrelation.get(event.correlationId).push(storedEvent);
-    }
+    await this.storage.append(storedEvent);
 
-    // Cleanup old events if needed
-    this.cleanupOldEvents();
-
-    console.log(
-      `💾 EventStore: Stored event '${event.type}' with ID: ${event.id}`
-    );
+    this.storedEventLogger.info("Stored event", {
+      eventType: event.type,
+      eventId: event.id,
+    });
   }
 
   /**
@@ -53,40 +78,7 @@ class EventStore {
    * @returns {array} Events
    */
   async getEvents(filters = {}) {
-    let events = [...this.events];
-
-    // Apply filters
-    if (filters.type) {
-      events = this.eventsByType.get(filters.type) || [];
-    }
-
-    if (filters.correlationId) {
-      events = this.eventsByCorrelation.get(filters.correlationId) || [];
-    }
-
-    if (filters.since) {
-      const sinceTime = new Date(filters.since).getTime();
-      events = events.filter((event) => event.timestamp >= sinceTime);
-    }
-
-    if (filters.until) {
-      const untilTime = new Date(filters.until).getTime();
-      events = events.filter((event) => event.timestamp <= untilTime);
-    }
-
-    if (filters.source) {
-      events = events.filter((event) => event.source === filters.source);
-    }
-
-    // Sort by timestamp (newest first)
-    events.sort((a, b) => b.timestamp - a.timestamp);
-
-    // Apply limit
-    if (filters.limit) {
-      events = events.slice(0, filters.limit);
-    }
-
-    return events;
+    return this.storage.query(filters);
   }
 
   /**
@@ -108,6 +100,15 @@ class EventStore {
     return this.getEvents({ correlationId });
   }
 
+  /**
+   * Get events that name a task in their data (data.taskId)
+   * @param {string} taskId - Task ID
+   * @returns {array} Events
+   */
+  async getEventsByTask(taskId) {
+    return this.getEvents({ taskId });
+  }
+
   /**
    * Get recent events
    * @param {number} minutes - Number of minutes back
@@ -125,7 +126,7 @@ class EventStore {
    * @returns {object|null} Event or null if not found
    */
   async getEventById(eventId) {
-    return this.events.find((event) => event.id === eventId) || null;
+    return this.storage.findById(eventId);
   }
 
   /**
@@ -133,23 +134,7 @@ class EventStore {
    * @returns {object} Statistics
    */
   getStatistics() {
-    const eventTypeStats = {};
-
-    for (const [eventType, events] of this.eventsByType) {
-      eventTypeStats[eventType] = {
-        count: events.length,
-        lastEvent: events[events.length - 1]?.timestamp,
-      };
-    }
-
-    return {
-      totalEvents: this.events.length,
-      eventTypes: this.eventsByType.size,
-      correlationIds: this.eventsByCorrelation.size,
-      eventTypeStats,
-      oldestEvent: this.events[0]?.timestamp,
-      newestEvent: this.events[this.events.length - 1]?.timestamp,
-    };
+    return this.storage.getStatistics();
   }
 
   /**
@@ -158,7 +143,7 @@ class EventStore {
    * @returns {array} Event stream with timeline
    */
   async getEventStream(correlationId) {
-    const events = this.getEventsByCorrelation(correlationId);
+    const events = await this.getEventsByCorrelation(correlationId);
 
     // Sort by timestamp
     events.sort((a, b) => a.timestamp - b.timestamp);
@@ -194,72 +179,29 @@ class EventStore {
    */
   async searchEvents(searchText, limit = 50) {
     const searchLower = searchText.toLowerCase();
+    const events = await this.getEvents();
 
-    const matchingEvents = this.events.filter((event) => {
+    // Events come back newest first, so the slice keeps the most relevant
+    const matchingEvents = events.filter((event) => {
       const eventJson = JSON.stringify(event).toLowerCase();
       return eventJson.includes(searchLower);
     });
 
-    // Sort by relevance (newest first)
-    matchingEvents.sort((a, b) => b.timestamp - a.timestamp);
-
     return matchingEvents.slice(0, limit);
   }
 
   /**
-   * Clean up old events to prevent memory overflow
+   * Clear all events (for testing)
    */
-  cleanupOldEvents() {
-    if (this.events.length <= this.maxEvents) {
-      return;
-    }
-
-    // Keep only the newest events
-    const eventsToRemove = this.events.length - this.maxEvents;
-    const removedEvents = this.events.splice(0, eventsToRemove);
-
-    // Update indexes
-    for (const event of removedEvents) {
-      // Remove from type index
-      if (this.eventsByType.has(event.type)) {
-        const typeEvents = this.eventsByType.get(event.type);
-        const index = typeEvents.findIndex((e) => e.id === event.id);
-        if (index >= 0) {
-          typeEvents.splice(index, 1);
-        }
-        if (typeEvents.length === 0) {
-          this.eventsByType.delete(event.type);
-        }
-      }
-
-      // Remove from correlation index
-      if (
-        event.correlationId &&
-        this.eventsByCorrelation.has(event.correlationId)
-      ) {
-        const correlationEvents = this.eventsByCorrelation.get(
-          event.correlationId
-        );
-        const index = correlationEvents.findIndex((e) => e.id === event.id);
-        if (index >= 0) {
-          correlationEvents.splice(index, 1);
-        }
-        if (correlationEvents.length === 0) {
-          this.eventsByCorrelation.delete(event.correlationId);
-        }
-      }
-    }
-
-    console.log(`🧹 EventStore: Removed ${eventsToRemove} old events`);
+  async clear() {
+    await this.storage.clear();
   }
 
   /**
-   * Clear all events (for testing)
+   * Close the storage backend
    */
-  clear() {
-    this.events.length = 0;
-    this.eventsByType.clear();
-    this.eventsByCorrelation.clear();
+  async close() {
+    await this.storage.close();
   }
 
   /**
@@ -268,7 +210,7 @@ class EventStore {
    * @returns {object} Export data
    */
   async exportEvents(filters = {}) {
-    const events = this.getEvents(filters);
+    const events = await this.getEvents(filters);
     const stats = this.getStatistics();
 
     return {
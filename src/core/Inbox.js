@@ -0,0 +1,161 @@
+import MemoryInboxStore from "./inbox/MemoryInboxStore.js";
+import FileInboxStore from "./inbox/FileInboxStore.js";
+import { createLogger } from "../config/logger.js";
+
+const INBOX_BACKENDS = {
+  memory: MemoryInboxStore,
+  file: FileInboxStore,
+};
+
+/**
+ * Inbox - Deduplicates incoming RabbitMQ messages
+ * A message is identified by a business key from its payload (keyField)
+ * when configured and present, otherwise by its AMQP messageId. Keys are
+ * remembered for ttl ms in a pluggable store (memory, file)
+ */
+class Inbox {
+  /**
+   * @param {object} options - Backend name, backend options and:
+   * @param {number} options.ttl - How long keys are remembered (ms)
+   * @param {string} options.keyField - Dotted path of the business key in
+   *   the payload (e.g. "submissionId"); messageId is used if unset
+   * @param {number} options.purgeInterval - Expired key sweep interval (ms)
+   * @param {Logger} options.logger - Logger (default: "Inbox")
+   */
+  constructor({
+    backend = "memory",
+    ttl = 86400000,
+    keyField = null,
+    purgeInterval = 60000,
+    logger = null,
+    ...backendOptions
+  } = {}) {
+    const Store = INBOX_BACKENDS[backend];
+    if (!Store) {
+      throw new Error(
+        `Unknown Inbox backend '${backend}' (expected one of: ${Object.keys(
+          INBOX_BACKENDS
+        ).join(", ")})`
+      );
+    }
+
+    this.backend = backend;
+    this.ttl = ttl;
+    this.keyField = keyField || null;
+    this.purgeInterval = purgeInterval;
+    this.logger = logger || createLogger("Inbox");
+    this.store = new Store({ ...backendOptions, logger: this.logger });
+    this.purgeTimer = null;
+
+    this.claimed = 0;
+    this.duplicates = 0;
+    this.unkeyed = 0; // Messages without any key (never deduplicated)
+  }
+
+  /**
+   * Load the store and start sweeping expired keys
+   */
+  async initialize() {
+    await this.store.initialize();
+
+    this.purgeTimer = setInterval(() => {
+      this.store.purgeExpired().catch((error) => {
+        this.logger.error("Failed to purge expired inbox keys", {
+          error: error.message,
+        });
+      });
+    }, this.purgeInterval);
+    this.purgeTimer.unref();
+
+    this.logger.info("Inbox initialized", {
+      backend: this.backend,
+      ttl: this.ttl,
+      keyField: this.keyField,
+    });
+  }
+
+  /**
+   * Deduplication key of a message
+   * @param {object} payload - Parsed message body
+   * @param {object} properties - AMQP message properties
+   * @returns {object|null} { key, source } or null if the message has none
+   */
+  getKey(payload, properties = {}) {
+    if (this.keyField) {
+      const value = this.keyField
+        .split(".")
+        .reduce((current, part) => current?.[part], payload);
+
+      if (value !== undefined && value !== null && value !== "") {
+        return { key: `${this.keyField}:${value}`, source: this.keyField };
+      }
+    }
+
+    if (properties.messageId) {
+      return { key: `messageId:${properties.messageId}`, source: "messageId" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Claim a message for processing
+   * @param {object} payload - Parsed message body
+   * @param {object} properties - AMQP message properties
+   * @returns {Promise<object>} { duplicate, key, source }; key is null for
+   *   messages that cannot be deduplicated
+   */
+  async claim(payload, properties) {
+    const identity = this.getKey(payload, properties);
+    if (!identity) {
+      this.unkeyed++;
+      return { duplicate: false, key: null, source: null };
+    }
+
+    const claimed = await this.store.claim(identity.key, Date.now() + this.ttl);
+    if (claimed) {
+      this.claimed++;
+    } else {
+      this.duplicates++;
+    }
+
+    return { duplicate: !claimed, ...identity };
+  }
+
+  /**
+   * Forget a claimed key so a redelivery is processed again
+   * @param {string} key - Key returned by claim
+   */
+  async release(key) {
+    if (!key) return;
+    await this.store.release(key);
+  }
+
+  /**
+   * Get inbox statistics
+   * @returns {object} Statistics
+   */
+  getStatistics() {
+    return {
+      ...this.store.getStatistics(),
+      ttl: this.ttl,
+      keyField: this.keyField,
+      claimed: this.claimed,
+      duplicates: this.duplicates,
+      unkeyed: this.unkeyed,
+    };
+  }
+
+  /**
+   * Stop sweeping and close the store
+   */
+  async close() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+    await this.store.close();
+  }
+}
+
+export default Inbox;
@@ -1,13 +1,28 @@
 import rabbitMQConnection from "../events/connection.js";
 import Event from "./Event.js";
+import { createLogger } from "../config/logger.js";
+import {
+  QUEUES,
+  MESSAGE_HEADERS,
+  getConsumers,
+} from "../config/topology.js";
 
 /**
  * Message Broker - Bridge between EventBus and RabbitMQ
  * Handles external communication and event translation
+ * Outgoing messages go through the outbox; the relay reports back whether
+ * they were confirmed (matching.request.sent) or given up on
  */
 class MessageBroker {
-  constructor(eventBus) {
+  constructor(
+    eventBus,
+    { logger = null, outbox, outboxRelay, inbox = null } = {}
+  ) {
     this.eventBus = eventBus;
+    this.logger = logger || createLogger("MessageBroker");
+    this.outbox = outbox;
+    this.outboxRelay = outboxRelay;
+    this.inbox = inbox; // Deduplicates form submissions when set
     this.connection = rabbitMQConnection;
     this.isConnected = false;
     this.subscriptions = new Map();
@@ -22,8 +37,10 @@ class MessageBroker {
       this.isConnected = true;
 
       this.setupEventListeners();
+      this.setupOutboxListeners();
+      this.setupConnectionListeners();
     } catch (error) {
-      console.error("❌ MessageBroker: Failed to initialize:", error.message);
+      this.logger.error("Failed to initialize", { error: error.message });
       throw error;
     }
   }
@@ -37,125 +54,170 @@ class MessageBroker {
   }
 
   /**
-   * Start consuming from RabbitMQ queues
+   * Translate relay outcomes back into events
    */
-  async startConsuming() {
-    try {
-      await this.consumeFromQueue(
-        "matching-response-channel",
-        "assign.agent.reply.queue",
-        this.handleExternalResponse.bind(this)
-      );
+  setupOutboxListeners() {
+    this.outboxRelay.on("sent", (entry) => {
+      if (entry.type !== "matching.request") return;
+
+      const matchingRequestSentEvent = new Event({
+        type: "matching.request.sent",
+        data: { correlationId: entry.correlationId, timestamp: Date.now() },
+        correlationId: entry.correlationId,
+        source: "MessageBroker",
+        metadata: { requestId: entry.options?.messageId },
+      });
+      this.eventBus.emit(matchingRequestSentEvent);
+    });
+
+    this.outboxRelay.on("failed", (entry, error) => {
+      if (entry.type === "matching.request") {
+        this.emitMatchingRequestFailed(
+          entry.options?.messageId,
+          entry.correlationId,
+          error,
+          entry.content
+        );
+      } else {
+        this.emitExternalPublishError(error, {
+          exchange: entry.exchange,
+          routingKey: entry.routingKey,
+          message: entry.content,
+          options: entry.options,
+        });
+      }
+    });
+  }
 
-      await this.consumeFromQueue(
-        "form-consumer-channel",
-        "form_submission_queue",
-        this.handleFormSubmission.bind(this)
+  /**
+   * Announce connection changes on the bus
+   */
+  setupConnectionListeners() {
+    this.onConnected = ({ reconnected, attempts, downtimeMs }) => {
+      this.eventBus.emit(
+        new Event({
+          type: "broker.connected",
+          data: {
+            reconnected,
+            attempts,
+            downtimeMs,
+            connectedAt: new Date().toISOString(),
+          },
+          source: "MessageBroker",
+        })
       );
+    };
 
-      console.log("🎧 MessageBroker: Started consuming from RabbitMQ queues");
-    } catch (error) {
-      console.error(
-        "❌ MessageBroker: Failed to start consuming:",
-        error.message
+    this.onDisconnected = ({ reason }) => {
+      this.eventBus.emit(
+        new Event({
+          type: "broker.disconnected",
+          data: { reason, disconnectedAt: new Date().toISOString() },
+          source: "MessageBroker",
+        })
       );
-      throw error;
-    }
+    };
+
+    this.connection.on("connected", this.onConnected);
+    this.connection.on("disconnected", this.onDisconnected);
   }
 
   /**
-   * Consume from a RabbitMQ queue
-   * @param {string} channelName - RabbitMQ channel name
-   * @param {string} queueName - Queue name
-   * @param {function} handler - Message handler function
+   * Start the topology's MessageBroker consumers
    */
-  async consumeFromQueue(channelName, queueName, handler) {
-    const consumerTag = await this.connection.consume(
-      channelName,
-      queueName,
-      handler,
-      { prefetch: 10 }
-    );
-
-    this.subscriptions.set(queueName, { channelName, consumerTag });
+  async startConsuming() {
+    try {
+      for (const consumer of getConsumers("MessageBroker")) {
+        // Restarted by the connection after every reconnect
+        const consumerId = await this.connection.startConsumer(consumer, this);
+        this.subscriptions.set(consumer.queue, {
+          channelName: consumer.channel,
+          consumerId,
+        });
+      }
+
+      this.logger.info("Started consuming from RabbitMQ queues");
+    } catch (error) {
+      this.logger.error("Failed to start consuming", { error: error.message });
+      throw error;
+    }
   }
 
   /**
-   * Publish to RabbitMQ queue
-   * @param {string} channelName - Channel name
-   * @param {string} exchange - Exchange name
-   * @param {string} routingKey - Routing key
-   * @param {object} message - Message data
-   * @param {object} options - Publish options
+   * Queue a message for RabbitMQ
+   * It is persisted in the outbox and published by the relay
+   * @param {object} message - Outbox message (exchange, routingKey, content, options, type, correlationId, expiresAt)
+   * @returns {Promise<object>} Outbox entry
    */
-  async publishToQueue(
-    channelName,
-    exchange,
-    routingKey,
-    message,
-    options = {}
-  ) {
+  async publishToQueue(message) {
     if (!this.isConnected) {
       throw new Error("MessageBroker not connected to RabbitMQ");
     }
 
     try {
-      await this.connection.publish(
-        channelName,
-        exchange,
-        routingKey,
-        message,
-        options
-      );
+      return await this.outbox.enqueue(message);
     } catch (error) {
-      console.error("❌ MessageBroker: Failed to publish:", error.message);
+      this.logger.error("Failed to queue message", {
+        exchange: message.exchange,
+        routingKey: message.routingKey,
+        error: error.message,
+      });
       throw error;
     }
   }
 
   /**
    * Handle matching requests (internal → external)
+   * matching.request.sent is emitted once RabbitMQ confirms the message.
+   * The AMQP correlationId/messageId is the request id (the event id), which
+   * the engine echoes back; the flow's correlationId travels in a header
    * @param {object} event - Event data
    */
   async handleMatchingRequest(event) {
-    const { correlationId, data } = event;
-    try {
-      await this.publishToQueue(
-        "matching-channel",
-        "",
-        "matching.request.queue",
-        data,
-        {
-          correlationId,
-          replyTo: "assign.agent.reply.queue",
-          messageId: correlationId,
-        }
-      );
+    const { id: requestId, correlationId, data } = event;
 
-      const matchingRequestSentEvent = new Event({
-        type: "matching.request.sent",
-        data: { correlationId, timestamp: Date.now() },
+    // Never let a replay reach the real matching engine
+    if (event.isReplay()) return;
+
+    try {
+      await this.publishToQueue({
+        type: "matching.request",
         correlationId,
-        source: "MessageBroker",
+        exchange: "",
+        routingKey: QUEUES.MATCHING_REQUEST,
+        content: data,
+        options: {
+          correlationId: requestId,
+          replyTo: QUEUES.MATCHING_REPLY,
+          messageId: requestId,
+          headers: { [MESSAGE_HEADERS.CORRELATION_ID]: correlationId },
+          // Without the queue the request would be silently dropped
+          mandatory: true,
+        },
+        // Nobody waits for the reply after this
+        expiresAt: event.metadata.expiresAt || null,
       });
-
-      this.eventBus.emit(matchingRequestSentEvent);
     } catch (error) {
-      console.error(
-        "❌ MessageBroker: Failed to send matching request:",
-        error.message
-      );
+      this.emitMatchingRequestFailed(requestId, correlationId, error, data);
+    }
+  }
 
-      // Emit error event
-      const matchingRequestFailedEvent = new Event({
-        type: "matching.request.failed",
-        data: { correlationId, error: error.message, originalData: data },
-        correlationId,
-        source: "MessageBroker",
-      });
+  emitMatchingRequestFailed(requestId, correlationId, error, originalData) {
+    this.logger.error("Failed to send matching request", {
+      requestId,
+      correlationId,
+      error: error.message,
+    });
 
-      this.eventBus.emit(matchingRequestFailedEvent);
-    }
+    const matchingRequestFailedEvent = new Event({
+      type: "matching.request.failed",
+      data: { correlationId, error: error.message, originalData },
+      correlationId,
+      source: "MessageBroker",
+      metadata: { requestId },
+    });
+
+    this.eventBus.emit(matchingRequestFailedEvent);
   }
 
   /**
@@ -165,7 +227,12 @@ class MessageBroker {
    * @param {object} channel - RabbitMQ channel
    */
   async handleExternalResponse(message, msg, channel) {
-    const correlationId = msg.properties.correlationId;
+    // The AMQP correlationId names the request; the header names the flow
+    const requestId = msg.properties.correlationId;
+    const correlationId =
+      msg.properties.headers?.[MESSAGE_HEADERS.CORRELATION_ID] ||
+      this.eventBus.getPendingRequest(requestId)?.correlationId ||
+      requestId;
 
     try {
       const responseData =
@@ -176,13 +243,13 @@ class MessageBroker {
         data: { ...responseData },
         correlationId,
         source: "MessageBroker",
+        metadata: { requestId },
       });
       this.eventBus.emit(matchingResponseEvent);
     } catch (error) {
-      console.error(
-        "❌ MessageBroker: Failed to handle external response:",
-        error.message
-      );
+      this.logger.error("Failed to handle external response", {
+        error: error.message,
+      });
 
       // Emit error event
       const externalResponseErrorEvent = new Event({
@@ -201,6 +268,7 @@ class MessageBroker {
 
   /**
    * Handle form submissions (external → internal)
+   * Redeliveries of an already processed submission are acked and dropped
    * @param {object} message - Form submission data
    * @param {object} msg - Raw message object
    * @param {object} channel - RabbitMQ channel
@@ -214,7 +282,68 @@ class MessageBroker {
       data: formData,
       source: "MessageBroker",
     });
-    this.eventBus.emit(formSubmittedEvent);
+
+    const { valid, errors } = this.eventBus.validate(formSubmittedEvent);
+    if (!valid) {
+      this.eventBus.reportInvalid(formSubmittedEvent, errors);
+
+      // Throwing nacks the delivery; retrying cannot fix it, so it goes
+      // straight to the dead letter queue
+      const error = new Error(
+        `Invalid form submission: ${errors.map((e) => e.message).join("; ")}`
+      );
+      error.retryable = false;
+      throw error;
+    }
+
+    const claim = this.inbox
+      ? await this.inbox.claim(formData, msg.properties)
+      : null;
+
+    if (claim?.duplicate) {
+      this.reportDuplicate(claim, msg, QUEUES.FORM_SUBMISSION);
+      return; // Returning acks the delivery
+    }
+
+    try {
+      // Hold the ack while the bus is saturated so RabbitMQ stops delivering
+      // once the prefetch window is full
+      await this.eventBus.waitForCapacity(formSubmittedEvent.type);
+      await this.eventBus.emit(formSubmittedEvent);
+    } catch (error) {
+      // Not processed, so a redelivery must not count as a duplicate
+      await this.inbox?.release(claim?.key);
+      throw error;
+    }
+  }
+
+  /**
+   * Emit inbox.duplicate for a dropped redelivery
+   * @param {object} claim - Inbox claim ({ key, source })
+   * @param {object} msg - Raw message object
+   * @param {string} queueName - Queue the message came from
+   */
+  reportDuplicate(claim, msg, queueName) {
+    this.logger.info("Dropped duplicate message", {
+      queue: queueName,
+      key: claim.key,
+      redelivered: msg.fields.redelivered,
+    });
+
+    const duplicateEvent = new Event({
+      type: "inbox.duplicate",
+      data: {
+        queue: queueName,
+        key: claim.key,
+        keySource: claim.source,
+        messageId: msg.properties.messageId,
+        redelivered: Boolean(msg.fields.redelivered),
+        droppedAt: new Date().toISOString(),
+      },
+      correlationId: msg.properties.correlationId,
+      source: "MessageBroker",
+    });
+    this.eventBus.emit(duplicateEvent);
   }
 
   /**
@@ -224,33 +353,40 @@ class MessageBroker {
   async handleExternalPublish(event) {
     const { exchange, routingKey, message, options } = event.data;
 
+    if (event.isReplay()) return;
+
     try {
-      await this.publishToQueue(
-        "external-publish-channel",
-        exchange || "",
+      await this.publishToQueue({
+        type: "external.publish",
+        correlationId: event.correlationId,
+        exchange: exchange || "",
         routingKey,
-        message,
-        options || {}
-      );
-    } catch (error) {
-      console.error(
-        "❌ MessageBroker: Failed to publish external message:",
-        error.message
-      );
-
-      // Emit error event
-      const externalPublishErrorEvent = new Event({
-        type: "external.publish.error",
-        data: {
-          error: error.message,
-          originalData: event.data,
-        },
-        source: "MessageBroker",
+        content: message,
+        options: options || {},
       });
-      this.eventBus.emit(externalPublishErrorEvent);
+    } catch (error) {
+      this.emitExternalPublishError(error, event.data);
     }
   }
 
+  emitExternalPublishError(error, originalData) {
+    this.logger.error("Failed to publish external message", {
+      routingKey: originalData?.routingKey,
+      error: error.message,
+    });
+
+    // Emit error event
+    const externalPublishErrorEvent = new Event({
+      type: "external.publish.error",
+      data: {
+        error: error.message,
+        originalData,
+      },
+      source: "MessageBroker",
+    });
+    this.eventBus.emit(externalPublishErrorEvent);
+  }
+
   /**
    * Publish event externally (convenience method)
    * @param {string} routingKey - Routing key
@@ -273,9 +409,14 @@ class MessageBroker {
   getStats() {
     return {
       isConnected: this.isConnected,
+      connection: this.connection.getStatus(),
       activeSubscriptions: this.subscriptions.size,
       subscriptions: Array.from(this.subscriptions.keys()),
       publishChannels: this.publishChannels.size,
+      outbox: this.outbox.getStats(),
+      outboxRelay: this.outboxRelay.getStats(),
+      inbox: this.inbox?.getStatistics() || null,
+      topology: this.connection.getTopologyStatus(),
     };
   }
 
@@ -285,16 +426,17 @@ class MessageBroker {
   async stop() {
     try {
       // Stop all consumers
-      for (const [queueName, { channelName, consumerTag }] of this
-        .subscriptions) {
-        await this.connection.cancelConsumer(channelName, consumerTag);
+      for (const { channelName, consumerId } of this.subscriptions.values()) {
+        await this.connection.cancelConsumer(channelName, consumerId);
       }
 
+      this.connection.off("connected", this.onConnected);
+      this.connection.off("disconnected", this.onDisconnected);
       this.subscriptions.clear();
       this.publishChannels.clear();
       this.isConnected = false;
     } catch (error) {
-      console.error("❌ MessageBroker: Error during stop:", error.message);
+      this.logger.error("Error during stop", { error: error.message });
     }
   }
 
@@ -303,10 +445,23 @@ class MessageBroker {
    * @returns {object} Health status
    */
   async healthCheck() {
+    const connection = this.connection.getStatus();
+
+    // Degraded: still accepting work (the outbox holds publishes) but not
+    // consuming until RabbitMQ is back
+    let status = "healthy";
+    if (!this.isConnected) {
+      status = "disconnected";
+    } else if (!connection.connected) {
+      status = "degraded";
+    }
+
     return {
       component: "MessageBroker",
-      status: this.isConnected ? "healthy" : "disconnected",
+      status,
+      connection,
       subscriptions: this.subscriptions.size,
+      outboxPending: this.outbox.getStats().pending,
       timestamp: new Date().toISOString(),
     };
   }
@@ -0,0 +1,286 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { EventEmitter } from "events";
+import { v4 as uuidv4 } from "uuid";
+import { createLogger } from "../config/logger.js";
+import { tracer } from "../config/tracing.js";
+
+const OUTBOX_BACKENDS = ["memory", "file"];
+
+/**
+ * Outbox - Outgoing RabbitMQ messages, persisted before they are published
+ * An OutboxRelay publishes pending entries and marks them sent or failed.
+ * With the file backend every change is appended to a JSON lines log at
+ * filePath that is replayed (and compacted) on startup, so nothing queued is
+ * lost on restart. The memory backend keeps the outbox in memory only
+ *
+ * Emits "enqueued" (entry) whenever a message is added
+ */
+class Outbox extends EventEmitter {
+  constructor({
+    backend = "memory",
+    filePath = "data/outbox.log",
+    compactThreshold = 1000,
+    logger = null,
+  } = {}) {
+    super();
+    if (!OUTBOX_BACKENDS.includes(backend)) {
+      throw new Error(
+        `Unknown Outbox backend '${backend}' (expected one of: ${OUTBOX_BACKENDS.join(", ")})`
+      );
+    }
+
+    this.backend = backend;
+    // The log; null keeps the outbox in memory
+    this.filePath = backend === "file" ? filePath : null;
+    this.compactThreshold = compactThreshold; // Log lines before compaction
+    this.logger = logger || createLogger("Outbox");
+
+    this.entries = new Map(); // id → pending entry, in insertion order
+    this.writeQueue = Promise.resolve(); // Serializes appends to the log
+    this.logLines = 0;
+
+    this.sentCount = 0;
+    this.failedCount = 0;
+    this.recentFailures = []; // Last failed entries, for inspection
+    this.maxRecentFailures = 50;
+  }
+
+  /**
+   * Load pending entries from the log and compact it
+   */
+  async initialize() {
+    if (!this.filePath) return;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(this.filePath, { encoding: "utf8" }),
+        crlfDelay: Infinity,
+      });
+
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const { op, entry, id } = JSON.parse(line);
+          if (op === "put") {
+            this.entries.set(entry.id, entry);
+          } else {
+            this.entries.delete(id);
+          }
+        } catch (error) {
+          // A torn write at the end of the log should not block startup
+        }
+      }
+    }
+
+    await this.compact();
+
+    this.logger.info("Outbox loaded", {
+      backend: this.backend,
+      filePath: this.filePath,
+      pending: this.entries.size,
+    });
+  }
+
+  /**
+   * Persist a message to publish
+   * @param {object} message - Message to publish
+   * @param {string} message.exchange - Exchange ("" for the default exchange)
+   * @param {string} message.routingKey - Routing key (queue name on "")
+   * @param {*} message.content - Message body (JSON-serializable)
+   * @param {object} message.options - amqplib publish options
+   * @param {string} message.type - What the message is (e.g. "matching.request")
+   * @param {string} message.correlationId - Correlation ID of the flow
+   * @param {number} message.expiresAt - Give up after this time (ms epoch)
+   * @returns {Promise<object>} Outbox entry, once persisted
+   */
+  async enqueue({
+    exchange = "",
+    routingKey,
+    content,
+    options = {},
+    type = null,
+    correlationId = null,
+    expiresAt = null,
+  }) {
+    const entry = {
+      id: uuidv4(),
+      type,
+      correlationId,
+      exchange,
+      routingKey,
+      content,
+      options,
+      traceparent: tracer.getTraceparent() || null, // Publish in this trace
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      expiresAt,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.entries.set(entry.id, entry);
+    await this.append({ op: "put", entry });
+
+    this.emit("enqueued", entry);
+    return entry;
+  }
+
+  /**
+   * Pending entries, oldest first
+   * @param {object} options - { dueOnly: skip entries waiting for a retry }
+   * @returns {array} Entries
+   */
+  getPending({ dueOnly = false } = {}) {
+    const now = Date.now();
+    const pending = Array.from(this.entries.values());
+    return dueOnly
+      ? pending.filter((entry) => entry.nextAttemptAt <= now)
+      : pending;
+  }
+
+  /**
+   * Earliest scheduled retry
+   * @returns {number|null} Time (ms epoch), or null if nothing is pending
+   */
+  getNextAttemptAt() {
+    let next = null;
+    for (const entry of this.entries.values()) {
+      if (next === null || entry.nextAttemptAt < next) {
+        next = entry.nextAttemptAt;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   * @param {string} id - Entry ID
+   * @param {string} error - Error message
+   * @param {number} nextAttemptAt - When to try again (ms epoch)
+   * @param {object} options - { countAttempt: false when the broker never
+   *   got to reject the message, e.g. the connection was down }
+   */
+  async markRetry(id, error, nextAttemptAt, { countAttempt = true } = {}) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    if (countAttempt) entry.attempts++;
+    entry.lastError = error;
+    entry.nextAttemptAt = nextAttemptAt;
+    await this.append({ op: "put", entry });
+  }
+
+  /**
+   * The broker confirmed the message
+   * @param {string} id - Entry ID
+   */
+  async markSent(id) {
+    if (!this.entries.delete(id)) return;
+
+    this.sentCount++;
+    await this.append({ op: "delete", id });
+  }
+
+  /**
+   * Give up on a message (retries exhausted or expired)
+   * @param {string} id - Entry ID
+   * @param {string} error - Why it was given up
+   */
+  async markFailed(id, error) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    this.entries.delete(id);
+    this.failedCount++;
+
+    this.recentFailures.push({
+      ...entry,
+      lastError: error,
+      failedAt: new Date().toISOString(),
+    });
+    if (this.recentFailures.length > this.maxRecentFailures) {
+      this.recentFailures.shift();
+    }
+
+    await this.append({ op: "delete", id });
+  }
+
+  async append(record) {
+    if (!this.filePath) return;
+
+    this.logLines++;
+    const line = JSON.stringify(record) + "\n";
+    await this.enqueueWrite(() => fs.promises.appendFile(this.filePath, line));
+
+    // Most of the log is sent entries; rewrite it once it grows
+    if (this.logLines >= this.compactThreshold) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the log with only the pending entries
+   */
+  async compact() {
+    if (!this.filePath) return;
+
+    await this.enqueueWrite(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      const lines = Array.from(this.entries.values())
+        .map((entry) => JSON.stringify({ op: "put", entry }) + "\n")
+        .join("");
+
+      await fs.promises.writeFile(tmpPath, lines);
+      await fs.promises.rename(tmpPath, this.filePath);
+      this.logLines = this.entries.size;
+    });
+  }
+
+  /**
+   * Run a write after all previously queued writes
+   * A failed write rejects its caller but does not block later writes
+   * @param {function} write - Function returning a promise
+   */
+  async enqueueWrite(write) {
+    const pending = this.writeQueue.then(write);
+    this.writeQueue = pending.catch(() => {});
+    return pending;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Get outbox statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const oldest = this.entries.values().next().value;
+    return {
+      backend: this.backend,
+      pending: this.entries.size,
+      sent: this.sentCount,
+      failed: this.failedCount,
+      oldestPendingAt: oldest?.createdAt || null,
+      recentFailures: this.recentFailures.slice(-10).map((entry) => ({
+        id: entry.id,
+        type: entry.type,
+        correlationId: entry.correlationId,
+        routingKey: entry.routingKey,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        failedAt: entry.failedAt,
+      })),
+    };
+  }
+}
+
+export default Outbox;
@@ -0,0 +1,273 @@
+import { EventEmitter } from "events";
+import { createLogger } from "../config/logger.js";
+import { runWithContext } from "../config/requestContext.js";
+import { CHANNELS } from "../config/topology.js";
+
+// Publish failures where the broker itself refused the message. Only these
+// count toward maxAttempts; anything else (connection down, channel closed,
+// no confirm in time) is retried without using up attempts
+const BROKER_REJECTIONS = ["NACKED", "UNROUTABLE"];
+
+/**
+ * Outbox Relay - Publishes outbox entries to RabbitMQ with publisher confirms
+ * Entries are published one at a time, oldest first. A publish the broker
+ * nacks or returns is retried with exponential backoff (plus jitter) until
+ * maxAttempts or the entry's expiresAt. Nothing is attempted while the
+ * connection is down, and a reconnect drains everything still pending at once
+ *
+ * Emits "sent" (entry) and "failed" (entry, error)
+ */
+class OutboxRelay extends EventEmitter {
+  constructor(
+    outbox,
+    connection,
+    {
+      channelName = CHANNELS.OUTBOX_RELAY,
+      initialDelay = 1000,
+      multiplier = 2,
+      maxDelay = 30000,
+      jitter = 0.2,
+      maxAttempts = 10,
+      logger = null,
+    } = {}
+  ) {
+    super();
+    this.outbox = outbox;
+    this.connection = connection;
+    this.channelName = channelName;
+    this.initialDelay = initialDelay;
+    this.multiplier = multiplier;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter; // ± fraction of the delay
+    this.maxAttempts = maxAttempts;
+    this.logger = logger || createLogger("OutboxRelay");
+
+    this.running = false;
+    this.draining = false;
+    this.drainRequested = false;
+    this.forceNext = false; // Next drain ignores retry schedules
+    this.retryTimer = null;
+
+    this.onConnected = () => this.requestDrain({ force: true });
+    this.onEnqueued = () => this.requestDrain();
+  }
+
+  /**
+   * Start relaying (drains what was left over from the last run)
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.connection.on("connected", this.onConnected);
+    this.outbox.on("enqueued", this.onEnqueued);
+
+    this.requestDrain();
+  }
+
+  /**
+   * Stop relaying; pending entries stay in the outbox
+   */
+  async stop() {
+    this.running = false;
+    this.connection.off("connected", this.onConnected);
+    this.outbox.off("enqueued", this.onEnqueued);
+    this.clearRetryTimer();
+
+    // Let an in-flight publish settle before the outbox is closed
+    while (this.draining) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Ask for a drain; a running drain picks the request up when it finishes
+   * @param {object} options - { force: ignore retry schedules }
+   */
+  requestDrain({ force = false } = {}) {
+    if (!this.running) return;
+
+    if (force) this.forceNext = true;
+    if (this.draining) {
+      this.drainRequested = true;
+      return;
+    }
+
+    this.drain().catch((error) => {
+      this.logger.error("Outbox drain failed", { error: error.message });
+    });
+  }
+
+  async drain() {
+    this.draining = true;
+    this.clearRetryTimer();
+
+    try {
+      do {
+        this.drainRequested = false;
+        const force = this.forceNext;
+        this.forceNext = false;
+
+        for (const entry of this.outbox.getPending({ dueOnly: !force })) {
+          if (!this.running) return;
+          // The "connected" listener drains again once it is back
+          if (!this.connection.isConnected()) break;
+
+          // Stop at the first failure; the rest would most likely fail too
+          const published = await this.relay(entry);
+          if (!published) break;
+        }
+      } while (this.drainRequested && this.running);
+    } finally {
+      this.draining = false;
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Publish one entry
+   * @param {object} entry - Outbox entry
+   * @returns {Promise<boolean>} False if the publish failed and will be retried
+   */
+  async relay(entry) {
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      await this.fail(entry, "Expired before it could be published");
+      return true;
+    }
+
+    return runWithContext(
+      { correlationId: entry.correlationId, outboxEntryId: entry.id },
+      async () => {
+        try {
+          await this.connection.publishConfirmed(
+            this.channelName,
+            entry.exchange,
+            entry.routingKey,
+            entry.content,
+            {
+              ...entry.options,
+              headers: {
+                ...entry.options?.headers,
+                traceparent: entry.traceparent || undefined,
+              },
+            }
+          );
+        } catch (error) {
+          await this.retry(entry, error);
+          return false;
+        }
+
+        await this.outbox.markSent(entry.id);
+        this.logger.debug("Outbox entry published", {
+          type: entry.type,
+          attempts: entry.attempts + 1,
+        });
+        this.emit("sent", entry);
+        return true;
+      }
+    );
+  }
+
+  async retry(entry, error) {
+    if (!BROKER_REJECTIONS.includes(error.code)) {
+      // Not the message's fault: keep the attempt count and the backoff
+      const delay = this.getRetryDelay(entry.attempts + 1);
+      await this.outbox.markRetry(
+        entry.id,
+        error.message,
+        Date.now() + delay,
+        { countAttempt: false }
+      );
+
+      this.logger.warn("Outbox publish not possible, will retry", {
+        type: entry.type,
+        attempts: entry.attempts,
+        retryInMs: delay,
+        error: error.message,
+      });
+      return;
+    }
+
+    const attempts = entry.attempts + 1;
+    if (attempts >= this.maxAttempts) {
+      await this.fail(
+        entry,
+        `Gave up after ${attempts} attempts: ${error.message}`
+      );
+      return;
+    }
+
+    const delay = this.getRetryDelay(attempts);
+    await this.outbox.markRetry(entry.id, error.message, Date.now() + delay);
+
+    this.logger.warn("Outbox publish failed, will retry", {
+      type: entry.type,
+      attempts,
+      retryInMs: delay,
+      error: error.message,
+    });
+  }
+
+  async fail(entry, reason) {
+    await this.outbox.markFailed(entry.id, reason);
+
+    this.logger.error("Outbox entry failed", {
+      type: entry.type,
+      correlationId: entry.correlationId,
+      outboxEntryId: entry.id,
+      reason,
+    });
+    this.emit("failed", entry, new Error(reason));
+  }
+
+  /**
+   * Backoff before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempts) {
+    const base = Math.min(
+      this.initialDelay * Math.pow(this.multiplier, attempts - 1),
+      this.maxDelay
+    );
+    const spread = base * this.jitter;
+    return Math.round(base - spread + Math.random() * spread * 2);
+  }
+
+  scheduleNext() {
+    // While disconnected, the reconnect drain takes over
+    if (!this.running || !this.connection.isConnected()) return;
+
+    const nextAttemptAt = this.outbox.getNextAttemptAt();
+    if (nextAttemptAt === null) return;
+
+    const delay = Math.max(nextAttemptAt - Date.now(), 0);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.requestDrain();
+    }, delay);
+    this.retryTimer.unref();
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Get relay statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      running: this.running,
+      draining: this.draining,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: this.outbox.getNextAttemptAt(),
+    };
+  }
+}
+
+export default OutboxRelay;
@@ -0,0 +1,293 @@
+import { v4 as uuidv4 } from "uuid";
+import EventBus from "./EventBus.js";
+import Event from "./Event.js";
+import { createLogger } from "../config/logger.js";
+
+const REPLAY_STATUS = Object.freeze({
+  RUNNING: "running",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+});
+
+/**
+ * Replay Engine - Re-drives an EventBus from events in the EventStore
+ * Replayed events carry `metadata.replay` (and so does everything emitted
+ * while handling them) so they are not stored again, never reach the
+ * matching engine and are never published to RabbitMQ by the MessageBroker.
+ * A replay runs as a job: start() returns its state at once and getReplay()
+ * follows it. Sandbox replays run against a fresh set of handlers built by
+ * createSandbox, which is torn down once the replay has settled
+ */
+class ReplayEngine {
+  /**
+   * @param {EventStore} eventStore - Source of the replayed events
+   * @param {EventBus} liveEventBus - Bus for "live" replays
+   * @param {object} options
+   * @param {function} options.createSandbox - async () → { eventBus, getResult, stop }
+   * @param {number} options.maxFinishedReplays - Finished replays kept for getReplay
+   * @param {number} options.settleTimeout - Longest wait for a sandbox to go idle (ms)
+   * @param {Logger} options.logger - Logger
+   */
+  constructor(
+    eventStore,
+    liveEventBus,
+    {
+      createSandbox = null,
+      maxFinishedReplays = 50,
+      settleTimeout = 30000,
+      logger = null,
+    } = {}
+  ) {
+    this.eventStore = eventStore;
+    this.logger = logger || createLogger("ReplayEngine");
+    this.liveEventBus = liveEventBus;
+    this.createSandbox =
+      createSandbox ||
+      (async () => ({ eventBus: new EventBus({ recordMetrics: false }) }));
+    this.maxFinishedReplays = maxFinishedReplays;
+    this.settleTimeout = settleTimeout;
+    this.replays = new Map(); // replayId → replay state, oldest first
+  }
+
+  /**
+   * Start replaying stored events without waiting for the replay
+   * @param {object} filters - EventStore filters (type, correlationId, since, until, source, limit)
+   * @param {object} options - Replay options
+   * @param {string} options.target - "sandbox" (default) or "live"
+   * @param {EventBus} options.eventBus - Sandbox bus to use instead of createSandbox
+   * @param {number} options.speed - Pace multiplier (1 = original pace, 0 = no delay)
+   * @param {number} options.maxDelay - Upper bound for a single gap between events (ms)
+   * @returns {object} Replay state ({ replayId, status, ... })
+   */
+  start(filters = {}, options = {}) {
+    const { replay, done } = this.launch(filters, options);
+    done.catch(() => {}); // Reported in the replay state
+    return this.toState(replay);
+  }
+
+  /**
+   * Replay stored events and wait for the replay to finish
+   * @param {object} filters - See start()
+   * @param {object} options - See start()
+   * @returns {Promise<object>} Final replay state
+   */
+  async replay(filters = {}, options = {}) {
+    const { replay, done } = this.launch(filters, options);
+    await done;
+    return this.toState(replay);
+  }
+
+  launch(filters, options) {
+    const { target = "sandbox", maxDelay = 10000 } = options;
+    const speed = Number(options.speed) || 0;
+
+    if (!["sandbox", "live"].includes(target)) {
+      throw new Error(`Unknown replay target '${target}'`);
+    }
+
+    const replay = {
+      replayId: uuidv4(),
+      status: REPLAY_STATUS.RUNNING,
+      target,
+      filters,
+      speed,
+      total: null,
+      emitted: 0,
+      cancelled: false,
+      result: null,
+      busStats: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    this.replays.set(replay.replayId, replay);
+
+    const done = this.run(replay, { ...options, maxDelay, speed }).catch(
+      (error) => {
+        replay.status = REPLAY_STATUS.FAILED;
+        replay.error = error.message;
+        this.logger.error("Replay failed", {
+          replayId: replay.replayId,
+          error: error.message,
+        });
+        throw error;
+      }
+    );
+
+    return { replay, done };
+  }
+
+  async run(replay, { eventBus: sandboxBus, speed, maxDelay }) {
+    const { replayId, target } = replay;
+
+    let sandbox;
+    if (target === "live") {
+      sandbox = { eventBus: this.liveEventBus };
+    } else {
+      sandbox = sandboxBus
+        ? { eventBus: sandboxBus }
+        : await this.createSandbox();
+    }
+    const { eventBus } = sandbox;
+
+    try {
+      const storedEvents = await this.eventStore.getEvents(replay.filters);
+
+      // Replay in original order (EventStore returns newest first)
+      const events = [...storedEvents].sort(
+        (a, b) => a.timestamp - b.timestamp
+      );
+      replay.total = events.length;
+
+      this.logger.info("Replay started", {
+        replayId,
+        target,
+        total: replay.total,
+      });
+
+      let previousTimestamp = null;
+
+      for (const storedEvent of events) {
+        if (replay.cancelled) break;
+
+        if (speed > 0 && previousTimestamp !== null) {
+          const gap = (storedEvent.timestamp - previousTimestamp) / speed;
+          await this.delay(Math.min(gap, maxDelay));
+        }
+        previousTimestamp = storedEvent.timestamp;
+
+        eventBus.emit(this.toReplayEvent(storedEvent, replayId));
+        replay.emitted++;
+      }
+
+      if (target === "sandbox") {
+        await this.waitForIdle(eventBus);
+        replay.result = (await sandbox.getResult?.()) ?? null;
+      }
+      replay.busStats = eventBus.getStats();
+      replay.status = replay.cancelled
+        ? REPLAY_STATUS.CANCELLED
+        : REPLAY_STATUS.COMPLETED;
+    } finally {
+      replay.finishedAt = new Date().toISOString();
+      await sandbox.stop?.();
+      this.pruneFinished();
+    }
+
+    this.logger.info("Replay finished", {
+      replayId,
+      status: replay.status,
+      emitted: replay.emitted,
+      total: replay.total,
+    });
+  }
+
+  /**
+   * Wait until a bus has handled everything emitted to it
+   * @param {EventBus} eventBus - Sandbox bus
+   */
+  async waitForIdle(eventBus) {
+    const deadline = Date.now() + this.settleTimeout;
+
+    while (!eventBus.isIdle()) {
+      if (Date.now() >= deadline) {
+        this.logger.warn("Sandbox still busy after the replay", {
+          settleTimeout: this.settleTimeout,
+        });
+        return;
+      }
+      await this.delay(50);
+    }
+  }
+
+  /**
+   * Build the Event to re-emit from a stored event
+   * @param {object} storedEvent - Event from the EventStore
+   * @param {string} replayId - Replay ID
+   * @returns {Event} Replay event
+   */
+  toReplayEvent(storedEvent, replayId) {
+    // A replay starts its own trace; the original one is kept for reference
+    const { traceparent, ...metadata } = storedEvent.metadata || {};
+
+    return new Event({
+      type: storedEvent.type,
+      data: storedEvent.data,
+      correlationId: storedEvent.correlationId,
+      source: storedEvent.source,
+      priority: storedEvent.priority,
+      timestamp: storedEvent.timestamp,
+      schemaVersion: storedEvent.schemaVersion,
+      metadata: {
+        ...metadata,
+        replay: {
+          replayId,
+          originalEventId: storedEvent.id,
+          originalTraceparent: traceparent,
+          replayedAt: new Date().toISOString(),
+        },
+      },
+    });
+  }
+
+  /**
+   * Cancel a running replay
+   * @param {string} replayId - Replay ID
+   * @returns {boolean} True if a running replay was cancelled
+   */
+  cancel(replayId) {
+    const replay = this.replays.get(replayId);
+    if (!replay || replay.status !== REPLAY_STATUS.RUNNING) return false;
+
+    replay.cancelled = true;
+    return true;
+  }
+
+  /**
+   * Get a running or recently finished replay
+   * @param {string} replayId - Replay ID
+   * @returns {object|null} Replay state
+   */
+  getReplay(replayId) {
+    const replay = this.replays.get(replayId);
+    return replay ? this.toState(replay) : null;
+  }
+
+  /**
+   * Get running replays
+   * @returns {array} Replay states
+   */
+  getActiveReplays() {
+    return Array.from(this.replays.values())
+      .filter((replay) => replay.status === REPLAY_STATUS.RUNNING)
+      .map((replay) => this.toState(replay));
+  }
+
+  toState(replay) {
+    return { ...replay };
+  }
+
+  /**
+   * Forget the oldest finished replays beyond maxFinishedReplays
+   */
+  pruneFinished() {
+    const finished = Array.from(this.replays.values()).filter(
+      (replay) => replay.status !== REPLAY_STATUS.RUNNING
+    );
+
+    for (const replay of finished.slice(
+      0,
+      Math.max(0, finished.length - this.maxFinishedReplays)
+    )) {
+      this.replays.delete(replay.replayId);
+    }
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+export { REPLAY_STATUS };
+export default ReplayEngine;
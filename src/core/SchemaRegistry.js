@@ -0,0 +1,143 @@
+import Joi from "joi";
+
+/**
+ * Schema Registry - Joi schemas for event payloads, keyed by type and version
+ * Every event is checked against the envelope schema; its `data` is checked
+ * against the schema registered for its type (unknown types pass through)
+ */
+const envelopeSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string()
+    .pattern(/^[a-z0-9_]+(\.[a-z0-9_]+)*$/)
+    .required(),
+  data: Joi.any(),
+  timestamp: Joi.number().integer().positive().required(),
+  correlationId: Joi.string().required(),
+  source: Joi.string().required(),
+  priority: Joi.string().valid("low", "normal", "high", "critical").required(),
+  schemaVersion: Joi.number().integer().min(1).required(),
+  metadata: Joi.object().unknown(true).required(),
+}).unknown(true);
+
+class SchemaRegistry {
+  constructor({ strict = false } = {}) {
+    this.schemas = new Map(); // eventType → Map(version → schema)
+    this.strict = strict; // Reject event types without a registered schema
+  }
+
+  /**
+   * Register a data schema for an event type
+   * @param {string} eventType - Event type
+   * @param {object} schema - Joi schema for event.data
+   * @param {object} options - Options
+   * @param {number} options.version - Schema version (default 1)
+   */
+  register(eventType, schema, { version = 1 } = {}) {
+    if (!Joi.isSchema(schema)) {
+      throw new Error(`Schema for '${eventType}' must be a Joi schema`);
+    }
+
+    if (!this.schemas.has(eventType)) {
+      this.schemas.set(eventType, new Map());
+    }
+    this.schemas.get(eventType).set(version, schema);
+  }
+
+  /**
+   * Check whether an event type has a registered schema
+   * @param {string} eventType - Event type
+   * @returns {boolean} True if registered
+   */
+  has(eventType) {
+    return this.schemas.has(eventType);
+  }
+
+  /**
+   * Get the data schema for an event type and version
+   * @param {string} eventType - Event type
+   * @param {number} version - Schema version
+   * @returns {object|null} Joi schema or null
+   */
+  get(eventType, version = 1) {
+    return this.schemas.get(eventType)?.get(version) || null;
+  }
+
+  /**
+   * Validate an event
+   * @param {object} event - Event to validate
+   * @returns {object} { valid, errors }
+   */
+  validate(event) {
+    const envelope = envelopeSchema.validate(event, { abortEarly: false });
+    if (envelope.error) {
+      return { valid: false, errors: this.formatErrors(envelope.error) };
+    }
+
+    const versions = this.schemas.get(event.type);
+    if (!versions) {
+      if (this.strict) {
+        return {
+          valid: false,
+          errors: [
+            {
+              path: "type",
+              message: `No schema registered for event type '${event.type}'`,
+            },
+          ],
+        };
+      }
+      return { valid: true, errors: [] };
+    }
+
+    const schema = versions.get(event.schemaVersion);
+    if (!schema) {
+      return {
+        valid: false,
+        errors: [
+          {
+            path: "schemaVersion",
+            message: `Unsupported schema version ${event.schemaVersion} for '${event.type}'`,
+          },
+        ],
+      };
+    }
+
+    const result = schema.validate(event.data, { abortEarly: false });
+    if (result.error) {
+      return {
+        valid: false,
+        errors: this.formatErrors(result.error, "data"),
+      };
+    }
+
+    return { valid: true, errors: [] };
+  }
+
+  /**
+   * Convert a Joi error into plain error entries
+   * @param {object} error - Joi validation error
+   * @param {string} prefix - Path prefix
+   * @returns {array} Errors
+   */
+  formatErrors(error, prefix = null) {
+    return error.details.map((detail) => ({
+      path: [prefix, ...detail.path].filter((p) => p !== null).join("."),
+      message: detail.message,
+    }));
+  }
+
+  /**
+   * Get registered event types and their versions
+   * @returns {object} eventType → [versions]
+   */
+  getRegisteredTypes() {
+    return Object.fromEntries(
+      Array.from(this.schemas.entries()).map(([eventType, versions]) => [
+        eventType,
+        Array.from(versions.keys()),
+      ])
+    );
+  }
+}
+
+export default SchemaRegistry;
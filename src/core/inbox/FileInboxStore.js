@@ -0,0 +1,135 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import MemoryInboxStore from "./MemoryInboxStore.js";
+
+/**
+ * File Inbox Store - Append-only JSON lines log of claimed and released keys
+ * Unexpired keys are reloaded on startup; the log is rewritten with only
+ * the live keys on startup and whenever expired keys are purged
+ */
+class FileInboxStore extends MemoryInboxStore {
+  constructor({
+    filePath = "data/inbox.log",
+    maxEntries = 100000,
+    logger = null,
+  } = {}) {
+    super({ maxEntries, logger });
+    this.name = "FileInboxStore";
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve(); // Serializes writes to the log
+  }
+
+  /**
+   * Create the log file if needed and reload the unexpired keys
+   */
+  async initialize() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      await fs.promises.writeFile(this.filePath, "");
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: "utf-8" }),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const { key, expiresAt, released } = JSON.parse(line);
+        if (released) {
+          this.keys.delete(key);
+        } else {
+          this.remember(key, expiresAt);
+        }
+      } catch (error) {
+        // A torn write at the end of the log should not block startup
+      }
+    }
+
+    await this.purgeExpired();
+
+    this.logger.info("Loaded inbox keys from log", {
+      storage: this.name,
+      filePath: this.filePath,
+      keys: this.keys.size,
+    });
+  }
+
+  async claim(key, expiresAt) {
+    if (this.isKnown(key)) return false;
+
+    // Remember first so a concurrent redelivery is caught during the write
+    this.remember(key, expiresAt);
+    try {
+      await this.appendLine({ key, expiresAt });
+    } catch (error) {
+      this.keys.delete(key);
+      throw error;
+    }
+    return true;
+  }
+
+  async release(key) {
+    if (!this.keys.delete(key)) return;
+    await this.appendLine({ key, released: true });
+  }
+
+  async purgeExpired() {
+    const purged = await super.purgeExpired();
+    await this.compact();
+    return purged;
+  }
+
+  /**
+   * Rewrite the log with only the live keys
+   */
+  async compact() {
+    await this.enqueueWrite(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      const lines = Array.from(this.keys)
+        .map(([key, expiresAt]) => `${JSON.stringify({ key, expiresAt })}\n`)
+        .join("");
+
+      await fs.promises.writeFile(tmpPath, lines);
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+  }
+
+  async appendLine(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    await this.enqueueWrite(() => fs.promises.appendFile(this.filePath, line));
+  }
+
+  /**
+   * Run a write after all previously queued writes
+   * A failed write rejects its caller but does not block later writes
+   * @param {function} write - Function returning a promise
+   */
+  async enqueueWrite(write) {
+    const pending = this.writeQueue.then(write);
+    this.writeQueue = pending.catch(() => {});
+    return pending;
+  }
+
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      backend: "file",
+      filePath: this.filePath,
+    };
+  }
+
+  /**
+   * Wait for pending writes to reach the log
+   */
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+export default FileInboxStore;
@@ -0,0 +1,58 @@
+import { createLogger } from "../../config/logger.js";
+
+/**
+ * Base Inbox Store Class - Contract for all Inbox backends
+ * Backends remember message keys until their TTL runs out
+ */
+class InboxStore {
+  constructor(name = null, { logger = null } = {}) {
+    this.name = name || this.constructor.name;
+    this.logger = logger || createLogger("Inbox");
+  }
+
+  /**
+   * Prepare the backend (open files, load keys)
+   */
+  async initialize() {}
+
+  /**
+   * Record a key unless it is already known
+   * @param {string} key - Message key
+   * @param {number} expiresAt - When the key may be forgotten (ms epoch)
+   * @returns {Promise<boolean>} True if the key was new
+   */
+  async claim(key, expiresAt) {
+    throw new Error(`${this.name}.claim is not implemented`);
+  }
+
+  /**
+   * Forget a key so the message can be processed again
+   * @param {string} key - Message key
+   */
+  async release(key) {
+    throw new Error(`${this.name}.release is not implemented`);
+  }
+
+  /**
+   * Drop expired keys
+   * @returns {Promise<number>} Number of keys dropped
+   */
+  async purgeExpired() {
+    throw new Error(`${this.name}.purgeExpired is not implemented`);
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {object} Statistics
+   */
+  getStatistics() {
+    throw new Error(`${this.name}.getStatistics is not implemented`);
+  }
+
+  /**
+   * Release backend resources
+   */
+  async close() {}
+}
+
+export default InboxStore;
@@ -0,0 +1,73 @@
+import InboxStore from "./InboxStore.js";
+
+/**
+ * Memory Inbox Store - Keys live in a Map and are lost on restart
+ * When full, the oldest keys are dropped first
+ */
+class MemoryInboxStore extends InboxStore {
+  constructor({ maxEntries = 100000, logger = null } = {}) {
+    super("MemoryInboxStore", { logger });
+    this.maxEntries = maxEntries;
+    this.keys = new Map(); // key → expiresAt, in claim order
+  }
+
+  async claim(key, expiresAt) {
+    if (this.isKnown(key)) return false;
+
+    this.remember(key, expiresAt);
+    return true;
+  }
+
+  async release(key) {
+    this.keys.delete(key);
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+
+    for (const [key, expiresAt] of this.keys) {
+      if (expiresAt <= now) {
+        this.keys.delete(key);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Whether a key is known and not expired
+   * @param {string} key - Message key
+   * @returns {boolean}
+   */
+  isKnown(key) {
+    const expiresAt = this.keys.get(key);
+    if (expiresAt === undefined) return false;
+
+    if (expiresAt <= Date.now()) {
+      this.keys.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  remember(key, expiresAt) {
+    this.keys.delete(key); // Re-claimed keys move to the end
+    this.keys.set(key, expiresAt);
+
+    if (this.keys.size > this.maxEntries) {
+      this.keys.delete(this.keys.keys().next().value);
+    }
+  }
+
+  getStatistics() {
+    return {
+      backend: "memory",
+      keys: this.keys.size,
+      maxEntries: this.maxEntries,
+    };
+  }
+}
+
+export default MemoryInboxStore;
@@ -0,0 +1,66 @@
+import { createLogger } from "../../config/logger.js";
+
+/**
+ * Base Event Storage Class - Contract for all EventStore backends
+ * Backends persist stored events and answer the queries EventStore exposes
+ */
+class EventStorage {
+  constructor(name = null, { logger = null } = {}) {
+    this.name = name || this.constructor.name;
+    this.logger = logger || createLogger("EventStore");
+  }
+
+  /**
+   * Prepare the backend (open files, create tables, load indexes)
+   */
+  async initialize() {}
+
+  /**
+   * Persist a stored event
+   * @param {object} storedEvent - Event with storage metadata
+   */
+  async append(storedEvent) {
+    throw new Error(`${this.name}.append is not implemented`);
+  }
+
+  /**
+   * Query stored events
+   * @param {object} filters - type, correlationId, taskId (data.taskId),
+   *   since, until, source, limit
+   * @returns {array} Events (newest first)
+   */
+  async query(filters = {}) {
+    throw new Error(`${this.name}.query is not implemented`);
+  }
+
+  /**
+   * Find a stored event by ID
+   * @param {string} eventId - Event ID
+   * @returns {object|null} Event or null if not found
+   */
+  async findById(eventId) {
+    throw new Error(`${this.name}.findById is not implemented`);
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {object} Statistics
+   */
+  getStatistics() {
+    throw new Error(`${this.name}.getStatistics is not implemented`);
+  }
+
+  /**
+   * Remove all stored events
+   */
+  async clear() {
+    throw new Error(`${this.name}.clear is not implemented`);
+  }
+
+  /**
+   * Release backend resources
+   */
+  async close() {}
+}
+
+export default EventStorage;
@@ -0,0 +1,118 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import MemoryEventStorage from "./MemoryEventStorage.js";
+
+/**
+ * File Event Storage - Append-only JSON lines log on disk
+ * The log is the source of truth. Every event in it is indexed in memory
+ * (there is no maxEvents cap), so queries and spill reloads see everything
+ * persisted, also after a restart. Logs too large to hold in memory belong
+ * in the sqlite backend
+ */
+class FileEventStorage extends MemoryEventStorage {
+  constructor({ filePath = "data/events.log", logger = null } = {}) {
+    super({ maxEvents: Infinity, logger });
+    this.name = "FileEventStorage";
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve(); // Serializes appends to the log
+    this.loadedEvents = 0;
+  }
+
+  /**
+   * Create the log file if needed and rebuild the in-memory index from it
+   */
+  async initialize() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      await fs.promises.writeFile(this.filePath, "");
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: "utf-8" }),
+      crlfDelay: Infinity,
+    });
+
+    let skipped = 0;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const storedEvent = JSON.parse(line);
+        if (this.has(storedEvent.id)) continue;
+
+        this.index(storedEvent);
+        this.loadedEvents++;
+      } catch (error) {
+        // A torn write at the end of the log should not block startup
+        skipped++;
+      }
+    }
+
+    this.logger.info("Loaded events from log", {
+      storage: this.name,
+      filePath: this.filePath,
+      loaded: this.loadedEvents,
+      skipped,
+    });
+  }
+
+  /**
+   * Append a stored event to the log, then index it (idempotent by event ID)
+   * The ID is checked and indexed inside the queued write, so concurrent
+   * appends of the same event write it once
+   * @param {object} storedEvent - Event with storage metadata
+   */
+  async append(storedEvent) {
+    await this.enqueueWrite(async () => {
+      if (this.has(storedEvent.id)) return;
+
+      const line = `${JSON.stringify(storedEvent)}\n`;
+      await fs.promises.appendFile(this.filePath, line);
+
+      this.index(storedEvent);
+    });
+  }
+
+  /**
+   * Run a write after all previously queued writes
+   * A failed write rejects its caller but does not block later writes
+   * @param {function} write - Function returning a promise
+   */
+  async enqueueWrite(write) {
+    const pending = this.writeQueue.then(write);
+    this.writeQueue = pending.catch(() => {});
+    return pending;
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {object} Statistics
+   */
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      backend: "file",
+      filePath: this.filePath,
+    };
+  }
+
+  /**
+   * Remove all stored events (truncates the log)
+   */
+  async clear() {
+    await this.enqueueWrite(() => fs.promises.writeFile(this.filePath, ""));
+    await super.clear();
+  }
+
+  /**
+   * Wait for pending writes to reach the log
+   */
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+export default FileEventStorage;
@@ -0,0 +1,210 @@
+import EventStorage from "./EventStorage.js";
+
+/**
+ * Memory Event Storage - Keeps events in process memory
+ * Fast, but everything is lost on restart
+ */
+class MemoryEventStorage extends EventStorage {
+  constructor({ maxEvents = 10000, logger = null } = {}) {
+    super("MemoryEventStorage", { logger });
+    this.events = []; // All events stored here
+    this.eventsById = new Map(); // eventId → event
+    this.eventsByType = new Map(); // eventType → [events]
+    this.eventsByCorrelation = new Map(); // correlationId → [events]
+    this.eventsByTask = new Map(); // data.taskId → [events]
+    this.maxEvents = maxEvents; // Prevent memory overflow
+  }
+
+  /**
+   * Persist a stored event (idempotent by event ID)
+   * @param {object} storedEvent - Event with storage metadata
+   */
+  async append(storedEvent) {
+    if (this.has(storedEvent.id)) return;
+    this.index(storedEvent);
+  }
+
+  /**
+   * Check whether an event is already stored
+   * @param {string} eventId - Event ID
+   * @returns {boolean} True if stored
+   */
+  has(eventId) {
+    return this.eventsById.has(eventId);
+  }
+
+  /**
+   * Add an event to the in-memory indexes
+   * @param {object} storedEvent - Event with storage metadata
+   */
+  index(storedEvent) {
+    // Store in main events array
+    this.events.push(storedEvent);
+    this.eventsById.set(storedEvent.id, storedEvent);
+
+    addToIndex(this.eventsByType, storedEvent.type, storedEvent);
+    addToIndex(
+      this.eventsByCorrelation,
+      storedEvent.correlationId,
+      storedEvent
+    );
+    addToIndex(this.eventsByTask, storedEvent.data?.taskId, storedEvent);
+
+    // Cleanup old events if needed
+    this.cleanupOldEvents();
+  }
+
+  /**
+   * Query stored events
+   * @param {object} filters - type, correlationId, taskId (data.taskId),
+   *   since, until, source, limit
+   * @returns {array} Events (newest first)
+   */
+  async query(filters = {}) {
+    let events = this.events;
+
+    // Start from the narrowest index available
+    if (filters.taskId) {
+      events = this.eventsByTask.get(filters.taskId) || [];
+    } else if (filters.correlationId) {
+      events = this.eventsByCorrelation.get(filters.correlationId) || [];
+    } else if (filters.type) {
+      events = this.eventsByType.get(filters.type) || [];
+    }
+
+    if (filters.type) {
+      events = events.filter((event) => event.type === filters.type);
+    }
+
+    if (filters.correlationId) {
+      events = events.filter(
+        (event) => event.correlationId === filters.correlationId
+      );
+    }
+
+    if (filters.since) {
+      const sinceTime = new Date(filters.since).getTime();
+      events = events.filter((event) => event.timestamp >= sinceTime);
+    }
+
+    if (filters.until) {
+      const untilTime = new Date(filters.until).getTime();
+      events = events.filter((event) => event.timestamp <= untilTime);
+    }
+
+    if (filters.source) {
+      events = events.filter((event) => event.source === filters.source);
+    }
+
+    // Sort by timestamp (newest first)
+    events = [...events].sort((a, b) => b.timestamp - a.timestamp);
+
+    // Apply limit
+    if (filters.limit) {
+      events = events.slice(0, filters.limit);
+    }
+
+    return events;
+  }
+
+  /**
+   * Find a stored event by ID
+   * @param {string} eventId - Event ID
+   * @returns {object|null} Event or null if not found
+   */
+  async findById(eventId) {
+    return this.eventsById.get(eventId) || null;
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {object} Statistics
+   */
+  getStatistics() {
+    const eventTypeStats = {};
+
+    for (const [eventType, events] of this.eventsByType) {
+      eventTypeStats[eventType] = {
+        count: events.length,
+        lastEvent: events[events.length - 1]?.timestamp,
+      };
+    }
+
+    return {
+      backend: "memory",
+      totalEvents: this.events.length,
+      eventTypes: this.eventsByType.size,
+      correlationIds: this.eventsByCorrelation.size,
+      eventTypeStats,
+      oldestEvent: this.events[0]?.timestamp,
+      newestEvent: this.events[this.events.length - 1]?.timestamp,
+    };
+  }
+
+  /**
+   * Clean up old events to prevent memory overflow
+   */
+  cleanupOldEvents() {
+    if (this.events.length <= this.maxEvents) {
+      return;
+    }
+
+    // Keep only the newest events
+    const eventsToRemove = this.events.length - this.maxEvents;
+    const removedEvents = this.events.splice(0, eventsToRemove);
+
+    // Update indexes
+    for (const event of removedEvents) {
+      this.eventsById.delete(event.id);
+      removeFromIndex(this.eventsByType, event.type, event);
+      removeFromIndex(this.eventsByCorrelation, event.correlationId, event);
+      removeFromIndex(this.eventsByTask, event.data?.taskId, event);
+    }
+
+    this.logger.debug("Removed old events", {
+      storage: this.name,
+      count: eventsToRemove,
+    });
+  }
+
+  /**
+   * Remove all stored events
+   */
+  async clear() {
+    this.events.length = 0;
+    this.eventsById.clear();
+    this.eventsByType.clear();
+    this.eventsByCorrelation.clear();
+    this.eventsByTask.clear();
+  }
+}
+
+/**
+ * Add an event to a key → [events] index (events without the key are skipped)
+ */
+function addToIndex(index, key, event) {
+  if (key === undefined || key === null || key === "") return;
+
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+  index.get(key).push(event);
+}
+
+/**
+ * Remove an event from a key → [events] index, dropping empty keys
+ */
+function removeFromIndex(index, key, event) {
+  const events = index.get(key);
+  if (!events) return;
+
+  const position = events.findIndex((e) => e.id === event.id);
+  if (position >= 0) {
+    events.splice(position, 1);
+  }
+  if (events.length === 0) {
+    index.delete(key);
+  }
+}
+
+export default MemoryEventStorage;
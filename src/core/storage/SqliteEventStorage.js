@@ -0,0 +1,230 @@
+import fs from "fs";
+import path from "path";
+import EventStorage from "./EventStorage.js";
+
+/**
+ * SQLite Event Storage - Embedded database backend (better-sqlite3)
+ * Every event is kept on disk and queried through indexed columns
+ */
+class SqliteEventStorage extends EventStorage {
+  constructor({ filePath = "data/events.db", logger = null } = {}) {
+    super("SqliteEventStorage", { logger });
+    this.filePath = filePath;
+    this.db = null;
+    this.statements = {};
+  }
+
+  /**
+   * Open the database and create the schema
+   */
+  async initialize() {
+    // Loaded lazily so the native module is only required for this backend
+    const { default: Database } = await import("better-sqlite3");
+
+    if (this.filePath !== ":memory:") {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma("journal_mode = WAL");
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL,
+        correlation_id TEXT,
+        task_id TEXT,
+        source TEXT,
+        timestamp INTEGER NOT NULL,
+        stored_at TEXT NOT NULL,
+        payload TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_events_type ON events (type);
+      CREATE INDEX IF NOT EXISTS idx_events_correlation ON events (correlation_id);
+      CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events (timestamp);
+    `);
+    this.migrate();
+
+    this.statements = {
+      insert: this.db.prepare(`
+        INSERT OR IGNORE INTO events
+          (id, type, correlation_id, task_id, source, timestamp, stored_at,
+           payload)
+        VALUES
+          (@id, @type, @correlationId, @taskId, @source, @timestamp, @storedAt,
+           @payload)
+      `),
+      findById: this.db.prepare("SELECT payload FROM events WHERE id = ?"),
+      totals: this.db.prepare(`
+        SELECT COUNT(*) AS totalEvents,
+               COUNT(DISTINCT type) AS eventTypes,
+               COUNT(DISTINCT correlation_id) AS correlationIds,
+               MIN(timestamp) AS oldestEvent,
+               MAX(timestamp) AS newestEvent
+        FROM events
+      `),
+      typeStats: this.db.prepare(`
+        SELECT type, COUNT(*) AS count, MAX(timestamp) AS lastEvent
+        FROM events GROUP BY type
+      `),
+      clear: this.db.prepare("DELETE FROM events"),
+    };
+
+    this.logger.info("Opened database", {
+      storage: this.name,
+      filePath: this.filePath,
+    });
+  }
+
+  /**
+   * Bring a database created by an older version up to the current schema
+   */
+  migrate() {
+    const columns = this.db
+      .prepare("PRAGMA table_info(events)")
+      .all()
+      .map((column) => column.name);
+
+    if (!columns.includes("task_id")) {
+      this.db.exec(`
+        ALTER TABLE events ADD COLUMN task_id TEXT;
+        UPDATE events SET task_id = json_extract(payload, '$.data.taskId');
+      `);
+      this.logger.info("Added task_id column", { storage: this.name });
+    }
+    this.db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_events_task ON events (task_id)"
+    );
+  }
+
+  /**
+   * Persist a stored event
+   * @param {object} storedEvent - Event with storage metadata
+   */
+  async append(storedEvent) {
+    this.statements.insert.run({
+      id: storedEvent.id,
+      type: storedEvent.type,
+      correlationId: storedEvent.correlationId || null,
+      taskId: storedEvent.data?.taskId ?? null,
+      source: storedEvent.source || null,
+      timestamp: storedEvent.timestamp,
+      storedAt: storedEvent.storedAt,
+      payload: JSON.stringify(storedEvent),
+    });
+  }
+
+  /**
+   * Query stored events
+   * @param {object} filters - type, correlationId, taskId (data.taskId),
+   *   since, until, source, limit
+   * @returns {array} Events (newest first)
+   */
+  async query(filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.type) {
+      conditions.push("type = @type");
+      params.type = filters.type;
+    }
+
+    if (filters.correlationId) {
+      conditions.push("correlation_id = @correlationId");
+      params.correlationId = filters.correlationId;
+    }
+
+    if (filters.taskId) {
+      conditions.push("task_id = @taskId");
+      params.taskId = String(filters.taskId);
+    }
+
+    if (filters.since) {
+      conditions.push("timestamp >= @since");
+      params.since = new Date(filters.since).getTime();
+    }
+
+    if (filters.until) {
+      conditions.push("timestamp <= @until");
+      params.until = new Date(filters.until).getTime();
+    }
+
+    if (filters.source) {
+      conditions.push("source = @source");
+      params.source = filters.source;
+    }
+
+    let sql = "SELECT payload FROM events";
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(" AND ")}`;
+    }
+    sql += " ORDER BY timestamp DESC, seq DESC";
+
+    if (filters.limit) {
+      sql += " LIMIT @limit";
+      params.limit = Number(filters.limit);
+    }
+
+    return this.db
+      .prepare(sql)
+      .all(params)
+      .map((row) => JSON.parse(row.payload));
+  }
+
+  /**
+   * Find a stored event by ID
+   * @param {string} eventId - Event ID
+   * @returns {object|null} Event or null if not found
+   */
+  async findById(eventId) {
+    const row = this.statements.findById.get(eventId);
+    return row ? JSON.parse(row.payload) : null;
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {object} Statistics
+   */
+  getStatistics() {
+    const totals = this.statements.totals.get();
+    const eventTypeStats = {};
+
+    for (const row of this.statements.typeStats.all()) {
+      eventTypeStats[row.type] = {
+        count: row.count,
+        lastEvent: row.lastEvent,
+      };
+    }
+
+    return {
+      backend: "sqlite",
+      filePath: this.filePath,
+      totalEvents: totals.totalEvents,
+      eventTypes: totals.eventTypes,
+      correlationIds: totals.correlationIds,
+      eventTypeStats,
+      oldestEvent: totals.oldestEvent ?? undefined,
+      newestEvent: totals.newestEvent ?? undefined,
+    };
+  }
+
+  /**
+   * Remove all stored events
+   */
+  async clear() {
+    this.statements.clear.run();
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteEventStorage;
@@ -0,0 +1,135 @@
+import fs from "fs/promises";
+import path from "path";
+import { SPAN_KINDS, SPAN_STATUS } from "./Span.js";
+import { createLogger } from "../../config/logger.js";
+
+const logger = createLogger("Tracer");
+
+// OTLP enum values
+const OTLP_SPAN_KIND = {
+  [SPAN_KINDS.INTERNAL]: 1,
+  [SPAN_KINDS.SERVER]: 2,
+  [SPAN_KINDS.CLIENT]: 3,
+  [SPAN_KINDS.PRODUCER]: 4,
+  [SPAN_KINDS.CONSUMER]: 5,
+};
+
+const OTLP_STATUS_CODE = {
+  [SPAN_STATUS.UNSET]: 0,
+  [SPAN_STATUS.OK]: 1,
+  [SPAN_STATUS.ERROR]: 2,
+};
+
+const toAnyValue = (value) => {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === "number") return { doubleValue: value };
+  return { stringValue: String(value) };
+};
+
+const toKeyValues = (attributes) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+/**
+ * File Span Exporter - Appends finished spans as OTLP/JSON
+ * Each line is one ExportTraceServiceRequest, so the file can be
+ * replayed into any OTLP collector (e.g. `otelcol` filelog/otlpjsonfile)
+ */
+class FileSpanExporter {
+  constructor({
+    filePath = "logs/traces.jsonl",
+    batchSize = 50,
+    flushInterval = 5000,
+  } = {}) {
+    this.filePath = filePath;
+    this.batchSize = batchSize;
+    this.buffer = [];
+    this.serviceName = null;
+    this.writeChain = Promise.resolve(); // Serializes appends
+    this.ready = fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    this.flushTimer = setInterval(() => this.flush(), flushInterval);
+    this.flushTimer.unref();
+  }
+
+  export(span, serviceName) {
+    this.serviceName = serviceName;
+    this.buffer.push(span);
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write buffered spans
+   * @returns {Promise} Resolves once they are on disk
+   */
+  flush() {
+    if (this.buffer.length === 0) return this.writeChain;
+
+    const line = JSON.stringify(this.toOtlp(this.buffer)) + "\n";
+    this.buffer = [];
+
+    this.writeChain = this.writeChain
+      .then(() => this.ready)
+      .then(() => fs.appendFile(this.filePath, line))
+      .catch((error) => {
+        logger.error("Failed to write spans", {
+          filePath: this.filePath,
+          error: error.message,
+        });
+      });
+
+    return this.writeChain;
+  }
+
+  async shutdown() {
+    clearInterval(this.flushTimer);
+    await this.flush();
+  }
+
+  toOtlp(spans) {
+    return {
+      resourceSpans: [
+        {
+          resource: {
+            attributes: toKeyValues({ "service.name": this.serviceName }),
+          },
+          scopeSpans: [
+            {
+              scope: { name: "task-agent-service" },
+              spans: spans.map((span) => this.toOtlpSpan(span)),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  toOtlpSpan(span) {
+    return {
+      traceId: span.traceId,
+      spanId: span.spanId,
+      ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+      name: span.name,
+      kind: OTLP_SPAN_KIND[span.kind],
+      startTimeUnixNano: String(span.startTime),
+      endTimeUnixNano: String(span.endTime),
+      attributes: toKeyValues(span.attributes),
+      events: span.events.map((event) => ({
+        name: event.name,
+        timeUnixNano: String(event.time),
+        attributes: toKeyValues(event.attributes),
+      })),
+      status: {
+        code: OTLP_STATUS_CODE[span.status.code],
+        ...(span.status.message && { message: span.status.message }),
+      },
+    };
+  }
+}
+
+export default FileSpanExporter;
@@ -0,0 +1,29 @@
+/**
+ * In-Memory Span Exporter - Keeps finished spans for tests and debugging
+ */
+class InMemorySpanExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  export(span) {
+    this.spans.push(span);
+  }
+
+  /**
+   * @returns {array} Finished spans, in the order they ended
+   */
+  getFinishedSpans() {
+    return [...this.spans];
+  }
+
+  reset() {
+    this.spans = [];
+  }
+
+  async flush() {}
+
+  async shutdown() {}
+}
+
+export default InMemorySpanExporter;
@@ -0,0 +1,114 @@
+import { performance } from "perf_hooks";
+import { formatTraceparent } from "../../utils/traceparent.js";
+
+export const SPAN_KINDS = Object.freeze({
+  INTERNAL: "internal",
+  SERVER: "server",
+  CLIENT: "client",
+  PRODUCER: "producer",
+  CONSUMER: "consumer",
+});
+
+// Wall clock in nanoseconds with sub-millisecond precision (OTLP unit)
+const nowNanos = () =>
+  BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+
+export const SPAN_STATUS = Object.freeze({
+  UNSET: "unset",
+  OK: "ok",
+  ERROR: "error",
+});
+
+/**
+ * Span - One timed operation in a trace
+ */
+class Span {
+  constructor({
+    name,
+    traceId,
+    spanId,
+    parentSpanId = null,
+    kind = SPAN_KINDS.INTERNAL,
+    attributes = {},
+    flags = "01",
+    onEnd = null,
+  }) {
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = spanId;
+    this.parentSpanId = parentSpanId;
+    this.kind = kind;
+    this.flags = flags;
+    this.attributes = { ...attributes };
+    this.events = []; // Timestamped annotations (e.g. exceptions)
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.onEnd = onEnd;
+  }
+
+  /**
+   * traceparent value identifying this span as the parent
+   * @returns {string} traceparent
+   */
+  get traceparent() {
+    return formatTraceparent(this);
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /**
+   * Record an error as a span event and mark the span failed
+   * @param {Error} error - Error
+   */
+  recordException(error) {
+    this.events.push({
+      name: "exception",
+      time: nowNanos(),
+      attributes: {
+        "exception.type": error?.name || "Error",
+        "exception.message": error?.message || String(error),
+        "exception.stacktrace": error?.stack,
+      },
+    });
+    return this.setStatus(SPAN_STATUS.ERROR, error?.message);
+  }
+
+  /**
+   * Finish the span (only the first call counts)
+   */
+  end() {
+    if (this.endTime !== null) return;
+
+    this.endTime = nowNanos();
+    this.onEnd?.(this);
+  }
+
+  /**
+   * Duration in milliseconds (null while running)
+   * @returns {number|null} Duration
+   */
+  get durationMs() {
+    if (this.endTime === null) return null;
+    return Number(this.endTime - this.startTime) / 1e6;
+  }
+}
+
+export default Span;
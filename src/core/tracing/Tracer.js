@@ -0,0 +1,147 @@
+import { AsyncLocalStorage } from "async_hooks";
+import Span, { SPAN_KINDS, SPAN_STATUS } from "./Span.js";
+import {
+  generateSpanId,
+  generateTraceId,
+  parseTraceparent,
+} from "../../utils/traceparent.js";
+import { createLogger } from "../../config/logger.js";
+
+const logger = createLogger("Tracer");
+
+/**
+ * Tracer - Creates spans and tracks the active one across async calls
+ * Parents come from the active span, or explicitly from a traceparent
+ * carried in event metadata, AMQP headers or an HTTP header
+ */
+class Tracer {
+  constructor({ serviceName = "task-agent-service", exporter = null } = {}) {
+    this.serviceName = serviceName;
+    this.exporter = exporter;
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Swap the exporter (e.g. an in-memory exporter in tests)
+   * @param {object|null} exporter - { export(span), flush(), shutdown() }
+   */
+  setExporter(exporter) {
+    this.exporter = exporter;
+  }
+
+  /**
+   * Tracing is off without an exporter; spans are still created so
+   * traceparents keep propagating to other services
+   * @returns {boolean} True if finished spans are exported
+   */
+  isEnabled() {
+    return this.exporter !== null;
+  }
+
+  /**
+   * Start a span (not made active)
+   * @param {string} name - Span name
+   * @param {object} options - Span options
+   * @param {string} options.kind - One of SPAN_KINDS
+   * @param {object} options.attributes - Initial attributes
+   * @param {Span|string|null} options.parent - Parent span or traceparent;
+   *   undefined uses the active span, null starts a new trace
+   * @returns {Span} Started span
+   */
+  startSpan(
+    name,
+    { kind = SPAN_KINDS.INTERNAL, attributes = {}, parent } = {}
+  ) {
+    const parentContext = this.resolveParent(parent);
+
+    return new Span({
+      name,
+      kind,
+      attributes,
+      traceId: parentContext?.traceId || generateTraceId(),
+      spanId: generateSpanId(),
+      parentSpanId: parentContext?.spanId || null,
+      flags: parentContext?.flags || "01",
+      onEnd: (span) => this.exportSpan(span),
+    });
+  }
+
+  /**
+   * Run fn with span as the active span
+   * @param {Span} span - Span
+   * @param {function} fn - Function to run
+   * @returns {*} fn's return value
+   */
+  withSpan(span, fn) {
+    return this.storage.run(span, fn);
+  }
+
+  /**
+   * Start a span, run fn(span) with it active and end it when fn settles.
+   * A thrown error is recorded on the span and rethrown
+   * @param {string} name - Span name
+   * @param {object} options - See startSpan
+   * @param {function} fn - async (span) => result
+   * @returns {Promise<*>} fn's result
+   */
+  async startActiveSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    try {
+      const result = await this.withSpan(span, () => fn(span));
+      if (span.status.code === SPAN_STATUS.UNSET) {
+        span.setStatus(SPAN_STATUS.OK);
+      }
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * @returns {Span|undefined} Active span
+   */
+  getActiveSpan() {
+    return this.storage.getStore();
+  }
+
+  /**
+   * traceparent of the active span, for propagation
+   * @returns {string|undefined} traceparent
+   */
+  getTraceparent() {
+    return this.getActiveSpan()?.traceparent;
+  }
+
+  resolveParent(parent) {
+    if (parent === undefined) return this.getActiveSpan() || null;
+    if (parent === null) return null;
+    if (parent instanceof Span) return parent;
+    return parseTraceparent(parent);
+  }
+
+  exportSpan(span) {
+    if (!this.exporter) return;
+
+    try {
+      this.exporter.export(span, this.serviceName);
+    } catch (error) {
+      logger.error("Failed to export span", {
+        span: span.name,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Flush and close the exporter
+   */
+  async shutdown() {
+    await this.exporter?.shutdown?.();
+  }
+}
+
+export default Tracer;
@@ -1,21 +1,145 @@
+import { EventEmitter } from "events";
 import amqplib from "amqplib";
+import { v4 as uuidv4 } from "uuid";
 import rabbitMQConfig from "../config/rabbitMQ.js";
+import topology, {
+  CHANNELS,
+  validateTopology,
+  getQueue,
+  getQueueOptions,
+} from "../config/topology.js";
 import { safeLogger } from "../config/logger.js";
+import { metrics } from "../config/metrics.js";
+import { tracer, SPAN_KINDS, SPAN_STATUS } from "../config/tracing.js";
+import { runWithContext } from "../config/requestContext.js";
 
-class RabbitMQConnection {
+// Metric result for each publish failure code
+const PUBLISH_FAILURE_RESULTS = {
+  NACKED: "nacked",
+  UNROUTABLE: "returned",
+  CONFIRM_TIMEOUT: "timeout",
+  DRAIN_TIMEOUT: "buffer_full",
+};
+
+/**
+ * Publish options that carry a consumed message's properties over to a copy
+ * @param {object} properties - amqplib message properties
+ * @returns {object} Publish options
+ */
+export function copyMessageProperties(properties) {
+  const {
+    contentType,
+    contentEncoding,
+    headers,
+    deliveryMode,
+    priority,
+    correlationId,
+    replyTo,
+    messageId,
+    timestamp,
+    type,
+    appId,
+  } = properties;
+
+  return {
+    contentType,
+    contentEncoding,
+    headers,
+    persistent: deliveryMode === 2,
+    priority,
+    correlationId,
+    replyTo,
+    messageId,
+    timestamp,
+    type,
+    appId,
+  };
+}
+
+function publishError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a consumed message's JSON body
+ * A body that is not JSON fails the same way on every delivery, so the error
+ * is not retryable and the message goes straight to the dead letter exchange
+ * @param {object} msg - amqplib message
+ * @returns {*} Parsed content
+ */
+function parseMessageContent(msg) {
+  try {
+    return JSON.parse(msg.content.toString());
+  } catch (error) {
+    error.retryable = false;
+    throw error;
+  }
+}
+
+/**
+ * RabbitMQ connection with named channels
+ * Reconnects forever with capped, jittered backoff. Consumers are
+ * remembered and started again after every reconnect.
+ * Emits "connected" ({ reconnected, attempts, downtimeMs }) after every
+ * successful (re)connect, once the topology and consumers are in place,
+ * "disconnected" ({ reason }) when an established connection is lost, and
+ * "returned" for every unroutable mandatory message
+ */
+class RabbitMQConnection extends EventEmitter {
   constructor() {
+    super();
     this.connection = null;
     this.channels = new Map();
+    this.consumers = new Map(); // consumerId → consumer registration
     this.isConnecting = false;
+    this.connectPromise = null; // The connect attempt in flight, if any
+    this.connected = false; // Topology asserted and consumers restored
+    this.closing = false; // Set by close(); no reconnects after it
+    this.reconnecting = false;
+    this.reconnectTimer = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = rabbitMQConfig.retryMechanism.maxRetries || 10;
-    this.reconnectInterval =
-      rabbitMQConfig.retryMechanism.initialInterval || 1000;
-    this.retryMultiplier = rabbitMQConfig.retryMechanism.multiplier || 2;
+    this.reconnectPolicy = rabbitMQConfig.reconnect;
+    this.disconnectedAt = null;
+    this.lastError = null;
+    this.confirmTimeout = rabbitMQConfig.publisher.confirmTimeout;
+    this.drainTimeout = rabbitMQConfig.publisher.drainTimeout;
+    // channel → { draining, pendingReturns }
+    this.flowControl = new WeakMap();
+    this.topology = null; // Validated on the first init
+    this.topologyStatus = null;
   }
 
-  async init() {
-    if (this.connection || this.isConnecting) return;
+  /**
+   * Connect, assert the topology and restore consumers
+   * Concurrent calls share the attempt in flight instead of opening a
+   * second connection. A failed attempt schedules a reconnect and resolves;
+   * only an invalid topology or a topology conflict at startup rejects
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (this.closing) return Promise.resolve();
+
+    if (!this.connectPromise) {
+      this.connectPromise = this._connect().finally(() => {
+        this.connectPromise = null;
+      });
+    }
+    return this.connectPromise;
+  }
+
+  async _connect() {
+    if (this.connection) return;
+
+    // A broken topology is a deployment error, not something to retry
+    if (!this.topology) {
+      this.topology = this._loadTopology(topology);
+    }
+
+    // Reconnects go through _handleReconnect, which sets disconnectedAt
+    const isReconnect = this.disconnectedAt !== null;
+
     try {
       this.isConnecting = true;
       this.connection = await amqplib.connect(
@@ -23,22 +147,73 @@ class RabbitMQConnection {
         rabbitMQConfig.connectionOptions
       );
 
-      this.reconnectAttempts = 0;
-      this.isConnecting = false;
-
       safeLogger.info("Successfully connected to RabbitMQ");
       this._setupEventListeners();
-      await this._setupDeadLetterExchange();
-      await this._setupDefaultExchanges();
-      await this._setupDefaultQueues();
+      await this._setupTopology();
+
+      const attempts = this.reconnectAttempts;
+      const downtimeMs = this.disconnectedAt
+        ? Date.now() - this.disconnectedAt
+        : null;
+
+      this.isConnecting = false;
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.disconnectedAt = null;
+      this.lastError = null;
+
+      await this._restoreConsumers();
+
+      this.emit("connected", {
+        reconnected: downtimeMs !== null,
+        attempts,
+        downtimeMs,
+      });
     } catch (error) {
       this.isConnecting = false;
+      this.lastError = error.message;
       safeLogger.error("Failed to connect to RabbitMQ", {
         message: error.message,
         stack: error.stack,
       });
-      await this._handleReconnect();
+
+      // Starting against a broker whose queues differ from the topology
+      // would leave them without the declared arguments (e.g. their DLX).
+      // Later reconnects keep retrying until the queues are migrated
+      if (error.code === "TOPOLOGY_CONFLICT" && !isReconnect) {
+        await this._dropConnection();
+        throw error;
+      }
+      await this._handleReconnect(error);
+    }
+  }
+
+  /**
+   * Wait for a connection to open channels on, without ever starting a
+   * connect next to one in flight or a reconnect waiting out its backoff
+   * @returns {Promise<object>} amqplib connection
+   */
+  async _getConnection() {
+    if (!this.connection && !this.reconnecting) {
+      await this.init();
+    }
+    if (!this.connection) {
+      throw new Error("RabbitMQ connection is not available");
     }
+    return this.connection;
+  }
+
+  /**
+   * Validate the topology
+   * @param {object} definition - Topology
+   * @returns {object} Validated topology (with defaults)
+   */
+  _loadTopology(definition) {
+    const { value, errors } = validateTopology(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid AMQP topology: ${errors.join("; ")}`);
+    }
+    return value;
   }
 
   _setupEventListeners() {
@@ -47,7 +222,7 @@ class RabbitMQConnection {
         message: error.message,
         stack: error.stack,
       });
-      await this._handleReconnect();
+      await this._handleReconnect(error);
     });
 
     this.connection.on("close", async () => {
@@ -56,136 +231,357 @@ class RabbitMQConnection {
     });
   }
 
-  // ... rest of the methods with similar logging pattern updates ...
+  /**
+   * Drop the connection and schedule a reconnect
+   * Runs once per outage: the "error" and "close" that usually arrive
+   * together, and failures while connecting, all end up here
+   * @param {Error} error - What went wrong, if known
+   */
+  async _handleReconnect(error = null) {
+    if (this.isConnecting || this.reconnecting || this.closing) return;
+    this.reconnecting = true;
+
+    if (this.connected) {
+      this.connected = false;
+      this.disconnectedAt = Date.now();
+      this.lastError = error?.message || "Connection closed";
+      this.emit("disconnected", { reason: this.lastError });
+    } else if (!this.disconnectedAt) {
+      this.disconnectedAt = Date.now(); // Never connected yet
+    }
+
+    await this._dropConnection();
+
+    this.reconnectAttempts++;
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    safeLogger.info(
+      `Attempting to reconnect to RabbitMQ in ${delay}ms... (attempt ${this.reconnectAttempts})`
+    );
 
-  async _handleReconnect() {
-    if (this.isConnecting) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnecting = false;
+      this.init().catch((initError) => {
+        safeLogger.error(`Reconnection attempt failed: ${initError.message}`);
+      });
+    }, delay);
+  }
 
-    // Close existing connection if any
+  /**
+   * Close the current connection, if any, and forget its channels
+   */
+  async _dropConnection() {
     if (this.connection) {
-      try {
-        await this.connection.close();
-      } catch (error) {
-        safeLogger.error(`Error closing RabbitMQ connection: ${error.message}`);
-      }
+      const connection = this.connection;
       this.connection = null;
-    }
-
-    // Close all channels
-    for (const [name, channel] of this.channels.entries()) {
+      connection.removeAllListeners();
+      connection.on("error", () => {}); // Late errors of the old connection
       try {
-        await channel.close();
-      } catch (error) {
-        safeLogger.error(`Error closing channel ${name}: ${error.message}`);
+        await connection.close();
+      } catch (closeError) {
+        // Usually already closed by the broker
       }
     }
-    this.channels.clear();
-
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      const delay =
-        this.reconnectInterval *
-        Math.pow(this.retryMultiplier, this.reconnectAttempts - 1);
-      safeLogger.info(
-        `Attempting to reconnect to RabbitMQ in ${delay}ms... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`
-      );
 
-      setTimeout(() => {
-        this.init().catch((error) => {
-          safeLogger.error(`Reconnection attempt failed: ${error.message}`);
-        });
-      }, delay);
-    } else {
-      safeLogger.error(
-        `Failed to reconnect to RabbitMQ after ${this.maxReconnectAttempts} attempts`
-      );
-      // TODO: Implement circuit breaker or notify monitoring system (e.g., alert to Sentry)
+    // Channels die with the connection
+    this.channels.clear();
+    for (const consumer of this.consumers.values()) {
+      consumer.consumerTag = null;
     }
   }
 
-  async _setupDeadLetterExchange() {
-    const channel = await this.createChannel("dlx-setup");
-
-    const { name, type, queue, routingKey, queueOptions } =
-      rabbitMQConfig.formSubmissionDeadLetterExchange;
-
-    // Create dead letter exchange
-    await channel.assertExchange(name, type, {
-      durable: true,
-      autoDelete: false,
-    });
-
-    // Create dead letter queue
-    await channel.assertQueue(
-      queue,
-      queueOptions || {
-        durable: true,
-        arguments: {
-          "x-message-ttl": 7 * 24 * 60 * 60 * 1000, // 7 days fallback
-        },
-      }
+  /**
+   * Backoff before a reconnect attempt
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in ms
+   */
+  getReconnectDelay(attempt) {
+    const { initialInterval, multiplier, maxInterval, jitter } =
+      this.reconnectPolicy;
+    const base = Math.min(
+      initialInterval * Math.pow(multiplier, attempt - 1),
+      maxInterval
     );
+    const spread = base * jitter;
+    return Math.round(base - spread + Math.random() * spread * 2);
+  }
 
-    // Bind queue to exchange
-    await channel.bindQueue(queue, name, routingKey);
+  /**
+   * Whether the connection is up and its topology and consumers are in place
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
 
-    safeLogger.info(
-      `Dead letter exchange '${name}' and queue '${queue}' set up successfully`
+  /**
+   * Connection state for health checks
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      connected: this.connected,
+      reconnectAttempts: this.reconnectAttempts,
+      disconnectedAt: this.disconnectedAt
+        ? new Date(this.disconnectedAt).toISOString()
+        : null,
+      lastError: this.lastError,
+      consumers: Array.from(this.consumers.values()).map((consumer) => ({
+        queue: consumer.queueName,
+        channel: consumer.channelName,
+        active: Boolean(consumer.consumerTag),
+      })),
+    };
+  }
+
+  /**
+   * Diff the topology against the broker, then assert it
+   * Asserting is idempotent. An exchange or queue that exists with different
+   * arguments cannot be asserted (the broker would close the channel) and
+   * would silently keep its old ones, so nothing is asserted and this throws
+   * TOPOLOGY_CONFLICT naming each difference. To change a queue's arguments,
+   * drain and delete it (or move its consumers to a new queue name) first
+   */
+  async _setupTopology() {
+    const diff = await this.diffTopology();
+    const conflicts = [...diff.exchanges, ...diff.queues].filter(
+      (entity) => entity.status === "conflict"
     );
 
-    await this.closeChannel("dlx-setup");
-  }
+    if (conflicts.length > 0) {
+      const details = conflicts
+        .map((entity) => `${entity.kind} '${entity.name}': ${entity.detail}`)
+        .join("; ");
+      const error = new Error(
+        `AMQP topology differs from the broker (${details}). Migrate or delete these before starting`
+      );
+      error.code = "TOPOLOGY_CONFLICT";
+      error.conflicts = conflicts;
+      this.topologyStatus = {
+        diff,
+        created: [],
+        conflicts: conflicts.map((entity) => entity.name),
+        assertedAt: null,
+      };
+      throw error;
+    }
 
-  async _setupDefaultExchanges() {
-    const channel = await this.createChannel("exchange-setup");
+    const channel = await this.createChannel("topology-setup");
 
-    for (const [key, exchange] of Object.entries(rabbitMQConfig.exchanges)) {
+    for (const exchange of this.topology.exchanges) {
       await channel.assertExchange(
         exchange.name,
         exchange.type,
         exchange.options
       );
-      safeLogger.info(
-        `Exchange '${exchange.name}' of type '${exchange.type}' set up successfully`
-      );
     }
 
-    await this.closeChannel("exchange-setup");
-  }
-
-  async _setupDefaultQueues() {
-    const channel = await this.createChannel("queue-setup");
-
-    for (const [key, queueConfig] of Object.entries(rabbitMQConfig.queues)) {
-      await channel.assertQueue(queueConfig.name, queueConfig.options);
-      for (const binding of queueConfig.bindings) {
+    for (const queue of this.getDeclaredQueues()) {
+      await channel.assertQueue(queue.name, getQueueOptions(queue));
+      for (const binding of queue.bindings) {
         await channel.bindQueue(
-          queueConfig.name,
+          queue.name,
           binding.exchange,
           binding.routingKey
         );
       }
+    }
+
+    await this.closeChannel("topology-setup");
 
-      safeLogger.info(
-        `Queue '${queueConfig.name}' set up and bound successfully`
+    const created = [...diff.exchanges, ...diff.queues]
+      .filter((entity) => entity.status === "missing")
+      .map((entity) => entity.name);
+
+    this.topologyStatus = {
+      diff,
+      created,
+      conflicts: [],
+      assertedAt: new Date().toISOString(),
+    };
+    safeLogger.info("AMQP topology asserted", {
+      exchanges: this.topology.exchanges.length,
+      queues: this.getDeclaredQueues().length,
+      created,
+    });
+  }
+
+  /**
+   * Compare the topology with what the broker has
+   * Every exchange and queue is checked passively, then re-declared with the
+   * topology's arguments on a throwaway channel to detect differences.
+   * AMQP cannot list entities or bindings, so extra entities on the broker
+   * and bindings are not part of the diff
+   * @returns {Promise<object>} { exchanges, queues } - entries of
+   *   { kind, name, status: present | missing | conflict, detail }
+   */
+  async diffTopology() {
+    const exchanges = [];
+    for (const exchange of this.topology.exchanges) {
+      exchanges.push(
+        await this._diffEntity(
+          "Exchange",
+          exchange.name,
+          (channel) => channel.checkExchange(exchange.name),
+          (channel) =>
+            channel.assertExchange(
+              exchange.name,
+              exchange.type,
+              exchange.options
+            )
+        )
       );
     }
 
-    await this.closeChannel("queue-setup");
+    const queues = [];
+    for (const queue of this.getDeclaredQueues()) {
+      queues.push(
+        await this._diffEntity(
+          "Queue",
+          queue.name,
+          (channel) => channel.checkQueue(queue.name),
+          (channel) => channel.assertQueue(queue.name, getQueueOptions(queue))
+        )
+      );
+    }
+
+    return { exchanges, queues };
   }
 
-  async createChannel(name) {
-    if (!this.connection) {
-      await this.init();
+  async _diffEntity(kind, name, check, declare) {
+    const exists = await this._probe(check);
+    if (!exists.ok) {
+      return exists.code === 404
+        ? { kind, name, status: "missing", detail: null }
+        : { kind, name, status: "conflict", detail: exists.message };
     }
+
+    const equivalent = await this._probe(declare);
+    return equivalent.ok
+      ? { kind, name, status: "present", detail: null }
+      : { kind, name, status: "conflict", detail: equivalent.message };
+  }
+
+  /**
+   * Run an operation on a throwaway channel
+   * The broker closes a channel on 404/406, so each probe gets its own
+   * @param {function} operation - async (channel) => *
+   * @returns {Promise<object>} { ok, code, message }
+   */
+  async _probe(operation) {
+    const channel = await this.connection.createChannel();
+    channel.on("error", () => {}); // Reported through the rejection below
+
+    try {
+      await operation(channel);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, code: error.code, message: error.message };
+    } finally {
+      try {
+        await channel.close();
+      } catch (error) {
+        // Already closed by the broker
+      }
+    }
+  }
+
+  /**
+   * Queues of the topology plus the delay queues of queues with retries
+   * A retried message waits in `<queue>.retry.<attempt>` until its TTL
+   * expires, then is dead-lettered back to the queue through the default
+   * exchange. A queue per attempt keeps short delays from waiting behind
+   * long ones
+   * @returns {array} Queue definitions
+   */
+  getDeclaredQueues() {
+    const queues = [];
+
+    for (const queue of this.topology.queues) {
+      queues.push(queue);
+
+      const policy = this.getRetryPolicy(queue.name);
+      for (let attempt = 1; attempt <= (policy?.maxRetries || 0); attempt++) {
+        queues.push({
+          name: this.getRetryQueueName(queue.name, attempt),
+          options: { durable: true, messageTtl: policy.getDelay(attempt) },
+          bindings: [],
+          deadLetter: { exchange: "", routingKey: queue.name },
+        });
+      }
+    }
+
+    return queues;
+  }
+
+  /**
+   * Last topology diff and assertion
+   * @returns {object|null} { diff, created, conflicts, assertedAt }
+   */
+  getTopologyStatus() {
+    return this.topologyStatus;
+  }
+
+  /**
+   * Retry policy of a queue
+   * Topology queues opt in with `retry: true` (rabbitMQConfig.retryMechanism)
+   * or a `retry` object overriding part of it
+   * @param {string} queueName - Queue name
+   * @returns {object|null} { maxRetries, initialInterval, multiplier, getDelay }
+   */
+  getRetryPolicy(queueName) {
+    const queueConfig = getQueue(queueName);
+    if (!queueConfig?.retry) return null;
+
+    const policy = {
+      ...rabbitMQConfig.retryMechanism,
+      ...(queueConfig.retry === true ? {} : queueConfig.retry),
+    };
+
+    return {
+      ...policy,
+      getDelay: (attempt) =>
+        policy.initialInterval * Math.pow(policy.multiplier, attempt - 1),
+    };
+  }
+
+  getRetryQueueName(queueName, attempt) {
+    return `${queueName}.retry.${attempt}`;
+  }
+
+  /**
+   * Get or create a named channel
+   * @param {string} name - Channel name
+   * @param {object} options - { confirm: open a confirm channel }
+   * @returns {Promise<object>} amqplib channel
+   */
+  async createChannel(name, { confirm = false } = {}) {
+    const connection = await this._getConnection();
     if (this.channels.has(name)) {
       const channel = this.channels.get(name);
+      // A plain channel never calls confirm callbacks back
+      if (this.flowControl.get(channel)?.confirm !== confirm) {
+        throw new Error(
+          `Channel '${name}' is already open ${
+            confirm ? "without" : "in"
+          } confirm mode`
+        );
+      }
       return channel;
     }
 
     try {
-      const channel = await this.connection.createChannel();
+      const channel = confirm
+        ? await connection.createConfirmChannel()
+        : await connection.createChannel();
       this.channels.set(name, channel);
+      this.flowControl.set(channel, {
+        confirm,
+        draining: null, // Shared wait for "drain" while the buffer is full
+        pendingReturns: new Map(), // messageId → confirmed mandatory publish
+      });
+
+      channel.on("return", (msg) => this._handleReturn(name, channel, msg));
 
       channel.on("error", (error) => {
         safeLogger.error(`Channel '${name}' error: ${error.message}`);
@@ -195,6 +591,7 @@ class RabbitMQConnection {
       channel.on("close", () => {
         safeLogger.info(`Channel '${name}' closed`);
         this.channels.delete(name);
+        this._restartChannelConsumers(name);
       });
 
       return channel;
@@ -204,6 +601,15 @@ class RabbitMQConnection {
     }
   }
 
+  /**
+   * Get or create a named channel in confirm mode
+   * @param {string} name - Channel name
+   * @returns {Promise<object>} amqplib confirm channel
+   */
+  async createConfirmChannel(name) {
+    return this.createChannel(name, { confirm: true });
+  }
+
   async closeChannel(name) {
     if (this.channels.has(name)) {
       try {
@@ -231,14 +637,23 @@ class RabbitMQConnection {
     safeLogger.info(`Exchange '${exchangeName}' created successfully`);
   }
 
+  /**
+   * Assert a queue; queues of the topology get their declared options
+   * @param {string} channelName - Channel name
+   * @param {string} queueName - Queue name
+   * @param {object} options - Options overriding the defaults
+   * @returns {Promise<object>} assertQueue result
+   */
   async createQueue(channelName, queueName, options = {}) {
     const channel = await this.createChannel(channelName);
 
-    const defaultOptions = {
-      durable: true,
-      deadLetterExchange: rabbitMQConfig.deadLetterExchange.name,
-      messageTtl: 86400000, // 24 hours
-    };
+    const declared = getQueue(queueName);
+    const defaultOptions = declared
+      ? getQueueOptions(declared)
+      : {
+          durable: true,
+          messageTtl: 86400000, // 24 hours
+        };
 
     const queueResult = await channel.assertQueue(queueName, {
       ...defaultOptions,
@@ -256,12 +671,67 @@ class RabbitMQConnection {
     );
   }
 
+  /**
+   * Publish a message
+   * When the channel's write buffer is full, waits for "drain" before
+   * resolving (and holds later publishes on the channel until then)
+   * @param {string} channelName - Channel name
+   * @param {string} exchangeName - Exchange ("" for the default exchange)
+   * @param {string} routingKey - Routing key
+   * @param {*} content - Message body
+   * @param {object} options - amqplib publish options (mandatory: unroutable messages are returned)
+   * @returns {Promise<boolean>} True once the message is written
+   */
   async publish(channelName, exchangeName, routingKey, content, options = {}) {
-    if (!this.connection) {
-      await this.init();
-    }
     const channel = await this.createChannel(channelName);
 
+    return this._publish(channel, exchangeName, routingKey, content, options);
+  }
+
+  /**
+   * Publish and wait for the broker to confirm the message
+   * Rejects with code NACKED, UNROUTABLE (mandatory and returned) or
+   * CONFIRM_TIMEOUT. Unlike publish, this never opens a connection; it fails
+   * fast so the caller can retry once "connected" is emitted
+   * @param {string} channelName - Confirm channel name
+   * @param {string} exchangeName - Exchange ("" for the default exchange)
+   * @param {string} routingKey - Routing key
+   * @param {*} content - Message body
+   * @param {object} options - amqplib publish options
+   * @returns {Promise<boolean>} Resolves once the broker acks the message
+   */
+  async publishConfirmed(
+    channelName,
+    exchangeName,
+    routingKey,
+    content,
+    options = {}
+  ) {
+    if (!this.connected) {
+      throw new Error("RabbitMQ connection is not available");
+    }
+    const channel = await this.createConfirmChannel(channelName);
+
+    return this._publish(channel, exchangeName, routingKey, content, options, {
+      confirm: true,
+    });
+  }
+
+  async _publish(
+    channel,
+    exchangeName,
+    routingKey,
+    content,
+    options,
+    { confirm = false } = {}
+  ) {
+    const flow = this.flowControl.get(channel);
+
+    // Nothing new goes on the wire while the channel is draining
+    if (flow?.draining) {
+      await flow.draining;
+    }
+
     const defaultOptions = {
       persistent: true,
       contentType: "application/json",
@@ -270,74 +740,376 @@ class RabbitMQConnection {
       headers: {},
     };
 
+    // A traceparent header (e.g. from an outbox entry) overrides the
+    // active span as the parent
+    const destination = exchangeName || routingKey; // Default exchange → queue
+    const span = tracer.startSpan(`${destination} publish`, {
+      kind: SPAN_KINDS.PRODUCER,
+      parent: options.headers?.traceparent,
+      attributes: {
+        "messaging.system": "rabbitmq",
+        "messaging.operation": "publish",
+        "messaging.destination.name": destination,
+        "messaging.rabbitmq.destination.routing_key": routingKey,
+        "messaging.message.conversation_id": options.correlationId,
+        "messaging.rabbitmq.confirm": confirm,
+        "messaging.rabbitmq.mandatory": Boolean(options.mandatory),
+      },
+    });
+
     const publishOptions = { ...defaultOptions, ...options };
+    publishOptions.headers = {
+      ...publishOptions.headers,
+      traceparent: span.traceparent, // Consumers continue from this span
+    };
+    // Returned messages are matched to their publish by messageId
+    if (publishOptions.mandatory && !publishOptions.messageId) {
+      publishOptions.messageId = uuidv4();
+    }
     const buffer = Buffer.isBuffer(content)
       ? content
       : Buffer.from(JSON.stringify(content));
 
-    const result = channel.publish(
-      exchangeName,
-      routingKey,
-      buffer,
-      publishOptions
-    );
+    const labels = { exchange: exchangeName, routing_key: routingKey };
 
-    if (result) {
-      safeLogger.info(
-        `Message published to exchange '${exchangeName}' with routing key '${routingKey}'`
-      );
-    } else {
+    let written;
+    try {
+      if (confirm) {
+        const confirmation = this._trackConfirm(channel, publishOptions);
+        written = channel.publish(
+          exchangeName,
+          routingKey,
+          buffer,
+          publishOptions,
+          confirmation.callback
+        );
+        if (!written) await this._waitForDrain(channel);
+        await confirmation.promise;
+      } else {
+        written = channel.publish(
+          exchangeName,
+          routingKey,
+          buffer,
+          publishOptions
+        );
+        if (!written) await this._waitForDrain(channel);
+      }
+    } catch (error) {
+      const result = PUBLISH_FAILURE_RESULTS[error.code] || "error";
+      metrics.rabbitPublished.inc({ ...labels, result });
+      span.recordException(error).end();
       safeLogger.warn(
-        `Failed to publish message to exchange '${exchangeName}' with routing key '${routingKey}'`
+        `Failed to publish message to exchange '${exchangeName}' with routing key '${routingKey}': ${error.message}`
       );
+      throw error;
+    }
+
+    metrics.rabbitPublished.inc({
+      ...labels,
+      result: written ? "ok" : "buffer_full",
+    });
+    span
+      .setAttribute("messaging.rabbitmq.buffer_full", !written)
+      .setStatus(SPAN_STATUS.OK)
+      .end();
+
+    safeLogger.debug(
+      `Message ${confirm ? "confirmed" : "published"} on exchange '${exchangeName}' with routing key '${routingKey}'`
+    );
+
+    return true;
+  }
+
+  /**
+   * Confirm callback and the promise it settles
+   * @param {object} channel - Confirm channel
+   * @param {object} publishOptions - Options the message is published with
+   * @returns {object} { callback, promise }
+   */
+  _trackConfirm(channel, publishOptions) {
+    const flow = this.flowControl.get(channel);
+    const { messageId, mandatory } = publishOptions;
+
+    // RabbitMQ sends basic.return before the ack of an unroutable message
+    const pending = { returned: null };
+    if (mandatory) flow.pendingReturns.set(messageId, pending);
+
+    let callback;
+    const promise = new Promise((resolve, reject) => {
+      // A channel that dies mid-flight never calls back
+      const timer = setTimeout(() => {
+        flow.pendingReturns.delete(messageId);
+        reject(
+          publishError(
+            `Publish not confirmed within ${this.confirmTimeout}ms`,
+            "CONFIRM_TIMEOUT"
+          )
+        );
+      }, this.confirmTimeout);
+
+      callback = (error) => {
+        clearTimeout(timer);
+        if (mandatory) flow.pendingReturns.delete(messageId);
+
+        if (error) {
+          reject(publishError("Message nacked by RabbitMQ", "NACKED"));
+        } else if (pending.returned) {
+          reject(
+            publishError(
+              `Message returned as unroutable: ${pending.returned}`,
+              "UNROUTABLE"
+            )
+          );
+        } else {
+          resolve();
+        }
+      };
+    });
+
+    // The publish may fail while draining, before anyone awaits this
+    promise.catch(() => {});
+
+    return { callback, promise };
+  }
+
+  /**
+   * Wait for a channel's write buffer to drain
+   * Concurrent publishers on the channel share the wait
+   * @param {object} channel - Channel
+   */
+  async _waitForDrain(channel) {
+    const flow = this.flowControl.get(channel);
+
+    if (!flow.draining) {
+      flow.draining = new Promise((resolve, reject) => {
+        const cleanup = () => {
+          clearTimeout(timer);
+          channel.removeListener("drain", onDrain);
+          channel.removeListener("close", onClose);
+          flow.draining = null;
+        };
+        const onDrain = () => {
+          cleanup();
+          resolve();
+        };
+        const onClose = () => {
+          cleanup();
+          reject(publishError("Channel closed before draining", "CLOSED"));
+        };
+        const timer = setTimeout(() => {
+          cleanup();
+          reject(
+            publishError(
+              `Channel did not drain within ${this.drainTimeout}ms`,
+              "DRAIN_TIMEOUT"
+            )
+          );
+        }, this.drainTimeout);
+
+        channel.once("drain", onDrain);
+        channel.once("close", onClose);
+      });
+
+      safeLogger.warn("Channel write buffer full, waiting for drain");
     }
 
-    return result;
+    await flow.draining;
+  }
+
+  /**
+   * Handle a message the broker could not route (mandatory publishes)
+   * @param {string} channelName - Channel name
+   * @param {object} channel - Channel
+   * @param {object} msg - Returned message
+   */
+  _handleReturn(channelName, channel, msg) {
+    const { exchange, routingKey, replyCode, replyText } = msg.fields;
+    const { messageId, correlationId } = msg.properties;
+
+    metrics.rabbitReturned.inc({ exchange, routing_key: routingKey });
+    safeLogger.warn(
+      `Message returned by exchange '${exchange}' with routing key '${routingKey}': ${replyText}`,
+      { messageId, correlationId }
+    );
+
+    // A confirmed publish fails with UNROUTABLE when its ack arrives
+    const flow = this.flowControl.get(channel);
+    const pending = flow?.pendingReturns.get(messageId);
+    if (pending) pending.returned = replyText;
+
+    this.emit("returned", {
+      channelName,
+      exchange,
+      routingKey,
+      replyCode,
+      replyText,
+      messageId,
+      correlationId,
+      content: msg.content,
+    });
   }
 
+  /**
+   * Consume a queue
+   * The registration is remembered: the consumer starts now if connected
+   * (otherwise on connect) and again after every reconnect
+   * @param {string} channelName - Channel name
+   * @param {string} queueName - Queue name
+   * @param {function} callback - async (content, msg, channel); throwing
+   *   retries or dead-letters the message
+   * @param {object} options - prefetch and amqplib consume options
+   * @returns {Promise<string>} Consumer ID (stays valid across reconnects)
+   */
   async consume(channelName, queueName, callback, options = {}) {
-    if (!this.connection) {
+    const consumer = {
+      id: uuidv4(),
+      channelName,
+      queueName,
+      callback,
+      options,
+      consumerTag: null, // Broker tag of the running consumer
+      starting: false,
+    };
+    this.consumers.set(consumer.id, consumer);
+
+    // Joins a connect in flight; a pending reconnect restores it later
+    if (!this.connection && !this.reconnecting) {
       await this.init();
     }
+
+    if (this.connected) {
+      await this._startConsumer(consumer);
+    } else {
+      safeLogger.warn(
+        `Not connected; consumer for queue '${queueName}' starts once RabbitMQ is back`
+      );
+    }
+
+    return consumer.id;
+  }
+
+  /**
+   * Start every remembered consumer that is not running
+   * A consumer that fails to start is retried on the next reconnect
+   */
+  async _restoreConsumers() {
+    for (const consumer of this.consumers.values()) {
+      if (!this.connected) return;
+      try {
+        await this._startConsumer(consumer);
+      } catch (error) {
+        safeLogger.error(
+          `Failed to restore consumer for queue '${consumer.queueName}': ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Restart the consumers of a channel that closed on its own (e.g. after a
+   * channel error) while the connection stayed up
+   * @param {string} channelName - Channel name
+   */
+  _restartChannelConsumers(channelName) {
+    if (!this.connected) return; // A reconnect restores everything
+
+    let stopped = 0;
+    for (const consumer of this.consumers.values()) {
+      if (consumer.channelName === channelName && consumer.consumerTag) {
+        consumer.consumerTag = null;
+        stopped++;
+      }
+    }
+    if (stopped === 0) return;
+
+    safeLogger.warn(
+      `Channel '${channelName}' closed with ${stopped} consumer(s); restarting them`
+    );
+    setTimeout(() => {
+      this._restoreConsumers().catch(() => {});
+    }, this.reconnectPolicy.initialInterval);
+  }
+
+  async _startConsumer(consumer) {
+    if (consumer.consumerTag || consumer.starting) return;
+    consumer.starting = true;
+
+    try {
+      consumer.consumerTag = await this._openConsumer(consumer);
+    } finally {
+      consumer.starting = false;
+    }
+  }
+
+  async _openConsumer(consumer) {
+    const { channelName, queueName, callback, options } = consumer;
     const channel = await this.createChannel(channelName);
 
-    if (rabbitMQConfig.consumerOptions.prefetch) {
-      await channel.prefetch(rabbitMQConfig.consumerOptions.prefetch);
+    const { prefetch = rabbitMQConfig.consumerOptions.prefetch, ...rest } =
+      options;
+    if (prefetch) {
+      await channel.prefetch(prefetch);
     }
 
     const defaultOptions = {
       noAck: rabbitMQConfig.consumerOptions.noAck,
     };
 
-    const consumeOptions = { ...defaultOptions, ...options };
+    const consumeOptions = { ...defaultOptions, ...rest };
 
     const { consumerTag } = await channel.consume(
       queueName,
       async (msg) => {
         if (msg === null) {
+          // e.g. the queue was deleted; try again on the next reconnect
+          consumer.consumerTag = null;
           safeLogger.warn(`Consumer was cancelled by RabbitMQ: ${queueName}`);
           return;
         }
 
+        metrics.rabbitConsumed.inc({ queue: queueName });
+
+        // Continue the publisher's trace; events emitted by the callback
+        // become children of this span
+        const span = tracer.startSpan(`${queueName} process`, {
+          kind: SPAN_KINDS.CONSUMER,
+          parent: msg.properties.headers?.traceparent || null,
+          attributes: {
+            "messaging.system": "rabbitmq",
+            "messaging.operation": "process",
+            "messaging.destination.name": queueName,
+            "messaging.message.id": msg.properties.messageId,
+            "messaging.message.conversation_id": msg.properties.correlationId,
+            "messaging.rabbitmq.redelivered": msg.fields.redelivered,
+          },
+        });
+
         try {
-          const content = JSON.parse(msg.content.toString());
+          const content = parseMessageContent(msg);
           // Wrap callback in try-catch to handle sync errors
-          await Promise.resolve(callback(content, msg, channel));
+          // Log lines written by the callback carry the message's identity
+          await runWithContext(
+            {
+              correlationId: msg.properties.correlationId,
+              messageId: msg.properties.messageId,
+              queue: queueName,
+            },
+            () =>
+              tracer.withSpan(span, () =>
+                Promise.resolve(callback(content, msg, channel))
+              )
+          );
           if (!consumeOptions.noAck) {
             channel.ack(msg);
           }
+          span.setStatus(SPAN_STATUS.OK).end();
         } catch (error) {
+          span.recordException(error).end();
           safeLogger.error(
             `Error processing message from queue '${queueName}': ${error.message}`
           );
           if (!consumeOptions.noAck) {
-            try {
-              channel.nack(msg, false, false);
-            } catch (nackError) {
-              safeLogger.warn(
-                `Failed to nack message (channel may be closed): ${nackError.message}`
-              );
-            }
+            await this._retryOrDeadLetter(channel, queueName, msg, error);
           }
         }
       },
@@ -350,20 +1122,204 @@ class RabbitMQConnection {
     return consumerTag;
   }
 
-  async cancelConsumer(channelName, consumerTag) {
-    if (!this.channels.has(channelName)) {
+  /**
+   * Settle a message whose handler failed
+   * While the queue's retry policy allows it, a copy goes to the next delay
+   * queue with x-retry-count incremented, published on a confirm channel;
+   * the original is acked only once the broker has confirmed the copy.
+   * Otherwise (or for errors with `retryable: false`, or when the copy is
+   * not confirmed) the message is nacked and parked in the queue's dead
+   * letter exchange
+   * @param {object} channel - Consumer channel
+   * @param {string} queueName - Queue the message came from
+   * @param {object} msg - Failed message
+   * @param {Error} error - Handler error
+   */
+  async _retryOrDeadLetter(channel, queueName, msg, error) {
+    const policy = this.getRetryPolicy(queueName);
+    const { headers = {} } = msg.properties;
+    const retryCount = Number(headers["x-retry-count"]) || 0;
+
+    if (policy && error.retryable !== false && retryCount < policy.maxRetries) {
+      const attempt = retryCount + 1;
+      const retryQueue = this.getRetryQueueName(queueName, attempt);
+
+      let scheduled = false;
+      try {
+        // x-death only grows through the delay queues; the final rejection
+        // adds the entry the DLQ tooling needs
+        const { "x-death": xDeath, ...retryHeaders } = headers;
+        await this.publishConfirmed(
+          CHANNELS.CONSUMER_RETRY,
+          "",
+          retryQueue,
+          msg.content,
+          {
+            ...copyMessageProperties(msg.properties),
+            headers: {
+              ...retryHeaders,
+              "x-retry-count": attempt,
+              "x-last-error": String(error.message).slice(0, 500),
+            },
+            mandatory: true, // A missing delay queue must not lose it
+          }
+        );
+        scheduled = true;
+      } catch (retryError) {
+        safeLogger.warn(
+          `Failed to schedule retry for queue '${queueName}': ${retryError.message}`
+        );
+      }
+
+      if (scheduled) {
+        metrics.rabbitRetried.inc({ queue: queueName });
+        safeLogger.warn(
+          `Message from queue '${queueName}' scheduled for retry ${attempt}/${
+            policy.maxRetries
+          } in ${policy.getDelay(attempt)}ms`,
+          { messageId: msg.properties.messageId }
+        );
+        try {
+          channel.ack(msg);
+        } catch (ackError) {
+          // Redelivered as well as retried; handlers must be idempotent
+          safeLogger.warn(
+            `Failed to ack retried message (channel may be closed): ${ackError.message}`
+          );
+        }
+        return;
+      }
+    }
+
+    try {
+      channel.nack(msg, false, false);
+      metrics.rabbitNacked.inc({ queue: queueName });
+    } catch (nackError) {
       safeLogger.warn(
-        `Channel '${channelName}' not found for cancelling consumer '${consumerTag}'`
+        `Failed to nack message (channel may be closed): ${nackError.message}`
       );
+    }
+  }
+
+  /**
+   * Get a queue's message and consumer counts
+   * @param {string} channelName - Channel name
+   * @param {string} queueName - Queue name
+   * @returns {Promise<object>} { queue, messageCount, consumerCount }
+   */
+  async checkQueue(channelName, queueName) {
+    const channel = await this.createChannel(channelName);
+    return channel.checkQueue(queueName);
+  }
+
+  /**
+   * Fetch up to `limit` messages from a queue and hand them to fn
+   * Messages fn leaves unsettled are returned to the queue afterwards, so
+   * this doubles as a way to browse a queue
+   * @param {string} channelName - Channel name (used for nothing else)
+   * @param {string} queueName - Queue name
+   * @param {number} limit - Maximum number of messages
+   * @param {function} fn - async (messages, { ack }) => result
+   * @returns {Promise<*>} fn's result
+   */
+  async withQueueMessages(channelName, queueName, limit, fn) {
+    const channel = await this.createChannel(channelName);
+    const messages = [];
+    const settled = new Set();
+
+    try {
+      while (messages.length < limit) {
+        const msg = await channel.get(queueName, { noAck: false });
+        if (!msg) break;
+        messages.push(msg);
+      }
+
+      return await fn(messages, {
+        ack: (msg) => {
+          channel.ack(msg);
+          settled.add(msg);
+        },
+      });
+    } finally {
+      for (const msg of messages) {
+        if (settled.has(msg)) continue;
+        try {
+          channel.nack(msg, false, true);
+        } catch (error) {
+          // A closed channel returns unacked messages to the queue anyway
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove every message from a queue
+   * @param {string} channelName - Channel name
+   * @param {string} queueName - Queue name
+   * @returns {Promise<number>} Number of messages removed
+   */
+  async purgeQueue(channelName, queueName) {
+    const channel = await this.createChannel(channelName);
+    const { messageCount } = await channel.purgeQueue(queueName);
+    safeLogger.info(`Queue '${queueName}' purged (${messageCount} messages)`);
+    return messageCount;
+  }
+
+  /**
+   * Start a consumer of the topology
+   * @param {object} consumer - Consumer definition (queue, channel, prefetch, handler)
+   * @param {object} component - Object whose `handler` method gets the messages
+   * @returns {Promise<string>} Consumer tag
+   */
+  async startConsumer(consumer, component) {
+    const handler = component[consumer.handler];
+    if (typeof handler !== "function") {
+      throw new Error(
+        `Consumer '${consumer.name}' has no handler '${consumer.handler}'`
+      );
+    }
+
+    return this.consume(
+      consumer.channel,
+      consumer.queue,
+      handler.bind(component),
+      { prefetch: consumer.prefetch }
+    );
+  }
+
+  /**
+   * Stop a consumer and forget it
+   * @param {string} channelName - Channel name
+   * @param {string} consumerId - ID returned by consume
+   */
+  async cancelConsumer(channelName, consumerId) {
+    const consumer = this.consumers.get(consumerId);
+    if (!consumer) {
+      safeLogger.warn(`Consumer '${consumerId}' not found for cancelling`);
       return;
     }
+    this.consumers.delete(consumerId);
 
     const channel = this.channels.get(channelName);
-    await channel.cancel(consumerTag);
-    safeLogger.info(`Consumer '${consumerTag}' cancelled successfully`);
+    if (!channel || !consumer.consumerTag) return; // Not running
+
+    await channel.cancel(consumer.consumerTag);
+    safeLogger.info(
+      `Consumer '${consumer.consumerTag}' cancelled successfully`
+    );
   }
 
+  /**
+   * Close the connection for good (no reconnect)
+   */
   async close() {
+    this.closing = true;
+    this.connected = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
     for (const [name, channel] of this.channels.entries()) {
       try {
         await channel.close();
@@ -0,0 +1,229 @@
+import Joi from "joi";
+
+/**
+ * Event data schemas for every event type the service emits or consumes
+ * Objects allow unknown keys so producers can add fields without a new version
+ */
+const id = Joi.alternatives().try(Joi.string(), Joi.number());
+const isoDate = Joi.string().isoDate();
+
+// What one matching strategy answered (A/B comparisons)
+const matchingVerdict = Joi.object({
+  strategy: Joi.string().required(),
+  answered: Joi.boolean().required(),
+  success: Joi.boolean().required(),
+  assignedUserId: id.allow(null).required(),
+  reason: Joi.string().allow("", null),
+  durationMs: Joi.number().min(0).required(),
+});
+
+const eventSchemas = {
+  // Form intake
+  "form.submitted": Joi.object().unknown(true).required(),
+
+  // Matching engine round trip
+  "matching.request": Joi.object().unknown(true).required(),
+  "matching.request.sent": Joi.object({
+    correlationId: Joi.string().required(),
+    timestamp: Joi.number().required(),
+  }).unknown(true),
+  "matching.request.failed": Joi.object({
+    correlationId: Joi.string().required(),
+    error: Joi.string().allow("").required(),
+    originalData: Joi.any(),
+  }).unknown(true),
+  "matching.response": Joi.object({
+    success: Joi.boolean(),
+  })
+    .unknown(true)
+    .required(),
+  "matching.comparison": Joi.object({
+    requestType: Joi.string().required(),
+    primary: matchingVerdict.required(),
+    candidate: matchingVerdict.required(),
+    agreed: Joi.boolean().required(),
+    comparedAt: isoDate.required(),
+  }),
+  "matching.circuit.changed": Joi.object({
+    circuit: Joi.string().required(),
+    from: Joi.string().valid("closed", "open", "half_open").required(),
+    to: Joi.string().valid("closed", "open", "half_open").required(),
+    reason: Joi.string().required(),
+    failureRate: Joi.number().min(0).max(1).required(),
+    requests: Joi.number().integer().min(0).required(),
+    heldSubmissions: Joi.number().integer().min(0).required(),
+    changedAt: isoDate.required(),
+  }),
+
+  // Task lifecycle
+  "task.assigned": Joi.object().unknown(true).required(),
+  "assignment.failed": Joi.object({
+    data: Joi.any(),
+    reason: Joi.string().required(),
+    error: Joi.string().allow(""),
+    failedAt: isoDate.required(),
+  }).unknown(true),
+  "assignment.held": Joi.object({
+    data: Joi.any(),
+    reason: Joi.string().required(),
+    circuitState: Joi.string().required(),
+    heldSubmissions: Joi.number().integer().min(1).required(),
+    heldAt: isoDate.required(),
+  }).unknown(true),
+  "task.reassign.requested": Joi.object({
+    taskId: id.required(),
+    currentAssignee: id.allow(null),
+    reason: Joi.string().allow(""),
+    priority: Joi.string(),
+  }).unknown(true),
+  "task.reassigned": Joi.object({
+    taskId: id.required(),
+    previousAssignee: id.allow(null),
+    newAssignee: id.allow(null),
+    reason: Joi.string().allow(""),
+    reassignedAt: isoDate.required(),
+  }).unknown(true),
+  "reassignment.failed": Joi.object({
+    taskId: id.required(),
+    reason: Joi.string().allow(""),
+    failedAt: isoDate.required(),
+  }).unknown(true),
+  "task.declined": Joi.object({
+    taskId: id.required(),
+    userId: id,
+    reason: Joi.string().allow(""),
+  }).unknown(true),
+  "task.completed": Joi.object({
+    taskId: id.required(),
+  }).unknown(true),
+  "monitor.task": Joi.object({
+    taskId: id.required(),
+    assignee: id.allow(null),
+  }).unknown(true),
+  "task.timeout": Joi.object({
+    taskId: id.required(),
+    assignee: id.allow(null),
+    timeoutReason: Joi.string().required(),
+    detectedAt: isoDate.required(),
+  }).unknown(true),
+  "task.recovery.requested": Joi.object({
+    taskId: id.required(),
+    recoveryReason: Joi.string().allow(""),
+    requestedBy: id,
+  }).unknown(true),
+  "task.recovered": Joi.object({
+    taskId: id.required(),
+    recoveredAt: isoDate.required(),
+  }).unknown(true),
+  "task.escalated": Joi.object({
+    taskId: id.required(),
+    reason: Joi.string().allow(""),
+    escalatedAt: isoDate.required(),
+  }).unknown(true),
+
+  "task.state.changed": Joi.object({
+    taskId: id.required(),
+    from: Joi.string().allow(null).required(),
+    to: Joi.string().required(),
+    reason: Joi.string().allow("", null),
+    assignee: id.allow(null),
+    correlationId: Joi.string(),
+    formData: Joi.any(),
+    version: Joi.number().integer().min(1).required(),
+    changedAt: isoDate.required(),
+  }),
+  "task.transition.rejected": Joi.object({
+    taskId: id.required(),
+    from: Joi.string().allow(null).required(),
+    to: Joi.string().required(),
+    reason: Joi.string().required(),
+    rejectedAt: isoDate.required(),
+  }),
+
+  // External publishing
+  "external.publish": Joi.object({
+    exchange: Joi.string().allow(""),
+    routingKey: Joi.string().required(),
+    message: Joi.any().required(),
+    options: Joi.object().unknown(true),
+  }),
+  "external.publish.error": Joi.object({
+    error: Joi.string().required(),
+    originalData: Joi.any(),
+  }).unknown(true),
+  "external.response.error": Joi.object({
+    error: Joi.string().required(),
+    rawMessage: Joi.any(),
+  }).unknown(true),
+  "broker.connected": Joi.object({
+    reconnected: Joi.boolean().required(),
+    attempts: Joi.number().integer().min(0).required(),
+    downtimeMs: Joi.number().allow(null).required(),
+    connectedAt: isoDate.required(),
+  }),
+  "broker.disconnected": Joi.object({
+    reason: Joi.string().allow("").required(),
+    disconnectedAt: isoDate.required(),
+  }),
+  "inbox.duplicate": Joi.object({
+    queue: Joi.string().required(),
+    key: Joi.string().required(),
+    keySource: Joi.string().required(),
+    messageId: Joi.string(),
+    redelivered: Joi.boolean().required(),
+    droppedAt: isoDate.required(),
+  }),
+
+  // System
+  "agent.error": Joi.object({
+    agentName: Joi.string().required(),
+    eventType: Joi.string().required(),
+    error: Joi.string().allow("").required(),
+    attempt: Joi.number().integer().min(1),
+    maxAttempts: Joi.number().integer().min(1),
+    originalEvent: Joi.object().unknown(true),
+  }).unknown(true),
+  "handler.error": Joi.object({
+    handlerName: Joi.string().required(),
+    error: Joi.object({
+      message: Joi.string().allow("").required(),
+      stack: Joi.string().allow(""),
+    }).unknown(true),
+    originalEvent: Joi.object().unknown(true),
+    attempts: Joi.number().integer().min(1),
+    deadLetterId: Joi.string(),
+  }).unknown(true),
+  "event.dead_lettered": Joi.object({
+    deadLetterId: Joi.string().required(),
+    eventId: Joi.string().required(),
+    eventType: Joi.string().required(),
+    handlerName: Joi.string().required(),
+    attempts: Joi.number().integer().min(1).required(),
+    error: Joi.string().allow("").required(),
+  }),
+  "event.invalid": Joi.object({
+    originalEvent: Joi.object().unknown(true).required(),
+    errors: Joi.array()
+      .items(
+        Joi.object({
+          path: Joi.string().allow(""),
+          message: Joi.string().required(),
+        })
+      )
+      .required(),
+  }),
+};
+
+/**
+ * Register all event schemas (version 1) with a registry
+ * @param {SchemaRegistry} registry - Schema registry
+ * @returns {SchemaRegistry} The same registry
+ */
+export function registerEventSchemas(registry) {
+  for (const [eventType, schema] of Object.entries(eventSchemas)) {
+    registry.register(eventType, schema);
+  }
+  return registry;
+}
+
+export default eventSchemas;
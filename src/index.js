@@ -2,6 +2,14 @@ import { safeLogger } from "./config/logger.js";
 import { env } from "./config/env.js";
 import Application from "./Application.js";
 import app from "./app.js";
+import { createTaskRouter } from "./routes/taskRoutes.js";
+import { createEventStreamRouter } from "./routes/eventStreamRoutes.js";
+import { createLoggingRouter } from "./routes/loggingRoutes.js";
+import { createDeadLetterRouter } from "./routes/deadLetterRoutes.js";
+import { createDeadLetterQueueRouter } from "./routes/deadLetterQueueRoutes.js";
+import { createReplayRouter } from "./routes/replayRoutes.js";
+import { errorHandler, notFoundHandler } from "./utils/errorHandler.js";
+import { authenticate, authorize, toActor, ROLES } from "./middlewares/auth.js";
 
 // Create application instance
 const eventDrivenApp = new Application();
@@ -19,6 +27,10 @@ async function startServices() {
     // Start Express API server (for testing and monitoring)
     const PORT = env.PORT || 3001;
 
+    // Route guards (admins pass every guard)
+    const operatorOnly = [authenticate, authorize(ROLES.OPERATOR)];
+    const adminOnly = [authenticate, authorize()];
+
     // Add system routes to Express app
     app.get("/health", async (req, res) => {
       try {
@@ -29,7 +41,17 @@ async function startServices() {
       }
     });
 
-    app.get("/stats", async (req, res) => {
+    // Prometheus scrape endpoint (unauthenticated, like /health)
+    app.get("/metrics", async (req, res) => {
+      try {
+        const { contentType, body } = await eventDrivenApp.getMetrics();
+        res.set("Content-Type", contentType).send(body);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    app.get("/stats", operatorOnly, async (req, res) => {
       try {
         const stats = eventDrivenApp.getSystemStats();
         res.json(stats);
@@ -38,9 +60,12 @@ async function startServices() {
       }
     });
 
-    app.post("/test/form-submission", async (req, res) => {
+    // Injects events into the live bus
+    app.post("/test/form-submission", adminOnly, async (req, res) => {
       try {
-        const result = await eventDrivenApp.testFormSubmission();
+        const result = await eventDrivenApp.testFormSubmission(
+          toActor(req.user)
+        );
 
         res.json({
           success: true,
@@ -56,6 +81,17 @@ async function startServices() {
       }
     });
 
+    app.use("/api/v1/tasks", createTaskRouter(eventDrivenApp));
+    app.use("/api/v1/events", createEventStreamRouter(eventDrivenApp));
+    app.use("/admin/logging", createLoggingRouter());
+    app.use("/dead-letters", createDeadLetterRouter(eventDrivenApp));
+    app.use("/admin/dlq", createDeadLetterQueueRouter(eventDrivenApp));
+    app.use("/replay", createReplayRouter(eventDrivenApp));
+
+    // Must come after every route
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
     app.listen(PORT, () => {
       safeLogger.info(`⚙️ Express API Server running on port ${PORT}`);
     });
@@ -0,0 +1,136 @@
+import { readFile } from "fs/promises";
+import { createLocalJWKSet, createRemoteJWKSet, jwtVerify } from "jose";
+import { env } from "../config/env.js";
+import ApiError from "../utils/ApiError.js";
+
+export const ROLES = Object.freeze({
+  ADMIN: "admin",
+  OPERATOR: "operator",
+  AGENT_USER: "agent-user",
+});
+
+const KNOWN_ROLES = Object.values(ROLES);
+
+// Used when AUTH_ENABLED=false so local development keeps every route
+const ANONYMOUS_ADMIN = Object.freeze({
+  sub: "anonymous",
+  roles: [ROLES.ADMIN],
+  authenticated: false,
+});
+
+let keySetPromise = null;
+
+/**
+ * Resolve the JWKS once: a local file (AUTH_JWKS_FILE) or a URL
+ * (AUTH_JWKS_URL, else `${AUTH_SERVICE_URL}/.well-known/jwks.json`)
+ * @returns {Promise<function>} jose key resolver
+ */
+const getKeySet = () => {
+  if (!keySetPromise) {
+    keySetPromise = loadKeySet().catch((error) => {
+      keySetPromise = null; // Let the next request try again
+      throw error;
+    });
+  }
+  return keySetPromise;
+};
+
+const loadKeySet = async () => {
+  if (env.AUTH_JWKS_FILE) {
+    const jwks = JSON.parse(await readFile(env.AUTH_JWKS_FILE, "utf8"));
+    return createLocalJWKSet(jwks);
+  }
+
+  const jwksUrl =
+    env.AUTH_JWKS_URL ||
+    (env.AUTH_SERVICE_URL &&
+      `${env.AUTH_SERVICE_URL.replace(/\/$/, "")}/.well-known/jwks.json`);
+
+  if (!jwksUrl) {
+    throw new Error(
+      "No JWKS configured: set AUTH_JWKS_FILE, AUTH_JWKS_URL or AUTH_SERVICE_URL"
+    );
+  }
+
+  return createRemoteJWKSet(new URL(jwksUrl));
+};
+
+/**
+ * Map token claims to known roles
+ * The roles claim may be an array or a space/comma separated string
+ * @param {object} payload - Verified JWT payload
+ * @returns {array} Roles
+ */
+export const getRoles = (payload) => {
+  const claim = payload[env.AUTH_ROLES_CLAIM] ?? payload.role ?? [];
+  const roles = Array.isArray(claim) ? claim : String(claim).split(/[\s,]+/);
+  return roles.filter((role) => KNOWN_ROLES.includes(role));
+};
+
+/**
+ * Actor recorded on events and audit entries
+ * @param {object} user - req.user
+ * @returns {object|null} { sub, roles }
+ */
+export const toActor = (user) =>
+  user ? { sub: user.sub, roles: user.roles } : null;
+
+/**
+ * Verify the bearer token and attach req.user ({ sub, roles, claims })
+ */
+export const authenticate = async (req, res, next) => {
+  if (env.AUTH_ENABLED === "false") {
+    req.user = ANONYMOUS_ADMIN;
+    return next();
+  }
+
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    throw new ApiError(401, "Missing bearer token");
+  }
+
+  const keySet = await getKeySet();
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, keySet, {
+      issuer: env.AUTH_ISSUER || undefined,
+      audience: env.AUTH_AUDIENCE || undefined,
+    }));
+  } catch (error) {
+    throw new ApiError(401, `Invalid token: ${error.code || error.message}`);
+  }
+
+  if (!payload.sub) {
+    throw new ApiError(401, "Invalid token: missing subject");
+  }
+
+  req.user = {
+    sub: payload.sub,
+    roles: getRoles(payload),
+    authenticated: true,
+    claims: payload,
+  };
+  next();
+};
+
+/**
+ * Allow only users holding one of the roles (admins are always allowed)
+ * @param {...string} roles - Allowed roles
+ */
+export const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      throw new ApiError(401, "Not authenticated");
+    }
+
+    const allowed = [ROLES.ADMIN, ...roles];
+    if (!req.user.roles.some((role) => allowed.includes(role))) {
+      throw new ApiError(
+        403,
+        `Requires one of the roles: ${allowed.join(", ")}`
+      );
+    }
+    next();
+  };
@@ -0,0 +1,47 @@
+import { tracer, SPAN_KINDS, SPAN_STATUS } from "../config/tracing.js";
+
+/**
+ * Start a SERVER span per HTTP request, continuing the caller's trace
+ * from the `traceparent` header. Events published while handling the
+ * request inherit the span through the EventBus
+ */
+export const tracingMiddleware = (req, res, next) => {
+  const span = tracer.startSpan(req.method, {
+    kind: SPAN_KINDS.SERVER,
+    parent: req.headers.traceparent || null,
+    attributes: {
+      "http.request.method": req.method,
+      "url.path": req.path,
+      "correlation.id": req.correlationId,
+      "user_agent.original": req.headers["user-agent"],
+    },
+  });
+
+  const finish = () => {
+    res.off("finish", finish);
+    res.off("close", finish);
+
+    // Route templates keep span names low-cardinality ("/api/v1/tasks/:taskId")
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : undefined;
+    if (route) {
+      span.name = `${req.method} ${route}`;
+    }
+
+    span.setAttributes({
+      "http.route": route,
+      "http.response.status_code": res.statusCode,
+      "enduser.id": req.user?.sub,
+    });
+    if (res.statusCode >= 500) {
+      span.setStatus(SPAN_STATUS.ERROR);
+    }
+    span.end();
+  };
+
+  res.on("finish", finish);
+  res.on("close", finish);
+
+  tracer.withSpan(span, next);
+};
+
+export default tracingMiddleware;
@@ -0,0 +1,37 @@
+import ApiError from "../utils/ApiError.js";
+
+/**
+ * Validate part of the request against a Joi schema
+ * The validated (and defaulted) value replaces the original
+ * @param {object} schema - Joi schema
+ * @param {string} property - Request property: body | query | params
+ */
+export const validate =
+  (schema, property = "body") =>
+  (req, res, next) => {
+    const { value, error } = schema.validate(req[property] ?? {}, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return next(
+        ApiError.badRequest(
+          "Validation failed",
+          error.details.map((detail) => ({
+            path: detail.path.join("."),
+            message: detail.message,
+          }))
+        )
+      );
+    }
+
+    // Express 5 exposes req.query as a getter, so redefine it
+    Object.defineProperty(req, property, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+    next();
+  };
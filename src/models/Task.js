@@ -0,0 +1,140 @@
+/**
+ * Task states
+ */
+export const TASK_STATES = Object.freeze({
+  SUBMITTED: "submitted",
+  MATCHING: "matching",
+  ASSIGNED: "assigned",
+  IN_PROGRESS: "in_progress",
+  DECLINED: "declined",
+  REASSIGNING: "reassigning",
+  TIMED_OUT: "timed_out",
+  RECOVERING: "recovering",
+  ESCALATED: "escalated",
+  COMPLETED: "completed",
+});
+
+const S = TASK_STATES;
+
+/**
+ * Allowed transitions: state → states it may move to
+ */
+export const TASK_TRANSITIONS = Object.freeze({
+  [S.SUBMITTED]: [S.MATCHING, S.ESCALATED],
+  [S.MATCHING]: [S.ASSIGNED, S.RECOVERING, S.ESCALATED],
+  [S.ASSIGNED]: [
+    S.IN_PROGRESS,
+    S.DECLINED,
+    S.REASSIGNING,
+    S.TIMED_OUT,
+    S.RECOVERING,
+    S.COMPLETED,
+  ],
+  [S.IN_PROGRESS]: [
+    S.DECLINED,
+    S.REASSIGNING,
+    S.TIMED_OUT,
+    S.RECOVERING,
+    S.COMPLETED,
+  ],
+  [S.DECLINED]: [S.REASSIGNING, S.RECOVERING, S.ESCALATED],
+  [S.REASSIGNING]: [S.ASSIGNED, S.RECOVERING, S.ESCALATED],
+  [S.TIMED_OUT]: [S.REASSIGNING, S.RECOVERING, S.ESCALATED],
+  [S.RECOVERING]: [S.ASSIGNED, S.ESCALATED],
+  [S.ESCALATED]: [S.ASSIGNED, S.REASSIGNING, S.RECOVERING, S.COMPLETED],
+  [S.COMPLETED]: [],
+});
+
+/**
+ * Task aggregate - Current state, assignee and history of one task
+ * Built from task.state.changed events; all changes go through transition()
+ */
+class Task {
+  constructor({ id, correlationId = null, formData = null, createdAt } = {}) {
+    this.id = id;
+    this.correlationId = correlationId;
+    this.formData = formData;
+    this.state = null; // Set by the first transition (to "submitted")
+    this.assignee = null;
+    this.history = []; // Applied state changes, oldest first
+    this.version = 0;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = this.createdAt;
+  }
+
+  /**
+   * Task ID for an event: explicit data.taskId, else the correlation ID
+   * @param {object} event - Event about the task
+   * @returns {string} Task ID
+   */
+  static idFor(event) {
+    return event.data?.taskId || event.correlationId;
+  }
+
+  /**
+   * Check whether the task may move to a state
+   * @param {string} toState - Target state
+   * @returns {boolean} True if allowed
+   */
+  canTransition(toState) {
+    if (this.state === null) {
+      return toState === S.SUBMITTED;
+    }
+    return TASK_TRANSITIONS[this.state]?.includes(toState) || false;
+  }
+
+  /**
+   * Whether the task has reached a final state
+   * @returns {boolean} True if completed
+   */
+  isTerminal() {
+    return TASK_TRANSITIONS[this.state]?.length === 0;
+  }
+
+  /**
+   * Apply a state change (validated by the caller or replayed from the store)
+   * @param {object} change - task.state.changed data
+   */
+  apply(change) {
+    this.state = change.to;
+    if (change.assignee !== undefined) {
+      this.assignee = change.assignee;
+    }
+    if (change.formData !== undefined) {
+      this.formData = change.formData;
+    }
+    if (change.correlationId) {
+      this.correlationId = change.correlationId;
+    }
+
+    this.version = change.version;
+    this.updatedAt = change.changedAt;
+    this.history.push({
+      from: change.from,
+      to: change.to,
+      reason: change.reason,
+      assignee: this.assignee,
+      changedAt: change.changedAt,
+    });
+  }
+
+  /**
+   * Plain object view of the task
+   * @returns {object} Task snapshot
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      correlationId: this.correlationId,
+      state: this.state,
+      assignee: this.assignee,
+      formData: this.formData,
+      version: this.version,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      history: this.history,
+    };
+  }
+}
+
+export default Task;
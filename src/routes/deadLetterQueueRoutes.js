@@ -0,0 +1,139 @@
+import { Router } from "express";
+import ApiError from "../utils/ApiError.js";
+import { redact } from "../config/redaction.js";
+import { safeLogger } from "../config/logger.js";
+import { validate } from "../middlewares/validate.js";
+import { authenticate, authorize, ROLES } from "../middlewares/auth.js";
+import {
+  deadLetterQueueParams,
+  deadLetterMessageParams,
+  listDeadLetterMessagesQuery,
+  redriveDeadLetterQueueBody,
+} from "../validators/deadLetterQueueValidators.js";
+
+/**
+ * RabbitMQ dead letter queue routes - /admin/dlq
+ * Operators may browse the queues; re-driving and purging is for admins
+ * @param {Application} eventDrivenApp - Running application
+ * @returns {Router} Express router
+ */
+export const createDeadLetterQueueRouter = (eventDrivenApp) => {
+  const router = Router();
+
+  router.use(authenticate);
+
+  const operatorOnly = authorize(ROLES.OPERATOR);
+  const adminOnly = authorize();
+
+  /**
+   * Only configured dead letter queues can be touched
+   */
+  const assertDeadLetterQueue = (req, res, next) => {
+    if (!eventDrivenApp.isDeadLetterQueue(req.params.queue)) {
+      throw ApiError.notFound(
+        `Unknown dead letter queue '${req.params.queue}'`
+      );
+    }
+    next();
+  };
+
+  router.get("/", operatorOnly, async (req, res) => {
+    const queues = await eventDrivenApp.getDeadLetterQueues();
+    res.json({ success: true, queues });
+  });
+
+  router.get(
+    "/:queue/messages",
+    operatorOnly,
+    validate(deadLetterQueueParams, "params"),
+    validate(listDeadLetterMessagesQuery, "query"),
+    assertDeadLetterQueue,
+    async (req, res) => {
+      const messages = await eventDrivenApp.getDeadLetterQueueMessages(
+        req.params.queue,
+        req.query
+      );
+      res.json({
+        success: true,
+        count: messages.length,
+        messages: redact(messages),
+      });
+    }
+  );
+
+  router.post(
+    "/:queue/messages/:messageId/redrive",
+    adminOnly,
+    validate(deadLetterMessageParams, "params"),
+    assertDeadLetterQueue,
+    async (req, res) => {
+      const { queue, messageId } = req.params;
+      const message = await eventDrivenApp.redriveDeadLetterQueueMessage(
+        queue,
+        messageId
+      );
+      if (!message) {
+        throw ApiError.notFound(
+          `Message '${messageId}' not found in '${queue}'`
+        );
+      }
+
+      safeLogger.info("Dead letter queue message re-driven", {
+        queue,
+        messageId,
+        changedBy: req.user.sub,
+      });
+      res.json({ success: true, message: redact(message) });
+    }
+  );
+
+  router.post(
+    "/:queue/redrive",
+    adminOnly,
+    validate(deadLetterQueueParams, "params"),
+    validate(redriveDeadLetterQueueBody),
+    assertDeadLetterQueue,
+    async (req, res) => {
+      const { redriven, failed } = await eventDrivenApp.redriveDeadLetterQueue(
+        req.params.queue,
+        req.body
+      );
+
+      safeLogger.info("Dead letter queue re-driven", {
+        queue: req.params.queue,
+        redriven: redriven.length,
+        failed: failed.length,
+        changedBy: req.user.sub,
+      });
+      res.json({
+        success: true,
+        redriven: redriven.length,
+        failed,
+        messageIds: redriven.map((message) => message.messageId),
+      });
+    }
+  );
+
+  router.delete(
+    "/:queue/messages",
+    adminOnly,
+    validate(deadLetterQueueParams, "params"),
+    assertDeadLetterQueue,
+    async (req, res) => {
+      const purged = await eventDrivenApp.purgeDeadLetterQueue(
+        req.params.queue
+      );
+
+      safeLogger.warn("Dead letter queue purged", {
+        queue: req.params.queue,
+        purged,
+        changedBy: req.user.sub,
+      });
+      res.json({ success: true, purged });
+    }
+  );
+
+  return router;
+};
+
+export default createDeadLetterQueueRouter;
@@ -0,0 +1,98 @@
+import { Router } from "express";
+import ApiError from "../utils/ApiError.js";
+import { redact } from "../config/redaction.js";
+import { safeLogger } from "../config/logger.js";
+import { validate } from "../middlewares/validate.js";
+import { authenticate, authorize, ROLES } from "../middlewares/auth.js";
+import {
+  listDeadLettersQuery,
+  deadLetterIdParams,
+} from "../validators/deadLetterValidators.js";
+
+/**
+ * EventBus dead letter routes - /dead-letters
+ * Operators may browse dead letters; re-driving and discarding is for admins
+ * @param {Application} eventDrivenApp - Running application
+ * @returns {Router} Express router
+ */
+export const createDeadLetterRouter = (eventDrivenApp) => {
+  const router = Router();
+
+  router.use(authenticate);
+
+  const operatorOnly = authorize(ROLES.OPERATOR);
+  const adminOnly = authorize();
+
+  router.get(
+    "/",
+    operatorOnly,
+    validate(listDeadLettersQuery, "query"),
+    (req, res) => {
+      const deadLetters = eventDrivenApp.getDeadLetters(req.query);
+      res.json({
+        success: true,
+        count: deadLetters.length,
+        deadLetters: redact(deadLetters),
+      });
+    }
+  );
+
+  router.get(
+    "/:id",
+    operatorOnly,
+    validate(deadLetterIdParams, "params"),
+    (req, res) => {
+      const deadLetter = eventDrivenApp.getDeadLetter(req.params.id);
+      if (!deadLetter) {
+        throw ApiError.notFound(`Dead letter '${req.params.id}' not found`);
+      }
+      res.json({ success: true, deadLetter: redact(deadLetter) });
+    }
+  );
+
+  router.post(
+    "/:id/redrive",
+    adminOnly,
+    validate(deadLetterIdParams, "params"),
+    async (req, res) => {
+      if (!eventDrivenApp.getDeadLetter(req.params.id)) {
+        throw ApiError.notFound(`Dead letter '${req.params.id}' not found`);
+      }
+
+      let deadLetter;
+      try {
+        deadLetter = await eventDrivenApp.redriveDeadLetter(req.params.id);
+      } catch (error) {
+        // Its subscription is gone, or the handler's queue refused it
+        throw ApiError.conflict(error.message);
+      }
+
+      safeLogger.info("Dead letter re-driven", {
+        deadLetterId: req.params.id,
+        changedBy: req.user.sub,
+      });
+      res.json({ success: true, deadLetter: redact(deadLetter) });
+    }
+  );
+
+  router.delete(
+    "/:id",
+    adminOnly,
+    validate(deadLetterIdParams, "params"),
+    (req, res) => {
+      if (!eventDrivenApp.discardDeadLetter(req.params.id)) {
+        throw ApiError.notFound(`Dead letter '${req.params.id}' not found`);
+      }
+
+      safeLogger.warn("Dead letter discarded", {
+        deadLetterId: req.params.id,
+        changedBy: req.user.sub,
+      });
+      res.json({ success: true });
+    }
+  );
+
+  return router;
+};
+
+export default createDeadLetterRouter;
@@ -0,0 +1,38 @@
+import { Router } from "express";
+import ApiError from "../utils/ApiError.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  authenticate,
+  authorize,
+  toActor,
+  ROLES,
+} from "../middlewares/auth.js";
+import { eventStreamQuery } from "../validators/eventStreamValidators.js";
+
+/**
+ * Event stream routes - /api/v1/events
+ * GET /stream is a Server-Sent Events feed of the live EventBus
+ * @param {Application} eventDrivenApp - Running application
+ * @returns {Router} Express router
+ */
+export const createEventStreamRouter = (eventDrivenApp) => {
+  const router = Router();
+
+  router.use(authenticate, authorize(ROLES.OPERATOR));
+
+  router.get("/stream", validate(eventStreamQuery, "query"), (req, res) => {
+    if (!eventDrivenApp.canOpenEventStream()) {
+      throw new ApiError(503, "Too many event stream clients");
+    }
+
+    eventDrivenApp.openEventStream(res, req.query, toActor(req.user));
+  });
+
+  router.get("/stream/clients", (req, res) => {
+    res.json({ success: true, ...eventDrivenApp.getEventStreamStats() });
+  });
+
+  return router;
+};
+
+export default createEventStreamRouter;
@@ -0,0 +1,81 @@
+import { Router } from "express";
+import ApiError from "../utils/ApiError.js";
+import { validate } from "../middlewares/validate.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+import {
+  safeLogger,
+  getLogLevels,
+  setLogLevel,
+  resetLogLevel,
+} from "../config/logger.js";
+import {
+  logComponentParams,
+  setLogLevelBody,
+} from "../validators/loggingValidators.js";
+
+/**
+ * Logging admin routes - /admin/logging
+ * Change the root level or one component's level without a restart.
+ * Overrides live in memory and are lost on restart
+ * @returns {Router} Express router
+ */
+export const createLoggingRouter = () => {
+  const router = Router();
+
+  router.use(authenticate, authorize());
+
+  /**
+   * Only components that created a logger (or "root") can be overridden
+   */
+  const assertKnownComponent = (component) => {
+    const { components } = getLogLevels();
+    if (component !== "root" && !components.includes(component)) {
+      throw ApiError.notFound(`Unknown log component '${component}'`);
+    }
+  };
+
+  router.get("/levels", (req, res) => {
+    res.json({ success: true, ...getLogLevels() });
+  });
+
+  router.put(
+    "/levels/:component",
+    validate(logComponentParams, "params"),
+    validate(setLogLevelBody),
+    (req, res) => {
+      const { component } = req.params;
+      assertKnownComponent(component);
+
+      setLogLevel(component, req.body.level);
+      safeLogger.info("Log level changed", {
+        target: component,
+        newLevel: req.body.level,
+        changedBy: req.user.sub,
+      });
+
+      res.json({ success: true, ...getLogLevels() });
+    }
+  );
+
+  router.delete(
+    "/levels/:component",
+    validate(logComponentParams, "params"),
+    (req, res) => {
+      const { component } = req.params;
+      if (!resetLogLevel(component)) {
+        throw ApiError.notFound(`No log level override for '${component}'`);
+      }
+
+      safeLogger.info("Log level override removed", {
+        target: component,
+        changedBy: req.user.sub,
+      });
+
+      res.json({ success: true, ...getLogLevels() });
+    }
+  );
+
+  return router;
+};
+
+export default createLoggingRouter;
@@ -0,0 +1,66 @@
+import { Router } from "express";
+import ApiError from "../utils/ApiError.js";
+import { redact } from "../config/redaction.js";
+import { safeLogger } from "../config/logger.js";
+import { validate } from "../middlewares/validate.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+import {
+  startReplayBody,
+  replayIdParams,
+} from "../validators/replayValidators.js";
+
+/**
+ * Event replay routes - /replay (admins only)
+ * A replay runs in the background: POST answers 202 with its id, GET
+ * reports progress and, for sandbox replays, the resulting task states
+ * @param {Application} eventDrivenApp - Running application
+ * @returns {Router} Express router
+ */
+export const createReplayRouter = (eventDrivenApp) => {
+  const router = Router();
+
+  router.use(authenticate, authorize());
+
+  router.post("/", validate(startReplayBody), (req, res) => {
+    const { filters, ...options } = req.body;
+    const replay = eventDrivenApp.startReplay(filters, options);
+
+    safeLogger.info("Replay requested", {
+      replayId: replay.replayId,
+      target: replay.target,
+      requestedBy: req.user.sub,
+    });
+    res
+      .status(202)
+      .location(`${req.baseUrl}/${replay.replayId}`)
+      .json({ success: true, replay: redact(replay) });
+  });
+
+  router.get("/:replayId", validate(replayIdParams, "params"), (req, res) => {
+    const replay = eventDrivenApp.getReplay(req.params.replayId);
+    if (!replay) {
+      throw ApiError.notFound(`Replay '${req.params.replayId}' not found`);
+    }
+    res.json({ success: true, replay: redact(replay) });
+  });
+
+  router.delete(
+    "/:replayId",
+    validate(replayIdParams, "params"),
+    (req, res) => {
+      if (!eventDrivenApp.cancelReplay(req.params.replayId)) {
+        throw ApiError.notFound(`No running replay '${req.params.replayId}'`);
+      }
+
+      safeLogger.info("Replay cancelled", {
+        replayId: req.params.replayId,
+        cancelledBy: req.user.sub,
+      });
+      res.json({ success: true });
+    }
+  );
+
+  return router;
+};
+
+export default createReplayRouter;
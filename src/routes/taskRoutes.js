@@ -0,0 +1,203 @@
+import { Router } from "express";
+import { TASK_STATES } from "../models/Task.js";
+import ApiError from "../utils/ApiError.js";
+import { redact } from "../config/redaction.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  authenticate,
+  authorize,
+  toActor,
+  ROLES,
+} from "../middlewares/auth.js";
+import {
+  taskIdParams,
+  listTasksQuery,
+  completeTaskBody,
+  declineTaskBody,
+  reassignTaskBody,
+  recoverTaskBody,
+  monitorTaskBody,
+} from "../validators/taskValidators.js";
+
+/**
+ * Task routes - /api/v1/tasks
+ * Actions don't change tasks directly: they publish the event the agents
+ * already handle, tagged with the HTTP request's correlation ID and caller.
+ * Agent users may only see and act on tasks assigned to them, and whoever
+ * acts is always the authenticated caller, never a field of the body
+ * @param {Application} eventDrivenApp - Running application
+ * @returns {Router} Express router
+ */
+export const createTaskRouter = (eventDrivenApp) => {
+  const router = Router();
+
+  router.use(authenticate);
+
+  /**
+   * Load the task or fail with 404, and optionally check it may move to a state
+   */
+  const loadTask = (taskId, targetState = null) => {
+    const task = eventDrivenApp.getTask(taskId);
+    if (!task) {
+      throw ApiError.notFound(`Task '${taskId}' not found`);
+    }
+    if (targetState && !task.canTransition(targetState)) {
+      throw ApiError.conflict(
+        `Task '${taskId}' cannot move from '${task.state}' to '${targetState}'`
+      );
+    }
+    return task;
+  };
+
+  /**
+   * Admins and operators see every task; agent users only their own
+   */
+  const isPrivileged = ({ roles }) =>
+    roles.includes(ROLES.ADMIN) || roles.includes(ROLES.OPERATOR);
+
+  /**
+   * Agent users (without a wider role) may only read and act on their own tasks
+   */
+  const assertOwnTask = (req, task) => {
+    if (!isPrivileged(req.user) && String(task.assignee) !== req.user.sub) {
+      throw new ApiError(403, `Task '${task.id}' is not assigned to you`);
+    }
+  };
+
+  /**
+   * Publish a task event and answer 202 Accepted
+   */
+  const accept = async (req, res, type, data) => {
+    const event = await eventDrivenApp.publishTaskEvent(
+      type,
+      data,
+      req.correlationId,
+      toActor(req.user)
+    );
+
+    res.status(202).json({
+      success: true,
+      taskId: data.taskId,
+      eventId: event.id,
+      eventType: event.type,
+      correlationId: event.correlationId,
+    });
+  };
+
+  const anyRole = authorize(ROLES.OPERATOR, ROLES.AGENT_USER);
+
+  router.get("/", anyRole, validate(listTasksQuery, "query"), (req, res) => {
+    const filters = isPrivileged(req.user)
+      ? req.query
+      : { ...req.query, assignee: req.user.sub };
+    const tasks = eventDrivenApp.listTasks(filters);
+    res.json({ success: true, count: tasks.length, tasks: redact(tasks) });
+  });
+
+  router.get(
+    "/:taskId",
+    anyRole,
+    validate(taskIdParams, "params"),
+    async (req, res) => {
+      const task = loadTask(req.params.taskId);
+      assertOwnTask(req, task);
+
+      const timeline = await eventDrivenApp.getTaskTimeline(task.id);
+      res.json({
+        success: true,
+        task: redact(task),
+        timeline: redact(timeline),
+      });
+    }
+  );
+
+  router.post(
+    "/:taskId/complete",
+    anyRole,
+    validate(taskIdParams, "params"),
+    validate(completeTaskBody),
+    async (req, res) => {
+      const task = loadTask(req.params.taskId, TASK_STATES.COMPLETED);
+      assertOwnTask(req, task);
+
+      await accept(req, res, "task.completed", {
+        taskId: task.id,
+        completedBy: req.user.sub,
+        notes: req.body.notes,
+        result: req.body.result,
+        completedAt: new Date().toISOString(),
+      });
+    }
+  );
+
+  router.post(
+    "/:taskId/decline",
+    anyRole,
+    validate(taskIdParams, "params"),
+    validate(declineTaskBody),
+    async (req, res) => {
+      const task = loadTask(req.params.taskId, TASK_STATES.DECLINED);
+      assertOwnTask(req, task);
+
+      await accept(req, res, "task.declined", {
+        taskId: task.id,
+        // The user giving the task up, so reassignment can skip them
+        userId: task.assignee ?? undefined,
+        declinedBy: req.user.sub,
+        reason: req.body.reason,
+      });
+    }
+  );
+
+  router.post(
+    "/:taskId/reassign",
+    authorize(ROLES.OPERATOR),
+    validate(taskIdParams, "params"),
+    validate(reassignTaskBody),
+    async (req, res) => {
+      const task = loadTask(req.params.taskId, TASK_STATES.REASSIGNING);
+
+      await accept(req, res, "task.reassign.requested", {
+        taskId: task.id,
+        currentAssignee: task.assignee,
+        reason: req.body.reason,
+        priority: req.body.priority,
+      });
+    }
+  );
+
+  router.post(
+    "/:taskId/recover",
+    authorize(),
+    validate(taskIdParams, "params"),
+    validate(recoverTaskBody),
+    async (req, res) => {
+      const task = loadTask(req.params.taskId, TASK_STATES.RECOVERING);
+
+      await accept(req, res, "task.recovery.requested", {
+        taskId: task.id,
+        recoveryReason: req.body.reason,
+        requestedBy: req.user.sub,
+      });
+    }
+  );
+
+  router.post(
+    "/:taskId/monitor",
+    authorize(ROLES.OPERATOR),
+    validate(taskIdParams, "params"),
+    validate(monitorTaskBody),
+    async (req, res) => {
+      const task = loadTask(req.params.taskId);
+
+      await accept(req, res, "monitor.task", {
+        taskId: task.id,
+        assignee: req.body.assignee ?? task.assignee,
+      });
+    }
+  );
+
+  return router;
+};
+
+export default createTaskRouter;
@@ -1,10 +1,15 @@
+import { createLogger } from "../config/logger.js";
+import { redact } from "../config/redaction.js";
+import { CIRCUIT_STATES } from "../core/CircuitBreaker.js";
+
 /**
  * Audit Service - Centralized logging and audit trail
  * Listens to all important events and logs them
  */
 class AuditService {
-  constructor(eventBus) {
+  constructor(eventBus, { logger = null } = {}) {
     this.eventBus = eventBus;
+    this.logger = logger || createLogger("AuditService");
     this.auditLogs = []; // In-memory audit trail
     this.maxLogs = 5000; // Prevent memory overflow
     this.isActive = false;
@@ -17,21 +22,25 @@ class AuditService {
   setupEventListeners() {
     // Core business events
     this.eventBus.on("form.submitted", this.logFormSubmission.bind(this));
-    this.eventBus.on("task.assigned", this.logTaskAssignment.bind(this));
-    this.eventBus.on("task.reassigned", this.logTaskReassignment.bind(this));
-    this.eventBus.on("task.recovered", this.logTaskRecovery.bind(this));
+    this.eventBus.on("task.#", this.logTaskLifecycle.bind(this));
     this.eventBus.on("assignment.failed", this.logAssignmentFailure.bind(this));
 
     // System events
     this.eventBus.on("agent.error", this.logAgentError.bind(this));
     this.eventBus.on("handler.error", this.logHandlerError.bind(this));
+    this.eventBus.on("event.invalid", this.logInvalidEvent.bind(this));
+    this.eventBus.on("event.dead_lettered", this.logDeadLetter.bind(this));
     this.eventBus.on(
       "matching.request.sent",
       this.logMatchingRequest.bind(this)
     );
     this.eventBus.on("matching.response", this.logMatchingResponse.bind(this));
+    this.eventBus.on(
+      "matching.circuit.changed",
+      this.logCircuitChange.bind(this)
+    );
 
-    console.log("📋 AuditService: Event listeners setup complete");
+    this.logger.debug("Event listeners setup complete");
   }
 
   /**
@@ -39,7 +48,7 @@ class AuditService {
    */
   start() {
     this.isActive = true;
-    console.log("📋 AuditService: Started successfully");
+    this.logger.info("AuditService started");
   }
 
   /**
@@ -47,7 +56,7 @@ class AuditService {
    */
   stop() {
     this.isActive = false;
-    console.log("📋 AuditService: Stopped");
+    this.logger.info("AuditService stopped");
   }
 
   /**
@@ -55,9 +64,9 @@ class AuditService {
    * @param {string} event - Event type
    * @param {string} level - Log level (info, warn, error)
    * @param {object} data - Event data
-   * @param {string} source - Source of the event
+   * @param {object} origin - Event being audited (source and actor are taken from it)
    */
-  audit(event, level, data, source = "system") {
+  audit(event, level, data, origin = null) {
     if (!this.isActive) return;
 
     const auditEntry = {
@@ -65,16 +74,17 @@ class AuditService {
       timestamp: new Date().toISOString(),
       event,
       level,
-      data,
-      source,
+      data: redact(data), // The trail is exported and served over HTTP
+      source: origin?.source || "system",
+      actor: origin?.metadata?.actor || null,
     };
 
     // Store in audit trail
     this.auditLogs.push(auditEntry);
     this.cleanupOldLogs();
 
-    // Log to console with appropriate level
-    this.logToConsole(auditEntry);
+    // Mirror the entry to the structured log
+    this.writeLog(auditEntry);
   }
 
   /**
@@ -86,22 +96,20 @@ class AuditService {
   }
 
   /**
-   * Log to console with appropriate formatting
+   * Write an audit entry to the log at its level
    * @param {object} auditEntry - Audit entry
    */
-  logToConsole(auditEntry) {
-    const logMessage = `📋 AUDIT [${auditEntry.event}]: ${auditEntry.source}`;
-
-    switch (auditEntry.level) {
-      case "error":
-        console.error(`❌ ${logMessage}`, auditEntry.data);
-        break;
-      case "warn":
-        console.warn(`⚠️ ${logMessage}`, auditEntry.data);
-        break;
-      default:
-        console.log(`ℹ️ ${logMessage}`, auditEntry.data);
-    }
+  writeLog(auditEntry) {
+    const level = ["error", "warn"].includes(auditEntry.level)
+      ? auditEntry.level
+      : "info";
+
+    this.logger[level](`AUDIT ${auditEntry.event}`, {
+      auditId: auditEntry.id,
+      source: auditEntry.source,
+      actor: auditEntry.actor?.sub,
+      data: auditEntry.data,
+    });
   }
 
   /**
@@ -117,7 +125,48 @@ class AuditService {
         data,
         submissionTime: event.timestamp,
       },
-      event.source
+      event
+    );
+  }
+
+  /**
+   * Route every task lifecycle event to its audit entry
+   * @param {object} event - Any task.* event
+   */
+  async logTaskLifecycle(event) {
+    switch (event.type) {
+      case "task.assigned":
+        return this.logTaskAssignment(event);
+      case "task.reassigned":
+        return this.logTaskReassignment(event);
+      case "task.recovered":
+        return this.logTaskRecovery(event);
+      default:
+        return this.logTaskEvent(event);
+    }
+  }
+
+  /**
+   * Log a task lifecycle event without a dedicated audit entry
+   * @param {object} event - Task event
+   */
+  async logTaskEvent(event) {
+    const warningTypes = [
+      "task.timeout",
+      "task.escalated",
+      "task.declined",
+      "task.transition.rejected",
+    ];
+
+    this.audit(
+      event.type.toUpperCase().replace(/\./g, "_"),
+      warningTypes.includes(event.type) ? "warn" : "info",
+      {
+        taskId: event.data?.taskId,
+        data: event.data,
+        eventTime: event.timestamp,
+      },
+      event
     );
   }
 
@@ -136,7 +185,7 @@ class AuditService {
         assignmentTime: event.timestamp,
         success: true,
       },
-      event.source
+      event
     );
   }
 
@@ -157,7 +206,7 @@ class AuditService {
         reason,
         reassignmentTime: event.timestamp,
       },
-      event.source
+      event
     );
   }
 
@@ -177,7 +226,7 @@ class AuditService {
         assignedUserId,
         recoveryTime: event.timestamp,
       },
-      event.source
+      event
     );
   }
 
@@ -197,7 +246,23 @@ class AuditService {
         error,
         failureTime: event.timestamp,
       },
-      event.source
+      event
+    );
+  }
+
+  /**
+   * Log matching engine circuit breaker state change
+   * @param {object} event - Circuit change event
+   */
+  async logCircuitChange(event) {
+    const { circuit, from, to, reason, failureRate, heldSubmissions } =
+      event.data;
+
+    this.audit(
+      "MATCHING_CIRCUIT_CHANGED",
+      to === CIRCUIT_STATES.OPEN ? "warn" : "info",
+      { circuit, from, to, reason, failureRate, heldSubmissions },
+      event
     );
   }
 
@@ -206,7 +271,7 @@ class AuditService {
    * @param {object} event - Agent error event
    */
   async logAgentError(event) {
-    const { agentName, eventType, error } = event.data;
+    const { agentName, eventType, error, attempt, maxAttempts } = event.data;
 
     this.audit(
       "AGENT_ERROR",
@@ -215,9 +280,11 @@ class AuditService {
         agentName,
         eventType,
         error,
+        attempt,
+        maxAttempts,
         errorTime: event.timestamp,
       },
-      event.source
+      event
     );
   }
 
@@ -232,7 +299,51 @@ class AuditService {
         originalEvent,
         errorTime: event.timestamp,
       },
-      event.source
+      event
+    );
+  }
+
+  /**
+   * Log event moved to the dead letter store after exhausting retries
+   * @param {object} event - Dead letter notification
+   */
+  async logDeadLetter(event) {
+    const { deadLetterId, eventId, eventType, handlerName, attempts, error } =
+      event.data;
+
+    this.audit(
+      "EVENT_DEAD_LETTERED",
+      "error",
+      {
+        deadLetterId,
+        eventId,
+        eventType,
+        handlerName,
+        attempts,
+        error,
+        deadLetteredAt: event.timestamp,
+      },
+      event
+    );
+  }
+
+  /**
+   * Log event rejected by schema validation
+   * @param {object} event - Invalid event notification
+   */
+  async logInvalidEvent(event) {
+    const { originalEvent, errors } = event.data;
+
+    this.audit(
+      "EVENT_INVALID",
+      "warn",
+      {
+        eventId: originalEvent.id,
+        eventType: originalEvent.type,
+        errors,
+        rejectedAt: event.timestamp,
+      },
+      originalEvent
     );
   }
 
@@ -250,7 +361,7 @@ class AuditService {
         correlationId,
         requestTime: event.timestamp,
       },
-      event.source
+      event
     );
   }
 
@@ -270,7 +381,7 @@ class AuditService {
         data,
         responseTime: event.timestamp,
       },
-      event.source
+      event
     );
   }
 
@@ -297,6 +408,11 @@ class AuditService {
       logs = logs.filter((log) => log.source === filters.source);
     }
 
+    // Filter by authenticated subject
+    if (filters.actor) {
+      logs = logs.filter((log) => log.actor?.sub === filters.actor);
+    }
+
     // Filter by time range
     if (filters.since) {
       const since = new Date(filters.since);
@@ -406,7 +522,7 @@ class AuditService {
     const logsToRemove = this.auditLogs.length - this.maxLogs;
     this.auditLogs.splice(0, logsToRemove);
 
-    console.log(`🧹 AuditService: Cleaned up ${logsToRemove} old audit logs`);
+    this.logger.debug("Cleaned up old audit logs", { count: logsToRemove });
   }
 
   /**
@@ -431,7 +547,7 @@ class AuditService {
    */
   clearLogs() {
     this.auditLogs.length = 0;
-    console.log("🧹 AuditService: Cleared all audit logs");
+    this.logger.info("Cleared all audit logs");
   }
 
   /**
@@ -0,0 +1,242 @@
+import { getDeadLetterQueues } from "../config/topology.js";
+import { copyMessageProperties } from "../events/connection.js";
+import { createLogger } from "../config/logger.js";
+
+// Headers that describe a message's failed attempts; a re-driven message
+// starts over without them
+const FAILURE_HEADERS = ["x-death", "x-retry-count", "x-last-error"];
+
+/**
+ * Dead Letter Queue Service - Inspect and re-drive RabbitMQ dead letter queues
+ * Messages are identified by their AMQP messageId. RabbitMQ cannot read a
+ * queue without taking messages off it, so listing fetches messages and
+ * returns them to the queue. Operations run one at a time
+ */
+class DeadLetterQueueService {
+  constructor(
+    connection,
+    {
+      queues = getDeadLetterQueues(),
+      logger = null,
+    } = {}
+  ) {
+    this.connection = connection;
+    this.queues = queues; // Dead letter queues that may be managed
+    this.logger = logger || createLogger("DeadLetterQueueService");
+    this.channelName = "dlq-admin";
+    this.publishChannelName = "dlq-redrive";
+    this.operations = Promise.resolve(); // Serializes queue operations
+    this.redriven = 0;
+    this.purged = 0;
+  }
+
+  /**
+   * Whether a queue is a managed dead letter queue
+   * @param {string} queueName - Queue name
+   * @returns {boolean}
+   */
+  isDeadLetterQueue(queueName) {
+    return this.queues.includes(queueName);
+  }
+
+  /**
+   * Managed dead letter queues with their depth
+   * @returns {Promise<array>} [{ queue, messageCount }]
+   */
+  async listQueues() {
+    return this.serialize(async () => {
+      const queues = [];
+      for (const queueName of this.queues) {
+        const { messageCount } = await this.connection.checkQueue(
+          this.channelName,
+          queueName
+        );
+        queues.push({ queue: queueName, messageCount });
+      }
+      return queues;
+    });
+  }
+
+  /**
+   * Browse messages (they stay in the queue)
+   * @param {string} queueName - Dead letter queue
+   * @param {object} options - { limit }
+   * @returns {Promise<array>} Message summaries, oldest first
+   */
+  async listMessages(queueName, { limit = 50 } = {}) {
+    return this.serialize(() =>
+      this.connection.withQueueMessages(
+        this.channelName,
+        queueName,
+        limit,
+        async (messages) => messages.map((msg) => this.describe(msg))
+      )
+    );
+  }
+
+  /**
+   * Re-drive one message to the queue it was dead-lettered from
+   * @param {string} queueName - Dead letter queue
+   * @param {string} messageId - AMQP messageId
+   * @param {object} options - { scanLimit: messages to look through }
+   * @returns {Promise<object|null>} Re-driven message, or null if not found
+   */
+  async redriveMessage(queueName, messageId, { scanLimit = 1000 } = {}) {
+    return this.serialize(() =>
+      this.connection.withQueueMessages(
+        this.channelName,
+        queueName,
+        scanLimit,
+        async (messages, { ack }) => {
+          const msg = messages.find(
+            (candidate) => candidate.properties.messageId === messageId
+          );
+          if (!msg) return null;
+
+          return this.redrive(queueName, msg, ack);
+        }
+      )
+    );
+  }
+
+  /**
+   * Re-drive messages to the queues they were dead-lettered from
+   * @param {string} queueName - Dead letter queue
+   * @param {object} options - { limit }
+   * @returns {Promise<object>} { redriven, failed }
+   */
+  async redriveAll(queueName, { limit = 100 } = {}) {
+    return this.serialize(() =>
+      this.connection.withQueueMessages(
+        this.channelName,
+        queueName,
+        limit,
+        async (messages, { ack }) => {
+          const redriven = [];
+          const failed = [];
+
+          for (const msg of messages) {
+            try {
+              redriven.push(await this.redrive(queueName, msg, ack));
+            } catch (error) {
+              // Left unacked, so it goes back to the dead letter queue
+              failed.push({
+                messageId: msg.properties.messageId || null,
+                error: error.message,
+              });
+            }
+          }
+
+          return { redriven, failed };
+        }
+      )
+    );
+  }
+
+  /**
+   * Remove every message from a dead letter queue
+   * @param {string} queueName - Dead letter queue
+   * @returns {Promise<number>} Number of messages removed
+   */
+  async purge(queueName) {
+    return this.serialize(async () => {
+      const purged = await this.connection.purgeQueue(
+        this.channelName,
+        queueName
+      );
+      this.purged += purged;
+      return purged;
+    });
+  }
+
+  /**
+   * Publish a dead-lettered message back to its source queue, then ack it
+   * The ack only happens once the broker confirmed the copy
+   */
+  async redrive(queueName, msg, ack) {
+    const summary = this.describe(msg);
+    if (!summary.sourceQueue) {
+      throw new Error("Message has no x-death header to find its source queue");
+    }
+
+    const headers = { ...msg.properties.headers };
+    for (const header of FAILURE_HEADERS) delete headers[header];
+
+    await this.connection.publishConfirmed(
+      this.publishChannelName,
+      "",
+      summary.sourceQueue,
+      msg.content,
+      {
+        ...copyMessageProperties(msg.properties),
+        headers: { ...headers, "x-redriven-from": queueName },
+        mandatory: true,
+      }
+    );
+    ack(msg);
+
+    this.redriven++;
+    this.logger.info("Dead letter re-driven", {
+      queue: queueName,
+      sourceQueue: summary.sourceQueue,
+      messageId: summary.messageId,
+    });
+
+    return summary;
+  }
+
+  /**
+   * Summarize a dead-lettered message
+   * @param {object} msg - amqplib message
+   * @returns {object} Summary
+   */
+  describe(msg) {
+    const { headers = {}, messageId, correlationId } = msg.properties;
+    const deaths = headers["x-death"] || [];
+    // The rejection from the consumer, not an expiry from a delay queue
+    const death =
+      deaths.find((entry) => entry.reason === "rejected") || deaths[0] || {};
+
+    let content;
+    const raw = msg.content.toString();
+    try {
+      content = JSON.parse(raw);
+    } catch (error) {
+      content = raw;
+    }
+
+    return {
+      messageId: messageId || null,
+      correlationId: correlationId || null,
+      sourceQueue: death.queue || null,
+      reason: death.reason || null,
+      deathCount: death.count || 0,
+      deadLetteredAt: death.time?.value
+        ? new Date(death.time.value * 1000).toISOString()
+        : null,
+      retryCount: Number(headers["x-retry-count"]) || 0,
+      lastError: headers["x-last-error"] || null,
+      content,
+    };
+  }
+
+  serialize(operation) {
+    const result = this.operations.then(operation);
+    this.operations = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get service statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      queues: this.queues,
+      redriven: this.redriven,
+      purged: this.purged,
+    };
+  }
+}
+
+export default DeadLetterQueueService;
@@ -0,0 +1,201 @@
+import { v4 as uuidv4 } from "uuid";
+import { createLogger } from "../config/logger.js";
+import { redact } from "../config/redaction.js";
+
+/**
+ * Event Stream Service - Pushes EventBus events to HTTP clients (SSE)
+ * Each connection is its own EventBus subscription with a bounded
+ * drop-oldest queue: a slow client only loses its own oldest events and
+ * never slows down the agents
+ */
+class EventStreamService {
+  constructor(
+    eventBus,
+    {
+      queueLimit = 100,
+      heartbeatInterval = 15000,
+      maxClients = 50,
+      logger = null,
+    } = {}
+  ) {
+    this.eventBus = eventBus;
+    this.logger = logger || createLogger("EventStreamService");
+    this.queueLimit = queueLimit;
+    this.heartbeatInterval = heartbeatInterval;
+    this.maxClients = maxClients;
+    this.clients = new Map(); // clientId → connection
+  }
+
+  /**
+   * Whether another client can connect
+   * @returns {boolean} True if below maxClients
+   */
+  hasCapacity() {
+    return this.clients.size < this.maxClients;
+  }
+
+  /**
+   * Start streaming events to an HTTP response
+   * @param {object} res - Express response
+   * @param {object} filters - Stream filters
+   * @param {string} filters.type - Event type or pattern ("task.#"), default all
+   * @param {string} filters.correlationId - Only events of this flow
+   * @param {string} filters.source - Only events from this source
+   * @param {object} actor - Authenticated caller ({ sub, roles })
+   * @returns {string} Client ID
+   */
+  open(res, { type = "*", correlationId, source } = {}, actor = null) {
+    const clientId = uuidv4();
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+    });
+    res.write("retry: 5000\n\n");
+
+    const client = {
+      id: clientId,
+      res,
+      filters: { type, correlationId, source },
+      actor,
+      handler: null,
+      heartbeat: null,
+      sentCount: 0,
+      connectedAt: new Date().toISOString(),
+    };
+
+    client.handler = async (event) => {
+      if (correlationId && event.correlationId !== correlationId) return;
+      if (source && event.source !== source) return;
+
+      await this.send(client, event);
+    };
+
+    this.eventBus.on(type, client.handler, {
+      name: `EventStream:${clientId}`,
+      metricName: "EventStream", // One metrics series for all clients
+      queueLimit: this.queueLimit,
+      overflowPolicy: "drop-oldest",
+      retry: { maxAttempts: 1 }, // A dead connection is not worth retrying
+      tracing: false,
+    });
+
+    client.heartbeat = setInterval(() => {
+      res.write(": heartbeat\n\n");
+    }, this.heartbeatInterval);
+
+    res.on("close", () => this.close(clientId));
+
+    this.clients.set(clientId, client);
+    this.logger.info("Stream client connected", {
+      clientId,
+      type,
+      subject: actor?.sub,
+    });
+
+    return clientId;
+  }
+
+  /**
+   * Write one event frame, waiting for the socket to drain when it's full
+   * While we wait, newer events pile up in the bounded subscription queue
+   * @param {object} client - Connection
+   * @param {Event} event - Event to send
+   */
+  async send(client, event) {
+    const { res } = client;
+    if (res.writableEnded || res.destroyed) return;
+
+    const payload = redact({
+      id: event.id,
+      type: event.type,
+      data: event.data,
+      correlationId: event.correlationId,
+      source: event.source,
+      priority: event.priority,
+      timestamp: event.timestamp,
+      metadata: event.metadata,
+    });
+
+    const frame = `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+    client.sentCount++;
+
+    if (!res.write(frame)) {
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+      });
+    }
+  }
+
+  /**
+   * Stop streaming to a client
+   * @param {string} clientId - Client ID
+   */
+  close(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    this.clients.delete(clientId);
+    clearInterval(client.heartbeat);
+    this.eventBus.off(client.filters.type, client.handler);
+
+    if (!client.res.writableEnded) {
+      client.res.end();
+    }
+
+    this.logger.info("Stream client disconnected", {
+      clientId,
+      sent: client.sentCount,
+    });
+  }
+
+  /**
+   * Disconnect every client (shutdown)
+   */
+  closeAll() {
+    for (const clientId of [...this.clients.keys()]) {
+      this.close(clientId);
+    }
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const busHandlers = new Map(
+      this.eventBus
+        .getStats()
+        .handlers.filter((h) => h.name.startsWith("EventStream:"))
+        .map((h) => [h.name, h])
+    );
+
+    return {
+      connectedClients: this.clients.size,
+      maxClients: this.maxClients,
+      queueLimit: this.queueLimit,
+      clients: Array.from(this.clients.values()).map((client) => {
+        const busStats = busHandlers.get(`EventStream:${client.id}`);
+        return {
+          id: client.id,
+          filters: client.filters,
+          subject: client.actor?.sub,
+          connectedAt: client.connectedAt,
+          sent: client.sentCount,
+          queued: busStats?.queueDepth ?? 0,
+          dropped: busStats?.dropped ?? 0,
+        };
+      }),
+    };
+  }
+}
+
+export default EventStreamService;
@@ -1,163 +1,499 @@
 import { v4 as uuidv4 } from "uuid";
 import Event from "../core/Event.js";
+import Task from "../models/Task.js";
+import { metrics } from "../config/metrics.js";
+import { tracer, SPAN_KINDS, SPAN_STATUS } from "../config/tracing.js";
+import { createLogger } from "../config/logger.js";
+import { runWithContext, getContext } from "../config/requestContext.js";
+import CircuitBreaker, { CIRCUIT_STATES } from "../core/CircuitBreaker.js";
+import RemoteMatchingStrategy from "./matching/RemoteMatchingStrategy.js";
+import LocalRulesStrategy from "./matching/LocalRulesStrategy.js";
+import CompositeMatchingStrategy from "./matching/CompositeMatchingStrategy.js";
+import ShadowMatchingStrategy from "./matching/ShadowMatchingStrategy.js";
 
 /**
- * Matching Service - Handles communication with the external Matching Engine
+ * Matching strategies that can be configured by name
+ * remote: the external Matching Engine over AMQP
+ * local: the in-process rules engine
+ * fallback: remote, then local when the engine cannot answer
+ */
+export const MATCHING_STRATEGIES = Object.freeze({
+  REMOTE: "remote",
+  LOCAL: "local",
+  FALLBACK: "fallback",
+});
+
+/**
+ * Matching Service - Finds assignees through pluggable matching strategies
  * Provides clean API for agents to request task assignments
+ * Each request goes to the strategy configured for its form type (read from
+ * formTypeField), or the default one. With a shadow strategy set, a sample
+ * of requests also runs through it for an A/B matching.comparison (only
+ * strategies without side effects, so not remote or fallback, can be the
+ * shadow). Strategies in use are checked at startup, e.g. local rules need
+ * a roster.
+ * The remote round trip runs behind a circuit breaker. While the circuit is
+ * not closed, form submissions the engine could not answer are parked in a
+ * holding queue instead of failing; one is released as the trial call when
+ * it goes half-open and the rest once it closes
  */
 class MatchingService {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus - Event bus
+   * @param {object} options
+   * @param {CircuitBreaker} options.circuitBreaker - Guards the remote engine
+   * @param {number} options.maxHeldSubmissions - Holding queue size
+   * @param {string} options.strategy - Default strategy name
+   * @param {object} options.strategiesByFormType - Form type → strategy name
+   * @param {string} options.formTypeField - Payload field with the form type
+   * @param {object} options.rules - Local rules engine config
+   * @param {function} options.getLoad - userId → active tasks (local rules)
+   * @param {object} options.shadow - { strategy, sampleRate } to compare with
+   * @param {Logger} options.logger - Logger (default: "MatchingService")
+   */
+  constructor(
+    eventBus,
+    {
+      logger = null,
+      circuitBreaker = null,
+      maxHeldSubmissions = 1000,
+      strategy = MATCHING_STRATEGIES.REMOTE,
+      strategiesByFormType = {},
+      formTypeField = "formType",
+      rules = {},
+      getLoad = null,
+      shadow = null,
+    } = {}
+  ) {
     this.eventBus = eventBus;
-    this.pendingRequests = new Map(); // Track pending requests
-    this.requestTimeout = 20000; // 30 seconds timeout
-    this.setupEventListeners();
+    this.logger = logger || createLogger("MatchingService");
+    this.pendingRequests = new Map(); // requestId → in-flight request info
+    this.requestTimeout = 20000; // 20 seconds timeout
+
+    this.circuitBreaker =
+      circuitBreaker || new CircuitBreaker({ name: "matching-engine" });
+    this.heldSubmissions = []; // { event, heldAt }, oldest first
+    this.maxHeldSubmissions = maxHeldSubmissions;
+
+    this.onCircuitStateChange = this.handleCircuitStateChange.bind(this);
+    this.circuitBreaker.on("stateChange", this.onCircuitStateChange);
+
+    this.strategies = this.createStrategies({ rules, getLoad });
+    this.shadow = shadow?.strategy ? shadow : null;
+    this.shadowStrategies = new Map(); // primary name → shadow wrapper
+    this.formTypeField = formTypeField;
+    this.defaultStrategy = this.resolveStrategy(strategy);
+    this.strategiesByFormType = new Map(
+      Object.entries(strategiesByFormType).map(([formType, name]) => [
+        formType,
+        this.resolveStrategy(name),
+      ])
+    );
+
+    // Fail at startup rather than on the first request
+    for (const inUse of new Set([
+      this.defaultStrategy,
+      ...this.strategiesByFormType.values(),
+    ])) {
+      inUse.assertReady();
+    }
+  }
+
+  createStrategies({ rules, getLoad }) {
+    const remote = new RemoteMatchingStrategy({
+      eventBus: this.eventBus,
+      circuitBreaker: this.circuitBreaker,
+      logger: this.logger,
+    });
+    const local = new LocalRulesStrategy({
+      rules,
+      getLoad,
+      logger: this.logger,
+    });
+
+    return {
+      [MATCHING_STRATEGIES.REMOTE]: remote,
+      [MATCHING_STRATEGIES.LOCAL]: local,
+      [MATCHING_STRATEGIES.FALLBACK]: new CompositeMatchingStrategy(
+        MATCHING_STRATEGIES.FALLBACK,
+        { strategies: [remote, local], logger: this.logger }
+      ),
+    };
   }
 
   /**
-   * Setup event listeners for matching responses
+   * Strategy for a configured name, wrapped for A/B comparison if enabled
+   * @param {string} name - Strategy name
+   * @returns {MatchingStrategy}
    */
-  setupEventListeners() {
-    this.eventBus.on(
-      "matching.response",
-      this.handleMatchingResponse.bind(this)
-    );
-    this.eventBus.on(
-      "matching.request.failed",
-      this.handleRequestFailed.bind(this)
-    );
+  resolveStrategy(name) {
+    const strategy = this.getNamedStrategy(name);
+    if (!this.shadow || this.shadow.strategy === name) return strategy;
+
+    if (!this.shadowStrategies.has(name)) {
+      this.shadowStrategies.set(
+        name,
+        new ShadowMatchingStrategy({
+          primary: strategy,
+          candidate: this.getNamedStrategy(this.shadow.strategy),
+          eventBus: this.eventBus,
+          sampleRate: this.shadow.sampleRate ?? 1,
+          logger: this.logger,
+        })
+      );
+    }
+    return this.shadowStrategies.get(name);
+  }
+
+  getNamedStrategy(name) {
+    const strategy = this.strategies[name];
+    if (!strategy) {
+      throw new Error(
+        `Unknown matching strategy '${name}' (expected one of: ${Object.keys(
+          this.strategies
+        ).join(", ")})`
+      );
+    }
+    return strategy;
+  }
+
+  /**
+   * Strategy for a request, by the form type in its payload
+   * Reassignment and recovery payloads carry the form data under formData
+   * @param {object} data - Request payload
+   * @returns {MatchingStrategy}
+   */
+  getStrategy(data) {
+    const formType =
+      data?.[this.formTypeField] ?? data?.formData?.[this.formTypeField];
+    return this.strategiesByFormType.get(formType) || this.defaultStrategy;
   }
 
   /**
    * Request task assignment from matching engine
-   * @param {object} formData - Form data to process
-   * @returns {Promise} Assignment result
+   * Emits task.assigned on success and assignment.failed otherwise. When the
+   * remote engine is unavailable and the circuit is open, the submission is
+   * held (assignment.held) and requested again later. Replays emit nothing
+   * @param {object} event - Form submission event
+   * @returns {Promise<object>} Assignment result ({ held: true } when parked)
    */
-  requestTaskAssignment(event) {
+  async requestTaskAssignment(event) {
     const correlationId = event.correlationId;
 
-    const timeoutId = setTimeout(() => {
-      const pending = this.pendingRequests.get(correlationId);
-      if (!pending) return;
+    const result = await this.sendMatchingRequest("assignment", event.data, {
+      correlationId,
+      // Keep the replay marker so replayed submissions stay in-process
+      replay: event.metadata?.replay,
+    });
 
-      this.pendingRequests.delete(correlationId);
+    // The replayed flow carries the original outcome
+    if (result.replayed) return result;
+
+    // Only requests that go to the remote engine (remote or fallback) wait
+    // for its circuit; a local strategy that cannot answer fails at once
+    if (
+      result.unavailable &&
+      this.getStrategy(event.data).sideEffects &&
+      !this.circuitBreaker.isClosed() &&
+      this.holdSubmission(event, result.reason)
+    ) {
+      return { ...result, held: true };
+    }
 
+    if (result.success) {
+      const taskAssignedEvent = new Event({
+        type: "task.assigned",
+        data: { ...result.response, taskId: Task.idFor(event) },
+        correlationId,
+        source: "MatchingService",
+      });
+      this.eventBus.emit(taskAssignedEvent);
+    } else {
       const failedEvent = new Event({
         type: "assignment.failed",
         data: {
           data: event.data,
-          reason: "Timeout",
-          error: `Matching request timeout for correlation: ${correlationId}`,
+          reason: result.reason,
+          error: result.error,
           failedAt: new Date().toISOString(),
         },
         correlationId,
         source: "MatchingService",
       });
-
       this.eventBus.emit(failedEvent);
-    }, this.requestTimeout);
+    }
 
-    this.pendingRequests.set(correlationId, {
-      timeoutId,
-      data: event.data,
-      timestamp: Date.now(),
+    return result;
+  }
+
+  /**
+   * Park a form submission until the circuit closes
+   * @param {object} event - Form submission event
+   * @param {string} reason - Why it could not be sent
+   * @returns {boolean} False if the holding queue is full
+   */
+  holdSubmission(event, reason) {
+    if (this.heldSubmissions.length >= this.maxHeldSubmissions) {
+      this.logger.warn("Holding queue full; failing submission", {
+        correlationId: event.correlationId,
+        held: this.heldSubmissions.length,
+      });
+      return false;
+    }
+
+    const heldAt = new Date().toISOString();
+    this.heldSubmissions.push({ event, heldAt });
+
+    this.logger.info("Holding form submission", {
+      correlationId: event.correlationId,
+      reason,
+      held: this.heldSubmissions.length,
     });
 
-    const matchingRequestEvent = new Event({
-      type: "matching.request",
-      data: event.data,
-      correlationId,
+    const heldEvent = new Event({
+      type: "assignment.held",
+      data: {
+        data: event.data,
+        reason,
+        circuitState: this.circuitBreaker.state,
+        heldSubmissions: this.heldSubmissions.length,
+        heldAt,
+      },
+      correlationId: event.correlationId,
       source: "MatchingService",
     });
-
-    this.eventBus.emit(matchingRequestEvent);
+    this.eventBus.emit(heldEvent);
+    return true;
   }
 
-  async requestTaskReassignment(event) {
-    const correlationId = event.correlationId;
+  /**
+   * Request assignment for held submissions again, oldest first
+   * Anything the circuit still refuses goes back into the queue
+   * @param {number} limit - Maximum submissions to release
+   * @returns {number} Submissions released
+   */
+  releaseHeldSubmissions(limit = Infinity) {
+    const released = this.heldSubmissions.splice(0, limit);
+    if (released.length === 0) return 0;
+
+    this.logger.info("Releasing held form submissions", {
+      count: released.length,
+      remaining: this.heldSubmissions.length,
+      circuitState: this.circuitBreaker.state,
+    });
 
-    const timeoutId = setTimeout(() => {
-      const pending = this.pendingRequests.get(correlationId);
-      if (!pending) return;
+    for (const { event } of released) {
+      runWithContext(
+        { correlationId: event.correlationId, job: "releaseHeldSubmission" },
+        () =>
+          this.requestTaskAssignment(event).catch((error) => {
+            this.logger.error("Failed to release held submission", {
+              error: error.message,
+            });
+          })
+      );
+    }
 
-      this.pendingRequests.delete(correlationId);
+    return released.length;
+  }
 
-      const failedEvent = new Event({
-        type: "assignment.failed",
-        data: {
-          data: event.data,
-          reason: "Timeout",
-          error: `Matching request timeout for correlation: ${correlationId}`,
-          failedAt: new Date().toISOString(),
-        },
-        correlationId,
-        source: "MatchingService",
-      });
+  /**
+   * Announce circuit changes and release held submissions
+   * @param {object} change - CircuitBreaker stateChange payload
+   */
+  handleCircuitStateChange({ name, from, to, reason, failureRate, requests }) {
+    const changedEvent = new Event({
+      type: "matching.circuit.changed",
+      data: {
+        circuit: name,
+        from,
+        to,
+        reason,
+        failureRate,
+        requests,
+        heldSubmissions: this.heldSubmissions.length,
+        changedAt: new Date().toISOString(),
+      },
+      source: "MatchingService",
+    });
+    this.eventBus.emit(changedEvent);
 
-      this.eventBus.emit(failedEvent);
-    }, this.requestTimeout);
+    if (to === CIRCUIT_STATES.HALF_OPEN) {
+      // One held submission is the trial call
+      this.releaseHeldSubmissions(this.circuitBreaker.halfOpenMaxCalls);
+    } else if (to === CIRCUIT_STATES.CLOSED) {
+      this.releaseHeldSubmissions();
+    }
+  }
 
-    this.pendingRequests.set(correlationId, {
-      timeoutId,
-      data: event.data,
-      timestamp: Date.now(),
+  /**
+   * Request a new assignee for a task
+   * @param {object} taskData - Task data (taskId, currentAssignee, reason)
+   * @param {string} correlationId - Correlation ID of the task flow
+   * @returns {Promise<object>} Reassignment result
+   */
+  async requestTaskReassignment(taskData, correlationId) {
+    this.logger.info("Sending reassignment request", {
+      taskId: taskData.taskId,
     });
 
-    const matchingRequestEvent = new Event({
-      type: "matching.request",
-      data: event.data,
+    return this.sendMatchingRequest("reassignment", taskData, {
       correlationId,
-      source: "MatchingService",
     });
-
-    this.eventBus.emit(matchingRequestEvent);
-
-    console.log(
-      `🔄 MatchingService: Sent reassignment request for task ${event.data}`
-    );
   }
 
-  async requestTaskRecovery(event) {
-    const correlationId = event.correlationId;
-
-    const timeoutId = setTimeout(() => {
-      const pending = this.pendingRequests.get(correlationId);
-      if (!pending) return;
+  /**
+   * Request recovery of a task that could not be handled
+   * @param {object} recoveryData - Recovery data (taskId, failureReason, retryCount)
+   * @param {string} correlationId - Correlation ID of the task flow
+   * @returns {Promise<object>} Recovery result
+   */
+  async requestTaskRecovery(recoveryData, correlationId) {
+    this.logger.info("Sending recovery request", {
+      taskId: recoveryData.taskId,
+    });
 
-      this.pendingRequests.delete(correlationId);
+    return this.sendMatchingRequest("recovery", recoveryData, {
+      correlationId,
+    });
+  }
 
-      const failedEvent = new Event({
-        type: "assignment.failed",
-        data: {
-          data: event.data,
-          reason: "Timeout",
-          error: `Matching request timeout for correlation: ${correlationId}`,
-          failedAt: new Date().toISOString(),
-        },
+  /**
+   * Ask the request's matching strategy for an assignee
+   * Never throws for matching failures; they are reported in the result
+   * @param {string} requestType - assignment | reassignment | recovery
+   * @param {object} data - Request payload
+   * @param {object} options - correlationId (generated if missing), replay
+   *   marker (taken from the handled event when omitted)
+   * @returns {Promise<object>} { success, assignedUserId, action, reason, error, response, strategy, unavailable, replayed }
+   *   unavailable: no strategy could answer (timeout, failure, open circuit)
+   *   replayed: a replay; no strategy was asked
+   */
+  async sendMatchingRequest(requestType, data, { correlationId, replay } = {}) {
+    correlationId = correlationId || uuidv4();
+    replay = replay || getContext().replay;
+
+    // The original answer is in the store and replayed with the rest of the
+    // flow; asking again would reach the engine and count for the circuit
+    if (replay) {
+      this.logger.debug("Skipping matching for a replayed request", {
+        requestType,
         correlationId,
-        source: "MatchingService",
+        replayId: replay.replayId,
       });
+      return {
+        success: false,
+        assignedUserId: null,
+        action: requestType,
+        reason: "Replay",
+        error: null,
+        response: null,
+        strategy: null,
+        unavailable: false,
+        replayed: true,
+      };
+    }
 
-      this.eventBus.emit(failedEvent);
-    }, this.requestTimeout);
+    // Requests of one flow share the correlationId; each gets its own id
+    const requestId = uuidv4();
+    const strategy = this.getStrategy(data);
 
-    this.pendingRequests.set(correlationId, {
-      timeoutId,
-      data: event.data,
+    this.pendingRequests.set(requestId, {
+      requestType,
+      correlationId,
+      data,
+      strategy: strategy.name,
       timestamp: Date.now(),
     });
 
-    const matchingRequestEvent = new Event({
-      type: "matching.request",
-      data: event.data,
-      correlationId,
-      source: "MatchingService",
+    const endTimer = metrics.matchingRoundTrip.startTimer({
+      request_type: requestType,
+      strategy: strategy.name,
     });
 
-    this.eventBus.emit(matchingRequestEvent);
+    // A remote request event is emitted inside this span, so the engine's
+    // work shows up as its child
+    const span = tracer.startSpan(`matching ${requestType}`, {
+      kind: SPAN_KINDS.CLIENT,
+      attributes: {
+        "matching.request_type": requestType,
+        "matching.strategy": strategy.name,
+        "matching.task_id": data?.taskId,
+        "messaging.message.conversation_id": correlationId,
+      },
+    });
 
-    console.log(
-      `🚨 MatchingService: Sent recovery request for task ${event.data}`
-    );
+    try {
+      const response = await tracer.withSpan(span, () =>
+        strategy.match({
+          requestId,
+          requestType,
+          data,
+          correlationId,
+          replay,
+          timeout: this.requestTimeout,
+        })
+      );
+      const success = response.success !== false;
+      endTimer({ outcome: success ? "success" : "declined" });
+      span.setAttributes({
+        "matching.outcome": success ? "success" : "declined",
+        "matching.answered_by": response.strategy || strategy.name,
+        "matching.assigned_user_id":
+          response.assignedUserId ?? response.userId ?? undefined,
+      });
+      span.setStatus(SPAN_STATUS.OK);
+
+      return {
+        success,
+        assignedUserId: response.assignedUserId ?? response.userId ?? null,
+        action: response.action || requestType,
+        reason: success ? null : response.reason || "Matching engine declined",
+        error: success ? null : response.error || null,
+        response,
+        strategy: response.strategy || strategy.name,
+        unavailable: false,
+        replayed: false,
+      };
+    } catch (error) {
+      const outcome =
+        {
+          REQUEST_TIMEOUT: "timeout",
+          CIRCUIT_OPEN: "rejected",
+        }[error.code] || "failed";
+      endTimer({ outcome });
+      span.setAttribute("matching.outcome", outcome).recordException(error);
+      // Rejections are expected while the circuit is open
+      this.logger[outcome === "rejected" ? "warn" : "error"](
+        "Matching request failed",
+        {
+          requestType,
+          correlationId,
+          strategy: strategy.name,
+          outcome,
+          error: error.message,
+        }
+      );
+
+      return {
+        success: false,
+        assignedUserId: null,
+        action: requestType,
+        reason:
+          {
+            timeout: "Timeout",
+            rejected: "Circuit open",
+          }[outcome] || "Matching request failed",
+        error: error.message,
+        response: null,
+        strategy: strategy.name,
+        unavailable: true,
+        replayed: false,
+      };
+    } finally {
+      this.pendingRequests.delete(requestId);
+      span.end();
+    }
   }
 
   //   async checkUserAvailability(userId, requirements) {
@@ -217,60 +553,6 @@ class MatchingService {
   //     return responsePromise;
   //   }
 
-  handleMatchingResponse(event) {
-    const responseData = event.data;
-    const correlationId = event.correlationId;
-
-    if (!correlationId) {
-      console.error("❌ MatchingService: Response without correlation ID");
-      return;
-    }
-
-    const pendingRequest = this.pendingRequests.get(correlationId);
-
-    if (!pendingRequest) {
-      console.warn(
-        `⚠️ MatchingService: No pending request found for: ${correlationId}`
-      );
-      return;
-    }
-
-    clearTimeout(pendingRequest.timeoutId);
-    this.pendingRequests.delete(correlationId);
-
-    const taskAssignedEvent = new Event({
-      type: "task.assigned",
-      data: responseData,
-      correlationId,
-      source: "MatchingService",
-    });
-
-    this.eventBus.emit(taskAssignedEvent);
-  }
-
-  handleRequestFailed(event) {
-    const { correlationId, error } = event.data;
-    const pending = this.pendingRequests.get(correlationId);
-    if (!pending) return;
-
-    clearTimeout(pending.timeoutId);
-    this.pendingRequests.delete(correlationId);
-
-    const assignmentFailedEvent = new Event({
-      type: "assignment.failed",
-      data: {
-        data: pending.data,
-        reason: "Matching request failed",
-        error,
-        failedAt: new Date().toISOString(),
-      },
-      correlationId,
-      source: "MatchingService",
-    });
-
-    this.eventBus.emit(assignmentFailedEvent);
-  }
-
   /**
    * Get service statistics
    * @returns {object} Statistics
@@ -288,6 +570,22 @@ class MatchingService {
       pendingRequests: pendingCount,
       oldestPendingAge: oldestPending ? Date.now() - oldestPending : null,
       requestTimeout: this.requestTimeout,
+      heldSubmissions: this.heldSubmissions.length,
+      oldestHeldAt: this.heldSubmissions[0]?.heldAt || null,
+      circuitBreaker: this.circuitBreaker.getStats(),
+      strategies: {
+        default: this.defaultStrategy.name,
+        byFormType: Object.fromEntries(
+          Array.from(this.strategiesByFormType, ([formType, strategy]) => [
+            formType,
+            strategy.name,
+          ])
+        ),
+        available: [
+          ...Object.values(this.strategies),
+          ...this.shadowStrategies.values(),
+        ].map((strategy) => strategy.getStats()),
+      },
     };
   }
 
@@ -298,13 +596,15 @@ class MatchingService {
   getPendingRequests() {
     const pending = [];
 
-    for (const [correlationId, request] of this.pendingRequests) {
+    for (const [requestId, request] of this.pendingRequests) {
       pending.push({
-        correlationId,
-        requestType: request.requestData.type,
+        requestId,
+        correlationId: request.correlationId,
+        requestType: request.requestType,
+        strategy: request.strategy,
         age: Date.now() - request.timestamp,
-        formId: request.requestData.formId,
-        taskId: request.requestData.taskId,
+        formId: request.data?.formId,
+        taskId: request.data?.taskId,
       });
     }
 
@@ -313,28 +613,31 @@ class MatchingService {
 
   /**
    * Clean up expired requests (maintenance)
+   * The EventBus times requests out itself; this catches anything left over
    */
   cleanupExpiredRequests() {
     const now = Date.now();
     const expiredRequests = [];
 
-    for (const [correlationId, request] of this.pendingRequests) {
+    for (const [requestId, request] of this.pendingRequests) {
       if (now - request.timestamp > this.requestTimeout) {
-        expiredRequests.push(correlationId);
-        clearTimeout(request.timeoutId);
-        request.reject(new Error(`Request expired: ${correlationId}`));
+        expiredRequests.push(requestId);
       }
     }
 
-    // Remove expired requests
-    for (const correlationId of expiredRequests) {
-      this.pendingRequests.delete(correlationId);
+    for (const requestId of expiredRequests) {
+      const { correlationId } = this.pendingRequests.get(requestId);
+      this.eventBus.cancelRequest(
+        requestId,
+        `Request expired: ${correlationId}`
+      );
+      this.pendingRequests.delete(requestId);
     }
 
     if (expiredRequests.length > 0) {
-      console.log(
-        `🧹 MatchingService: Cleaned up ${expiredRequests.length} expired requests`
-      );
+      this.logger.info("Cleaned up expired requests", {
+        count: expiredRequests.length,
+      });
     }
   }
 
@@ -357,6 +660,25 @@ class MatchingService {
     }
   }
 
+  /**
+   * Stop the service timers
+   * Held submissions are not persisted; their tasks stay in matching
+   */
+  stop() {
+    this.stopCleanupInterval();
+    this.circuitBreaker.off("stateChange", this.onCircuitStateChange);
+    this.circuitBreaker.stop();
+    for (const strategy of Object.values(this.strategies)) {
+      strategy.stop();
+    }
+
+    if (this.heldSubmissions.length > 0) {
+      this.logger.warn("Stopping with held form submissions", {
+        count: this.heldSubmissions.length,
+      });
+    }
+  }
+
   /**
    * Health check
    * @returns {object} Health status
@@ -366,7 +688,10 @@ class MatchingService {
 
     return {
       service: "MatchingService",
-      status: "healthy",
+      // Submissions are held rather than lost while the circuit is not closed
+      status: this.circuitBreaker.isClosed() ? "healthy" : "degraded",
+      circuitBreaker: stats.circuitBreaker,
+      heldSubmissions: stats.heldSubmissions,
       pendingRequests: stats.pendingRequests,
       oldestPendingAge: stats.oldestPendingAge,
       timestamp: new Date().toISOString(),
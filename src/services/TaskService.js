@@ -0,0 +1,335 @@
+import Event from "../core/Event.js";
+import Task, { TASK_STATES } from "../models/Task.js";
+import { createLogger } from "../config/logger.js";
+import { getContext } from "../config/requestContext.js";
+
+/**
+ * Task Service - Owns the Task aggregates and their state machine
+ * Every accepted change is published as task.state.changed (and so persisted
+ * by the EventStore); tasks are rebuilt from those events on startup.
+ * Illegal changes are published as task.transition.rejected.
+ * Transitions made while handling a replayed event are ignored unless the
+ * service belongs to a replay sandbox: their task.state.changed events are
+ * never stored, so applying them would leave live tasks that a restart
+ * cannot rebuild
+ */
+class TaskService {
+  /**
+   * @param {EventBus} eventBus - Bus the state changes are published on
+   * @param {EventStore} eventStore - Store the tasks are rebuilt from
+   * @param {object} options
+   * @param {boolean} options.applyReplays - Apply transitions made during a
+   *   replay (replay sandboxes only)
+   * @param {Logger} options.logger - Logger
+   */
+  constructor(
+    eventBus,
+    eventStore,
+    { applyReplays = false, logger = null } = {}
+  ) {
+    this.eventBus = eventBus;
+    this.logger = logger || createLogger("TaskService");
+    this.eventStore = eventStore;
+    this.applyReplays = applyReplays;
+    this.tasks = new Map(); // taskId → Task
+    this.rejectedCount = 0;
+  }
+
+  /**
+   * Rebuild tasks from stored task.state.changed events
+   */
+  async initialize() {
+    const events = await this.eventStore.getEvents({
+      type: "task.state.changed",
+    });
+
+    // Stored events come newest first
+    const changes = events
+      .map((event) => event.data)
+      .sort(
+        (a, b) =>
+          new Date(a.changedAt) - new Date(b.changedAt) || a.version - b.version
+      );
+
+    for (const change of changes) {
+      let task = this.tasks.get(change.taskId);
+      if (!task) {
+        task = new Task({ id: change.taskId, createdAt: change.changedAt });
+        this.tasks.set(change.taskId, task);
+      }
+      if (change.version > task.version) {
+        task.apply(change);
+      }
+    }
+
+    this.logger.info("Rebuilt tasks from state changes", {
+      tasks: this.tasks.size,
+      stateChanges: changes.length,
+    });
+  }
+
+  /**
+   * Get a task by ID
+   * @param {string} taskId - Task ID
+   * @returns {Task|null} Task or null if not found
+   */
+  getTask(taskId) {
+    return this.tasks.get(taskId) || null;
+  }
+
+  /**
+   * List tasks (most recently updated first)
+   * @param {object} filters - state, assignee, limit
+   * @returns {array} Tasks
+   */
+  listTasks(filters = {}) {
+    let tasks = Array.from(this.tasks.values());
+
+    if (filters.state) {
+      tasks = tasks.filter((task) => task.state === filters.state);
+    }
+
+    if (filters.assignee) {
+      tasks = tasks.filter((task) => task.assignee === filters.assignee);
+    }
+
+    tasks.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    if (filters.limit) {
+      tasks = tasks.slice(0, filters.limit);
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Tasks a user currently holds (assigned or in progress)
+   * @param {string} assignee - User ID
+   * @returns {number} Task count
+   */
+  getAssigneeLoad(assignee) {
+    let load = 0;
+    for (const task of this.tasks.values()) {
+      if (
+        task.assignee === assignee &&
+        (task.state === TASK_STATES.ASSIGNED ||
+          task.state === TASK_STATES.IN_PROGRESS)
+      ) {
+        load++;
+      }
+    }
+    return load;
+  }
+
+  /**
+   * Get the stored events of a task, oldest first
+   * Includes its correlated flow and any event that names the task by ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<array>} Timeline entries
+   */
+  async getTimeline(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) return [];
+
+    const [correlated, mentioning] = await Promise.all([
+      task.correlationId
+        ? this.eventStore.getEventsByCorrelation(task.correlationId)
+        : [],
+      this.eventStore.getEventsByTask(taskId),
+    ]);
+
+    // An event can be in both
+    const events = new Map(
+      [...correlated, ...mentioning].map((event) => [event.id, event])
+    );
+
+    return [...events.values()]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(({ id, type, source, correlationId, timestamp, data }) => ({
+        id,
+        type,
+        source,
+        correlationId,
+        timestamp,
+        data,
+      }));
+  }
+
+  /**
+   * Create a task for a form submission (no-op if it already exists)
+   * @param {string} taskId - Task ID
+   * @param {object} options - correlationId, formData, source
+   * @returns {object} Transition result
+   */
+  submit(taskId, { correlationId, formData, source } = {}) {
+    // A retried or re-delivered submission, whatever state the task is in
+    const existing = this.tasks.get(taskId);
+    if (existing) {
+      return { success: true, task: existing, changed: false, reason: null };
+    }
+
+    return this.transition(taskId, TASK_STATES.SUBMITTED, {
+      reason: "Form submitted",
+      correlationId,
+      formData,
+      source,
+    });
+  }
+
+  /**
+   * Move a task to a new state
+   * Moving to the state the task is already in is accepted without a change,
+   * so retried and re-delivered events are harmless; with a different
+   * assignee it is rejected (reassignments go through "reassigning"). During
+   * a replay the task is left alone (see applyReplays) and `replayed` is set
+   * @param {string} taskId - Task ID
+   * @param {string} toState - Target state
+   * @param {object} options - reason, assignee, correlationId, formData, source
+   * @returns {object} { success, task, changed, reason, replayed }
+   */
+  transition(taskId, toState, options = {}) {
+    const { reason = null, assignee, correlationId, formData, source } = options;
+    let task = this.tasks.get(taskId);
+
+    if (getContext().replay && !this.applyReplays) {
+      return {
+        success: false,
+        task: task || null,
+        changed: false,
+        reason: "Replay",
+        replayed: true,
+      };
+    }
+
+    if (!task && toState !== TASK_STATES.SUBMITTED) {
+      return this.reject(taskId, null, toState, "Task not found", options);
+    }
+
+    if (task && task.state === toState) {
+      if (assignee !== undefined && assignee !== task.assignee) {
+        return this.reject(
+          taskId,
+          task.state,
+          toState,
+          `Task is already '${toState}' with assignee '${task.assignee}'`,
+          options
+        );
+      }
+      return { success: true, task, changed: false, reason: null };
+    }
+
+    if (!task) {
+      task = new Task({ id: taskId, correlationId, formData });
+    }
+
+    if (!task.canTransition(toState)) {
+      return this.reject(
+        taskId,
+        task.state,
+        toState,
+        `Cannot move from '${task.state}' to '${toState}'`,
+        options
+      );
+    }
+
+    const change = {
+      taskId,
+      from: task.state,
+      to: toState,
+      reason,
+      assignee,
+      correlationId: correlationId || task.correlationId || undefined,
+      formData: toState === TASK_STATES.SUBMITTED ? formData : undefined,
+      version: task.version + 1,
+      changedAt: new Date().toISOString(),
+    };
+
+    task.apply(change);
+    this.tasks.set(taskId, task);
+
+    const stateChangedEvent = new Event({
+      type: "task.state.changed",
+      data: change,
+      correlationId: task.correlationId || undefined,
+      source: source || "TaskService",
+    });
+    this.eventBus.emit(stateChangedEvent);
+
+    this.logger.info("Task state changed", {
+      taskId,
+      from: change.from,
+      to: toState,
+    });
+
+    return { success: true, task, changed: true, reason: null };
+  }
+
+  /**
+   * Publish a rejected transition
+   * @returns {object} Failed transition result
+   */
+  reject(taskId, fromState, toState, reason, { correlationId, source } = {}) {
+    this.rejectedCount++;
+
+    this.logger.warn("Rejected task transition", {
+      taskId,
+      from: fromState,
+      to: toState,
+      reason,
+    });
+
+    const rejectedEvent = new Event({
+      type: "task.transition.rejected",
+      data: {
+        taskId,
+        from: fromState,
+        to: toState,
+        reason,
+        rejectedAt: new Date().toISOString(),
+      },
+      correlationId:
+        correlationId || this.tasks.get(taskId)?.correlationId || undefined,
+      source: source || "TaskService",
+    });
+    this.eventBus.emit(rejectedEvent);
+
+    return {
+      success: false,
+      task: this.tasks.get(taskId) || null,
+      changed: false,
+      reason,
+    };
+  }
+
+  /**
+   * Get service statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    const byState = {};
+    for (const task of this.tasks.values()) {
+      byState[task.state] = (byState[task.state] || 0) + 1;
+    }
+
+    return {
+      totalTasks: this.tasks.size,
+      byState,
+      rejectedTransitions: this.rejectedCount,
+    };
+  }
+
+  /**
+   * Health check
+   * @returns {object} Health status
+   */
+  async healthCheck() {
+    return {
+      service: "TaskService",
+      status: "healthy",
+      ...this.getStats(),
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+export default TaskService;
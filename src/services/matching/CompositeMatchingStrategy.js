@@ -0,0 +1,74 @@
+import MatchingStrategy from "./MatchingStrategy.js";
+
+/**
+ * Composite Matching Strategy - Tries strategies in order until one answers
+ * A strategy that throws (could not answer) hands over to the next one; a
+ * decline is final unless fallbackOnDecline is set. The answer names the
+ * strategy that gave it and the ones that were skipped (fallbackFrom)
+ */
+class CompositeMatchingStrategy extends MatchingStrategy {
+  constructor(
+    name,
+    { strategies = [], fallbackOnDecline = false, logger = null } = {}
+  ) {
+    super(name, { logger });
+    if (strategies.length === 0) {
+      throw new Error(`${this.name} needs at least one strategy`);
+    }
+
+    this.strategies = strategies;
+    this.sideEffects = strategies.some((strategy) => strategy.sideEffects);
+    this.fallbackOnDecline = fallbackOnDecline;
+    this.fallbacks = 0; // Answers that did not come from the first strategy
+  }
+
+  async match(request) {
+    const fallbackFrom = [];
+
+    for (const [index, strategy] of this.strategies.entries()) {
+      const isLast = index === this.strategies.length - 1;
+
+      try {
+        const response = await strategy.match(request);
+        if (response.success === false && this.fallbackOnDecline && !isLast) {
+          fallbackFrom.push(strategy.name);
+          continue;
+        }
+
+        if (fallbackFrom.length > 0) this.fallbacks++;
+        return {
+          ...response,
+          strategy: response.strategy || strategy.name,
+          fallbackFrom,
+        };
+      } catch (error) {
+        if (isLast) throw error;
+
+        this.logger.warn("Matching strategy unavailable; falling back", {
+          strategy: strategy.name,
+          next: this.strategies[index + 1].name,
+          correlationId: request.correlationId,
+          error: error.message,
+        });
+        fallbackFrom.push(strategy.name);
+      }
+    }
+  }
+
+  assertReady() {
+    for (const strategy of this.strategies) {
+      strategy.assertReady();
+    }
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      strategies: this.strategies.map((strategy) => strategy.name),
+      fallbackOnDecline: this.fallbackOnDecline,
+      fallbacks: this.fallbacks,
+    };
+  }
+}
+
+export default CompositeMatchingStrategy;
@@ -0,0 +1,207 @@
+import fs from "fs";
+import Joi from "joi";
+import MatchingStrategy from "./MatchingStrategy.js";
+
+/**
+ * How a user is picked among the eligible ones
+ */
+export const SELECTION_POLICIES = Object.freeze({
+  ROUND_ROBIN: "round-robin",
+  LEAST_LOADED: "least-loaded",
+  WEIGHTED: "weighted",
+});
+
+const rulesSchema = Joi.object({
+  selection: Joi.string()
+    .valid(...Object.values(SELECTION_POLICIES))
+    .default(SELECTION_POLICIES.LEAST_LOADED),
+  // Payload field listing the skills a task needs
+  skillsField: Joi.string().default("requiredSkills"),
+  users: Joi.array()
+    .items(
+      Joi.object({
+        id: Joi.string().required(),
+        skills: Joi.array().items(Joi.string()).default([]),
+        capacity: Joi.number().integer().min(0).allow(null).default(null),
+        weight: Joi.number().min(0).default(1),
+        active: Joi.boolean().default(true),
+      })
+    )
+    .unique("id")
+    .default([]),
+});
+
+/**
+ * Validate local matching rules and fill in defaults
+ * @param {object} rules - { selection, skillsField, users }
+ * @returns {object} Validated rules
+ */
+export function validateRules(rules = {}) {
+  const { error, value } = rulesSchema.validate(rules, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid matching rules: ${error.message}`);
+  }
+  return value;
+}
+
+/**
+ * Read local matching rules from a JSON file
+ * @param {string} filePath - Rules file
+ * @returns {object} Validated rules
+ */
+export function loadRules(filePath) {
+  const rules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return validateRules(rules);
+}
+
+/**
+ * Local Rules Strategy - Picks an assignee in-process from a configured roster
+ * A user is eligible when active, holding every skill the task needs and
+ * below capacity (current load from getLoad); a reassignment never goes back
+ * to the current assignee. Among the eligible users the selection policy
+ * decides: round-robin, least-loaded (ties in roster order) or weighted
+ * (random, proportional to weight). Shadow requests are answered without
+ * moving the round-robin position or counting the pick
+ */
+class LocalRulesStrategy extends MatchingStrategy {
+  /**
+   * @param {object} options
+   * @param {object} options.rules - Rules ({ selection, skillsField, users })
+   * @param {function} options.getLoad - userId → tasks the user is working on
+   * @param {Logger} options.logger - Logger
+   */
+  constructor({ rules = {}, getLoad = null, logger = null } = {}) {
+    super("local", { logger });
+    this.rules = validateRules(rules);
+    this.getLoad = getLoad || (() => 0);
+    this.cursor = 0; // Round-robin position in the roster
+    this.assignments = new Map(); // userId → times picked
+    this.declined = 0;
+  }
+
+  async match({ requestType, data, shadow = false }) {
+    const required = [].concat(data?.[this.rules.skillsField] ?? []);
+    const excluded = data?.currentAssignee ?? null;
+
+    const eligible = this.rules.users.filter(
+      (user) =>
+        user.active &&
+        user.id !== excluded &&
+        required.every((skill) => user.skills.includes(skill))
+    );
+    if (eligible.length === 0) {
+      return this.decline(
+        requestType,
+        "No user with the required skills",
+        shadow
+      );
+    }
+
+    const candidates = eligible
+      .map((user) => ({ user, load: this.getLoad(user.id) }))
+      .filter(
+        ({ user, load }) => user.capacity === null || load < user.capacity
+      );
+    if (candidates.length === 0) {
+      return this.decline(
+        requestType,
+        "All eligible users are at capacity",
+        shadow
+      );
+    }
+
+    const { user, load } = this.select(candidates, { commit: !shadow });
+    if (!shadow) {
+      this.assignments.set(user.id, (this.assignments.get(user.id) || 0) + 1);
+    }
+
+    return {
+      success: true,
+      assignedUserId: user.id,
+      action: requestType,
+      strategy: this.name,
+      selection: this.rules.selection,
+      load,
+    };
+  }
+
+  /**
+   * An empty roster would decline every request, so refuse to start with one
+   */
+  assertReady() {
+    if (!this.rules.users.some((user) => user.active)) {
+      throw new Error(
+        `Matching strategy '${this.name}' needs at least one active user in its rules (MATCHING_RULES_FILE)`
+      );
+    }
+  }
+
+  decline(requestType, reason, shadow) {
+    if (!shadow) this.declined++;
+    return {
+      success: false,
+      action: requestType,
+      strategy: this.name,
+      reason,
+    };
+  }
+
+  /**
+   * Pick one of the candidates with the selection policy
+   * @param {array} candidates - { user, load }, in roster order
+   * @param {object} options - { commit: advance the round-robin position }
+   * @returns {object} The chosen { user, load }
+   */
+  select(candidates, { commit = true } = {}) {
+    switch (this.rules.selection) {
+      case SELECTION_POLICIES.ROUND_ROBIN: {
+        // First candidate at or after the cursor, wrapping around the roster
+        const { users } = this.rules;
+        for (let i = 0; i < users.length; i++) {
+          const index = (this.cursor + i) % users.length;
+          const candidate = candidates.find(
+            ({ user }) => user.id === users[index].id
+          );
+          if (candidate) {
+            if (commit) this.cursor = index + 1;
+            return candidate;
+          }
+        }
+        return candidates[0];
+      }
+
+      case SELECTION_POLICIES.WEIGHTED: {
+        const total = candidates.reduce(
+          (sum, { user }) => sum + user.weight,
+          0
+        );
+        if (total === 0) return candidates[0];
+
+        let pick = Math.random() * total;
+        for (const candidate of candidates) {
+          pick -= candidate.user.weight;
+          if (pick < 0) return candidate;
+        }
+        return candidates[candidates.length - 1];
+      }
+
+      default:
+        return candidates.reduce((least, candidate) =>
+          candidate.load < least.load ? candidate : least
+        );
+    }
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      selection: this.rules.selection,
+      users: this.rules.users.length,
+      activeUsers: this.rules.users.filter((user) => user.active).length,
+      assignments: Object.fromEntries(this.assignments),
+      declined: this.declined,
+    };
+  }
+}
+
+export default LocalRulesStrategy;
@@ -0,0 +1,65 @@
+import { createLogger } from "../../config/logger.js";
+
+/**
+ * Base Matching Strategy Class - Contract for all ways of finding an assignee
+ * A strategy resolves with an answer (success: false for a decline) and
+ * throws when it could not get one at all (e.g. the remote engine timed
+ * out), so callers can tell "no match" from "no matcher"
+ */
+class MatchingStrategy {
+  constructor(name = null, { logger = null } = {}) {
+    this.name = name || this.constructor.name;
+    this.logger = logger || createLogger("MatchingService");
+    // Reaches outside the process (so it cannot run as a shadow)
+    this.sideEffects = false;
+  }
+
+  /**
+   * Throw if the strategy is not configured well enough to answer
+   * Called at startup for every strategy in use
+   */
+  assertReady() {}
+
+  /**
+   * Find an assignee
+   * @param {object} request - Matching request
+   * @param {string} request.requestId - Id of this request (unique per call)
+   * @param {string} request.requestType - assignment | reassignment | recovery
+   * @param {object} request.data - Request payload (form data or task data)
+   * @param {string} request.correlationId - Correlation ID of the task flow
+   * @param {boolean} request.replay - Replayed event marker
+   * @param {number} request.timeout - Give up after this long (ms)
+   * @param {boolean} request.shadow - Comparison run; the answer is not used
+   * @returns {Promise<object>} { success, assignedUserId, action, reason, error, ... }
+   */
+  async match(request) {
+    throw new Error(`${this.name}.match is not implemented`);
+  }
+
+  /**
+   * Get strategy statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return { name: this.name };
+  }
+
+  /**
+   * Release strategy resources
+   */
+  stop() {}
+}
+
+/**
+ * Error for a strategy that could not answer
+ * @param {string} message - Error message
+ * @param {string} code - Error code (e.g. CIRCUIT_OPEN)
+ * @returns {Error}
+ */
+export function unavailableError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export default MatchingStrategy;
@@ -0,0 +1,69 @@
+import Event from "../../core/Event.js";
+import MatchingStrategy, { unavailableError } from "./MatchingStrategy.js";
+
+/**
+ * Remote Matching Strategy - Asks the external Matching Engine over AMQP
+ * Emits matching.request (its event id is the request id) and waits for the
+ * matching.response to it (the MessageBroker carries both over RabbitMQ).
+ * Calls go through the circuit breaker: refused calls throw CIRCUIT_OPEN,
+ * timeouts and publish failures count against the circuit, and any answer
+ * counts for it
+ */
+class RemoteMatchingStrategy extends MatchingStrategy {
+  constructor({ eventBus, circuitBreaker, logger = null } = {}) {
+    super("remote", { logger });
+    this.sideEffects = true; // A real request to the engine
+    this.eventBus = eventBus;
+    this.circuitBreaker = circuitBreaker;
+  }
+
+  async match({
+    requestId,
+    requestType,
+    data,
+    correlationId,
+    replay,
+    timeout,
+  }) {
+    if (!this.circuitBreaker.allowRequest()) {
+      throw unavailableError(
+        "Matching engine circuit is open",
+        "CIRCUIT_OPEN"
+      );
+    }
+
+    const matchingRequestEvent = new Event({
+      id: requestId,
+      type: "matching.request",
+      data: { ...data, requestType },
+      correlationId,
+      source: "MatchingService",
+      // The outbox stops retrying the publish once nobody waits for a reply
+      metadata: { replay, expiresAt: Date.now() + timeout },
+    });
+
+    try {
+      const reply = await this.eventBus.request(matchingRequestEvent, {
+        replyType: "matching.response",
+        failureType: "matching.request.failed",
+        timeout,
+      });
+
+      // A decline is still an answer
+      this.circuitBreaker.recordSuccess();
+      return reply.data;
+    } catch (error) {
+      this.circuitBreaker.recordFailure();
+      throw error;
+    }
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      circuitState: this.circuitBreaker.state,
+    };
+  }
+}
+
+export default RemoteMatchingStrategy;
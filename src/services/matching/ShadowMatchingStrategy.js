@@ -0,0 +1,137 @@
+import { v4 as uuidv4 } from "uuid";
+import Event from "../../core/Event.js";
+import MatchingStrategy from "./MatchingStrategy.js";
+
+/**
+ * Shadow Matching Strategy - A/B comparison of two strategies
+ * The primary strategy's answer is the one used. For a sample of requests
+ * the candidate runs alongside it (under its own request id, so a remote
+ * candidate cannot take the primary's reply); once both have settled a
+ * matching.comparison event records what each said. The candidate's answer
+ * is never acted on, so a candidate with side effects (one that calls the
+ * remote engine) is refused: its requests would reach the real engine and
+ * its failures would count against the live circuit
+ */
+class ShadowMatchingStrategy extends MatchingStrategy {
+  constructor({
+    primary,
+    candidate,
+    eventBus,
+    sampleRate = 1,
+    logger = null,
+  } = {}) {
+    super(`${primary.name}+shadow:${candidate.name}`, { logger });
+    if (candidate.sideEffects) {
+      throw new Error(
+        `Matching strategy '${candidate.name}' has side effects and cannot run as a shadow`
+      );
+    }
+
+    this.sideEffects = primary.sideEffects;
+    this.primary = primary;
+    this.candidate = candidate;
+    this.eventBus = eventBus;
+    this.sampleRate = sampleRate; // Fraction of requests compared (0..1)
+
+    this.compared = 0;
+    this.agreed = 0;
+  }
+
+  async match(request) {
+    if (Math.random() >= this.sampleRate) {
+      return this.primary.match(request);
+    }
+
+    const primaryRun = this.run(this.primary, request);
+    const candidateRun = this.run(this.candidate, {
+      ...request,
+      requestId: uuidv4(),
+      shadow: true,
+    });
+
+    Promise.all([primaryRun, candidateRun])
+      .then(([primary, candidate]) =>
+        this.reportComparison(request, primary.summary, candidate.summary)
+      )
+      .catch((error) => {
+        this.logger.error("Failed to compare matching strategies", {
+          error: error.message,
+        });
+      });
+
+    const { response, error } = await primaryRun;
+    if (error) throw error;
+    return response;
+  }
+
+  assertReady() {
+    this.primary.assertReady();
+    this.candidate.assertReady();
+  }
+
+  /**
+   * Run a strategy without letting it throw
+   * @returns {Promise<object>} { response, error, summary }
+   */
+  async run(strategy, request) {
+    const startedAt = Date.now();
+    let response = null;
+    let error = null;
+
+    try {
+      response = await strategy.match(request);
+    } catch (matchError) {
+      error = matchError;
+    }
+
+    return {
+      response,
+      error,
+      summary: {
+        strategy: response?.strategy || strategy.name,
+        answered: !error,
+        success: Boolean(response) && response.success !== false,
+        assignedUserId: response?.assignedUserId ?? response?.userId ?? null,
+        reason: error?.message || response?.reason || null,
+        durationMs: Date.now() - startedAt,
+      },
+    };
+  }
+
+  reportComparison({ requestType, correlationId }, primary, candidate) {
+    const agreed =
+      primary.success === candidate.success &&
+      primary.assignedUserId === candidate.assignedUserId;
+
+    this.compared++;
+    if (agreed) this.agreed++;
+
+    const comparisonEvent = new Event({
+      type: "matching.comparison",
+      data: {
+        requestType,
+        primary,
+        candidate,
+        agreed,
+        comparedAt: new Date().toISOString(),
+      },
+      correlationId,
+      source: "MatchingService",
+    });
+    this.eventBus.emit(comparisonEvent);
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      primary: this.primary.name,
+      candidate: this.candidate.name,
+      sampleRate: this.sampleRate,
+      compared: this.compared,
+      agreed: this.agreed,
+      agreementRate: this.compared > 0 ? this.agreed / this.compared : null,
+    };
+  }
+}
+
+export default ShadowMatchingStrategy;
@@ -0,0 +1,30 @@
+/**
+ * API Error - An error with an HTTP status, rendered by the error handler
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @param {array} details - Optional details (e.g. validation errors)
+   */
+  constructor(statusCode, message, details = []) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  static badRequest(message, details) {
+    return new ApiError(400, message, details);
+  }
+
+  static notFound(message = "Resource not found") {
+    return new ApiError(404, message);
+  }
+
+  static conflict(message, details) {
+    return new ApiError(409, message, details);
+  }
+}
+
+export default ApiError;
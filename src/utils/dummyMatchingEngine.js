@@ -1,5 +1,11 @@
 import rabbitMQConnection from "../events/connection.js";
 import { safeLogger } from "../config/logger.js";
+import {
+  QUEUES,
+  CHANNELS,
+  MESSAGE_HEADERS,
+  getConsumers,
+} from "../config/topology.js";
 
 /**
  * Simple Dummy Matching Engine - Basic testing only
@@ -7,8 +13,8 @@ import { safeLogger } from "../config/logger.js";
  */
 class DummyMatchingEngine {
   constructor() {
-    this.requestQueue = "matching.request.queue";
-    this.replyQueue = "assign.agent.reply.queue";
+    this.requestQueue = QUEUES.MATCHING_REQUEST;
+    this.replyQueue = QUEUES.MATCHING_REPLY;
     this.isRunning = false;
     this.connection = rabbitMQConnection;
   }
@@ -17,12 +23,9 @@ class DummyMatchingEngine {
     if (this.isRunning) return;
 
     try {
-      await this.connection.consume(
-        "dummy-matching-engine-channel",
-        this.requestQueue,
-        this.handleRequest.bind(this),
-        { prefetch: 5 }
-      );
+      for (const consumer of getConsumers("DummyMatchingEngine")) {
+        await this.connection.startConsumer(consumer, this);
+      }
 
       this.isRunning = true;
       safeLogger.info("🤖 Dummy Matching Engine started");
@@ -33,11 +36,16 @@ class DummyMatchingEngine {
   }
 
   async handleRequest(message, msg, channel) {
-    console.log("🤖 Dummy Matching Engine received request:", message);
+    safeLogger.debug("🤖 Dummy Matching Engine received request", {
+      request: message,
+    });
     try {
       const requestData =
         typeof message === "string" ? JSON.parse(message) : message;
+      // The request id; the flow's correlationId is echoed in its header
       const correlationId = msg.properties.correlationId;
+      const flowCorrelationId =
+        msg.properties.headers?.[MESSAGE_HEADERS.CORRELATION_ID];
 
       // Simple logic: get message and append ##<message>
       const testMessage = requestData.testData || "test";
@@ -53,20 +61,23 @@ class DummyMatchingEngine {
       };
 
       // Send response
-      await this.connection.publish(
-        "dummy-matching-engine-channel",
+      await this.connection.publishConfirmed(
+        CHANNELS.DUMMY_MATCHING_REPLY,
         "",
         this.replyQueue,
         response,
-        { correlationId }
+        {
+          correlationId,
+          headers: { [MESSAGE_HEADERS.CORRELATION_ID]: flowCorrelationId },
+          mandatory: true,
+        }
       );
 
       safeLogger.info(
         `✅ Dummy response sent: "${testMessage}" -> "${processedMessage}"`
       );
     } catch (error) {
-      console.log("🤖 Dummy Matching Engine error:", error);
-      // safeLogger.error("❌ Dummy engine error:", error);
+      safeLogger.error("❌ Dummy engine error:", error);
     }
   }
 
@@ -0,0 +1,35 @@
+import ApiError from "./ApiError.js";
+import { safeLogger } from "../config/logger.js";
+
+/**
+ * 404 handler for unmatched routes
+ */
+export const notFoundHandler = (req, res, next) => {
+  next(ApiError.notFound(`No route for ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * Express error handler - Renders ApiErrors and hides unexpected ones
+ */
+export const errorHandler = (err, req, res, next) => {
+  // Body parser and other http-errors carry their own status
+  const statusCode = err.statusCode || err.status || 500;
+  // Only errors we raised on purpose are shown to the client as-is
+  const expected = err instanceof ApiError || statusCode < 500;
+
+  if (!expected) {
+    safeLogger.error("Unhandled API error:", {
+      error: err.message,
+      stack: err.stack,
+      path: req.originalUrl,
+      correlationId: req.correlationId,
+    });
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: expected ? err.message : "Internal server error",
+    details: err instanceof ApiError ? err.details : undefined,
+    correlationId: req.correlationId,
+  });
+};
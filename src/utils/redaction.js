@@ -0,0 +1,259 @@
+import { createHash } from "crypto";
+
+export const REDACTION_STRATEGIES = ["mask", "hash", "drop"];
+
+const MASK = "[REDACTED]";
+const DROP = Symbol("drop");
+
+// Keys compare without case, "_" or "-" (API_KEY, api-key, apiKey)
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[_-]/g, "");
+
+/**
+ * Match a path against a dotted pattern ("*" = one segment, "**" = any)
+ * @param {array} pattern - Pattern segments
+ * @param {array} path - Path segments (array indices included)
+ * @returns {boolean} True if the path matches
+ */
+const matchPath = (pattern, path, i = 0, j = 0) => {
+  if (i === pattern.length) return j === path.length;
+
+  if (pattern[i] === "**") {
+    for (let k = j; k <= path.length; k++) {
+      if (matchPath(pattern, path, i + 1, k)) return true;
+    }
+    return false;
+  }
+
+  if (j === path.length) return false;
+  if (pattern[i] !== "*" && pattern[i] !== String(path[j])) return false;
+
+  return matchPath(pattern, path, i + 1, j + 1);
+};
+
+/**
+ * Redactor - Deep, recursive redaction of logs, audit entries and events
+ * Rules match fields by key name or path (the whole value is redacted) or
+ * string contents by regex (only the matching part is redacted):
+ *   { name, keys: ["password"], strategy: "mask" }
+ *   { name, paths: ["**.headers.cookie"], strategy: "drop" }
+ *   { name, pattern: /.../, strategy: "hash", validate?, skipKeys? }
+ * Strategies: mask ("[REDACTED]"), hash (salted sha256 prefix, so equal
+ * values stay correlatable) and drop (the field is removed).
+ * Values are never modified in place; a redacted copy is returned
+ */
+class Redactor {
+  constructor({
+    enabled = true,
+    rules = [],
+    hashSalt = "",
+    maxDepth = 20,
+  } = {}) {
+    this.enabled = enabled;
+    this.hashSalt = hashSalt;
+    this.maxDepth = maxDepth;
+
+    this.fieldRules = [];
+    this.patternRules = [];
+
+    for (const rule of rules) {
+      this.addRule(rule);
+    }
+  }
+
+  /**
+   * Compile and add a rule
+   * @param {object} rule - Rule definition (see class doc)
+   */
+  addRule(rule) {
+    const { name, strategy = "mask" } = rule;
+
+    if (!REDACTION_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Redaction rule '${name}': unknown strategy '${strategy}'`
+      );
+    }
+
+    if (rule.pattern) {
+      const source = rule.pattern;
+      const pattern =
+        source instanceof RegExp
+          ? new RegExp(source.source, source.flags.replace("g", "") + "g")
+          : new RegExp(source, `${rule.flags || ""}g`);
+
+      // skipKeys: field names (or regexes on the lowercased name) whose
+      // values this pattern never scans, e.g. IDs that look like numbers
+      this.patternRules.push({
+        name,
+        strategy,
+        pattern,
+        validate: rule.validate || null,
+        skipKeys: (rule.skipKeys || []).map((key) =>
+          key instanceof RegExp ? key : normalizeKey(key)
+        ),
+      });
+      return;
+    }
+
+    if (!rule.keys && !rule.paths) {
+      throw new Error(
+        `Redaction rule '${name}' needs keys, paths or a pattern`
+      );
+    }
+
+    this.fieldRules.push({
+      name,
+      strategy,
+      keys: (rule.keys || []).map(normalizeKey),
+      paths: (rule.paths || []).map((path) => path.split(".")),
+    });
+  }
+
+  /**
+   * Redacted deep copy of a value
+   * @param {*} value - Value to redact
+   * @returns {*} Redacted copy
+   */
+  redact(value) {
+    if (!this.enabled) return value;
+
+    const result = this.walk(value, [], new WeakSet());
+    return result === DROP ? MASK : result;
+  }
+
+  walk(value, path, seen) {
+    if (value === null || value === undefined) return value;
+    if (typeof value === "string") return this.redactString(value, path);
+    if (typeof value !== "object") return value;
+    if (value instanceof Date || Buffer.isBuffer(value)) return value;
+
+    // Models (e.g. Task) are redacted as they would be serialized
+    if (typeof value.toJSON === "function") {
+      return this.walk(value.toJSON(), path, seen);
+    }
+
+    if (seen.has(value)) return "[Circular]";
+    if (path.length >= this.maxDepth) return "[Truncated]";
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map((item, index) => {
+        const redacted = this.redactField(index, item, [...path, index], seen);
+        return redacted === DROP ? MASK : redacted;
+      });
+    } else {
+      const source =
+        value instanceof Error
+          ? {
+              name: value.name,
+              message: value.message,
+              stack: value.stack,
+              ...value,
+            }
+          : value;
+
+      result = {};
+      for (const [key, child] of Object.entries(source)) {
+        const redacted = this.redactField(key, child, [...path, key], seen);
+        if (redacted !== DROP) {
+          result[key] = redacted;
+        }
+      }
+    }
+
+    seen.delete(value); // Shared (non-circular) references are fine
+    return result;
+  }
+
+  redactField(key, value, path, seen) {
+    const rule = this.findFieldRule(key, path);
+    if (!rule) return this.walk(value, path, seen);
+
+    switch (rule.strategy) {
+      case "drop":
+        return DROP;
+      case "hash":
+        return this.hash(
+          typeof value === "string" ? value : JSON.stringify(value)
+        );
+      default:
+        return MASK;
+    }
+  }
+
+  findFieldRule(key, path) {
+    const normalized = normalizeKey(key);
+
+    return this.fieldRules.find(
+      (rule) =>
+        rule.keys.some((ruleKey) => normalized.endsWith(ruleKey)) ||
+        rule.paths.some((pattern) => matchPath(pattern, path))
+    );
+  }
+
+  redactString(value, path) {
+    const key = path.length > 0 ? normalizeKey(path[path.length - 1]) : null;
+    let result = value;
+
+    for (const rule of this.patternRules) {
+      if (key !== null && this.isSkipped(rule, key)) continue;
+
+      rule.pattern.lastIndex = 0;
+      let matched = false;
+
+      result = result.replace(rule.pattern, (match) => {
+        if (rule.validate && !rule.validate(match)) return match;
+        matched = true;
+        return rule.strategy === "hash"
+          ? this.hash(match)
+          : `[REDACTED:${rule.name}]`;
+      });
+
+      if (matched && rule.strategy === "drop") return DROP;
+    }
+
+    return result;
+  }
+
+  isSkipped(rule, key) {
+    return rule.skipKeys.some((skip) =>
+      skip instanceof RegExp ? skip.test(key) : skip === key
+    );
+  }
+
+  /**
+   * Salted, truncated sha256 of a value ("sha256:1f2e3d4c5b6a7980")
+   * @param {string} value - Value to hash
+   * @returns {string} Hash token
+   */
+  hash(value) {
+    const digest = createHash("sha256")
+      .update(this.hashSalt)
+      .update(String(value))
+      .digest("hex");
+    return `sha256:${digest.slice(0, 16)}`;
+  }
+}
+
+/**
+ * Luhn checksum, so only plausible card numbers are redacted
+ * @param {string} value - Candidate card number (spaces/dashes allowed)
+ * @returns {boolean} True if the digits pass the checksum
+ */
+export const isLuhnValid = (value) => {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+export default Redactor;
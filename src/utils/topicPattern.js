@@ -0,0 +1,57 @@
+/**
+ * Topic pattern helpers with AMQP topic exchange semantics
+ * - Segments are separated by "."
+ * - "*" matches exactly one segment ("task.*" matches "task.assigned")
+ * - "#" matches zero or more segments ("task.#" matches "task.reassign.requested")
+ * - A bare "*" matches every event type
+ */
+
+/**
+ * Check whether a subscription key is a pattern rather than an exact type
+ * @param {string} pattern - Subscription key
+ * @returns {boolean} True if it contains wildcards
+ */
+export function isTopicPattern(pattern) {
+  return pattern.split(".").some((segment) => segment === "*" || segment === "#");
+}
+
+/**
+ * Match an event type against a topic pattern
+ * @param {string} pattern - Topic pattern
+ * @param {string} eventType - Event type
+ * @returns {boolean} True if the type matches
+ */
+export function matchesTopic(pattern, eventType) {
+  if (pattern === "*" || pattern === "#") {
+    return true;
+  }
+  return matchSegments(pattern.split("."), 0, eventType.split("."), 0);
+}
+
+function matchSegments(pattern, p, words, w) {
+  if (p === pattern.length) {
+    return w === words.length;
+  }
+
+  const segment = pattern[p];
+
+  if (segment === "#") {
+    // Try consuming zero, one, two... words
+    for (let next = w; next <= words.length; next++) {
+      if (matchSegments(pattern, p + 1, words, next)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  if (w === words.length) {
+    return false;
+  }
+
+  if (segment === "*" || segment === words[w]) {
+    return matchSegments(pattern, p + 1, words, w + 1);
+  }
+
+  return false;
+}
@@ -0,0 +1,39 @@
+import { randomBytes } from "crypto";
+
+/**
+ * W3C Trace Context helpers
+ * traceparent: "00-<32 hex trace-id>-<16 hex parent-id>-<2 hex flags>"
+ */
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const INVALID_TRACE_ID = "0".repeat(32);
+const INVALID_SPAN_ID = "0".repeat(16);
+
+export const generateTraceId = () => randomBytes(16).toString("hex");
+export const generateSpanId = () => randomBytes(8).toString("hex");
+
+/**
+ * Parse a traceparent header value
+ * @param {string} header - traceparent value
+ * @returns {object|null} { traceId, spanId, flags } or null if invalid
+ */
+export function parseTraceparent(header) {
+  if (typeof header !== "string") return null;
+
+  const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) return null;
+
+  const [, traceId, spanId, flags] = match;
+  if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+
+  return { traceId, spanId, flags };
+}
+
+/**
+ * Format a span context as a traceparent value
+ * @param {object} context - { traceId, spanId, flags }
+ * @returns {string} traceparent
+ */
+export function formatTraceparent({ traceId, spanId, flags = "01" }) {
+  return `00-${traceId}-${spanId}-${flags}`;
+}
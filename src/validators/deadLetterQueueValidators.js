@@ -0,0 +1,23 @@
+import Joi from "joi";
+
+const queueName = Joi.string()
+  .pattern(/^[A-Za-z0-9_.:-]+$/)
+  .max(255)
+  .required();
+
+export const deadLetterQueueParams = Joi.object({
+  queue: queueName,
+});
+
+export const deadLetterMessageParams = Joi.object({
+  queue: queueName,
+  messageId: Joi.string().max(255).required(),
+});
+
+export const listDeadLetterMessagesQuery = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+});
+
+export const redriveDeadLetterQueueBody = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+});
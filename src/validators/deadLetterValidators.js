@@ -0,0 +1,11 @@
+import Joi from "joi";
+
+export const listDeadLettersQuery = Joi.object({
+  eventType: Joi.string().max(128),
+  handlerName: Joi.string().max(128),
+  limit: Joi.number().integer().min(1).max(1000),
+});
+
+export const deadLetterIdParams = Joi.object({
+  id: Joi.string().guid().required(),
+});
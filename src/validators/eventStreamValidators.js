@@ -0,0 +1,10 @@
+import Joi from "joi";
+
+export const eventStreamQuery = Joi.object({
+  // Exact type or AMQP-style pattern ("task.*", "task.#", "*")
+  type: Joi.string()
+    .pattern(/^([a-z0-9_]+|\*|#)(\.([a-z0-9_]+|\*|#))*$/)
+    .default("*"),
+  correlationId: Joi.string().max(128),
+  source: Joi.string().max(128),
+});
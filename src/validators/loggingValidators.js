@@ -0,0 +1,16 @@
+import Joi from "joi";
+import { LOG_LEVELS } from "../config/logger.js";
+
+export const logComponentParams = Joi.object({
+  // Component name as passed to createLogger, or "root"
+  component: Joi.string()
+    .pattern(/^[A-Za-z0-9_.:-]+$/)
+    .max(64)
+    .required(),
+});
+
+export const setLogLevelBody = Joi.object({
+  level: Joi.string()
+    .valid(...LOG_LEVELS)
+    .required(),
+});
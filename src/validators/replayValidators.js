@@ -0,0 +1,25 @@
+import Joi from "joi";
+
+const timestamp = Joi.alternatives().try(
+  Joi.date().iso(),
+  Joi.number().integer().min(0)
+);
+
+export const startReplayBody = Joi.object({
+  filters: Joi.object({
+    type: Joi.string().max(128),
+    correlationId: Joi.string().max(128),
+    source: Joi.string().max(128),
+    since: timestamp,
+    until: timestamp,
+    limit: Joi.number().integer().min(1).max(100000),
+  }).default({}),
+  target: Joi.string().valid("sandbox", "live").default("sandbox"),
+  // Pace multiplier: 1 = original pace, 0 = as fast as possible
+  speed: Joi.number().min(0).max(1000).default(0),
+  maxDelay: Joi.number().integer().min(0).max(60000).default(10000),
+});
+
+export const replayIdParams = Joi.object({
+  replayId: Joi.string().guid().required(),
+});
@@ -0,0 +1,38 @@
+import Joi from "joi";
+import { TASK_STATES } from "../models/Task.js";
+
+const id = Joi.alternatives().try(Joi.string().max(128), Joi.number());
+
+export const taskIdParams = Joi.object({
+  taskId: Joi.string().max(128).required(),
+});
+
+export const listTasksQuery = Joi.object({
+  state: Joi.string().valid(...Object.values(TASK_STATES)),
+  assignee: Joi.string().max(128),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+});
+
+export const completeTaskBody = Joi.object({
+  notes: Joi.string().max(2000).allow(""),
+  result: Joi.object().unknown(true),
+});
+
+export const declineTaskBody = Joi.object({
+  reason: Joi.string().max(500).required(),
+});
+
+export const reassignTaskBody = Joi.object({
+  reason: Joi.string().max(500).required(),
+  priority: Joi.string()
+    .valid("low", "normal", "high", "critical")
+    .default("normal"),
+});
+
+export const recoverTaskBody = Joi.object({
+  reason: Joi.string().max(500).required(),
+});
+
+export const monitorTaskBody = Joi.object({
+  assignee: id,
+});
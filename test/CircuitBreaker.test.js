@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import CircuitBreaker, { CIRCUIT_STATES } from "../src/core/CircuitBreaker.js";
+
+const createBreaker = (options = {}) => {
+  const breaker = new CircuitBreaker({
+    name: "test",
+    failureRateThreshold: 0.5,
+    windowMs: 1000,
+    minimumRequests: 4,
+    cooldown: 500,
+    ...options,
+  });
+  const changes = [];
+  breaker.on("stateChange", ({ from, to }) => changes.push(`${from}>${to}`));
+  return { breaker, changes };
+};
+
+const record = (breaker, outcomes) => {
+  for (const failed of outcomes) {
+    assert.equal(breaker.allowRequest(), true);
+    if (failed) breaker.recordFailure();
+    else breaker.recordSuccess();
+  }
+};
+
+test("opens once the window has enough requests and failures", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const { breaker, changes } = createBreaker();
+
+  // Three failures are not a verdict yet
+  record(breaker, [true, true, true]);
+  assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+
+  record(breaker, [false]);
+  assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+
+  record(breaker, [true]);
+  assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+  assert.deepEqual(changes, ["closed>open"]);
+
+  assert.equal(breaker.allowRequest(), false);
+  assert.equal(breaker.getStats().rejected, 1);
+  breaker.stop();
+});
+
+test("failures outside the window do not count", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const { breaker } = createBreaker();
+
+  record(breaker, [true, true, true]);
+  t.mock.timers.tick(1001);
+  record(breaker, [true, false, false]);
+
+  assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+  assert.equal(breaker.getWindow().requests, 3);
+});
+
+test("goes half-open after the cooldown and allows one trial call", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const { breaker, changes } = createBreaker();
+  record(breaker, [true, true, true, true]);
+
+  t.mock.timers.tick(499);
+  assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+  t.mock.timers.tick(1);
+  assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.allowRequest(), false);
+
+  breaker.recordSuccess();
+  assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+  assert.equal(breaker.getWindow().requests, 0);
+  assert.deepEqual(changes, [
+    "closed>open",
+    "open>half_open",
+    "half_open>closed",
+  ]);
+});
+
+test("a failed trial call opens the circuit for another cooldown", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const { breaker, changes } = createBreaker();
+  record(breaker, [true, true, true, true]);
+  t.mock.timers.tick(500);
+
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+  t.mock.timers.tick(500);
+  assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+  assert.deepEqual(changes, [
+    "closed>open",
+    "open>half_open",
+    "half_open>open",
+    "open>half_open",
+  ]);
+  breaker.stop();
+});
+
+test("late failures of calls made before opening are ignored", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const { breaker } = createBreaker();
+  record(breaker, [true, true, true, true]);
+
+  breaker.recordFailure();
+  t.mock.timers.tick(500);
+
+  assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+  breaker.stop();
+});
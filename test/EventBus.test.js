@@ -0,0 +1,376 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "../src/core/EventBus.js";
+import EventStore from "../src/core/EventStore.js";
+import Event from "../src/core/Event.js";
+
+const createBus = (options = {}) =>
+  new EventBus({ recordMetrics: false, ...options });
+
+const reply = (requestId, correlationId, data = {}) =>
+  new Event({
+    type: "test.response",
+    data,
+    correlationId,
+    metadata: { requestId },
+  });
+
+test("requests of one flow are settled independently", async () => {
+  const eventBus = createBus();
+  const first = new Event({ type: "test.request", correlationId: "flow-1" });
+  const second = new Event({ type: "test.request", correlationId: "flow-1" });
+
+  const firstReply = eventBus.request(first, {
+    replyType: "test.response",
+    timeout: 1000,
+  });
+  const secondReply = eventBus.request(second, {
+    replyType: "test.response",
+    timeout: 1000,
+  });
+
+  await eventBus.emit(reply(second.id, "flow-1", { n: 2 }));
+  await eventBus.emit(reply(first.id, "flow-1", { n: 1 }));
+
+  assert.equal((await firstReply).data.n, 1);
+  assert.equal((await secondReply).data.n, 2);
+});
+
+test("a late reply does not settle a newer request", async () => {
+  const eventBus = createBus();
+  const stale = new Event({ type: "test.request", correlationId: "flow-1" });
+  await assert.rejects(
+    eventBus.request(stale, { replyType: "test.response", timeout: 10 }),
+    { code: "REQUEST_TIMEOUT" }
+  );
+
+  const fresh = new Event({ type: "test.request", correlationId: "flow-1" });
+  const freshReply = eventBus.request(fresh, {
+    replyType: "test.response",
+    timeout: 1000,
+  });
+
+  await eventBus.emit(reply(stale.id, "flow-1", { late: true }));
+  assert.equal(eventBus.getPendingRequest(fresh.id).correlationId, "flow-1");
+
+  await eventBus.emit(reply(fresh.id, "flow-1", { late: false }));
+  assert.equal((await freshReply).data.late, false);
+});
+
+test("a failure event rejects only its own request", async () => {
+  const eventBus = createBus();
+  const request = new Event({ type: "test.request", correlationId: "flow-1" });
+  const pending = eventBus.request(request, {
+    replyType: "test.response",
+    failureType: "test.failed",
+    timeout: 1000,
+  });
+
+  await eventBus.emit(
+    new Event({
+      type: "test.failed",
+      data: { error: "engine down" },
+      correlationId: "flow-1",
+      metadata: { requestId: request.id },
+    })
+  );
+
+  await assert.rejects(pending, {
+    code: "REQUEST_FAILED",
+    message: "engine down",
+  });
+});
+
+test("cancelRequest rejects a pending request by its id", async () => {
+  const eventBus = createBus();
+  const request = new Event({ type: "test.request", correlationId: "flow-1" });
+  const pending = eventBus.request(request, {
+    replyType: "test.response",
+    timeout: 1000,
+  });
+
+  assert.equal(eventBus.cancelRequest(request.id, "gone"), true);
+  await assert.rejects(pending, { code: "REQUEST_CANCELLED" });
+  assert.equal(eventBus.cancelRequest(request.id), false);
+});
+
+const settle = async (eventBus) => {
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test("handlers run once unless the subscription opts in to retries", async () => {
+  const eventBus = createBus();
+  let calls = 0;
+  eventBus.on("test.failing", () => {
+    calls++;
+    throw new Error("boom");
+  });
+
+  eventBus.emit(new Event({ type: "test.failing" }));
+  await settle(eventBus);
+
+  assert.equal(calls, 1);
+  const [deadLetter] = eventBus.deadLetterStore.list();
+  assert.equal(deadLetter.attempts, 1);
+  assert.equal(deadLetter.error.message, "boom");
+});
+
+test("an opted-in subscription retries until the handler succeeds", async () => {
+  const eventBus = createBus();
+  const attempts = [];
+  eventBus.on(
+    "test.flaky",
+    (event, { attempt, maxAttempts }) => {
+      attempts.push([attempt, maxAttempts]);
+      if (attempt < 3) throw new Error("not yet");
+    },
+    { retry: { maxAttempts: 4, initialDelay: 1 } }
+  );
+
+  eventBus.emit(new Event({ type: "test.flaky" }));
+  await settle(eventBus);
+
+  assert.deepEqual(attempts, [
+    [1, 4],
+    [2, 4],
+    [3, 4],
+  ]);
+  assert.equal(eventBus.deadLetterStore.list().length, 0);
+});
+
+test("retries stop at maxAttempts and for non-retryable errors", async () => {
+  const eventBus = createBus({ retryPolicy: { initialDelay: 1 } });
+  const calls = { exhausted: 0, fatal: 0 };
+  eventBus.on(
+    "test.failing",
+    () => {
+      calls.exhausted++;
+      throw new Error("still down");
+    },
+    { name: "exhausted", retry: { maxAttempts: 3 } }
+  );
+  eventBus.on(
+    "test.failing",
+    () => {
+      calls.fatal++;
+      throw Object.assign(new Error("bad input"), { retryable: false });
+    },
+    { name: "fatal", retry: { maxAttempts: 3 } }
+  );
+
+  eventBus.emit(new Event({ type: "test.failing" }));
+  await settle(eventBus);
+
+  assert.deepEqual(calls, { exhausted: 3, fatal: 1 });
+  const attempts = Object.fromEntries(
+    eventBus.deadLetterStore
+      .list()
+      .map((entry) => [entry.subscription.name, entry.attempts])
+  );
+  assert.deepEqual(attempts, { exhausted: 3, fatal: 1 });
+});
+
+/**
+ * Subscribe a handler that holds every event until open() is called, with
+ * room for one running and one queued event
+ */
+const gatedHandler = (eventBus, overflowPolicy) => {
+  let open;
+  const gate = new Promise((resolve) => (open = resolve));
+  const handled = [];
+
+  eventBus.on(
+    "test.load",
+    async (event) => {
+      await gate;
+      handled.push(event.data.i);
+    },
+    { name: "gated", queueLimit: 1, overflowPolicy }
+  );
+
+  return { handled, open };
+};
+
+const emitLoad = (eventBus, count) =>
+  Array.from({ length: count }, (_, i) =>
+    eventBus.emit(new Event({ type: "test.load", data: { i: i + 1 } }))
+  );
+
+const handlerStats = (eventBus) =>
+  eventBus.getStats().handlers.find((handler) => handler.name === "gated");
+
+test("drop-oldest keeps the newest events when a queue is full", async () => {
+  const eventBus = createBus();
+  const { handled, open } = gatedHandler(eventBus, "drop-oldest");
+
+  await Promise.all(emitLoad(eventBus, 4));
+  open();
+  await settle(eventBus);
+
+  assert.deepEqual(handled, [1, 4]);
+  assert.equal(handlerStats(eventBus).dropped, 2);
+});
+
+test("drop-newest keeps the queued events when a queue is full", async () => {
+  const eventBus = createBus();
+  const { handled, open } = gatedHandler(eventBus, "drop-newest");
+
+  await Promise.all(emitLoad(eventBus, 4));
+  open();
+  await settle(eventBus);
+
+  assert.deepEqual(handled, [1, 2]);
+  assert.equal(handlerStats(eventBus).dropped, 2);
+});
+
+test("block holds publishers until the queue has room", async () => {
+  const eventBus = createBus();
+  const { handled, open } = gatedHandler(eventBus, "block");
+
+  const admitted = [];
+  emitLoad(eventBus, 4).forEach((emitted, i) =>
+    emitted.then(() => admitted.push(i + 1))
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(admitted, [1, 2]);
+  assert.equal(handlerStats(eventBus).blockedPublishers, 2);
+
+  open();
+  await settle(eventBus);
+
+  assert.deepEqual(admitted, [1, 2, 3, 4]);
+  assert.deepEqual(handled, [1, 2, 3, 4]);
+  assert.equal(handlerStats(eventBus).dropped, 0);
+});
+
+test("spill parks overflow in the store and handles it in order", async () => {
+  const spillStore = new EventStore({ backend: "memory" });
+  await spillStore.initialize();
+  const eventBus = createBus({ spillStore });
+  const { handled, open } = gatedHandler(eventBus, "spill");
+
+  await Promise.all(emitLoad(eventBus, 4));
+  assert.equal(handlerStats(eventBus).pendingSpilled, 2);
+
+  // Later events wait behind the spilled ones
+  eventBus.emit(new Event({ type: "test.load", data: { i: 5 } }));
+  open();
+  await settle(eventBus);
+
+  assert.deepEqual(handled, [1, 2, 3, 4, 5]);
+  assert.equal(handlerStats(eventBus).spilled, 3);
+  assert.equal(handlerStats(eventBus).dropped, 0);
+});
+
+test("a re-driven dead letter obeys the queue's overflow policy", async () => {
+  const eventBus = createBus();
+  let open;
+  const gate = new Promise((resolve) => (open = resolve));
+  eventBus.on(
+    "test.load",
+    async (event) => {
+      if (event.data.fail) throw new Error("boom");
+      await gate;
+    },
+    { name: "gated", queueLimit: 1, overflowPolicy: "drop-newest" }
+  );
+
+  eventBus.emit(new Event({ type: "test.load", data: { fail: true } }));
+  await settle(eventBus);
+  const [deadLetter] = eventBus.deadLetterStore.list();
+  deadLetter.event.data.fail = false;
+
+  await Promise.all(emitLoad(eventBus, 2));
+  await eventBus.redriveDeadLetter(deadLetter.id);
+
+  assert.equal(handlerStats(eventBus).queueDepth, 1);
+  assert.equal(handlerStats(eventBus).dropped, 1);
+  open();
+  await settle(eventBus);
+});
+
+/**
+ * Subscribe a handler that takes a few ms per event and logs when each event
+ * starts and ends
+ */
+const timedHandler = (eventBus, options) => {
+  const log = [];
+  let active = 0;
+  let maxActive = 0;
+
+  eventBus.on(
+    "test.work",
+    async (event) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      log.push(`start:${event.data.key}${event.data.i}`);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      log.push(`end:${event.data.key}${event.data.i}`);
+      active--;
+    },
+    options
+  );
+
+  return { log, maxActive: () => maxActive };
+};
+
+const emitWork = (eventBus, items) =>
+  Promise.all(
+    items.map(([key, i]) =>
+      eventBus.emit(new Event({ type: "test.work", data: { key, i } }))
+    )
+  );
+
+test("a handler runs up to its concurrency at once", async () => {
+  const eventBus = createBus();
+  const serial = timedHandler(eventBus, { name: "serial" });
+  const parallel = timedHandler(eventBus, { name: "parallel", concurrency: 2 });
+
+  await emitWork(eventBus, [["a", 1], ["b", 2], ["c", 3], ["d", 4]]);
+  await settle(eventBus);
+
+  assert.equal(serial.maxActive(), 1);
+  assert.equal(parallel.maxActive(), 2);
+  assert.equal(parallel.log.length, 8);
+});
+
+test("events with one ordering key run one at a time, in order", async () => {
+  const eventBus = createBus();
+  const { log } = timedHandler(eventBus, {
+    concurrency: 3,
+    orderingKey: "data.key",
+  });
+
+  await emitWork(eventBus, [["a", 1], ["a", 2], ["b", 1], ["a", 3]]);
+  await settle(eventBus);
+
+  const forKey = (key) => log.filter((entry) => entry.includes(`:${key}`));
+  assert.deepEqual(forKey("a"), [
+    "start:a1",
+    "end:a1",
+    "start:a2",
+    "end:a2",
+    "start:a3",
+    "end:a3",
+  ]);
+  // The other key does not wait for the first one
+  assert.ok(log.indexOf("start:b1") < log.indexOf("end:a1"));
+});
+
+test("a function ordering key, and events without a key run freely", async () => {
+  const eventBus = createBus();
+  const { log, maxActive } = timedHandler(eventBus, {
+    concurrency: 2,
+    orderingKey: (event) => event.data.key || undefined,
+  });
+
+  await emitWork(eventBus, [["", 1], ["", 2], ["x", 1], ["x", 2]]);
+  await settle(eventBus);
+
+  assert.equal(maxActive(), 2);
+  assert.ok(log.indexOf("start:2") < log.indexOf("end:1"));
+  assert.ok(log.indexOf("start:x2") > log.indexOf("end:x1"));
+});
@@ -0,0 +1,184 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import EventBus from "../src/core/EventBus.js";
+import EventStore from "../src/core/EventStore.js";
+import Event from "../src/core/Event.js";
+
+const sensitive = (i) => ({
+  i,
+  email: "jane@example.com",
+  password: "hunter2",
+  card: "4111 1111 1111 1111",
+});
+
+test("stores events unredacted", async () => {
+  const eventStore = new EventStore({ backend: "memory" });
+  await eventStore.initialize();
+
+  const event = new Event({ type: "form.submitted", data: sensitive(1) });
+  await eventStore.store(event);
+
+  const stored = await eventStore.getEventById(event.id);
+  assert.deepEqual(stored.data, sensitive(1));
+});
+
+test("handlers get spilled events back unredacted", async () => {
+  const eventStore = new EventStore({ backend: "memory" });
+  await eventStore.initialize();
+  const eventBus = new EventBus({
+    spillStore: eventStore,
+    recordMetrics: false,
+  });
+
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const handled = [];
+  eventBus.on(
+    "form.submitted",
+    async (event) => {
+      await gate;
+      handled.push(event.data);
+    },
+    { queueLimit: 1, overflowPolicy: "spill" }
+  );
+
+  for (let i = 1; i <= 4; i++) {
+    await eventBus.emit(
+      new Event({ type: "form.submitted", data: sensitive(i) })
+    );
+  }
+  assert.ok(eventBus.getStats().handlers[0].spilled > 0);
+
+  release();
+  while (handled.length < 4) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  assert.deepEqual(
+    handled.sort((a, b) => a.i - b.i),
+    [1, 2, 3, 4].map(sensitive)
+  );
+});
+
+for (const backend of ["memory", "file", "sqlite"]) {
+  test(`${backend} backend finds events by task ID`, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-"));
+    const eventStore = new EventStore({
+      backend,
+      filePath: path.join(dir, backend === "sqlite" ? "events.db" : "log"),
+    });
+    await eventStore.initialize();
+
+    await eventStore.store(
+      new Event({
+        type: "task.assigned",
+        data: { taskId: "t1" },
+        timestamp: 1000,
+      })
+    );
+    await eventStore.store(
+      new Event({
+        type: "task.started",
+        data: { taskId: "t2" },
+        timestamp: 2000,
+      })
+    );
+    await eventStore.store(
+      new Event({
+        type: "task.completed",
+        data: { taskId: "t1" },
+        correlationId: "c1",
+        timestamp: 3000,
+      })
+    );
+
+    const events = await eventStore.getEventsByTask("t1");
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["task.completed", "task.assigned"]
+    );
+    assert.equal(
+      (await eventStore.getEvents({ taskId: "t1", correlationId: "c1" }))
+        .length,
+      1
+    );
+    await eventStore.close();
+  });
+}
+
+test("sqlite backend adds the task ID column to an old database", async () => {
+  const { default: Database } = await import("better-sqlite3");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-"));
+  const filePath = path.join(dir, "events.db");
+
+  const db = new Database(filePath);
+  db.exec(`
+    CREATE TABLE events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      correlation_id TEXT,
+      source TEXT,
+      timestamp INTEGER NOT NULL,
+      stored_at TEXT NOT NULL,
+      payload TEXT NOT NULL
+    );
+  `);
+  const event = { id: "e1", type: "task.assigned", data: { taskId: "t1" } };
+  db.prepare(
+    `INSERT INTO events (id, type, timestamp, stored_at, payload)
+     VALUES ('e1', 'task.assigned', 1, '', ?)`
+  ).run(JSON.stringify(event));
+  db.close();
+
+  const eventStore = new EventStore({ backend: "sqlite", filePath });
+  await eventStore.initialize();
+
+  const events = await eventStore.getEventsByTask("t1");
+  assert.deepEqual(
+    events.map(({ id }) => id),
+    ["e1"]
+  );
+  await eventStore.close();
+});
+
+test("file backend indexes the whole log after a restart", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-"));
+  const filePath = path.join(dir, "events.log");
+
+  const writer = new EventStore({ backend: "file", filePath, maxEvents: 2 });
+  await writer.initialize();
+  const events = Array.from(
+    { length: 5 },
+    (_, i) => new Event({ type: "test.event", data: { i }, timestamp: i + 1 })
+  );
+  for (const event of events) {
+    await writer.store(event);
+  }
+  await writer.close();
+
+  const reader = new EventStore({ backend: "file", filePath });
+  await reader.initialize();
+
+  assert.equal((await reader.getEvents({ type: "test.event" })).length, 5);
+  assert.equal((await reader.getEventById(events[0].id)).data.i, 0);
+  await reader.close();
+});
+
+test("file backend writes an event stored concurrently once", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-"));
+  const filePath = path.join(dir, "events.log");
+
+  const eventStore = new EventStore({ backend: "file", filePath });
+  await eventStore.initialize();
+  const event = new Event({ type: "test.event", data: { i: 1 } });
+  await Promise.all([eventStore.store(event), eventStore.store(event)]);
+  await eventStore.close();
+
+  const lines = fs.readFileSync(filePath, "utf-8").trim().split("\n");
+  assert.equal(lines.length, 1);
+  assert.equal((await eventStore.getEvents({ type: "test.event" })).length, 1);
+});
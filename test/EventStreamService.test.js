@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import EventBus from "../src/core/EventBus.js";
+import Event from "../src/core/Event.js";
+import EventStreamService from "../src/services/EventStreamService.js";
+
+/**
+ * A response whose socket buffer is full while `full` is set
+ */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.full = false;
+    this.frames = [];
+    this.writableEnded = false;
+    this.destroyed = false;
+  }
+
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  }
+
+  write(chunk) {
+    if (chunk.startsWith("id: ")) this.frames.push(chunk);
+    return !this.full;
+  }
+
+  end() {
+    this.writableEnded = true;
+  }
+
+  drain() {
+    this.full = false;
+    this.emit("drain");
+  }
+
+  events() {
+    return this.frames.map((frame) =>
+      JSON.parse(frame.match(/^data: (.*)$/m)[1])
+    );
+  }
+}
+
+const createService = (t, options = {}) => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const streams = new EventStreamService(eventBus, {
+    heartbeatInterval: 60000,
+    ...options,
+  });
+  t.after(() => streams.closeAll()); // Stops the heartbeats
+  return { eventBus, streams };
+};
+
+const settle = async (eventBus) => {
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+// One event per turn of the event loop: a client that keeps up gets them all
+const emitNumbered = async (eventBus, count) => {
+  for (let n = 1; n <= count; n++) {
+    await eventBus.emit(new Event({ type: "test.tick", data: { n } }));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+test("a slow client loses its own oldest events, not the others'", async (t) => {
+  const { eventBus, streams } = createService(t, { queueLimit: 2 });
+  const slow = new FakeResponse();
+  const fast = new FakeResponse();
+  const slowId = streams.open(slow);
+  streams.open(fast);
+
+  slow.full = true;
+  await emitNumbered(eventBus, 6);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const [slowStats] = streams
+    .getStats()
+    .clients.filter((client) => client.id === slowId);
+  assert.equal(slowStats.queued, 2);
+  assert.equal(slowStats.dropped, 3);
+
+  slow.drain();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await settle(eventBus);
+
+  const numbers = (res) => res.events().map((event) => event.data.n);
+  assert.deepEqual(numbers(fast), [1, 2, 3, 4, 5, 6]);
+  // The first was being written; the newest two waited in its queue
+  assert.deepEqual(numbers(slow), [1, 5, 6]);
+});
+
+test("a client that disconnects mid-write is released and unsubscribed", async (t) => {
+  const { eventBus, streams } = createService(t);
+  const res = new FakeResponse();
+  streams.open(res);
+
+  res.full = true;
+  await emitNumbered(eventBus, 2);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(eventBus.isIdle(), false);
+
+  res.destroyed = true;
+  res.emit("close");
+  await settle(eventBus);
+
+  assert.equal(res.writableEnded, true);
+  assert.equal(streams.getStats().connectedClients, 0);
+  assert.equal(eventBus.getStats().handlers.length, 0);
+});
+
+test("streams are filtered and redacted", async (t) => {
+  const { eventBus, streams } = createService(t);
+  const res = new FakeResponse();
+  streams.open(res, { type: "task.#", correlationId: "flow-1" });
+
+  const emit = (type, correlationId) =>
+    eventBus.emit(
+      new Event({
+        type,
+        correlationId,
+        data: { password: "hunter2", note: type },
+      })
+    );
+  await emit("task.state.changed", "flow-1");
+  await emit("task.state.changed", "flow-2");
+  await emit("form.submitted", "flow-1");
+  await settle(eventBus);
+
+  const events = res.events();
+  assert.deepEqual(
+    events.map((event) => event.type),
+    ["task.state.changed"]
+  );
+  assert.notEqual(events[0].data.password, "hunter2");
+  assert.equal(events[0].data.note, "task.state.changed");
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Inbox from "../src/core/Inbox.js";
+
+const createInbox = async (options = {}) => {
+  const inbox = new Inbox({ keyField: "submissionId", ...options });
+  await inbox.initialize();
+  return inbox;
+};
+
+test("deduplicates by business key, then by messageId", async () => {
+  const inbox = await createInbox();
+
+  const first = await inbox.claim({ submissionId: "s1" }, { messageId: "m1" });
+  const resent = await inbox.claim({ submissionId: "s1" }, { messageId: "m2" });
+  const byId = await inbox.claim({}, { messageId: "m1" });
+  const byIdAgain = await inbox.claim({}, { messageId: "m1" });
+
+  assert.deepEqual(first, {
+    duplicate: false,
+    key: "submissionId:s1",
+    source: "submissionId",
+  });
+  assert.equal(resent.duplicate, true);
+  assert.deepEqual(
+    [byId.duplicate, byId.source, byIdAgain.duplicate],
+    [false, "messageId", true]
+  );
+  await inbox.close();
+});
+
+test("messages without a key are never deduplicated", async () => {
+  const inbox = await createInbox();
+
+  const results = await Promise.all([inbox.claim({}, {}), inbox.claim({}, {})]);
+
+  assert.deepEqual(
+    results.map(({ duplicate, key }) => [duplicate, key]),
+    [
+      [false, null],
+      [false, null],
+    ]
+  );
+  assert.equal(inbox.getStatistics().unkeyed, 2);
+  await inbox.close();
+});
+
+test("concurrent deliveries of one message are claimed once", async () => {
+  const inbox = await createInbox();
+
+  const results = await Promise.all(
+    Array.from({ length: 3 }, () => inbox.claim({ submissionId: "s1" }, {}))
+  );
+
+  assert.deepEqual(
+    results.map(({ duplicate }) => duplicate),
+    [false, true, true]
+  );
+  const { claimed, duplicates } = inbox.getStatistics();
+  assert.deepEqual([claimed, duplicates], [1, 2]);
+  await inbox.close();
+});
+
+test("a released key is processed again on redelivery", async () => {
+  const inbox = await createInbox();
+
+  const { key } = await inbox.claim({ submissionId: "s1" }, {});
+  await inbox.release(key);
+  const redelivered = await inbox.claim({ submissionId: "s1" }, {});
+
+  assert.equal(redelivered.duplicate, false);
+  await inbox.close();
+});
+
+test("keys are forgotten after the ttl", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "Date"] });
+  const inbox = await createInbox({ ttl: 1000, purgeInterval: 500 });
+
+  await inbox.claim({ submissionId: "s1" }, {});
+  t.mock.timers.tick(999);
+  assert.equal((await inbox.claim({ submissionId: "s1" }, {})).duplicate, true);
+
+  t.mock.timers.tick(1);
+  assert.equal(inbox.getStatistics().keys, 0);
+  assert.equal(
+    (await inbox.claim({ submissionId: "s1" }, {})).duplicate,
+    false
+  );
+  await inbox.close();
+});
+
+test("the file backend remembers claims across restarts", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inbox-"));
+  const filePath = path.join(dir, "inbox.log");
+
+  const before = await createInbox({ backend: "file", filePath });
+  await before.claim({ submissionId: "kept" }, {});
+  const { key } = await before.claim({ submissionId: "released" }, {});
+  await before.release(key);
+  await before.close();
+
+  const after = await createInbox({ backend: "file", filePath });
+  const kept = await after.claim({ submissionId: "kept" }, {});
+  const released = await after.claim({ submissionId: "released" }, {});
+
+  assert.deepEqual([kept.duplicate, released.duplicate], [true, false]);
+  await after.close();
+});
@@ -0,0 +1,182 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "../src/core/EventBus.js";
+import MatchingService from "../src/services/MatchingService.js";
+import LocalRulesStrategy from "../src/services/matching/LocalRulesStrategy.js";
+import CompositeMatchingStrategy from "../src/services/matching/CompositeMatchingStrategy.js";
+import ShadowMatchingStrategy from "../src/services/matching/ShadowMatchingStrategy.js";
+import MatchingStrategy from "../src/services/matching/MatchingStrategy.js";
+import Event from "../src/core/Event.js";
+import { CIRCUIT_STATES } from "../src/core/CircuitBreaker.js";
+
+const rules = {
+  selection: "round-robin",
+  users: [
+    { id: "alice", skills: ["tax"] },
+    { id: "bob", skills: ["tax", "audit"] },
+    { id: "carol", skills: ["audit"], active: false },
+  ],
+};
+
+const createService = (options) =>
+  new MatchingService(new EventBus({ recordMetrics: false }), options);
+
+class StaticStrategy extends MatchingStrategy {
+  constructor(name, answer) {
+    super(name);
+    this.answer = answer;
+  }
+
+  async match() {
+    if (this.answer instanceof Error) throw this.answer;
+    return this.answer;
+  }
+}
+
+test("local rules pick active users with every required skill", async () => {
+  const local = new LocalRulesStrategy({ rules });
+
+  const first = await local.match({
+    requestType: "assignment",
+    data: { requiredSkills: ["tax"] },
+  });
+  const second = await local.match({
+    requestType: "assignment",
+    data: { requiredSkills: ["tax"] },
+  });
+  const audit = await local.match({
+    requestType: "assignment",
+    data: { requiredSkills: ["audit"] },
+  });
+
+  assert.deepEqual(
+    [first.assignedUserId, second.assignedUserId, audit.assignedUserId],
+    ["alice", "bob", "bob"]
+  );
+});
+
+test("local rules decline when nobody is eligible or free", async () => {
+  const local = new LocalRulesStrategy({
+    rules: { users: [{ id: "alice", skills: ["tax"], capacity: 1 }] },
+    getLoad: () => 1,
+  });
+
+  const noSkill = await local.match({
+    requestType: "assignment",
+    data: { requiredSkills: ["audit"] },
+  });
+  const full = await local.match({ requestType: "assignment", data: {} });
+
+  assert.equal(noSkill.success, false);
+  assert.equal(full.reason, "All eligible users are at capacity");
+  assert.equal(local.getStats().declined, 2);
+});
+
+test("shadow runs do not move the round-robin position", async () => {
+  const local = new LocalRulesStrategy({ rules });
+  const request = { requestType: "assignment", data: {} };
+
+  await local.match({ ...request, shadow: true });
+  const { assignedUserId } = await local.match(request);
+
+  assert.equal(assignedUserId, "alice");
+  assert.deepEqual(local.getStats().assignments, { alice: 1 });
+});
+
+test("fallback hands over when a strategy cannot answer", async () => {
+  const composite = new CompositeMatchingStrategy("fallback", {
+    strategies: [
+      new StaticStrategy("down", new Error("unavailable")),
+      new StaticStrategy("up", { success: true, assignedUserId: "bob" }),
+    ],
+  });
+
+  const response = await composite.match({ requestType: "assignment" });
+
+  assert.equal(response.strategy, "up");
+  assert.deepEqual(response.fallbackFrom, ["down"]);
+});
+
+test("a strategy with side effects cannot be the shadow", () => {
+  const remote = new StaticStrategy("remote", { success: true });
+  remote.sideEffects = true;
+
+  assert.throws(
+    () =>
+      new ShadowMatchingStrategy({
+        primary: new LocalRulesStrategy({ rules }),
+        candidate: remote,
+        eventBus: new EventBus({ recordMetrics: false }),
+      }),
+    /side effects/
+  );
+  assert.throws(
+    () =>
+      createService({
+        strategy: "local",
+        rules,
+        shadow: { strategy: "remote" },
+      }),
+    /'remote' has side effects/
+  );
+  assert.throws(
+    () =>
+      createService({
+        strategy: "local",
+        rules,
+        shadow: { strategy: "fallback" },
+      }),
+    /'fallback' has side effects/
+  );
+});
+
+test("a local shadow may run next to the remote strategy", () => {
+  const service = createService({
+    strategy: "remote",
+    rules,
+    shadow: { strategy: "local" },
+  });
+
+  assert.equal(service.getStrategy({}).name, "remote+shadow:local");
+  service.stop();
+});
+
+test("strategies that need a roster refuse to start without one", () => {
+  for (const options of [
+    { strategy: "local" },
+    { strategy: "fallback" },
+    { strategy: "remote", shadow: { strategy: "local" } },
+    { strategy: "remote", strategiesByFormType: { tax: "local" } },
+    { strategy: "local", rules: { users: [{ id: "a", active: false }] } },
+  ]) {
+    assert.throws(() => createService(options), /needs at least one active/);
+  }
+
+  const service = createService({ strategy: "remote" });
+  service.stop();
+});
+
+test("only submissions for the remote engine wait for its circuit", async () => {
+  const service = createService({ strategy: "local", rules });
+  service.circuitBreaker.transition(CIRCUIT_STATES.OPEN, "test");
+  const failed = [];
+  service.eventBus.on("assignment.failed", async (event) => {
+    failed.push(event);
+  });
+  const submission = () =>
+    new Event({ type: "form.submitted", data: { requiredSkills: ["tax"] } });
+
+  const down = new StaticStrategy("local", new Error("unavailable"));
+  service.defaultStrategy = down;
+  const local = await service.requestTaskAssignment(submission());
+
+  down.sideEffects = true; // As the remote and fallback strategies are
+  const remote = await service.requestTaskAssignment(submission());
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(local.held, undefined);
+  assert.equal(remote.held, true);
+  assert.equal(failed.length, 1);
+  assert.equal(service.heldSubmissions.length, 1);
+  service.stop();
+});
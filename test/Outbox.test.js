@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Outbox from "../src/core/Outbox.js";
+
+const tmpFile = () =>
+  path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "outbox-")),
+    "outbox.log"
+  );
+
+const message = (n) => ({
+  type: "external.publish",
+  exchange: "",
+  routingKey: "q",
+  content: { n },
+});
+
+test("keeps pending entries across a restart", async () => {
+  const filePath = tmpFile();
+  const outbox = new Outbox({ backend: "file", filePath });
+  await outbox.initialize();
+
+  const sent = await outbox.enqueue(message(1));
+  const pending = await outbox.enqueue(message(2));
+  await outbox.markSent(sent.id);
+  await outbox.close();
+
+  const reloaded = new Outbox({ backend: "file", filePath });
+  await reloaded.initialize();
+  assert.deepEqual(
+    reloaded.getPending().map((entry) => entry.id),
+    [pending.id]
+  );
+});
+
+test("markRetry counts attempts unless told not to", async () => {
+  const outbox = new Outbox();
+  const entry = await outbox.enqueue(message(1));
+
+  await outbox.markRetry(entry.id, "nacked", Date.now() + 1000);
+  await outbox.markRetry(entry.id, "down", Date.now() + 1000, {
+    countAttempt: false,
+  });
+
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.lastError, "down");
+  assert.deepEqual(outbox.getPending({ dueOnly: true }), []);
+});
+
+test("markFailed drops the entry and keeps it in recent failures", async () => {
+  const outbox = new Outbox();
+  const entry = await outbox.enqueue(message(1));
+  await outbox.markFailed(entry.id, "gave up");
+
+  const stats = outbox.getStats();
+  assert.equal(stats.pending, 0);
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.recentFailures[0].lastError, "gave up");
+});
+
+test("a failed write does not break later writes", async () => {
+  const filePath = tmpFile();
+  const outbox = new Outbox({ backend: "file", filePath });
+  await outbox.initialize();
+
+  const appendFile = fs.promises.appendFile;
+  fs.promises.appendFile = async () => {
+    throw new Error("disk full");
+  };
+  try {
+    await assert.rejects(outbox.enqueue(message(1)), /disk full/);
+  } finally {
+    fs.promises.appendFile = appendFile;
+  }
+
+  const entry = await outbox.enqueue(message(2));
+  await outbox.compact();
+  await outbox.close();
+
+  const reloaded = new Outbox({ backend: "file", filePath });
+  await reloaded.initialize();
+  assert.ok(reloaded.getPending().some(({ id }) => id === entry.id));
+});
+
+test("the memory backend never touches the log", async () => {
+  const filePath = tmpFile();
+  const outbox = new Outbox({ backend: "memory", filePath });
+  await outbox.initialize();
+  await outbox.enqueue(message(1));
+
+  assert.equal(fs.existsSync(filePath), false);
+  assert.throws(() => new Outbox({ backend: "disk" }), /Unknown Outbox/);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import Outbox from "../src/core/Outbox.js";
+import OutboxRelay from "../src/core/OutboxRelay.js";
+
+class FakeConnection extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.failWith = null; // Error code for the next publishes
+    this.published = [];
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async publishConfirmed(channel, exchange, routingKey, content) {
+    if (!this.connected) {
+      throw new Error("RabbitMQ connection is not available");
+    }
+    if (this.failWith) {
+      throw Object.assign(new Error(this.failWith), { code: this.failWith });
+    }
+    this.published.push(content);
+  }
+}
+
+const setup = (options = {}) => {
+  const outbox = new Outbox();
+  const connection = new FakeConnection();
+  const relay = new OutboxRelay(outbox, connection, {
+    initialDelay: 5,
+    maxDelay: 20,
+    maxAttempts: 3,
+    ...options,
+  });
+  return { outbox, connection, relay };
+};
+
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+const message = (n) => ({ routingKey: "q", content: { n } });
+
+test("publishes entries in order and reports them sent", async () => {
+  const { outbox, connection, relay } = setup();
+  const sent = [];
+  relay.on("sent", (entry) => sent.push(entry.content.n));
+  relay.start();
+
+  await outbox.enqueue(message(1));
+  await outbox.enqueue(message(2));
+  await waitFor(() => sent.length === 2);
+
+  assert.deepEqual(connection.published, [{ n: 1 }, { n: 2 }]);
+  assert.equal(outbox.getStats().pending, 0);
+  await relay.stop();
+});
+
+test("gives up after maxAttempts broker nacks", async () => {
+  const { outbox, connection, relay } = setup();
+  const failed = [];
+  relay.on("failed", (entry, error) => failed.push(error.message));
+  connection.failWith = "NACKED";
+  relay.start();
+
+  await outbox.enqueue(message(1));
+  await waitFor(() => failed.length === 1);
+
+  assert.match(failed[0], /Gave up after 3 attempts/);
+  await relay.stop();
+});
+
+test("does not use up attempts while the connection is down", async () => {
+  const { outbox, connection, relay } = setup();
+  const failed = [];
+  relay.on("failed", () => failed.push(1));
+  connection.connected = false;
+  relay.start();
+
+  const entry = await outbox.enqueue(message(1));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(entry.attempts, 0);
+  assert.deepEqual(failed, []);
+
+  connection.connected = true;
+  connection.emit("connected", {});
+  await waitFor(() => connection.published.length === 1);
+  assert.equal(outbox.getStats().pending, 0);
+  await relay.stop();
+});
+
+test("confirm timeouts are retried without counting attempts", async () => {
+  const { outbox, connection, relay } = setup();
+  connection.failWith = "CONFIRM_TIMEOUT";
+  relay.start();
+
+  const entry = await outbox.enqueue(message(1));
+  await waitFor(() => entry.lastError === "CONFIRM_TIMEOUT");
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(entry.attempts, 0);
+
+  connection.failWith = null;
+  await waitFor(() => connection.published.length === 1);
+  await relay.stop();
+});
+
+test("fails expired entries without publishing them", async () => {
+  const { outbox, connection, relay } = setup();
+  const failed = [];
+  relay.on("failed", (entry, error) => failed.push(error.message));
+
+  await outbox.enqueue({ ...message(1), expiresAt: Date.now() - 1 });
+  relay.start();
+  await waitFor(() => failed.length === 1);
+
+  assert.match(failed[0], /Expired/);
+  assert.deepEqual(connection.published, []);
+  await relay.stop();
+});
@@ -0,0 +1,172 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "../src/core/EventBus.js";
+import EventStore from "../src/core/EventStore.js";
+import Event from "../src/core/Event.js";
+import ReplayEngine, { REPLAY_STATUS } from "../src/core/ReplayEngine.js";
+import MatchingService from "../src/services/MatchingService.js";
+import TaskService from "../src/services/TaskService.js";
+import AssignAgent from "../src/agents/AssignAgent.js";
+import { TASK_STATES } from "../src/models/Task.js";
+
+const createStore = async (count) => {
+  const eventStore = new EventStore();
+  await eventStore.initialize();
+  for (let n = 1; n <= count; n++) {
+    await eventStore.store(
+      new Event({ type: "form.submitted", data: { n }, timestamp: n })
+    );
+  }
+  return eventStore;
+};
+
+/**
+ * Sandbox whose handler answers every submission with a derived event
+ */
+const createSandbox = (sandboxes) => async () => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const derived = [];
+  eventBus.on("form.submitted", async (event) => {
+    await eventBus.emit(
+      new Event({
+        type: "task.created",
+        data: { n: event.data.n },
+        correlationId: event.correlationId,
+      })
+    );
+  });
+  eventBus.on("task.created", async (event) => derived.push(event));
+
+  const sandbox = {
+    eventBus,
+    derived,
+    stopped: false,
+    getResult: () => ({ derived: derived.length }),
+    stop: async () => {
+      sandbox.stopped = true;
+    },
+  };
+  sandboxes.push(sandbox);
+  return sandbox;
+};
+
+test("sandbox replays run through the sandbox handlers", async () => {
+  const sandboxes = [];
+  const engine = new ReplayEngine(await createStore(3), null, {
+    createSandbox: createSandbox(sandboxes),
+  });
+
+  const replay = await engine.replay();
+
+  assert.equal(replay.status, REPLAY_STATUS.COMPLETED);
+  assert.equal(replay.emitted, 3);
+  assert.deepEqual(replay.result, { derived: 3 });
+  assert.equal(sandboxes[0].stopped, true);
+});
+
+test("events derived from a replayed event are marked as replay", async () => {
+  const sandboxes = [];
+  const engine = new ReplayEngine(await createStore(1), null, {
+    createSandbox: createSandbox(sandboxes),
+  });
+
+  const { replayId } = await engine.replay();
+
+  const [derived] = sandboxes[0].derived;
+  assert.equal(derived.isReplay(), true);
+  assert.equal(derived.metadata.replay.replayId, replayId);
+});
+
+test("start returns at once and the replay can be followed", async () => {
+  const engine = new ReplayEngine(await createStore(2), null, {
+    createSandbox: createSandbox([]),
+  });
+
+  const started = engine.start({}, { speed: 1, maxDelay: 20 });
+  assert.equal(started.status, REPLAY_STATUS.RUNNING);
+  assert.equal(engine.getActiveReplays().length, 1);
+
+  while (engine.getReplay(started.replayId).status === REPLAY_STATUS.RUNNING) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.equal(
+    engine.getReplay(started.replayId).status,
+    REPLAY_STATUS.COMPLETED
+  );
+  assert.deepEqual(engine.getActiveReplays(), []);
+});
+
+test("a failing sandbox fails the replay", async () => {
+  const engine = new ReplayEngine(await createStore(1), null, {
+    createSandbox: async () => {
+      throw new Error("no sandbox");
+    },
+  });
+
+  const { replayId } = engine.start();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const replay = engine.getReplay(replayId);
+  assert.equal(replay.status, REPLAY_STATUS.FAILED);
+  assert.equal(replay.error, "no sandbox");
+});
+
+test("replayed submissions never reach a matching strategy", async () => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const matchingService = new MatchingService(eventBus);
+  const emitted = [];
+  eventBus.on("*", async (event) => emitted.push(event.type));
+
+  const event = new Event({
+    type: "form.submitted",
+    data: { testData: "x" },
+    metadata: { replay: { replayId: "r1" } },
+  });
+  const result = await matchingService.requestTaskAssignment(event);
+
+  assert.equal(result.replayed, true);
+  assert.equal(matchingService.circuitBreaker.getStats().requests, 0);
+  assert.equal(eventBus.getStats().pendingRequests, 0);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(emitted, []);
+  matchingService.stop();
+});
+
+test("a live replay leaves the live tasks unchanged", async () => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const eventStore = new EventStore();
+  await eventStore.initialize();
+  const taskService = new TaskService(eventBus, eventStore);
+  const matchingService = new MatchingService(eventBus);
+  const agent = new AssignAgent(eventBus, matchingService, taskService);
+  await agent.start();
+
+  taskService.submit("t1", { correlationId: "t1" });
+  taskService.transition("t1", TASK_STATES.MATCHING);
+  const before = JSON.stringify(taskService.getTask("t1"));
+
+  await eventStore.store(
+    new Event({ type: "form.submitted", correlationId: "t2", timestamp: 1 })
+  );
+  await eventStore.store(
+    new Event({
+      type: "task.assigned",
+      data: { taskId: "t1", assignedUserId: "bob" },
+      timestamp: 2,
+    })
+  );
+
+  const engine = new ReplayEngine(eventStore, eventBus);
+  const replay = await engine.replay({}, { target: "live" });
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+
+  assert.equal(replay.emitted, 2);
+  assert.equal(JSON.stringify(taskService.getTask("t1")), before);
+  assert.equal(taskService.getTask("t2"), null);
+  assert.equal(taskService.rejectedCount, 0);
+
+  await agent.stop();
+  matchingService.stop();
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Joi from "joi";
+import SchemaRegistry from "../src/core/SchemaRegistry.js";
+import Event from "../src/core/Event.js";
+import { registerEventSchemas } from "../src/events/schemas.js";
+
+const registry = () => {
+  const schemas = new SchemaRegistry();
+  schemas.register(
+    "thing.created",
+    Joi.object({ name: Joi.string().required() })
+  );
+  return schemas;
+};
+
+test("accepts an event whose data matches its schema", () => {
+  const event = new Event({ type: "thing.created", data: { name: "a" } });
+  assert.deepEqual(registry().validate(event), { valid: true, errors: [] });
+});
+
+test("reports data errors with a data. path", () => {
+  const event = new Event({ type: "thing.created", data: {} });
+  const { valid, errors } = registry().validate(event);
+  assert.equal(valid, false);
+  assert.equal(errors[0].path, "data.name");
+});
+
+test("rejects a malformed envelope", () => {
+  const event = new Event({ type: "Not A Type", data: {} });
+  const { valid, errors } = registry().validate(event);
+  assert.equal(valid, false);
+  assert.equal(errors[0].path, "type");
+});
+
+test("rejects an unregistered schema version", () => {
+  const event = new Event({
+    type: "thing.created",
+    data: { name: "a" },
+    schemaVersion: 2,
+  });
+  const { valid, errors } = registry().validate(event);
+  assert.equal(valid, false);
+  assert.equal(errors[0].path, "schemaVersion");
+});
+
+test("passes unknown types unless strict", () => {
+  const event = new Event({ type: "other.thing", data: 1 });
+  assert.equal(registry().validate(event).valid, true);
+
+  const strict = new SchemaRegistry({ strict: true });
+  assert.equal(strict.validate(event).valid, false);
+});
+
+test("refuses a schema that is not a Joi schema", () => {
+  assert.throws(
+    () => registry().register("x", { name: "string" }),
+    /Joi schema/
+  );
+});
+
+test("registers every service event schema", () => {
+  const schemas = registerEventSchemas(new SchemaRegistry());
+  assert.ok(schemas.has("form.submitted"));
+  assert.ok(schemas.has("assignment.failed"));
+  assert.deepEqual(schemas.getRegisteredTypes()["task.assigned"], [1]);
+});
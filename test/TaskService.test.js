@@ -0,0 +1,221 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "../src/core/EventBus.js";
+import EventStore from "../src/core/EventStore.js";
+import Event from "../src/core/Event.js";
+import TaskService from "../src/services/TaskService.js";
+import Task, { TASK_STATES, TASK_TRANSITIONS } from "../src/models/Task.js";
+
+const createService = async () => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const eventStore = new EventStore({ backend: "memory" });
+  await eventStore.initialize();
+
+  const published = [];
+  eventBus.on("task.#", (event) => published.push(event));
+
+  return {
+    eventBus,
+    eventStore,
+    published,
+    taskService: new TaskService(eventBus, eventStore),
+  };
+};
+
+const settle = async (eventBus) => {
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test("every transition targets a known state", () => {
+  const states = Object.values(TASK_STATES);
+
+  assert.deepEqual(Object.keys(TASK_TRANSITIONS).sort(), [...states].sort());
+  for (const targets of Object.values(TASK_TRANSITIONS)) {
+    assert.ok(targets.every((state) => states.includes(state)));
+  }
+  assert.ok(new Task({ id: "t1" }).canTransition(TASK_STATES.SUBMITTED));
+  assert.ok(!new Task({ id: "t1" }).canTransition(TASK_STATES.MATCHING));
+});
+
+test("a task moves through its states and publishes each change", async () => {
+  const { eventBus, published, taskService } = await createService();
+
+  taskService.submit("t1", { correlationId: "c1", formData: { a: 1 } });
+  taskService.transition("t1", TASK_STATES.MATCHING);
+  taskService.transition("t1", TASK_STATES.ASSIGNED, { assignee: "alice" });
+  const { success, changed, task } = taskService.transition(
+    "t1",
+    TASK_STATES.COMPLETED
+  );
+  await settle(eventBus);
+
+  assert.deepEqual([success, changed], [true, true]);
+  assert.deepEqual(
+    [task.state, task.assignee, task.version, task.isTerminal()],
+    [TASK_STATES.COMPLETED, "alice", 4, true]
+  );
+  assert.deepEqual(
+    published.map(({ type, correlationId, data }) => [
+      type,
+      correlationId,
+      data.from,
+      data.to,
+      data.version,
+    ]),
+    [
+      ["task.state.changed", "c1", null, "submitted", 1],
+      ["task.state.changed", "c1", "submitted", "matching", 2],
+      ["task.state.changed", "c1", "matching", "assigned", 3],
+      ["task.state.changed", "c1", "assigned", "completed", 4],
+    ]
+  );
+});
+
+test("illegal transitions are rejected and published", async () => {
+  const { eventBus, published, taskService } = await createService();
+
+  const unknown = taskService.transition("nope", TASK_STATES.MATCHING);
+  taskService.submit("t1", { correlationId: "c1" });
+  const skipped = taskService.transition("t1", TASK_STATES.COMPLETED);
+  await settle(eventBus);
+
+  assert.deepEqual(
+    [unknown.success, unknown.reason],
+    [false, "Task not found"]
+  );
+  assert.equal(skipped.success, false);
+  assert.equal(skipped.task.state, TASK_STATES.SUBMITTED);
+  assert.deepEqual(
+    published
+      .filter(({ type }) => type === "task.transition.rejected")
+      .map(({ data }) => [data.taskId, data.from, data.to]),
+    [
+      ["nope", null, "matching"],
+      ["t1", "submitted", "completed"],
+    ]
+  );
+  assert.equal(taskService.rejectedCount, 2);
+});
+
+test("repeating the current state changes nothing", async () => {
+  const { eventBus, published, taskService } = await createService();
+
+  taskService.submit("t1", { correlationId: "c1" });
+  const again = taskService.submit("t1", { correlationId: "c1" });
+  await settle(eventBus);
+
+  assert.deepEqual([again.success, again.changed], [true, false]);
+  assert.equal(again.task.version, 1);
+  assert.equal(published.length, 1);
+});
+
+test("tasks are rebuilt from stored state changes", async () => {
+  const { eventBus, eventStore, published, taskService } =
+    await createService();
+
+  taskService.submit("t1", { correlationId: "c1" });
+  taskService.transition("t1", TASK_STATES.MATCHING);
+  taskService.transition("t1", TASK_STATES.ASSIGNED, { assignee: "bob" });
+  taskService.submit("t2", { correlationId: "c2" });
+  await settle(eventBus);
+  for (const event of published) {
+    await eventStore.store(event);
+  }
+
+  const rebuilt = new TaskService(eventBus, eventStore);
+  await rebuilt.initialize();
+
+  const task = rebuilt.getTask("t1");
+  assert.deepEqual(
+    [task.state, task.assignee, task.version, task.correlationId],
+    [TASK_STATES.ASSIGNED, "bob", 3, "c1"]
+  );
+  assert.deepEqual(
+    task.history.map(({ to }) => to),
+    ["submitted", "matching", "assigned"]
+  );
+  assert.equal(rebuilt.getTask("t2").state, TASK_STATES.SUBMITTED);
+});
+
+test("a timeline is the task's flow plus events naming the task", async () => {
+  const { eventStore, taskService } = await createService();
+  taskService.submit("t1", { correlationId: "c1" });
+
+  const stored = [
+    { type: "form.submitted", correlationId: "c1", timestamp: 1000 },
+    { type: "task.assigned", data: { taskId: "t1" }, timestamp: 3000 },
+    {
+      type: "matching.response",
+      correlationId: "c1",
+      data: { taskId: "t1" },
+      timestamp: 2000,
+    },
+    { type: "task.assigned", data: { taskId: "t2" }, timestamp: 4000 },
+    { type: "form.submitted", correlationId: "c2", timestamp: 5000 },
+  ];
+  for (const event of stored) {
+    await eventStore.store(new Event(event));
+  }
+
+  const queried = [];
+  const getEvents = eventStore.getEvents.bind(eventStore);
+  eventStore.getEvents = (filters = {}) => {
+    queried.push(filters);
+    return getEvents(filters);
+  };
+
+  const timeline = await taskService.getTimeline("t1");
+
+  assert.deepEqual(
+    timeline.map(({ type, timestamp }) => [type, timestamp]),
+    [
+      ["form.submitted", 1000],
+      ["matching.response", 2000],
+      ["task.assigned", 3000],
+    ]
+  );
+  assert.deepEqual(queried, [{ correlationId: "c1" }, { taskId: "t1" }]);
+  assert.deepEqual(await taskService.getTimeline("unknown"), []);
+});
+
+test("a duplicate submission is a no-op in any state", async () => {
+  const { eventBus, published, taskService } = await createService();
+
+  taskService.submit("t1", { correlationId: "c1" });
+  taskService.transition("t1", TASK_STATES.MATCHING);
+  const duplicate = taskService.submit("t1", { correlationId: "c1" });
+  await settle(eventBus);
+
+  assert.deepEqual([duplicate.success, duplicate.changed], [true, false]);
+  assert.equal(duplicate.task.state, TASK_STATES.MATCHING);
+  assert.equal(taskService.rejectedCount, 0);
+  assert.deepEqual(
+    published.map(({ type }) => type),
+    ["task.state.changed", "task.state.changed"]
+  );
+});
+
+test("the same state with another assignee is rejected", async () => {
+  const { eventBus, published, taskService } = await createService();
+
+  taskService.submit("t1", { correlationId: "c1" });
+  taskService.transition("t1", TASK_STATES.MATCHING);
+  taskService.transition("t1", TASK_STATES.ASSIGNED, { assignee: "alice" });
+  const again = taskService.transition("t1", TASK_STATES.ASSIGNED, {
+    assignee: "alice",
+  });
+  const other = taskService.transition("t1", TASK_STATES.ASSIGNED, {
+    assignee: "bob",
+  });
+  await settle(eventBus);
+
+  assert.deepEqual([again.success, again.changed], [true, false]);
+  assert.equal(other.success, false);
+  assert.equal(other.task.assignee, "alice");
+  assert.equal(
+    published.filter(({ type }) => type === "task.transition.rejected").length,
+    1
+  );
+});
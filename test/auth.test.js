@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SignJWT, exportJWK, generateKeyPair } from "jose";
+import { env } from "../src/config/env.js";
+import {
+  authenticate,
+  authorize,
+  getRoles,
+  toActor,
+  ROLES,
+} from "../src/middlewares/auth.js";
+
+// One key for the whole file: the key set is loaded once per process
+const { publicKey, privateKey } = await generateKeyPair("RS256");
+const jwksFile = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "auth-")),
+  "jwks.json"
+);
+fs.writeFileSync(
+  jwksFile,
+  JSON.stringify({ keys: [{ ...(await exportJWK(publicKey)), kid: "k1" }] })
+);
+
+Object.assign(env, {
+  AUTH_ENABLED: "true",
+  AUTH_JWKS_FILE: jwksFile,
+  AUTH_ISSUER: "https://auth.test",
+  AUTH_AUDIENCE: "task-agent",
+});
+
+const sign = (
+  claims,
+  { issuer = "https://auth.test", key = privateKey } = {}
+) =>
+  new SignJWT(claims)
+    .setProtectedHeader({ alg: "RS256", kid: "k1" })
+    .setIssuer(issuer)
+    .setAudience("task-agent")
+    .setIssuedAt()
+    .setExpirationTime("5m")
+    .sign(key);
+
+const request = (token) => ({
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+});
+
+/**
+ * Run a middleware; resolves with the request once it called next()
+ */
+const run = async (middleware, req) => {
+  let called = false;
+  await middleware(req, {}, () => {
+    called = true;
+  });
+  assert.equal(called, true);
+  return req;
+};
+
+test("a valid token attaches the user and its known roles", async () => {
+  const token = await sign({ sub: "jane", roles: ["operator", "unknown"] });
+
+  const { user } = await run(authenticate, request(token));
+
+  assert.equal(user.sub, "jane");
+  assert.deepEqual(user.roles, [ROLES.OPERATOR]);
+  assert.equal(user.authenticated, true);
+  assert.deepEqual(toActor(user), { sub: "jane", roles: ["operator"] });
+});
+
+test("missing, invalid and subjectless tokens are refused", async () => {
+  const { privateKey: otherKey } = await generateKeyPair("RS256");
+  const cases = [
+    [undefined, /Missing bearer token/],
+    ["not-a-jwt", /Invalid token/],
+    [await sign({ sub: "jane" }, { key: otherKey }), /Invalid token/],
+    [await sign({ sub: "jane" }, { issuer: "https://evil" }), /Invalid token/],
+    [await sign({ roles: ["admin"] }), /missing subject/],
+  ];
+
+  for (const [token, message] of cases) {
+    await assert.rejects(run(authenticate, request(token)), (error) => {
+      assert.equal(error.statusCode, 401);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
+
+test("with auth disabled every request is an anonymous admin", async (t) => {
+  env.AUTH_ENABLED = "false";
+  t.after(() => {
+    env.AUTH_ENABLED = "true";
+  });
+
+  const { user } = await run(authenticate, request());
+
+  assert.equal(user.sub, "anonymous");
+  assert.deepEqual(user.roles, [ROLES.ADMIN]);
+  assert.equal(toActor(undefined), null);
+});
+
+test("roles come from an array or a separated string claim", (t) => {
+  assert.deepEqual(getRoles({ roles: "operator, agent-user" }), [
+    ROLES.OPERATOR,
+    ROLES.AGENT_USER,
+  ]);
+  assert.deepEqual(getRoles({ role: "admin" }), [ROLES.ADMIN]);
+  assert.deepEqual(getRoles({}), []);
+
+  env.AUTH_ROLES_CLAIM = "realm_roles";
+  t.after(() => {
+    env.AUTH_ROLES_CLAIM = "roles";
+  });
+  assert.deepEqual(getRoles({ realm_roles: ["admin"], roles: [] }), [
+    ROLES.ADMIN,
+  ]);
+});
+
+test("authorize lets listed roles and admins through", async () => {
+  const operatorOnly = authorize(ROLES.OPERATOR);
+  const adminOnly = authorize();
+  const as = (...roles) => ({ user: { sub: "u", roles } });
+  const refused = (middleware, req, statusCode) =>
+    assert.throws(() => middleware(req, {}, () => {}), { statusCode });
+
+  await run(operatorOnly, as(ROLES.OPERATOR));
+  await run(operatorOnly, as(ROLES.ADMIN));
+  await run(adminOnly, as(ROLES.ADMIN));
+
+  refused(operatorOnly, as(ROLES.AGENT_USER), 403);
+  refused(adminOnly, as(ROLES.OPERATOR), 403);
+  refused(adminOnly, as(), 403);
+  refused(operatorOnly, {}, 401);
+});
@@ -0,0 +1,405 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import rabbitMQConnection from "../src/events/connection.js";
+import topology from "../src/config/topology.js";
+
+const RabbitMQConnection = rabbitMQConnection.constructor;
+
+test("a topology conflict stops the setup before any assert", async () => {
+  const connection = new RabbitMQConnection();
+  connection.topology = { exchanges: [], queues: [] };
+  connection.diffTopology = async () => ({
+    exchanges: [],
+    queues: [
+      {
+        kind: "queue",
+        name: "matching.request.queue",
+        status: "conflict",
+        detail: "inequivalent arg 'x-dead-letter-exchange'",
+      },
+    ],
+  });
+  let channels = 0;
+  connection.createChannel = async () => {
+    channels++;
+  };
+
+  await assert.rejects(connection._setupTopology(), (error) => {
+    assert.equal(error.code, "TOPOLOGY_CONFLICT");
+    assert.match(error.message, /queue 'matching.request.queue'/);
+    assert.match(error.message, /x-dead-letter-exchange/);
+    return true;
+  });
+  assert.equal(channels, 0);
+  assert.deepEqual(connection.getTopologyStatus().conflicts, [
+    "matching.request.queue",
+  ]);
+});
+
+/**
+ * amqplib channel whose write buffer is full while `full` is set
+ */
+class FakeChannel extends EventEmitter {
+  constructor() {
+    super();
+    this.full = false;
+    this.published = [];
+  }
+
+  publish(exchange, routingKey, content, options, callback) {
+    this.published.push({ routingKey, options, callback });
+    return !this.full;
+  }
+}
+
+const publishingConnection = () => {
+  const connection = new RabbitMQConnection();
+  const channel = new FakeChannel();
+  connection.connection = {
+    createChannel: async () => channel,
+    createConfirmChannel: async () => channel,
+  };
+  connection.connected = true;
+  return { connection, channel };
+};
+
+test("publishers wait for a full channel to drain", async () => {
+  const { connection, channel } = publishingConnection();
+  channel.full = true;
+
+  let settled = 0;
+  const first = connection.publish("c", "", "q", { n: 1 }).then(() => {
+    settled++;
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+  const second = connection.publish("c", "", "q", { n: 2 }).then(() => {
+    settled++;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  // Nothing new is written while the channel drains
+  assert.equal(channel.published.length, 1);
+  assert.equal(settled, 0);
+
+  channel.full = false;
+  channel.emit("drain");
+  await Promise.all([first, second]);
+  assert.equal(channel.published.length, 2);
+});
+
+test("a channel that does not drain fails the publish", async () => {
+  const { connection, channel } = publishingConnection();
+  connection.drainTimeout = 20;
+  channel.full = true;
+
+  await assert.rejects(connection.publish("c", "", "q", {}), {
+    code: "DRAIN_TIMEOUT",
+  });
+
+  const closing = publishingConnection();
+  closing.channel.full = true;
+  const publishing = closing.connection.publish("c", "", "q", {});
+  await new Promise((resolve) => setImmediate(resolve));
+  closing.channel.emit("close");
+  await assert.rejects(publishing, { code: "CLOSED" });
+});
+
+test("a returned mandatory publish is reported and fails its confirm", async () => {
+  const { connection, channel } = publishingConnection();
+  const returned = [];
+  connection.on("returned", (message) => returned.push(message));
+
+  const publishing = connection.publishConfirmed("c", "x", "nowhere", {}, {
+    mandatory: true,
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const [{ options, callback }] = channel.published;
+  assert.ok(options.messageId); // Generated to match the return
+  channel.emit("return", {
+    fields: {
+      exchange: "x",
+      routingKey: "nowhere",
+      replyCode: 312,
+      replyText: "NO_ROUTE",
+    },
+    properties: { messageId: options.messageId },
+    content: Buffer.from("{}"),
+  });
+  callback(null); // The broker acks unroutable messages after the return
+
+  await assert.rejects(publishing, { code: "UNROUTABLE" });
+  assert.equal(returned.length, 1);
+  assert.equal(returned[0].replyText, "NO_ROUTE");
+  assert.equal(returned[0].messageId, options.messageId);
+});
+
+test("confirmed publishes fail on a nack or a missing confirm", async () => {
+  const { connection, channel } = publishingConnection();
+  connection.confirmTimeout = 20;
+
+  const nacked = connection.publishConfirmed("c", "", "q", {});
+  await new Promise((resolve) => setImmediate(resolve));
+  channel.published[0].callback(new Error("nack"));
+  await assert.rejects(nacked, { code: "NACKED" });
+
+  await assert.rejects(connection.publishConfirmed("c", "", "q", {}), {
+    code: "CONFIRM_TIMEOUT",
+  });
+
+  const confirmed = connection.publishConfirmed("c", "", "q", {});
+  await new Promise((resolve) => setImmediate(resolve));
+  channel.published[2].callback(null);
+  assert.equal(await confirmed, true);
+});
+
+const failedMessage = (headers = {}) => ({
+  content: Buffer.from("{}"),
+  fields: { redelivered: false },
+  properties: { messageId: "m1", headers },
+});
+
+const retryingConnection = (publishConfirmed) => {
+  const connection = new RabbitMQConnection();
+  connection.getRetryPolicy = () => ({ maxRetries: 2, getDelay: () => 100 });
+  connection.getRetryQueueName = (queue, attempt) =>
+    `${queue}.retry.${attempt}`;
+  connection.publishConfirmed = publishConfirmed;
+  return connection;
+};
+
+const recordingChannel = (log) => ({
+  ack: () => log.push("ack"),
+  nack: (msg, allUpTo, requeue) => log.push(`nack:${requeue}`),
+});
+
+test("a failed message is acked once its retry copy is confirmed", async () => {
+  const log = [];
+  let confirm;
+  const connection = retryingConnection(
+    (channelName, exchange, routingKey, content, options) => {
+      log.push(`publish:${routingKey}:${options.headers["x-retry-count"]}`);
+      return new Promise((resolve) => {
+        confirm = resolve;
+      });
+    }
+  );
+
+  const settled = connection._retryOrDeadLetter(
+    recordingChannel(log),
+    "q",
+    failedMessage({ "x-retry-count": 1 }),
+    new Error("boom")
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(log, ["publish:q.retry.2:2"]);
+
+  confirm(true);
+  await settled;
+  assert.deepEqual(log, ["publish:q.retry.2:2", "ack"]);
+});
+
+test("an unconfirmed retry copy dead-letters the original", async () => {
+  const log = [];
+  const connection = retryingConnection(async () => {
+    throw Object.assign(new Error("nacked"), { code: "NACKED" });
+  });
+
+  await connection._retryOrDeadLetter(
+    recordingChannel(log),
+    "q",
+    failedMessage(),
+    new Error("boom")
+  );
+
+  assert.deepEqual(log, ["nack:false"]);
+});
+
+test("exhausted retries go straight to the dead letter exchange", async () => {
+  const log = [];
+  const connection = retryingConnection(async () => log.push("publish"));
+
+  await connection._retryOrDeadLetter(
+    recordingChannel(log),
+    "q",
+    failedMessage({ "x-retry-count": 2 }),
+    new Error("boom")
+  );
+
+  assert.deepEqual(log, ["nack:false"]);
+});
+
+test("a message that is not JSON skips the retries", async () => {
+  const log = [];
+  const connection = retryingConnection(async () => log.push("publish"));
+  let deliver;
+  connection.createChannel = async () => ({
+    ...recordingChannel(log),
+    prefetch: async () => {},
+    consume: async (queue, onMessage) => {
+      deliver = onMessage;
+      return { consumerTag: "c1" };
+    },
+  });
+  let calls = 0;
+
+  await connection._openConsumer({
+    channelName: "c",
+    queueName: "q",
+    callback: () => calls++,
+    options: {},
+  });
+  await deliver({ ...failedMessage(), content: Buffer.from("not json") });
+
+  assert.equal(calls, 0);
+  assert.deepEqual(log, ["nack:false"]);
+});
+
+test("concurrent callers share one connect attempt", async () => {
+  const connection = new RabbitMQConnection();
+  let connects = 0;
+  connection._connect = async () => {
+    connects++;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    connection.connection = {
+      createChannel: async () => ({ on() {} }),
+    };
+  };
+
+  const channels = await Promise.all([
+    connection.createChannel("a"),
+    connection.createChannel("b"),
+    connection.init(),
+  ]);
+
+  assert.equal(connects, 1);
+  assert.ok(channels[0] && channels[1]);
+});
+
+test("callers fail fast while a reconnect waits out its backoff", async () => {
+  const connection = new RabbitMQConnection();
+  let connects = 0;
+  connection._connect = async () => {
+    connects++;
+  };
+  connection.reconnecting = true;
+
+  await assert.rejects(
+    connection.publish("a", "", "q", {}),
+    /connection is not available/
+  );
+  assert.equal(connects, 0);
+});
+
+const DAY = 86400000;
+
+/**
+ * An amqplib connection to a broker holding the given queues and exchanges.
+ * Declaring an existing queue with other arguments fails like RabbitMQ does
+ */
+const fakeBroker = ({ exchanges = [], queues = {} }) => {
+  const broker = {
+    exchanges: new Set(exchanges),
+    queues: new Map(Object.entries(queues)),
+  };
+
+  const toArguments = (options = {}) => ({
+    "x-message-ttl": options.messageTtl,
+    "x-dead-letter-exchange": options.deadLetterExchange,
+    "x-dead-letter-routing-key": options.deadLetterRoutingKey,
+  });
+
+  const notFound = (name) =>
+    Object.assign(new Error(`NOT_FOUND - no queue '${name}'`), { code: 404 });
+
+  const channel = () => ({
+    on: () => {},
+    close: async () => {},
+    checkExchange: async (name) => {
+      if (!broker.exchanges.has(name)) throw notFound(name);
+    },
+    assertExchange: async (name) => broker.exchanges.add(name),
+    checkQueue: async (name) => {
+      if (!broker.queues.has(name)) throw notFound(name);
+    },
+    assertQueue: async (name, options) => {
+      const declared = toArguments(options);
+      const existing = broker.queues.get(name);
+      if (existing) {
+        for (const [key, value] of Object.entries(declared)) {
+          if (existing[key] !== value) {
+            throw Object.assign(
+              new Error(`PRECONDITION_FAILED - inequivalent arg '${key}'`),
+              { code: 406 }
+            );
+          }
+        }
+      }
+      broker.queues.set(name, declared);
+    },
+    bindQueue: async () => {},
+  });
+
+  return {
+    broker,
+    connection: { createChannel: async () => channel() },
+  };
+};
+
+test("queues created by earlier releases are accepted as they are", async () => {
+  // What the first release declared, before the topology config existed
+  const baseline = {
+    form_submission_queue: {
+      "x-message-ttl": DAY,
+      "x-dead-letter-exchange": "form_submission_dlx",
+    },
+    form_submission_dlq: { "x-message-ttl": 7 * DAY },
+    "matching.request.queue": { "x-message-ttl": DAY },
+    "assign.agent.reply.queue": { "x-message-ttl": DAY },
+  };
+  const { broker, connection: amqp } = fakeBroker({
+    exchanges: ["form_submission_exchange", "form_submission_dlx"],
+    queues: structuredClone(baseline),
+  });
+
+  const connection = new RabbitMQConnection();
+  connection.topology = connection._loadTopology(topology);
+  connection.connection = amqp;
+
+  await connection._setupTopology();
+
+  const status = connection.getTopologyStatus();
+  assert.deepEqual(status.conflicts, []);
+  assert.ok(status.created.every((name) => name.includes(".retry.")));
+  for (const [name, args] of Object.entries(baseline)) {
+    assert.deepEqual(
+      Object.fromEntries(
+        Object.entries(broker.queues.get(name)).filter(([, v]) => v)
+      ),
+      args
+    );
+  }
+});
+
+test("a queue with other arguments on the broker is a conflict", async () => {
+  const { connection: amqp } = fakeBroker({
+    queues: {
+      "matching.request.queue": {
+        "x-message-ttl": DAY,
+        "x-dead-letter-exchange": "somewhere_else",
+      },
+    },
+  });
+
+  const connection = new RabbitMQConnection();
+  connection.topology = connection._loadTopology(topology);
+  connection.connection = amqp;
+
+  await assert.rejects(connection._setupTopology(), {
+    code: "TOPOLOGY_CONFLICT",
+  });
+  assert.deepEqual(connection.getTopologyStatus().conflicts, [
+    "matching.request.queue",
+  ]);
+});
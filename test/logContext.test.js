@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import winston from "winston";
+import EventBus from "../src/core/EventBus.js";
+import Event from "../src/core/Event.js";
+import Agent from "../src/core/Agent.js";
+import rabbitMQConnection from "../src/events/connection.js";
+import { logger, createLogger, setLogLevel } from "../src/config/logger.js";
+import {
+  runWithContext,
+  setContext,
+  getContext,
+} from "../src/config/requestContext.js";
+
+const RabbitMQConnection = rabbitMQConnection.constructor;
+
+/**
+ * Keep the formatted log lines in memory instead of writing them out
+ */
+class CaptureTransport extends winston.Transport {
+  constructor() {
+    super();
+    this.lines = [];
+  }
+
+  log(info, callback) {
+    this.lines.push(JSON.parse(info[Symbol.for("message")]));
+    callback();
+  }
+}
+
+for (const transport of logger.transports) transport.silent = true;
+const capture = new CaptureTransport();
+logger.add(capture);
+setLogLevel("root", "debug");
+
+const linesWith = (message) =>
+  capture.lines.filter((line) => line.message === message);
+
+const settle = async (eventBus) => {
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test("contexts are fresh, nested and skip undefined fields", () => {
+  assert.deepEqual(getContext(), {});
+
+  runWithContext({ correlationId: "c1", job: undefined }, () => {
+    setContext({ taskId: "t1", ignored: undefined });
+    assert.deepEqual(getContext(), { correlationId: "c1", taskId: "t1" });
+
+    runWithContext({ eventId: "e1" }, () => {
+      assert.deepEqual(getContext(), { eventId: "e1" });
+    });
+    assert.equal(getContext().eventId, undefined);
+  });
+
+  setContext({ outside: true }); // No context to add to
+  assert.deepEqual(getContext(), {});
+});
+
+test("log lines carry the context they were written in", () => {
+  const componentLogger = createLogger("LogContextTest");
+
+  runWithContext({ correlationId: "c1", job: "sweep" }, () =>
+    componentLogger.info("In a job", { extra: 1 })
+  );
+
+  const [line] = linesWith("In a job");
+  assert.equal(line.correlationId, "c1");
+  assert.equal(line.job, "sweep");
+  assert.equal(line.component, "LogContextTest");
+  assert.equal(line.extra, 1);
+});
+
+test("handlers log in their event's context, not the emitter's", async () => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const handlerLogger = createLogger("LogContextHandler");
+  eventBus.on(
+    "context.test",
+    async () => handlerLogger.info("Handling context.test"),
+    { name: "contextHandler" }
+  );
+
+  const event = new Event({ type: "context.test", correlationId: "flow-1" });
+  await runWithContext({ correlationId: "http-1", requestOnly: true }, () =>
+    eventBus.emit(event)
+  );
+  await settle(eventBus);
+
+  const [line] = linesWith("Handling context.test");
+  assert.equal(line.correlationId, "flow-1");
+  assert.equal(line.eventId, event.id);
+  assert.equal(line.eventType, "context.test");
+  assert.equal(line.handler, "contextHandler");
+  assert.equal(line.attempt, 1);
+  assert.equal(line.requestOnly, undefined);
+});
+
+test("agents add their name to the handler's context", async () => {
+  class EchoAgent extends Agent {
+    async setup() {
+      this.on("context.agent", async () => {
+        this.log("info", "Agent handling");
+      });
+    }
+
+    async cleanup() {}
+  }
+  const eventBus = new EventBus({ recordMetrics: false });
+  const agent = new EchoAgent(eventBus);
+  await agent.start();
+
+  await eventBus.emit(
+    new Event({ type: "context.agent", correlationId: "flow-2" })
+  );
+  await settle(eventBus);
+  await agent.stop();
+
+  const [line] = linesWith("Agent handling");
+  assert.equal(line.agent, "EchoAgent");
+  assert.equal(line.correlationId, "flow-2");
+  assert.equal(line.eventType, "context.agent");
+});
+
+test("RabbitMQ deliveries log with the message's identity", async () => {
+  const connection = new RabbitMQConnection();
+  let deliver;
+  connection.createChannel = async () => ({
+    prefetch: async () => {},
+    ack: () => {},
+    consume: async (queue, onMessage) => {
+      deliver = onMessage;
+      return { consumerTag: "c1" };
+    },
+  });
+  const consumerLogger = createLogger("LogContextConsumer");
+
+  await connection._openConsumer({
+    channelName: "c",
+    queueName: "q",
+    callback: () => consumerLogger.info("Consuming"),
+    options: {},
+  });
+  await deliver({
+    content: Buffer.from("{}"),
+    fields: { redelivered: false },
+    properties: { messageId: "m1", correlationId: "flow-3", headers: {} },
+  });
+
+  const [line] = linesWith("Consuming");
+  assert.equal(line.correlationId, "flow-3");
+  assert.equal(line.messageId, "m1");
+  assert.equal(line.queue, "q");
+});
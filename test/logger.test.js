@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import winston from "winston";
+import { env } from "../src/config/env.js";
+import {
+  logger,
+  createLogger,
+  getLogLevels,
+  setLogLevel,
+  resetLogLevel,
+} from "../src/config/logger.js";
+import { createLoggingRouter } from "../src/routes/loggingRoutes.js";
+import { errorHandler, notFoundHandler } from "../src/utils/errorHandler.js";
+
+/**
+ * Keep the formatted log lines in memory instead of writing them out
+ */
+class CaptureTransport extends winston.Transport {
+  constructor() {
+    super();
+    this.lines = [];
+  }
+
+  log(info, callback) {
+    this.lines.push(JSON.parse(info[Symbol.for("message")]));
+    callback();
+  }
+}
+
+for (const transport of logger.transports) transport.silent = true;
+const capture = new CaptureTransport();
+logger.add(capture);
+
+/**
+ * Lines a function wrote, with the root level at `root` while it ran
+ */
+const written = (fn, root = "info") => {
+  setLogLevel("root", root);
+  capture.lines = [];
+  fn();
+  setLogLevel("root", "error");
+  return capture.lines;
+};
+
+test("a component override beats the root level until reset", () => {
+  const quiet = createLogger("QuietComponent");
+  const other = createLogger("OtherComponent");
+
+  setLogLevel("QuietComponent", "warn");
+  let lines = written(() => {
+    quiet.info("quiet info");
+    quiet.warn("quiet warn");
+    other.info("other info");
+  });
+  assert.deepEqual(
+    lines.map((line) => line.message),
+    ["quiet warn", "other info"]
+  );
+
+  setLogLevel("QuietComponent", "debug");
+  lines = written(() => quiet.debug("quiet debug"), "warn");
+  assert.deepEqual(
+    lines.map((line) => line.message),
+    ["quiet debug"]
+  );
+
+  assert.equal(getLogLevels().overrides.QuietComponent, "debug");
+  assert.equal(resetLogLevel("QuietComponent"), true);
+  assert.equal(resetLogLevel("QuietComponent"), false);
+  assert.equal(written(() => quiet.debug("after reset")).length, 0);
+});
+
+test("levels are checked and every component is listed", () => {
+  createLogger("ListedComponent");
+
+  assert.throws(() => setLogLevel("root", "verbose"), /Unknown log level/);
+  assert.ok(getLogLevels().components.includes("ListedComponent"));
+});
+
+test("a sampled logger keeps about its rate of lines", (t) => {
+  const sampled = createLogger("SampledComponent").sampled(0.5);
+  const random = t.mock.method(Math, "random", () => 0.3);
+
+  let lines = written(() => sampled.info("kept"));
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].sampleRate, 0.5);
+
+  random.mock.mockImplementation(() => 0.7);
+  assert.equal(written(() => sampled.info("dropped")).length, 0);
+
+  // At debug level every line is kept
+  lines = written(() => sampled.info("debugging"), "debug");
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].sampleRate, undefined);
+});
+
+test("child loggers bind fields and errors keep their stack", () => {
+  const child = createLogger("ChildComponent").child({ shard: 2 });
+
+  const [line] = written(() => child.error("failed", new Error("boom")));
+
+  assert.equal(line.component, "ChildComponent");
+  assert.equal(line.shard, 2);
+  assert.equal(line.error, "boom");
+  assert.match(line.stack, /Error: boom/);
+});
+
+test("admins change levels at runtime through /admin/logging", async (t) => {
+  env.AUTH_ENABLED = "false";
+  createLogger("RoutedComponent");
+  const app = express();
+  app.use(express.json());
+  app.use("/admin/logging", createLoggingRouter());
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const call = async (method, path, body) => {
+    const response = await fetch(
+      `http://localhost:${server.address().port}/admin/logging${path}`,
+      {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body && JSON.stringify(body),
+      }
+    );
+    return { status: response.status, body: await response.json() };
+  };
+
+  const set = await call("PUT", "/levels/RoutedComponent", {
+    level: "debug",
+  });
+  assert.equal(set.status, 200);
+  assert.equal(set.body.overrides.RoutedComponent, "debug");
+
+  assert.equal(
+    (await call("PUT", "/levels/RoutedComponent", { level: "loud" })).status,
+    400
+  );
+  assert.equal(
+    (await call("PUT", "/levels/Nobody", { level: "info" })).status,
+    404
+  );
+
+  assert.equal((await call("DELETE", "/levels/RoutedComponent")).status, 200);
+  assert.equal((await call("DELETE", "/levels/RoutedComponent")).status, 404);
+  assert.equal(
+    (await call("GET", "/levels")).body.overrides.RoutedComponent,
+    undefined
+  );
+});
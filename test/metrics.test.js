@@ -0,0 +1,182 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "../src/core/EventBus.js";
+import Event from "../src/core/Event.js";
+import MatchingService from "../src/services/MatchingService.js";
+import { CIRCUIT_STATES } from "../src/core/CircuitBreaker.js";
+import {
+  register,
+  trackEventBus,
+  trackMatchingService,
+} from "../src/config/metrics.js";
+
+/**
+ * Value of the first sample of a metric whose labels include `labels`
+ * @returns {number|undefined}
+ */
+const sample = (text, name, labels = {}) => {
+  for (const line of text.split("\n")) {
+    const match = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+    if (!match || match[1] !== name) continue;
+
+    const found = {};
+    const pairs = (match[2] || "").matchAll(/(\w+)="([^"]*)"/g);
+    for (const [, key, value] of pairs) found[key] = value;
+
+    if (
+      Object.entries(labels).every(([key, value]) => found[key] === value)
+    ) {
+      return Number(match[3]);
+    }
+  }
+  return undefined;
+};
+
+const scrape = () => register.metrics();
+
+const settle = async (eventBus) => {
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test("the scrape is Prometheus text with the service label", async () => {
+  assert.match(register.contentType, /^text\/plain; version=0\.0\.4/);
+
+  const text = await scrape();
+  assert.match(text, /^# TYPE task_agent_events_emitted_total counter$/m);
+  assert.ok(
+    sample(text, "task_agent_process_cpu_user_seconds_total", {
+      service: "task-agent-service",
+    }) >= 0
+  );
+});
+
+test("emitted and handled events are counted by type and outcome", async () => {
+  const eventBus = new EventBus();
+  eventBus.on("metrics.ok", async () => {}, { name: "okHandler" });
+  eventBus.on(
+    "metrics.failing",
+    async () => {
+      throw new Error("boom");
+    },
+    { name: "failingHandler" }
+  );
+
+  await eventBus.emit(new Event({ type: "metrics.ok" }));
+  await eventBus.emit(new Event({ type: "metrics.ok" }));
+  await eventBus.emit(new Event({ type: "metrics.failing" }));
+  await settle(eventBus);
+
+  const text = await scrape();
+  assert.equal(
+    sample(text, "task_agent_events_emitted_total", {
+      event_type: "metrics.ok",
+    }),
+    2
+  );
+  assert.equal(
+    sample(text, "task_agent_events_handled_total", {
+      handler: "okHandler",
+      outcome: "success",
+    }),
+    2
+  );
+  assert.equal(
+    sample(text, "task_agent_events_handled_total", {
+      handler: "failingHandler",
+      outcome: "dead_lettered",
+    }),
+    1
+  );
+  assert.equal(
+    sample(text, "task_agent_handler_duration_seconds_count", {
+      handler: "okHandler",
+      event_type: "metrics.ok",
+    }),
+    2
+  );
+});
+
+test("queue depths are read at scrape time and summed per metric name", async () => {
+  const eventBus = new EventBus();
+  trackEventBus(eventBus);
+  let open;
+  const gate = new Promise((resolve) => (open = resolve));
+  for (const name of ["client-1", "client-2"]) {
+    eventBus.on("metrics.queued", () => gate, { name, metricName: "Stream" });
+  }
+
+  for (let n = 0; n < 3; n++) {
+    await eventBus.emit(new Event({ type: "metrics.queued" }));
+  }
+
+  // Each subscription runs one event and queues the other two
+  const depth = async () =>
+    sample(await scrape(), "task_agent_eventbus_queue_depth", {
+      handler: "Stream",
+    });
+  assert.equal(await depth(), 4);
+
+  open();
+  await settle(eventBus);
+  assert.equal(await depth(), 0);
+});
+
+test("matching requests are tracked until their reply", async () => {
+  const eventBus = new EventBus();
+  const matchingService = new MatchingService(eventBus);
+  trackMatchingService(matchingService);
+
+  const result = matchingService.sendMatchingRequest("assignment", {
+    formId: "f1",
+  });
+  const [request] = eventBus.getHistory("matching.request");
+  assert.equal(
+    sample(await scrape(), "task_agent_matching_pending_requests"),
+    1
+  );
+
+  await eventBus.emit(
+    new Event({
+      type: "matching.response",
+      data: { success: true, assignedUserId: "u1" },
+      correlationId: request.correlationId,
+      metadata: { requestId: request.id },
+    })
+  );
+  assert.equal((await result).assignedUserId, "u1");
+
+  const text = await scrape();
+  assert.equal(sample(text, "task_agent_matching_pending_requests"), 0);
+  assert.equal(
+    sample(text, "task_agent_matching_round_trip_seconds_count", {
+      request_type: "assignment",
+      outcome: "success",
+    }),
+    1
+  );
+});
+
+test("the circuit state gauge marks the current state only", async () => {
+  const matchingService = new MatchingService(new EventBus());
+  trackMatchingService(matchingService);
+  const state = async () => {
+    const text = await scrape();
+    return Object.values(CIRCUIT_STATES).filter(
+      (candidate) =>
+        sample(text, "task_agent_matching_circuit_state", {
+          state: candidate,
+        }) === 1
+    );
+  };
+
+  assert.deepEqual(await state(), [CIRCUIT_STATES.CLOSED]);
+  matchingService.circuitBreaker.transition(CIRCUIT_STATES.OPEN, "test");
+  assert.deepEqual(await state(), [CIRCUIT_STATES.OPEN]);
+  assert.equal(
+    sample(await scrape(), "task_agent_matching_held_submissions"),
+    0
+  );
+  matchingService.stop();
+});
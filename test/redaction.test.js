@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Redactor, { isLuhnValid } from "../src/utils/redaction.js";
+import { redact } from "../src/config/redaction.js";
+
+test("masks credential fields by key suffix, at any depth", () => {
+  const result = redact({
+    user: { newPassword: "x", api_key: "y", accessToken: "z" },
+    list: [{ client_secret: "s" }],
+  });
+
+  assert.deepEqual(result, {
+    user: {
+      newPassword: "[REDACTED]",
+      api_key: "[REDACTED]",
+      accessToken: "[REDACTED]",
+    },
+    list: [{ client_secret: "[REDACTED]" }],
+  });
+});
+
+test("drops auth headers", () => {
+  const result = redact({
+    headers: { authorization: "Bearer x", accept: "*" },
+  });
+  assert.deepEqual(result, { headers: { accept: "*" } });
+});
+
+test("hashes emails consistently inside strings", () => {
+  const a = redact("mail jane@example.com now");
+  const b = redact({ note: "from jane@example.com" });
+
+  const hash = a.match(/sha256:[0-9a-f]{16}/)[0];
+  assert.equal(a, `mail ${hash} now`);
+  assert.equal(b.note, `from ${hash}`);
+});
+
+test("masks Luhn-valid card numbers but not IDs or other numbers", () => {
+  assert.equal(
+    redact({ note: "card 4111 1111 1111 1111" }).note,
+    "card [REDACTED:card]"
+  );
+  const notACard = "4111 1111 1111 1112";
+  assert.equal(redact({ note: notACard }).note, notACard);
+  const orderId = "4111111111111111";
+  assert.equal(redact({ orderId }).orderId, orderId);
+  assert.equal(isLuhnValid("4111-1111-1111-1111"), true);
+});
+
+test("never modifies the input and handles cycles", () => {
+  const input = { password: "p", nested: {} };
+  input.nested.self = input;
+
+  const result = redact(input);
+  assert.equal(input.password, "p");
+  assert.equal(result.password, "[REDACTED]");
+});
+
+test("custom rules: paths, drop by pattern and disabled redactor", () => {
+  const redactor = new Redactor({
+    rules: [
+      { name: "note", paths: ["*.internal"], strategy: "hash" },
+      { name: "secret-word", pattern: "swordfish", strategy: "drop" },
+    ],
+  });
+
+  const result = redactor.redact({
+    a: { internal: "x", keep: "swordfish here" },
+  });
+  assert.match(result.a.internal, /^sha256:/);
+  assert.equal("keep" in result.a, false);
+
+  const disabled = new Redactor({ enabled: false, rules: [] });
+  const value = { password: "p" };
+  assert.equal(disabled.redact(value), value);
+});
+
+test("rejects unknown strategies and rules without a matcher", () => {
+  assert.throws(
+    () =>
+      new Redactor({ rules: [{ name: "x", keys: ["a"], strategy: "zap" }] }),
+    /unknown strategy/
+  );
+  assert.throws(() => new Redactor({ rules: [{ name: "x" }] }), /needs keys/);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "../src/core/EventBus.js";
+import Event from "../src/core/Event.js";
+import { isTopicPattern, matchesTopic } from "../src/utils/topicPattern.js";
+
+test("only keys with a wildcard segment are patterns", () => {
+  assert.equal(isTopicPattern("*"), true);
+  assert.equal(isTopicPattern("task.*"), true);
+  assert.equal(isTopicPattern("task.#"), true);
+  assert.equal(isTopicPattern("task.assigned"), false);
+  assert.equal(isTopicPattern("task.a*"), false);
+});
+
+test("* matches exactly one segment", () => {
+  assert.equal(matchesTopic("task.*", "task.assigned"), true);
+  assert.equal(matchesTopic("task.*", "task.state.changed"), false);
+  assert.equal(matchesTopic("task.*", "task"), false);
+  assert.equal(matchesTopic("*.failed", "assignment.failed"), true);
+  assert.equal(matchesTopic("*.failed", "form.submission.failed"), false);
+});
+
+test("# matches zero or more segments", () => {
+  assert.equal(matchesTopic("task.#", "task"), true);
+  assert.equal(matchesTopic("task.#", "task.assigned"), true);
+  assert.equal(matchesTopic("task.#", "task.reassign.requested"), true);
+  assert.equal(matchesTopic("#.failed", "form.submission.failed"), true);
+  assert.equal(matchesTopic("task.#.requested", "task.requested"), true);
+  assert.equal(matchesTopic("task.#", "form.submitted"), false);
+});
+
+test("a bare * or # matches every event type", () => {
+  for (const pattern of ["*", "#"]) {
+    assert.equal(matchesTopic(pattern, "form.submitted"), true);
+    assert.equal(matchesTopic(pattern, "task.state.changed"), true);
+  }
+});
+
+test("pattern and exact subscribers both get a matching event", async () => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const received = [];
+  const record = (key) => async (event) => {
+    received.push(`${key}:${event.type}`);
+  };
+  eventBus.on("task.assigned", record("exact"));
+  eventBus.on("task.*", record("star"));
+  eventBus.on("task.#", record("hash"));
+  eventBus.on("form.*", record("form"));
+
+  await eventBus.emit(new Event({ type: "task.assigned" }));
+  await eventBus.emit(new Event({ type: "task.state.changed" }));
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+
+  assert.deepEqual(received.sort(), [
+    "exact:task.assigned",
+    "hash:task.assigned",
+    "hash:task.state.changed",
+    "star:task.assigned",
+  ]);
+});
+
+test("an unsubscribed pattern stops matching", async () => {
+  const eventBus = new EventBus({ recordMetrics: false });
+  const received = [];
+  const handler = async (event) => received.push(event.type);
+  eventBus.on("task.#", handler);
+
+  await eventBus.emit(new Event({ type: "task.assigned" }));
+  eventBus.off("task.#", handler);
+  await eventBus.emit(new Event({ type: "task.completed" }));
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+
+  assert.deepEqual(received, ["task.assigned"]);
+});
@@ -0,0 +1,213 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import EventBus from "../src/core/EventBus.js";
+import Event from "../src/core/Event.js";
+import Tracer from "../src/core/tracing/Tracer.js";
+import InMemorySpanExporter from "../src/core/tracing/InMemorySpanExporter.js";
+import { SPAN_KINDS, SPAN_STATUS } from "../src/core/tracing/Span.js";
+import { tracer as processTracer } from "../src/config/tracing.js";
+import rabbitMQConnection from "../src/events/connection.js";
+import { tracingMiddleware } from "../src/middlewares/tracing.js";
+import {
+  formatTraceparent,
+  parseTraceparent,
+} from "../src/utils/traceparent.js";
+
+const RabbitMQConnection = rabbitMQConnection.constructor;
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+const SPAN_ID = "00f067aa0ba902b7";
+const TRACEPARENT = `00-${TRACE_ID}-${SPAN_ID}-01`;
+
+const createTracer = () => {
+  const exporter = new InMemorySpanExporter();
+  return { exporter, tracer: new Tracer({ exporter }) };
+};
+
+const settle = async (eventBus) => {
+  while (!eventBus.isIdle()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test("a valid traceparent parses to its trace context", () => {
+  assert.deepEqual(parseTraceparent(TRACEPARENT), {
+    traceId: TRACE_ID,
+    spanId: SPAN_ID,
+    flags: "01",
+  });
+  assert.deepEqual(parseTraceparent(` ${TRACEPARENT.toUpperCase()} `), {
+    traceId: TRACE_ID,
+    spanId: SPAN_ID,
+    flags: "01",
+  });
+  assert.equal(formatTraceparent(parseTraceparent(TRACEPARENT)), TRACEPARENT);
+});
+
+test("malformed traceparents are ignored", () => {
+  for (const header of [
+    undefined,
+    null,
+    42,
+    "",
+    `01-${TRACE_ID}-${SPAN_ID}-01`, // Unknown version
+    `00-${TRACE_ID.slice(1)}-${SPAN_ID}-01`,
+    `00-${TRACE_ID}-${SPAN_ID}-1`,
+    `00-${TRACE_ID}-${SPAN_ID}`,
+    `00-${"0".repeat(32)}-${SPAN_ID}-01`, // All-zero ids are invalid
+    `00-${TRACE_ID}-${"0".repeat(16)}-01`,
+    `00-${TRACE_ID.replace("4", "x")}-${SPAN_ID}-01`,
+  ]) {
+    assert.equal(parseTraceparent(header), null, String(header));
+  }
+});
+
+test("spans continue a traceparent, the active span or a new trace", () => {
+  const { tracer } = createTracer();
+
+  const continued = tracer.startSpan("continued", { parent: TRACEPARENT });
+  assert.equal(continued.traceId, TRACE_ID);
+  assert.equal(continued.parentSpanId, SPAN_ID);
+
+  const invalid = tracer.startSpan("invalid", { parent: "garbage" });
+  assert.notEqual(invalid.traceId, TRACE_ID);
+  assert.equal(invalid.parentSpanId, null);
+
+  const child = tracer.withSpan(continued, () => tracer.startSpan("child"));
+  assert.equal(child.traceId, TRACE_ID);
+  assert.equal(child.parentSpanId, continued.spanId);
+
+  const root = tracer.withSpan(continued, () =>
+    tracer.startSpan("root", { parent: null })
+  );
+  assert.equal(root.parentSpanId, null);
+  assert.notEqual(root.traceId, TRACE_ID);
+});
+
+test("an active span records a thrown error and ends", async () => {
+  const { exporter, tracer } = createTracer();
+
+  await assert.rejects(
+    tracer.startActiveSpan("failing", {}, async () => {
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+
+  const [span] = exporter.getFinishedSpans();
+  assert.equal(span.status.code, SPAN_STATUS.ERROR);
+  assert.equal(span.events[0].attributes["exception.message"], "boom");
+});
+
+test("events carry the trace through EventBus handlers", async () => {
+  const { exporter, tracer } = createTracer();
+  const eventBus = new EventBus({ tracer, recordMetrics: false });
+  const received = [];
+  eventBus.on("trace.first", async (event) => {
+    received.push(event);
+    await eventBus.emit(new Event({ type: "trace.second" }));
+  });
+  eventBus.on("trace.second", async (event) => received.push(event));
+
+  const request = tracer.startSpan("request", { parent: TRACEPARENT });
+  await tracer.withSpan(request, () =>
+    eventBus.emit(new Event({ type: "trace.first" }))
+  );
+  await settle(eventBus);
+  request.end();
+
+  const [first, second] = received;
+  assert.equal(first.metadata.traceparent, request.traceparent);
+
+  const spans = exporter.getFinishedSpans();
+  const firstSpan = spans.find((span) => span.name === "trace.first process");
+  const secondSpan = spans.find((span) => span.name === "trace.second process");
+  assert.equal(firstSpan.kind, SPAN_KINDS.CONSUMER);
+  assert.equal(firstSpan.parentSpanId, request.spanId);
+  // Emitted by the first handler, so its child
+  assert.equal(second.metadata.traceparent, firstSpan.traceparent);
+  assert.equal(secondSpan.parentSpanId, firstSpan.spanId);
+  assert.ok(spans.every((span) => span.traceId === TRACE_ID));
+});
+
+test("RabbitMQ messages carry the trace to their consumers", async () => {
+  const published = [];
+  let deliver;
+  const channel = {
+    on: () => {},
+    prefetch: async () => {},
+    ack: () => {},
+    publish: (exchange, routingKey, content, options) => {
+      published.push({ content, options });
+      return true;
+    },
+    consume: async (queue, onMessage) => {
+      deliver = onMessage;
+      return { consumerTag: "c1" };
+    },
+  };
+  const connection = new RabbitMQConnection();
+  connection.createChannel = async () => channel;
+
+  const parent = processTracer.startSpan("request", { parent: TRACEPARENT });
+  await processTracer.withSpan(parent, () =>
+    connection.publish("c", "", "q", { n: 1 })
+  );
+  await connection.publish("c", "", "q", { n: 2 }, {
+    headers: { traceparent: TRACEPARENT },
+  });
+
+  const sent = published.map(({ options }) =>
+    parseTraceparent(options.headers.traceparent)
+  );
+  assert.equal(sent[0].traceId, TRACE_ID);
+  assert.notEqual(sent[0].spanId, parent.spanId); // The publish span's own
+  assert.equal(sent[1].traceId, TRACE_ID);
+
+  let active;
+  await connection._openConsumer({
+    channelName: "c",
+    queueName: "q",
+    callback: () => {
+      active = processTracer.getActiveSpan();
+    },
+    options: {},
+  });
+  await deliver({
+    content: published[0].content,
+    fields: { redelivered: false },
+    properties: published[0].options,
+  });
+
+  assert.equal(active.traceId, TRACE_ID);
+  assert.equal(active.parentSpanId, sent[0].spanId);
+});
+
+test("HTTP requests continue the caller's traceparent", async (t) => {
+  const exporter = new InMemorySpanExporter();
+  processTracer.setExporter(exporter);
+  t.after(() => processTracer.setExporter(null));
+
+  const req = {
+    method: "GET",
+    path: "/api/v1/tasks/t1",
+    baseUrl: "/api/v1/tasks",
+    route: { path: "/:taskId" },
+    headers: { traceparent: TRACEPARENT },
+  };
+  const res = new EventEmitter();
+  res.statusCode = 200;
+
+  let active;
+  tracingMiddleware(req, res, () => {
+    active = processTracer.getActiveSpan();
+  });
+  res.emit("finish");
+
+  assert.equal(active.traceId, TRACE_ID);
+  assert.equal(active.parentSpanId, SPAN_ID);
+  const [span] = exporter.getFinishedSpans();
+  assert.equal(span.name, "GET /api/v1/tasks/:taskId");
+  assert.equal(span.kind, SPAN_KINDS.SERVER);
+});